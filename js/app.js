@@ -8,6 +8,22 @@ import mapController from './map-controller.js';
 import uiController from './ui-controller.js';
 import featureLoader from './feature-loader.js';
 import timeSliderController from './time-slider-controller.js';
+import downloadCache from './download-cache.js';
+import offlinePacks from './offline-packs.js';
+import pointLookup from './point-lookup.js';
+import geocoder from './geocoder.js';
+import boundaryDiff from './boundary-diff.js';
+import crosswalk from './crosswalk.js';
+import featureLineage from './feature-lineage.js';
+import compareController from './compare-controller.js';
+import dataJoin from './data-join.js';
+import mapExport from './map-export.js';
+import layoutComposer from './layout-composer.js';
+import featureExport from './feature-export.js';
+import coordinateReadout from './coordinate-readout.js';
+
+const PREFETCH_MAX_BYTES = 10 * 1024 * 1024;  // Don't speculatively download larger FGB files
+const POSTCODE_REPORT_CATEGORIES = ['wards', 'deas', 'parliamentary', 'devolved', 'dail', 'local-government'];
 
 class App {
     constructor() {
@@ -20,6 +36,7 @@ class App {
         this.textScale = 100;
         this.textScaleSteps = [50, 60, 70, 80, 90, 100, 110, 125, 150, 175, 200];
         this.splitPosition = 50; // Percentage for info pane width
+        this.lastCrosswalk = null; // { key, result } - reused when exporting the same crosswalk in another format
     }
 
     /**
@@ -32,6 +49,10 @@ class App {
             // Initialize data service
             await dataService.init();
 
+            // Persistent download cache - entries are versioned by the datasets manifest
+            await downloadCache.init((path) => dataService.getFileVersion(path));
+            this.notifyStalePacks();
+
             // Load books data for catalogue rendering
             try {
                 const booksResp = await fetch('data/database/books.json');
@@ -173,7 +194,7 @@ class App {
 
             // Check what features contain a point
             uiController.onCheckIntersection = async (lat, lon) => {
-                return this.findFeaturesAtPoint(lat, lon);
+                return pointLookup.findAreasAtPoint(lat, lon);
             };
 
             // Remove address marker
@@ -195,25 +216,128 @@ class App {
             };
 
             // Get loaded features for Tables tab
-            uiController.onGetLoadedFeatures = () => {
+            // Vector tile layers draw no GeoJSON - their features in view are read from the data file
+            uiController.onGetLoadedFeatures = async () => {
                 const features = [];
-                mapController.layerStates.forEach((state, mapId) => {
-                    if (!state.loaded) return;
+                for (const [mapId, state] of mapController.layerStates) {
+                    if (!state.loaded) continue;
                     const mapConfig = state.config;
-                    state.geoJsonLayers.forEach(geoJsonLayer => {
-                        geoJsonLayer.eachLayer(layer => {
-                            if (!layer.feature) return;
-                            features.push({
-                                ...layer.feature.properties,
-                                mapId,
-                                mapName: mapConfig?.name || mapId
-                            });
-                        });
-                    });
-                });
+                    let layerFeatures;
+                    try {
+                        layerFeatures = state.tileLayer
+                            ? await mapController.getTileFeaturesInBounds(mapId, mapController.map.getBounds())
+                            : mapController.getLayerFeatures(mapId);
+                    } catch (err) {
+                        console.warn(`[App] Could not read the features of ${mapId}:`, err.message);
+                        continue;
+                    }
+                    for (const feature of layerFeatures) {
+                        const row = {
+                            ...mapController.getFeatureProperties(mapId, feature.properties),
+                            mapId,
+                            mapName: mapConfig?.name || mapId
+                        };
+                        // Kept off the table's columns, for downloading the row's geometry
+                        Object.defineProperty(row, 'feature', { value: feature });
+                        features.push(row);
+                    }
+                }
                 return features;
             };
 
+            // Convert a whole layer, or Tables rows, to GeoJSON, KML, Shapefile, GeoPackage or CSV
+            uiController.onDownloadMapAs = async (mapId, format, crs) => {
+                const mapConfig = dataService.getMapById(mapId);
+                if (!mapConfig) return;
+                try {
+                    const features = await mapController.loadMapFeatures(mapConfig);
+                    await this.downloadFeatures([this.getExportLayer(mapId, features)], format, crs, featureExport.getBaseName([mapId], { crs, mapDate: mapConfig.date }));
+                } catch (err) {
+                    console.error('[App] Download failed:', err);
+                    timeSliderController.showToast(`Download failed: ${err.message}`);
+                }
+            };
+            uiController.onDownloadFeatures = async (rows, format, crs) => {
+                try {
+                    const layers = await this.getRowLayers(rows);
+                    const mapIds = layers.map(layer => layer.id);
+                    const mapDate = mapIds.length === 1 ? dataService.getMapById(mapIds[0])?.date : null;
+                    await this.downloadFeatures(layers, format, crs, featureExport.getBaseName(mapIds, { selection: true, crs, mapDate }));
+                } catch (err) {
+                    console.error('[App] Download failed:', err);
+                    timeSliderController.showToast(`Download failed: ${err.message}`);
+                }
+            };
+
+            // Compare two vintages of a time series (Tables tab, Boundary Changes)
+            uiController.onCompareVintages = async (fromId, toId, onProgress) => {
+                const fromMap = dataService.getMapById(fromId);
+                const toMap = dataService.getMapById(toId);
+                if (!fromMap || !toMap) throw new Error('Unknown map');
+
+                // Always diff older → newer
+                const [older, newer] = (dataService.parseMapDate(fromMap.date) ?? 0) <= (dataService.parseMapDate(toMap.date) ?? 0)
+                    ? [fromMap, toMap] : [toMap, fromMap];
+                const [olderFeatures, newerFeatures] = await Promise.all([
+                    mapController.loadMapFeatures(older),
+                    mapController.loadMapFeatures(newer)
+                ]);
+
+                const result = await boundaryDiff.compare(older, newer, olderFeatures, newerFeatures, { onProgress });
+                mapController.showDiffOverlay(result);
+                return result;
+            };
+
+            uiController.onClearComparison = () => {
+                mapController.clearDiffOverlay();
+            };
+
+            // Export a crosswalk table between two vintages
+            uiController.onExportCrosswalk = async (fromId, toId, weighting, format, onProgress) => {
+                const key = `${fromId}|${toId}|${weighting}`;
+                if (this.lastCrosswalk?.key !== key) {
+                    const fromMap = dataService.getMapById(fromId);
+                    const toMap = dataService.getMapById(toId);
+                    if (!fromMap || !toMap) throw new Error('Unknown map');
+
+                    const proxyMap = weighting === 'population' ? crosswalk.getProxyMap(fromMap) : null;
+                    if (weighting === 'population' && !proxyMap) {
+                        throw new Error('No census areas are available for population weighting');
+                    }
+
+                    const [fromFeatures, toFeatures, proxyFeatures] = await Promise.all([
+                        mapController.loadMapFeatures(fromMap),
+                        mapController.loadMapFeatures(toMap),
+                        proxyMap ? mapController.loadMapFeatures(proxyMap) : null
+                    ]);
+                    const result = await crosswalk.build(fromMap, toMap, fromFeatures, toFeatures, { proxyMap, proxyFeatures, onProgress });
+                    this.lastCrosswalk = { key, result };
+                }
+
+                const { result } = this.lastCrosswalk;
+                if (format === 'json') {
+                    this.downloadFile(crosswalk.toJSON(result), crosswalk.getFilename(result, 'json'), 'application/json');
+                } else {
+                    this.downloadFile(crosswalk.toCSV(result), crosswalk.getFilename(result, 'csv'), 'text/csv');
+                }
+                return result.rows.length;
+            };
+
+            // Feature info Lineage section
+            uiController.onGetFeatureLineage = (mapId, feature) => featureLineage.getLineage(mapId, feature);
+
+            uiController.onLineageSelect = async (entry) => {
+                const mapConfig = dataService.getMapById(entry.mapId);
+                if (mapConfig) {
+                    await mapController.loadLayer(mapConfig, true);
+                    uiController.updateMapCardState(mapConfig.id, true);
+                    this.updateMapList();
+                    this.updateActiveLayers();
+                    this.updateURLState();
+                }
+                mapController.flashFeature(entry.feature);
+            };
+
             // Zoom to bounding box
             uiController.onZoomToBbox = (bounds) => {
                 if (mapController.map && bounds && bounds.length === 2) {
@@ -269,6 +393,68 @@ class App {
                 this.updateURLState();
             };
 
+            // Per-chain pins in the active layers panel
+            uiController.onChainLockToggle = (chainId) => timeSliderController.toggleChainLock(chainId);
+            uiController.onChainDateChange = (chainId, timestamp) => timeSliderController.setChainDate(chainId, timestamp);
+
+            // Style layers by attribute
+            uiController.onChoroplethEdit = (mapId) => {
+                const mapConfig = dataService.getMapById(mapId);
+                if (!mapConfig) return;
+                uiController.openChoroplethEditor(mapConfig, mapController.getLayerProperties(mapId),
+                    mapController.getChoroplethConfig(mapConfig));
+            };
+            uiController.onChoroplethChange = async (mapId, config) => {
+                await mapController.setChoropleth(mapId, config);
+                this.updateActiveLayers();
+            };
+
+            // Per-layer styles, saved in localStorage and URL state
+            this.restoreLayerStyles();
+            uiController.onLayerStyleEdit = (mapId) => {
+                const mapConfig = dataService.getMapById(mapId);
+                if (!mapConfig) return;
+                uiController.openLayerStyleEditor(mapConfig, mapController.getLayerStyle(mapId),
+                    Boolean(mapController.getLayerState(mapId)?.choropleth));
+            };
+            uiController.onLayerStyleChange = (mapId, changes) => {
+                const wasStyled = mapController.hasLayerStyle(mapId);
+                mapController.setLayerStyle(mapId, changes);
+                this.saveLayerStyles();
+                this.updateURLState();
+
+                // The panel shows the stroke colour and which layers are restyled
+                if (!changes || changes.color || wasStyled !== mapController.hasLayerStyle(mapId)) {
+                    this.updateActiveLayers();
+                }
+                return mapController.getLayerStyle(mapId);
+            };
+
+            // Join tables onto layers
+            uiController.onGetJoinLayerProperties = (mapId) =>
+                mapController.getLoadedFeatures(mapId).map(feature => feature.properties || {});
+            uiController.onJoinData = (mapId, table, options) => mapController.joinTable(mapId, table, options);
+            uiController.onRemoveJoin = (mapId) => mapController.removeJoin(mapId);
+            mapController.onJoinChange = () => this.updateActiveLayers();
+            this.setupJoinControls();
+
+            // Export the map view as an image or PDF, or lay it out from a template
+            this.setupMapExportControls();
+            layoutComposer.init(mapController);
+            layoutComposer.onDownload = (content, filename, type) => this.downloadFile(content, filename, type);
+            layoutComposer.onError = (message) => timeSliderController.showToast(message);
+
+            // Cursor position in WGS 84, Irish Grid or ITM
+            coordinateReadout.init(mapController);
+
+            // Swipe / side-by-side comparison map
+            compareController.init(mapController);
+            compareController.onChange = () => {
+                this.renderCompareBar();
+                this.updateURLState();
+            };
+            this.setupCompareControls();
+
             // Setup URL state handling
             this.setupURLState();
 
@@ -309,6 +495,247 @@ class App {
         }
     }
 
+    /**
+     * Restore the layer styles saved in localStorage (styles in the URL are applied over them)
+     */
+    restoreLayerStyles() {
+        try {
+            const saved = localStorage.getItem('ni-boundaries.layerStyles');
+            if (saved) mapController.setLayerStyles(JSON.parse(saved));
+        } catch (err) {
+            console.warn('[App] Could not restore layer styles:', err);
+        }
+    }
+
+    /**
+     * Save the layer styles to localStorage
+     */
+    saveLayerStyles() {
+        localStorage.setItem('ni-boundaries.layerStyles', JSON.stringify(mapController.getLayerStyles()));
+    }
+
+    /**
+     * Setup joining data files onto layers - chosen in the map controls or dropped on the map
+     */
+    setupJoinControls() {
+        const input = document.getElementById('joinDataInput');
+        document.getElementById('joinDataBtn')?.addEventListener('click', () => input?.click());
+        input?.addEventListener('change', () => {
+            if (input.files[0]) this.openJoinFile(input.files[0]);
+            input.value = '';
+        });
+
+        const pane = document.querySelector('.pane--map');
+        if (!pane) return;
+
+        const hasFiles = (e) => e.dataTransfer?.types?.includes('Files');
+        pane.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            pane.classList.add('pane--drop-target');
+        });
+        pane.addEventListener('dragleave', (e) => {
+            if (!pane.contains(e.relatedTarget)) pane.classList.remove('pane--drop-target');
+        });
+        pane.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            pane.classList.remove('pane--drop-target');
+            const file = e.dataTransfer.files[0];
+            if (file) this.openJoinFile(file);
+        });
+    }
+
+    /**
+     * Read a CSV or JSON file and offer to join it onto a loaded layer
+     */
+    async openJoinFile(file) {
+        let table;
+        try {
+            table = dataJoin.parse(await file.text(), file.name);
+        } catch (err) {
+            console.warn(`[App] Could not read ${file.name}:`, err);
+            timeSliderController.showToast(`Could not read ${file.name}: ${err.message}`);
+            return;
+        }
+
+        const maps = this.getLoadedLayerIds()
+            .map(id => dataService.getMapById(id))
+            .filter(map => map && mapController.getLayerState(map.id)?.loaded);
+        uiController.openJoinDialog(table, file.name, maps);
+    }
+
+    /**
+     * Setup map export controls (format, paper size, orientation, title and PNG resolution)
+     * and the button that opens the print layout composer
+     */
+    setupMapExportControls() {
+        const button = document.getElementById('mapExportBtn');
+        const formatSelect = document.getElementById('mapExportFormat');
+        const paperSelect = document.getElementById('mapExportPaper');
+        const dpiSelect = document.getElementById('mapExportDpi');
+        if (!button || !formatSelect || !paperSelect) return;
+
+        paperSelect.innerHTML = Object.keys(mapExport.getPaperSizes())
+            .map(paper => `<option value="${paper}"${paper === 'A4' ? ' selected' : ''}>${paper}</option>`)
+            .join('');
+
+        // Resolution only applies to PNG
+        const updateDpi = () => { if (dpiSelect) dpiSelect.disabled = formatSelect.value !== 'png'; };
+        formatSelect.addEventListener('change', updateDpi);
+        updateDpi();
+
+        document.getElementById('layoutComposerBtn')?.addEventListener('click', () => {
+            if (this.getLoadedLayerIds().length === 0) {
+                timeSliderController.showToast('Load a map to lay out');
+                return;
+            }
+            layoutComposer.open();
+        });
+
+        button.addEventListener('click', async () => {
+            if (this.getLoadedLayerIds().length === 0) {
+                timeSliderController.showToast('Load a map to export');
+                return;
+            }
+
+            button.disabled = true;
+            button.textContent = 'Exporting…';
+            try {
+                const { blob, filename } = await mapExport.export(mapController, {
+                    format: formatSelect.value,
+                    paper: paperSelect.value,
+                    orientation: document.getElementById('mapExportOrientation')?.value,
+                    dpi: Number(dpiSelect?.value) || 300,
+                    title: document.getElementById('mapExportTitle')?.value.trim() || ''
+                });
+                this.downloadFile(blob, filename);
+            } catch (err) {
+                console.error('[App] Map export failed:', err);
+                timeSliderController.showToast(`Export failed: ${err.message}`);
+            } finally {
+                button.disabled = false;
+                button.textContent = 'Export';
+            }
+        });
+    }
+
+    /**
+     * Setup compare mode controls (mode select, comparison layers, base map and date)
+     */
+    setupCompareControls() {
+        const modeSelect = document.getElementById('compareModeSelect');
+        const layerSelect = document.getElementById('compareLayerSelect');
+        const layerList = document.getElementById('compareLayerList');
+        const baseMapSelect = document.getElementById('compareBaseMapSelect');
+        const dateRange = document.getElementById('compareDateRange');
+        if (!modeSelect || !layerSelect || !baseMapSelect || !dateRange) return;
+
+        modeSelect.addEventListener('change', () => {
+            // Start the comparison from the layers on the main map
+            if (modeSelect.value && compareController.getLayerIds().length === 0) {
+                mapController.getVisibleLayers().forEach(mapId => compareController.addLayer(mapId));
+            }
+            compareController.setMode(modeSelect.value || null);
+        });
+
+        document.getElementById('compareClose')?.addEventListener('click', () => compareController.setMode(null));
+
+        // Same base maps as the main map
+        baseMapSelect.innerHTML = document.getElementById('baseMapSelect')?.innerHTML || '';
+        baseMapSelect.value = compareController.baseMapId;
+        baseMapSelect.addEventListener('change', () => compareController.setBaseMap(baseMapSelect.value));
+
+        // Every map with boundary data, by category
+        const maps = pointLookup.getSearchableMaps();
+        layerSelect.innerHTML += dataService.getMapCategories().map(category => {
+            const options = maps
+                .filter(map => map.category === category.id)
+                .map(map => `<option value="${this.escapeHtml(map.id)}">${this.escapeHtml(map.name || map.id)}</option>`)
+                .join('');
+            return options ? `<optgroup label="${this.escapeHtml(category.name)}">${options}</optgroup>` : '';
+        }).join('');
+        layerSelect.addEventListener('change', () => {
+            const mapId = layerSelect.value;
+            layerSelect.value = '';
+            if (mapId) compareController.addLayer(mapId);
+        });
+
+        layerList?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-remove-compare-layer]');
+            if (btn) compareController.removeLayer(btn.dataset.removeCompareLayer);
+        });
+
+        // Label follows the thumb; layers change when it is released
+        dateRange.addEventListener('input', () => {
+            const timestamp = compareController.getDates()[Number(dateRange.value)];
+            const label = document.getElementById('compareDateLabel');
+            if (label && timestamp != null) label.textContent = dataService.formatLegalDate(timestamp);
+        });
+        dateRange.addEventListener('change', async () => {
+            const timestamp = compareController.getDates()[Number(dateRange.value)];
+            if (timestamp == null) return;
+            const changes = await compareController.setDate(timestamp);
+            if (changes.length > 0) {
+                timeSliderController.showToast(`Comparison layers updated: ${changes.join(', ')}`);
+            }
+        });
+
+        this.renderCompareBar();
+    }
+
+    /**
+     * Render the comparison map's layer list and date slider
+     */
+    renderCompareBar() {
+        const bar = document.getElementById('compareBar');
+        if (!bar) return;
+
+        const state = compareController.getState();
+        bar.classList.toggle('hidden', !state);
+        const modeSelect = document.getElementById('compareModeSelect');
+        if (modeSelect) modeSelect.value = state?.mode || '';
+        if (!state) return;
+
+        const baseMapSelect = document.getElementById('compareBaseMapSelect');
+        if (baseMapSelect) baseMapSelect.value = state.baseMap;
+
+        const layerList = document.getElementById('compareLayerList');
+        if (layerList) {
+            layerList.innerHTML = state.layers.length === 0
+                ? '<li class="compare-bar__empty text-muted">No layers</li>'
+                : state.layers.map(mapId => {
+                    const map = dataService.getMapById(mapId);
+                    const loading = compareController.isLoading(mapId);
+                    return `
+                        <li class="compare-bar__layer${loading ? ' compare-bar__layer--loading' : ''}">
+                            <span class="compare-bar__swatch" style="background: ${this.escapeHtml(map?.style?.color || '#3388ff')}"></span>
+                            <span class="compare-bar__layer-name" title="${this.escapeHtml(map ? dataService.describeValidity(map) : '')}">
+                                ${this.escapeHtml(map?.name || mapId)}${loading ? ' (loading...)' : ''}
+                            </span>
+                            <button type="button" class="compare-bar__remove" data-remove-compare-layer="${this.escapeHtml(mapId)}"
+                                title="Remove from comparison" aria-label="Remove ${this.escapeHtml(map?.name || mapId)} from comparison">&times;</button>
+                        </li>
+                    `;
+                }).join('');
+        }
+
+        // Date slider for the comparison layers' time series
+        const dates = compareController.getDates();
+        const dateControls = document.getElementById('compareDate');
+        const dateRange = document.getElementById('compareDateRange');
+        const dateLabel = document.getElementById('compareDateLabel');
+        dateControls?.classList.toggle('hidden', dates.length < 2);
+        if (dates.length === 0 || !dateRange || !dateLabel) return;
+
+        const current = compareController.getTimestamp() ?? dates[dates.length - 1];
+        const index = dates.reduce((best, ts, i) => ts <= current ? i : best, 0);
+        dateRange.max = String(dates.length - 1);
+        dateRange.value = String(index);
+        dateLabel.textContent = dataService.formatLegalDate(current);
+    }
+
     /**
      * Setup theme toggle (dark mode)
      */
@@ -364,12 +791,33 @@ class App {
             document.body.appendChild(indicator);
         }
 
-        const updateOnlineStatus = () => {
-            if (!navigator.onLine) {
-                indicator.classList.add('visible');
-            } else {
+        const updateOnlineStatus = async () => {
+            if (navigator.onLine) {
                 indicator.classList.remove('visible');
+                return;
+            }
+
+            // Say what can still be used rather than a generic warning
+            let offlineMapIds = [];
+            try {
+                offlineMapIds = await this.getOfflineMapIds();
+            } catch (err) {
+                console.warn('[App] Could not read offline caches:', err);
+            }
+            const loadedCount = Array.from(mapController.layerStates.values()).filter(s => s.loaded).length;
+            const shellCached = !!navigator.serviceWorker?.controller;
+
+            if (offlineMapIds.length > 0) {
+                indicator.textContent = `You are offline. ${offlineMapIds.length} map${offlineMapIds.length === 1 ? '' : 's'} saved for offline use` +
+                    (loadedCount > 0 ? `; ${loadedCount} loaded map${loadedCount === 1 ? ' stays' : 's stay'} available.` : '.');
+            } else if (loadedCount > 0) {
+                indicator.textContent = `You are offline. Only the ${loadedCount} map${loadedCount === 1 ? '' : 's'} already loaded can be shown.`;
+            } else {
+                indicator.textContent = shellCached
+                    ? 'You are offline. The catalogue is available, but no maps are saved for offline use.'
+                    : 'You are offline. Some features may not work.';
             }
+            indicator.classList.add('visible');
         };
 
         window.addEventListener('online', updateOnlineStatus);
@@ -388,6 +836,9 @@ class App {
 
         let debounceTimer;
 
+        // Feature names are only needed for search - fetch them when it is first used
+        searchInput.addEventListener('focus', () => featureLoader.loadNameIndex(), { once: true });
+
         searchInput.addEventListener('input', () => {
             clearTimeout(debounceTimer);
             debounceTimer = setTimeout(() => {
@@ -398,6 +849,13 @@ class App {
                 // Show autocomplete with address option if query is non-empty
                 if (query.length > 0) {
                     this.showSearchAutocomplete(query, autocomplete);
+                    if (!featureLoader.spatialIndex) {
+                        featureLoader.loadNameIndex().then(() => {
+                            if (featureLoader.spatialIndex && searchInput.value.trim() === query) {
+                                this.showSearchAutocomplete(query, autocomplete);
+                            }
+                        });
+                    }
                 } else {
                     autocomplete.classList.add('hidden');
                     if (addressResults) addressResults.classList.add('hidden');
@@ -511,6 +969,10 @@ class App {
         searchInput.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 autocomplete.classList.add('hidden');
+            } else if (e.key === 'Enter' && dataService.parsePostcode(searchInput.value)) {
+                e.preventDefault();
+                autocomplete.classList.add('hidden');
+                this.showPostcodeReport(searchInput.value);
             }
         });
     }
@@ -521,6 +983,23 @@ class App {
     showSearchAutocomplete(query, autocomplete) {
         let html = '';
 
+        // --- Section 0: Postcode (BT postcode or Eircode) ---
+        const postcode = dataService.parsePostcode(query);
+        if (postcode) {
+            html += `<div class="search-autocomplete__section-header">Postcode</div>`;
+            html += `
+                <div class="search-autocomplete__item search-autocomplete__item--address" data-action="postcode">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z" />
+                        <circle cx="12" cy="10" r="3" />
+                    </svg>
+                    <span>Areas in ${this.escapeHtml(postcode.formatted)}
+                        <span class="search-autocomplete__place-type">${postcode.scheme === 'bt' ? 'Postcode' : 'Eircode'}</span>
+                    </span>
+                </div>
+            `;
+        }
+
         // --- Section 1: Matching Maps ---
         const matchingMaps = dataService.searchMaps(query).slice(0, 5);
         if (matchingMaps.length > 0) {
@@ -578,6 +1057,12 @@ class App {
         autocomplete.innerHTML = html;
         autocomplete.classList.remove('hidden');
 
+        // --- Click handler for postcode ---
+        autocomplete.querySelector('[data-action="postcode"]')?.addEventListener('click', () => {
+            autocomplete.classList.add('hidden');
+            this.showPostcodeReport(query);
+        });
+
         // --- Click handlers for maps ---
         autocomplete.querySelectorAll('[data-action="map"]').forEach(el => {
             el.addEventListener('click', async () => {
@@ -642,7 +1127,7 @@ class App {
     }
 
     /**
-     * Fetch live address/place suggestions from Nominatim and render into dropdown
+     * Fetch place suggestions from the geocoder and render into dropdown
      */
     async fetchAddressSuggestions(query, autocomplete) {
         // Cancel any pending address fetch
@@ -655,15 +1140,11 @@ class App {
         if (!container) return;
 
         try {
-            const url = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(query)}&format=json&countrycodes=gb,ie&limit=5&addressdetails=1`;
-            const response = await fetch(url, {
-                headers: { 'User-Agent': 'BoundariesWebsite/1.0' },
+            const data = await geocoder.search(query, {
+                limit: 5,
                 signal: this._addressAbortController.signal
             });
 
-            if (!response.ok) throw new Error('Geocoding failed');
-            const data = await response.json();
-
             if (!data || data.length === 0) {
                 container.innerHTML = `
                     <div class="search-autocomplete__item search-autocomplete__item--no-results">
@@ -679,38 +1160,19 @@ class App {
 
             let addressHtml = '';
             for (const place of data) {
-                // Build a short display name
-                let displayName = place.display_name;
-                if (place.address) {
-                    const addr = place.address;
-                    const parts = [];
-                    if (addr.house_number && addr.road) parts.push(`${addr.house_number} ${addr.road}`);
-                    else if (addr.road) parts.push(addr.road);
-                    else if (addr.name || addr.amenity || addr.building) parts.push(addr.name || addr.amenity || addr.building);
-                    if (addr.suburb) parts.push(addr.suburb);
-                    else if (addr.neighbourhood) parts.push(addr.neighbourhood);
-                    if (addr.city) parts.push(addr.city);
-                    else if (addr.town) parts.push(addr.town);
-                    else if (addr.village) parts.push(addr.village);
-                    if (addr.county) parts.push(addr.county);
-                    if (parts.length > 0) displayName = parts.join(', ');
-                }
-
-                const placeType = place.type ? place.type.replace(/_/g, ' ') : '';
-
                 addressHtml += `
                     <div class="search-autocomplete__item search-autocomplete__item--address" 
                          data-action="address-select" 
                          data-lat="${place.lat}" 
                          data-lon="${place.lon}"
-                         data-name="${this.escapeHtml(displayName)}">
+                         data-name="${this.escapeHtml(place.displayName)}">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z" />
                             <circle cx="12" cy="10" r="3" />
                         </svg>
                         <span>
-                            ${this.escapeHtml(displayName)}
-                            ${placeType ? `<span class="search-autocomplete__place-type">${this.escapeHtml(placeType)}</span>` : ''}
+                            ${this.escapeHtml(place.displayName)}
+                            ${place.type ? `<span class="search-autocomplete__place-type">${this.escapeHtml(place.type)}</span>` : ''}
                         </span>
                     </div>
                 `;
@@ -737,32 +1199,19 @@ class App {
                         mapController.map.setView([lat, lon], 14);
                     }
 
-                    // Find features at this point
-                    const matches = this.findFeaturesAtPoint(lat, lon);
+                    // Find areas at this point across all maps
                     const resultsContainer = document.getElementById('addressResults');
                     if (resultsContainer) {
-                        let resultsHtml = `
+                        resultsContainer.innerHTML = `
                             <div class="address-results__header">
                                 <span>📍 ${this.escapeHtml(name)}</span>
                                 <button class="address-results__close" title="Close">×</button>
                             </div>
+                            <div class="address-results__areas"></div>
                         `;
-                        if (matches.length > 0) {
-                            resultsHtml += '<div><em>Features at this location:</em></div>';
-                            matches.forEach(match => {
-                                resultsHtml += `
-                                    <div class="address-results__match" data-lat="${lat}" data-lng="${lon}">
-                                        <span class="address-results__color" style="background:${match.color}"></span>
-                                        <span><strong>${this.escapeHtml(match.layerName)}:</strong> ${this.escapeHtml(match.featureName)}</span>
-                                    </div>
-                                `;
-                            });
-                        } else {
-                            resultsHtml += '<div><em>No loaded layers contain this location.</em></div>';
-                        }
-                        resultsContainer.innerHTML = resultsHtml;
                         resultsContainer.classList.remove('hidden');
                         this.setupAddressResultsClose(resultsContainer);
+                        this.showAreasAtPoint(resultsContainer.querySelector('.address-results__areas'), lat, lon);
                     }
 
                     autocomplete.classList.add('hidden');
@@ -804,15 +1253,7 @@ class App {
         resultsContainer.innerHTML = '<div class="address-results__loading">Searching...</div>';
 
         try {
-            // Call Nominatim API (OpenStreetMap geocoder) with full address details
-            const url = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(query)}&format=json&countrycodes=gb,ie&limit=1&addressdetails=1`;
-            const response = await fetch(url, {
-                headers: { 'User-Agent': 'BoundariesWebsite/1.0' }
-            });
-
-            if (!response.ok) throw new Error('Geocoding failed');
-
-            const data = await response.json();
+            const data = await geocoder.search(query, { limit: 1 });
 
             if (!data || data.length === 0) {
                 resultsContainer.innerHTML = `
@@ -826,36 +1267,9 @@ class App {
             }
 
             const location = data[0];
-            const lat = parseFloat(location.lat);
-            const lng = parseFloat(location.lon);
-
-            // Build full address from addressdetails if available
-            let displayAddress = location.display_name;
-            if (location.address) {
-                const addr = location.address;
-                const parts = [];
-                // Add house_number + road together
-                if (addr.house_number && addr.road) {
-                    parts.push(`${addr.house_number} ${addr.road}`);
-                } else if (addr.road) {
-                    parts.push(addr.road);
-                } else if (addr.name) {
-                    parts.push(addr.name);
-                }
-                // Add locality/suburb
-                if (addr.suburb) parts.push(addr.suburb);
-                else if (addr.neighbourhood) parts.push(addr.neighbourhood);
-                // Add city/town
-                if (addr.city) parts.push(addr.city);
-                else if (addr.town) parts.push(addr.town);
-                else if (addr.village) parts.push(addr.village);
-                // Add county
-                if (addr.county) parts.push(addr.county);
-
-                if (parts.length > 0) {
-                    displayAddress = parts.join(', ');
-                }
-            }
+            const lat = location.lat;
+            const lng = location.lon;
+            const displayAddress = location.displayName;
 
             // Remove previous address marker if exists
             if (this.addressMarker) {
@@ -872,44 +1286,22 @@ class App {
                 this.addressMarker.bindPopup(`<strong>${this.escapeHtml(displayAddress)}</strong>`).openPopup();
             }
 
-            // Find features containing this point
-            const matches = this.findFeaturesAtPoint(lat, lng);
-
-            let html = `
+            resultsContainer.innerHTML = `
                 <div class="address-results__header">
                     <span>📍 ${this.escapeHtml(displayAddress)}</span>
                     <button class="address-results__close" title="Close">×</button>
                 </div>
+                <div class="address-results__areas"></div>
             `;
 
-            if (matches.length > 0) {
-                html += '<div><em>Features at this location:</em></div>';
-                matches.forEach(match => {
-                    html += `
-                        <div class="address-results__match" data-lat="${lat}" data-lng="${lng}">
-                            <span class="address-results__color" style="background:${match.color}"></span>
-                            <span><strong>${this.escapeHtml(match.layerName)}:</strong> ${this.escapeHtml(match.featureName)}</span>
-                        </div>
-                    `;
-                });
-            } else {
-                html += '<div><em>No loaded layers contain this location.</em></div>';
-            }
-
-            resultsContainer.innerHTML = html;
-
             // Zoom to location
             if (mapController.map) {
                 mapController.map.setView([lat, lng], 14);
             }
 
-            // Setup close button and match clicks
+            // Setup close button, then find areas containing this point across all maps
             this.setupAddressResultsClose(resultsContainer);
-            resultsContainer.querySelectorAll('.address-results__match').forEach(el => {
-                el.addEventListener('click', () => {
-                    mapController.map?.setView([parseFloat(el.dataset.lat), parseFloat(el.dataset.lng)], 15);
-                });
-            });
+            await this.showAreasAtPoint(resultsContainer.querySelector('.address-results__areas'), lat, lng);
 
         } catch (err) {
             console.error('[App] Address search failed:', err);
@@ -941,6 +1333,72 @@ class App {
         return div.innerHTML;
     }
 
+    /**
+     * A map's features as a FeatureExport layer, with any joined columns and the layer's current style
+     */
+    getExportLayer(mapId, features) {
+        const mapConfig = dataService.getMapById(mapId);
+        return {
+            id: mapId,
+            name: mapConfig?.name || mapId,
+            labelProperty: mapConfig?.labelProperty,
+            style: mapController.getLayerStyle(mapId),
+            features: mapController.withJoinedProperties(mapId, features)
+        };
+    }
+
+    /**
+     * Features behind Tables rows, one layer per map
+     * Loaded Features rows carry their feature; All Features rows name their map and position in it
+     */
+    async getRowLayers(rows) {
+        const byMap = new Map();
+        for (const row of rows) {
+            if (!byMap.has(row.mapId)) byMap.set(row.mapId, []);
+            byMap.get(row.mapId).push(row);
+        }
+
+        const layers = [];
+        for (const [mapId, mapRows] of byMap) {
+            let mapFeatures = null;
+            const features = [];
+            for (const row of mapRows) {
+                if (row.feature) {
+                    features.push(row.feature);
+                    continue;
+                }
+                const mapConfig = dataService.getMapById(mapId);
+                if (!mapConfig) continue;
+                mapFeatures = mapFeatures || await mapController.loadMapFeatures(mapConfig);
+                if (mapFeatures[row.index]) features.push(mapFeatures[row.index]);
+            }
+            if (features.length > 0) layers.push(this.getExportLayer(mapId, features));
+        }
+        return layers;
+    }
+
+    /**
+     * Convert layers and save the file
+     */
+    async downloadFeatures(layers, format, crs, name) {
+        const { blob, filename } = await featureExport.export(layers, format, { name, crs });
+        this.downloadFile(blob, filename);
+    }
+
+    /**
+     * Save generated content (string or Blob) as a file download
+     */
+    downloadFile(content, filename, type = 'application/octet-stream') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
     /**
      * Setup address search - now integrated into main search
      */
@@ -951,42 +1409,107 @@ class App {
 
 
     /**
-     * Find all loaded features containing a lat/lng point
+     * Resolve a postcode and report every ward, DEA, constituency and LGD it falls in,
+     * across all vintages
      */
-    findFeaturesAtPoint(lat, lng) {
-        const matches = [];
-        const point = turf.point([lng, lat]);
-
-        mapController.layerStates.forEach((state, mapId) => {
-            if (!state.loaded || !state.visible) return;
-
-            const mapConfig = state.config;
-            const layerName = mapConfig?.name || mapId;
-            const color = mapConfig?.style?.color || '#3388ff';
-
-            state.geoJsonLayers.forEach(geoJsonLayer => {
-                geoJsonLayer.eachLayer(layer => {
-                    if (!layer.feature) return;
-
-                    const geomType = layer.feature.geometry?.type;
-                    if (geomType?.includes('Polygon')) {
-                        try {
-                            if (turf.booleanPointInPolygon(point, layer.feature)) {
-                                const featureName = layer.feature.properties?.[mapConfig?.labelProperty] ||
-                                    layer.feature.properties?.name ||
-                                    layer.feature.properties?.NAME ||
-                                    'Unnamed feature';
-                                matches.push({ mapId, layerName, featureName, color });
-                            }
-                        } catch (e) {
-                            // Ignore invalid geometries
-                        }
-                    }
-                });
-            });
+    async showPostcodeReport(query) {
+        const resultsContainer = document.getElementById('addressResults');
+        if (!resultsContainer) return;
+
+        resultsContainer.classList.remove('hidden');
+        resultsContainer.innerHTML = '<div class="address-results__loading">Looking up postcode...</div>';
+
+        let location;
+        let unavailable = false;
+        try {
+            location = await dataService.lookupPostcode(query);
+        } catch (err) {
+            console.warn('[App] Postcode lookup failed:', err);
+            unavailable = true;
+        }
+
+        if (!location) {
+            const postcode = dataService.parsePostcode(query)?.formatted || query;
+            let message = `Postcode ${this.escapeHtml(postcode)} not found`;
+            if (unavailable) {
+                message = 'Postcode data is unavailable, so postcodes cannot be looked up';
+            } else if ((await dataService.loadPostcodes())?.sample) {
+                message = `Postcode ${this.escapeHtml(postcode)} is not in the sample postcode data`;
+            }
+            resultsContainer.innerHTML = `
+                <div class="address-results__header">
+                    <span>${message}</span>
+                    <button class="address-results__close" title="Close">×</button>
+                </div>
+            `;
+            this.setupAddressResultsClose(resultsContainer);
+            return;
+        }
+
+        const { lat, lng, postcode, precision, count } = location;
+        const precisionNote = precision === 'postcode'
+            ? 'Postcode centroid'
+            : `Average of ${count} postcodes in ${precision} ${postcode} - areas near its edges may differ`;
+
+        if (this.addressMarker) this.addressMarker.remove();
+        if (mapController.map) {
+            this.addressMarker = L.marker([lat, lng], { title: postcode })
+                .addTo(mapController.map)
+                .bindPopup(`<strong>${this.escapeHtml(postcode)}</strong>`)
+                .openPopup();
+            mapController.map.setView([lat, lng], precision === 'postcode' ? 15 : 13);
+        }
+
+        resultsContainer.innerHTML = `
+            <div class="address-results__header">
+                <span>📮 ${this.escapeHtml(postcode)}</span>
+                <button class="address-results__close" title="Close">×</button>
+            </div>
+            <div class="text-muted text-xs">${this.escapeHtml(precisionNote)}</div>
+            <div class="address-results__areas"></div>
+        `;
+        this.setupAddressResultsClose(resultsContainer);
+
+        await this.showAreasAtPoint(resultsContainer.querySelector('.address-results__areas'), lat, lng, {
+            categories: POSTCODE_REPORT_CATEGORIES
+        });
+    }
+
+    /**
+     * Show every area containing a point, across all maps, grouped by category and date
+     * Clicking a result loads that map and zooms to the point
+     * options are passed to pointLookup.findAreasAtPoint (e.g. categories)
+     */
+    async showAreasAtPoint(container, lat, lng, options = {}) {
+        if (!container) return;
+
+        // Ignore results from an earlier lookup that finishes late
+        const lookupId = this.pointLookupId = (this.pointLookupId || 0) + 1;
+        container.innerHTML = '<div class="address-results__loading">Checking every map...</div>';
+
+        const result = await pointLookup.findAreasAtPoint(lat, lng, {
+            ...options,
+            onProgress: (checked, total) => {
+                if (lookupId !== this.pointLookupId) return;
+                container.innerHTML = `<div class="address-results__loading">Checking every map (${checked} of ${total})...</div>`;
+            }
         });
+        if (lookupId !== this.pointLookupId) return;
 
-        return matches;
+        container.innerHTML = uiController.renderPointAreas(result);
+        container.querySelectorAll('.address-results__match').forEach(el => {
+            el.addEventListener('click', async () => {
+                const mapConfig = dataService.getMapById(el.dataset.mapId);
+                if (mapConfig) {
+                    await mapController.loadLayer(mapConfig, true);
+                    uiController.updateMapCardState(mapConfig.id, true);
+                    this.updateMapList();
+                    this.updateActiveLayers();
+                    this.updateURLState();
+                }
+                mapController.map?.setView([lat, lng], 15);
+            });
+        });
     }
 
     /**
@@ -1000,6 +1523,11 @@ class App {
         if (mapControlsToggle && mapControlPanel) {
             mapControlsToggle.addEventListener('click', () => {
                 const isExpanded = mapControlsToggle.getAttribute('aria-expanded') === 'true';
+                if (!isExpanded) {
+                    this.updateFeatureCacheStats();
+                    this.renderDownloadCache();
+                    this.renderOfflinePacks();
+                }
                 mapControlsToggle.setAttribute('aria-expanded', !isExpanded);
                 mapControlPanel.classList.toggle('map-control-panel--collapsed', isExpanded);
                 mapControlPanel.classList.toggle('map-control-panel--expanded', !isExpanded);
@@ -1036,6 +1564,49 @@ class App {
             });
         }
 
+        // Boundary rendering mode (vector tiles vs full files)
+        const tileModeSelect = document.getElementById('tileModeSelect');
+        if (tileModeSelect) {
+            const savedMode = localStorage.getItem('ni-boundaries.tileMode');
+            if (savedMode) {
+                tileModeSelect.value = savedMode;
+                mapController.setTileMode(savedMode);
+            }
+            tileModeSelect.addEventListener('change', () => {
+                mapController.setTileMode(tileModeSelect.value);
+                localStorage.setItem('ni-boundaries.tileMode', tileModeSelect.value);
+            });
+        }
+
+        // Optional online address search (the local gazetteer is always used)
+        const remoteGeocoderToggle = document.getElementById('remoteGeocoderToggle');
+        if (remoteGeocoderToggle) {
+            remoteGeocoderToggle.checked = geocoder.remoteEnabled;
+            remoteGeocoderToggle.addEventListener('change', () => {
+                geocoder.setRemoteEnabled(remoteGeocoderToggle.checked);
+            });
+        }
+
+        // Nominatim-compatible server for online search (blank = OpenStreetMap)
+        const geocoderUrlInput = document.getElementById('geocoderUrl');
+        if (geocoderUrlInput) {
+            geocoderUrlInput.value = geocoder.getRemoteUrl();
+            geocoderUrlInput.addEventListener('change', () => {
+                const valid = geocoder.setRemoteUrl(geocoderUrlInput.value);
+                geocoderUrlInput.classList.toggle('geocoder-url--invalid', !valid);
+                if (!valid) timeSliderController.showToast('Enter a server URL starting with http:// or https://');
+            });
+        }
+
+        // Feature cache budget and statistics
+        this.setupFeatureCacheControls();
+
+        // Persistent download cache management
+        this.setupDownloadCacheControls();
+
+        // Offline "save this area" packs
+        this.setupOfflinePackControls();
+
         // Overlay layers (Global Watersheds)
         this.setupOverlayToggle('overlayVoyagerLabels', 'voyager-labels');
         this.setupOverlayToggle('overlayMeritCatchments', 'merit-catchments');
@@ -1114,8 +1685,283 @@ class App {
         if (mapController.map) {
             mapController.map.on('moveend', () => {
                 this.updateURLState();
+                this.updateFeatureCacheStats();
+            });
+        }
+    }
+
+    /**
+     * Setup the feature cache budget selector (persisted in localStorage)
+     */
+    setupFeatureCacheControls() {
+        const budgetSelect = document.getElementById('featureCacheBudget');
+        if (!budgetSelect) return;
+
+        const saved = localStorage.getItem('ni-boundaries.featureCacheMB');
+        if (saved && budgetSelect.querySelector(`option[value="${saved}"]`)) {
+            budgetSelect.value = saved;
+        }
+        featureLoader.setCacheBudget(Number(budgetSelect.value) * 1024 * 1024);
+
+        budgetSelect.addEventListener('change', () => {
+            featureLoader.setCacheBudget(Number(budgetSelect.value) * 1024 * 1024);
+            localStorage.setItem('ni-boundaries.featureCacheMB', budgetSelect.value);
+            this.updateFeatureCacheStats();
+        });
+
+        this.updateFeatureCacheStats();
+    }
+
+    /**
+     * Setup the download cache list (clear per map / clear all)
+     */
+    setupDownloadCacheControls() {
+        const list = document.getElementById('downloadCacheList');
+        const clearAll = document.getElementById('downloadCacheClear');
+
+        if (list) {
+            list.addEventListener('click', async (e) => {
+                const btn = e.target.closest('[data-clear-map]');
+                if (!btn) return;
+                await downloadCache.clearMap(btn.dataset.clearMap || null);
+                this.renderDownloadCache();
+            });
+        }
+
+        if (clearAll) {
+            clearAll.addEventListener('click', async () => {
+                await downloadCache.clearAll();
+                this.renderDownloadCache();
+            });
+        }
+    }
+
+    /**
+     * Render download cache usage in the map settings panel
+     */
+    async renderDownloadCache() {
+        const usageEl = document.getElementById('downloadCacheUsage');
+        const list = document.getElementById('downloadCacheList');
+        const clearAll = document.getElementById('downloadCacheClear');
+        if (!usageEl || !list) return;
+
+        if (!downloadCache.enabled) {
+            usageEl.textContent = 'Not available in this browser';
+            list.innerHTML = '';
+            if (clearAll) clearAll.disabled = true;
+            return;
+        }
+
+        const usage = await downloadCache.getUsage();
+        usageEl.textContent = usage.entries > 0
+            ? `${featureLoader.formatBytes(usage.bytes)} in ${usage.entries} files`
+            : 'Empty';
+        if (clearAll) clearAll.disabled = usage.entries === 0;
+
+        list.innerHTML = usage.byMap.map(item => {
+            const name = item.mapId ? (dataService.getMapById(item.mapId)?.name || item.mapId) : 'Other files';
+            return `
+                <li class="cache-list__item">
+                    <span class="cache-list__name" title="${this.escapeHtml(name)}">${this.escapeHtml(name)}</span>
+                    <span class="cache-list__size">${featureLoader.formatBytes(item.bytes)}</span>
+                    <button type="button" class="cache-list__clear" data-clear-map="${this.escapeHtml(item.mapId || '')}"
+                        title="Remove from cache" aria-label="Remove ${this.escapeHtml(name)} from cache">×</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Setup offline pack saving and the pack list (open / rename / delete)
+     */
+    setupOfflinePackControls() {
+        const saveBtn = document.getElementById('offlinePackSave');
+        const nameInput = document.getElementById('offlinePackName');
+        const tileZoomSelect = document.getElementById('offlinePackTileZoom');
+        const progressEl = document.getElementById('offlinePackProgress');
+        const list = document.getElementById('offlinePackList');
+
+        if (saveBtn) {
+            saveBtn.addEventListener('click', async () => {
+                const mapConfigs = mapController.getVisibleLayers()
+                    .map(id => mapController.layerStates.get(id)?.config)
+                    .filter(Boolean);
+                if (mapConfigs.length === 0) {
+                    if (progressEl) progressEl.textContent = 'Show at least one layer to save';
+                    return;
+                }
+
+                saveBtn.disabled = true;
+                try {
+                    const pack = await offlinePacks.createPack({
+                        name: nameInput?.value,
+                        map: mapController.map,
+                        mapConfigs,
+                        baseLayer: mapController.baseLayer,
+                        baseMapId: mapController.currentBaseMapId,
+                        maxTileZoom: tileZoomSelect?.value ? parseInt(tileZoomSelect.value, 10) : null,
+                        onProgress: (message) => {
+                            if (progressEl) progressEl.textContent = message;
+                        }
+                    });
+                    if (progressEl) progressEl.textContent = `Saved "${pack.name}" (${featureLoader.formatBytes(pack.bytes)})`;
+                    if (nameInput) nameInput.value = '';
+                } catch (err) {
+                    console.error('[App] Failed to save offline pack:', err);
+                    if (progressEl) progressEl.textContent = err.message;
+                } finally {
+                    saveBtn.disabled = false;
+                    this.renderOfflinePacks();
+                    this.renderDownloadCache();
+                }
+            });
+        }
+
+        if (list) {
+            list.addEventListener('click', async (e) => {
+                const btn = e.target.closest('[data-pack-action]');
+                if (!btn) return;
+
+                const pack = await offlinePacks.getPack(btn.dataset.packId);
+                if (!pack) return;
+
+                if (btn.dataset.packAction === 'open') {
+                    await this.openPack(pack);
+                } else if (btn.dataset.packAction === 'rename') {
+                    const name = prompt('Rename offline pack', pack.name);
+                    if (name) await offlinePacks.renamePack(pack.id, name);
+                } else if (btn.dataset.packAction === 'refresh') {
+                    await this.refreshPack(pack, btn, progressEl);
+                } else if (btn.dataset.packAction === 'delete') {
+                    if (!confirm(`Delete offline pack "${pack.name}"?`)) return;
+                    await offlinePacks.deletePack(pack.id);
+                }
+                this.renderOfflinePacks();
+            });
+        }
+    }
+
+    /**
+     * Download a stale pack again: open its area and layers, then save them afresh
+     */
+    async refreshPack(pack, btn, progressEl) {
+        btn.disabled = true;
+        try {
+            await this.openPack(pack);
+            const mapConfigs = pack.layers.map(id => dataService.getMapById(id)).filter(Boolean);
+            const refreshed = await offlinePacks.refreshPack(pack, {
+                map: mapController.map,
+                mapConfigs,
+                baseLayer: mapController.baseLayer,
+                onProgress: (message) => {
+                    if (progressEl) progressEl.textContent = message;
+                }
             });
+            if (progressEl) progressEl.textContent = `Updated "${refreshed.name}" (${featureLoader.formatBytes(refreshed.bytes)})`;
+        } catch (err) {
+            console.error('[App] Failed to update offline pack:', err);
+            if (progressEl) progressEl.textContent = err.message;
+        } finally {
+            btn.disabled = false;
+            this.renderDownloadCache();
+        }
+    }
+
+    /**
+     * Tell the user when map data has changed since an offline pack was saved
+     */
+    async notifyStalePacks() {
+        try {
+            const stale = (await offlinePacks.listPacks()).filter(pack => pack.stale);
+            if (stale.length === 0) return;
+
+            const names = stale.map(pack => `"${pack.name}"`).join(', ');
+            timeSliderController.showToast(`Map data has changed since offline ${stale.length === 1 ? 'pack' : 'packs'} ${names} ${stale.length === 1 ? 'was' : 'were'} saved - update in Map settings`);
+        } catch (err) {
+            console.warn('[App] Could not check offline packs:', err);
+        }
+    }
+
+    /**
+     * Render saved offline packs in the map settings panel
+     */
+    async renderOfflinePacks() {
+        const usageEl = document.getElementById('offlinePackUsage');
+        const list = document.getElementById('offlinePackList');
+        const saveBtn = document.getElementById('offlinePackSave');
+        if (!usageEl || !list) return;
+
+        if (!downloadCache.enabled) {
+            usageEl.textContent = 'Not available in this browser';
+            list.innerHTML = '';
+            if (saveBtn) saveBtn.disabled = true;
+            return;
+        }
+
+        const packs = await offlinePacks.listPacks();
+        usageEl.textContent = packs.length > 0
+            ? `${packs.length} saved · ${featureLoader.formatBytes(packs.reduce((sum, p) => sum + p.bytes, 0))}`
+            : 'None saved';
+
+        list.innerHTML = packs.map(pack => {
+            const name = this.escapeHtml(pack.name);
+            const id = this.escapeHtml(pack.id);
+            const layerCount = `${pack.layers.length} layer${pack.layers.length === 1 ? '' : 's'}`;
+            return `
+                <li class="cache-list__item">
+                    <button type="button" class="cache-list__name cache-list__open" data-pack-action="open" data-pack-id="${id}"
+                        title="Open ${name} (${layerCount})">${name}</button>
+                    ${pack.stale ? `<button type="button" class="cache-list__stale" data-pack-action="refresh" data-pack-id="${id}"
+                        title="Map data has changed since this pack was saved - download it again">Update</button>` : ''}
+                    <span class="cache-list__size">${featureLoader.formatBytes(pack.bytes)}</span>
+                    <button type="button" class="cache-list__clear" data-pack-action="rename" data-pack-id="${id}"
+                        title="Rename" aria-label="Rename ${name}">✎</button>
+                    <button type="button" class="cache-list__clear" data-pack-action="delete" data-pack-id="${id}"
+                        title="Delete pack" aria-label="Delete ${name}">×</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Open an offline pack - restore its base map, area and layers
+     */
+    async openPack(pack) {
+        console.log(`[App] Opening offline pack ${pack.name}`);
+
+        if (pack.baseMap) {
+            mapController.setBaseMap(pack.baseMap);
+            const select = document.getElementById('baseMapSelect');
+            if (select) select.value = pack.baseMap;
+        }
+
+        const [west, south, east, north] = pack.bounds;
+        mapController.map?.fitBounds([[south, west], [north, east]]);
+
+        for (const mapId of pack.layers) {
+            const mapConfig = dataService.getMapById(mapId);
+            if (mapConfig) {
+                await mapController.loadLayer(mapConfig, true);
+                uiController.updateMapCardState(mapId, true);
+            }
         }
+
+        this.updateMapList();
+        this.updateActiveLayers();
+    }
+
+    /**
+     * Show feature cache usage in the map settings panel
+     */
+    updateFeatureCacheStats() {
+        const statsEl = document.getElementById('featureCacheStats');
+        if (!statsEl) return;
+
+        const stats = featureLoader.getCacheStats();
+        const lookups = stats.hits + stats.misses;
+        const hitRate = lookups > 0 ? Math.round((stats.hits / lookups) * 100) : 0;
+        statsEl.textContent = `${featureLoader.formatBytes(stats.bytes)} of ${featureLoader.formatBytes(stats.budget)} · ` +
+            `${stats.entries} features · ${hitRate}% hits · ${stats.evictions} evicted`;
     }
 
     /**
@@ -1384,6 +2230,22 @@ class App {
         if (state.baseMap && state.baseMap !== 'cartodb-dark') {
             params.set('base', state.baseMap);
         }
+        const styles = mapController.getLayerStylesParam(state.layers);
+        if (styles) {
+            params.set('styles', styles);
+        }
+        const pins = timeSliderController.getPinsParam();
+        if (pins) {
+            params.set('pins', pins);
+        }
+        const compare = compareController.getState();
+        if (compare) {
+            params.set('compare', compare.mode);
+            if (compare.layers.length > 0) params.set('clayers', compare.layers.join(','));
+            params.set('cbase', compare.baseMap);
+            if (compare.date) params.set('cdate', compare.date);
+            if (compare.mode === 'swipe') params.set('swipe', compare.swipe.toString());
+        }
 
         const hash = params.toString();
         if (hash) {
@@ -1391,10 +2253,43 @@ class App {
         }
     }
 
+    /**
+     * Find the offline pack the URL should open, if any
+     * An explicit #pack=<id> always opens that pack; when offline, the newest pack
+     * containing the URL's lat/lng (or the newest pack if the URL has no state) is used
+     */
+    async getPackForURL() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+
+        try {
+            const packId = params.get('pack');
+            if (packId) return await offlinePacks.getPack(packId);
+            if (navigator.onLine) return null;
+
+            const hasPathState = /^\/(map|feature)\//.test(window.location.pathname);
+            if (hasPathState) return null;
+
+            const lat = params.get('lat');
+            const lng = params.get('lng');
+            if (lat && lng) return await offlinePacks.findPack(parseFloat(lat), parseFloat(lng));
+            return params.toString() ? null : await offlinePacks.findPack();
+        } catch (err) {
+            console.warn('[App] Could not read offline packs:', err);
+            return null;
+        }
+    }
+
     /**
      * Load state from URL hash or path
      */
     async loadURLState() {
+        // Offline pack link (#pack=<id>), or the saved pack covering this area when offline
+        const packToOpen = await this.getPackForURL();
+        if (packToOpen) {
+            await this.openPack(packToOpen);
+            return true;
+        }
+
         // Check for path-based deep links first (e.g., /map/lgd-2012)
         const pathname = window.location.pathname;
 
@@ -1463,6 +2358,21 @@ class App {
                 mapController.applyMapState({ lat, lng, zoom });
             }
 
+            // Comparison map - its layers load alongside the main ones
+            compareController.applyState({
+                mode: params.get('compare'),
+                layers: (params.get('clayers') || '').split(',').filter(id => dataService.getMapById(id)),
+                baseMap: params.get('cbase'),
+                date: params.get('cdate'),
+                swipe: params.has('swipe') ? parseFloat(params.get('swipe')) : null
+            });
+
+            // Layer styles from a shared link replace the saved styles of those layers
+            if (params.has('styles')) {
+                mapController.setLayerStylesFromParam(params.get('styles'));
+                this.saveLayerStyles();
+            }
+
             // Load layers
             const layersParam = params.get('layers');
             if (layersParam) {
@@ -1474,6 +2384,8 @@ class App {
                         uiController.updateMapCardState(mapId, true);
                     }
                 }
+                // Chains pinned to their own dates (the layers above are already at those dates)
+                timeSliderController.setPinsFromParam(params.get('pins'));
                 // Update active layers panel with loaded layers
                 this.updateMapList();
                 this.updateActiveLayers();
@@ -1595,10 +2507,16 @@ class App {
             }
         });
 
-        uiController.updateActiveLayers(loadedMaps, visibilityMap, partialLayerInfo);
-
-        // Update time slider for time-series navigation
+        // Update time slider for time-series navigation (first, so chain pins are current)
         timeSliderController.updateForActiveLayers(loadedIds);
+
+        const choroplethIds = new Set(loadedIds.filter(id => mapController.getLayerState(id)?.choropleth));
+        const layerStyles = new Map(loadedIds
+            .filter(id => mapController.hasLayerStyle(id))
+            .map(id => [id, mapController.getLayerStyle(id)]));
+        uiController.updateActiveLayers(loadedMaps, visibilityMap, partialLayerInfo,
+            timeSliderController.getChainControls(loadedIds), choroplethIds, layerStyles);
+        uiController.renderChoroplethLegend(mapController.getChoroplethLegends());
     }
 
     /**
@@ -1610,6 +2528,9 @@ class App {
             await mapController.loadLayer(mapConfig, true);
             mapController.fitToLayer(mapId);
             this.updateURLState();
+
+            // Warm the offline cache with the neighbouring dates of this map
+            this.prefetchNearbyMaps(this.getNearbyMapIds(mapId));
         }
     }
 
@@ -1818,12 +2739,11 @@ class App {
 
     /**
      * Prefetch nearby maps for faster loading (2.1)
+     * Their FGB files are downloaded into the IndexedDB download cache, one at a time
      */
-    prefetchNearbyMaps(visibleMapIds) {
-        if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
-
-        const data = dataService.getData();
-        if (!data?.maps) return;
+    async prefetchNearbyMaps(visibleMapIds) {
+        if (!downloadCache.enabled || !navigator.onLine) return;
+        if (navigator.connection?.saveData) return;
 
         // Get FGB URLs for nearby maps not yet loaded
         const loadedIds = new Set(mapController.layerStates.keys());
@@ -1831,19 +2751,58 @@ class App {
 
         visibleMapIds.slice(0, 5).forEach(mapId => {
             if (loadedIds.has(mapId)) return;
-            const mapConfig = data.maps.find(m => m.id === mapId);
-            if (mapConfig?.file) {
-                urlsToPrefetch.push(`/data/${mapConfig.file}`);
-            }
+            const mapConfig = dataService.getMapById(mapId);
+            const filePath = dataService.getMapFilePath(mapConfig);
+            if (!filePath?.endsWith('.fgb')) return;
+
+            // Large files are left to vector tiles rather than downloaded speculatively
+            const size = dataService.getMapFileSize(mapConfig);
+            if (size && size > PREFETCH_MAX_BYTES) return;
+
+            urlsToPrefetch.push({ filePath, mapId });
         });
 
-        if (urlsToPrefetch.length > 0) {
-            navigator.serviceWorker.controller.postMessage({
-                type: 'PREFETCH_FGB',
-                urls: urlsToPrefetch
-            });
+        for (const { filePath, mapId } of urlsToPrefetch) {
+            try {
+                await downloadCache.fetchBytes(filePath, { mapId });
+                console.log(`[App] Prefetched ${filePath}`);
+            } catch (err) {
+                console.warn(`[App] Prefetch failed for ${filePath}:`, err.message);
+            }
         }
     }
+
+    /**
+     * Get the maps immediately before and after a map in its time series
+     */
+    getNearbyMapIds(mapId) {
+        const chain = dataService.getChainForMap(mapId);
+        if (!chain) return [];
+
+        const mapsInChain = dataService.getMapsInChain(chain);
+        const index = mapsInChain.findIndex(m => m.map.id === mapId);
+        if (index === -1) return [];
+
+        return [mapsInChain[index - 1], mapsInChain[index + 1]]
+            .filter(Boolean)
+            .map(m => m.map.id);
+    }
+
+    /**
+     * Find which maps can be drawn without a network connection
+     * A map is available if its data file is in the IndexedDB download cache
+     */
+    async getOfflineMapIds() {
+        const cachedPaths = new Set();
+
+        for (const entry of await downloadCache.listEntries()) {
+            cachedPaths.add(entry.path);
+        }
+
+        return dataService.getAllMaps()
+            .filter(map => cachedPaths.has(dataService.getMapFilePath(map)))
+            .map(map => map.id);
+    }
 }
 
 // Initialize app when DOM is ready
@@ -0,0 +1,230 @@
+/**
+ * NI Boundaries - Boundary Diff
+ * Compares two vintages of a time-series chain and classifies how each boundary changed.
+ * Features are paired by geometric overlap; names decide between unchanged and renamed.
+ *
+ * Change types:
+ *   unchanged - one-to-one, same area, same name
+ *   renamed   - one-to-one, same area, different name
+ *   redrawn   - one-to-one with a different area, or a many-to-many reorganisation
+ *   split     - one old feature became several new ones
+ *   merged    - several old features became one new one
+ *   removed   - old feature with no successor
+ *   added     - new feature with no predecessor
+ */
+
+import dataService from './data-service.js';
+
+const MIN_OVERLAP_SHARE = 0.02;  // Overlaps smaller than this share of both features are digitising slivers
+const SAME_AREA_SHARE = 0.97;    // One-to-one pairs overlapping this much of both features count as the same area
+const YIELD_EVERY = 25;          // Intersections between yields to the event loop
+
+const CHANGE_COLORS = {
+    unchanged: '#adb5bd',
+    renamed: '#1f77b4',
+    redrawn: '#ff7f0e',
+    split: '#9467bd',
+    merged: '#2ca02c',
+    removed: '#d62728',
+    added: '#e377c2'
+};
+
+class BoundaryDiff {
+    /**
+     * Compare two maps in the same chain
+     * @param {Object} fromMap - older map config
+     * @param {Object} toMap - newer map config
+     * @param {Object[]} fromFeatures - GeoJSON features of fromMap
+     * @param {Object[]} toFeatures - GeoJSON features of toMap
+     * @param {Object} options
+     * @param {Function} options.onProgress - (percent) => void
+     * @returns {Promise<Object>} {
+     *   fromMap, toMap, fromFeatures, toFeatures,
+     *   relationships: [{ fromIndex, toIndex, fromName, toName, change, area, shareOfFrom, shareOfTo }],
+     *   fromChanges: string[], toChanges: string[] - change type per feature,
+     *   summary: { unchanged, renamed, redrawn, split, merged, removed, added } - counts of old
+     *     features, except merged and added which count new features
+     * }
+     * area is the overlap in square metres; shares are 0-1
+     */
+    async compare(fromMap, toMap, fromFeatures, toFeatures, { onProgress = null } = {}) {
+        const chain = dataService.getChainForMap(fromMap.id);
+        if (!chain || chain.id !== dataService.getChainForMap(toMap.id)?.id) {
+            throw new Error(`${fromMap.name} and ${toMap.name} are not in the same time series`);
+        }
+
+        const from = this.prepare(fromFeatures, fromMap);
+        const to = this.prepare(toFeatures, toMap);
+        const overlaps = await this.findOverlaps(from, to, onProgress);
+
+        // Successors of each old feature and predecessors of each new one
+        const successors = from.map(() => []);
+        const predecessors = to.map(() => []);
+        for (const overlap of overlaps) {
+            successors[overlap.fromIndex].push(overlap);
+            predecessors[overlap.toIndex].push(overlap);
+        }
+
+        const relationships = [];
+        const fromChanges = from.map(() => null);
+        const toChanges = to.map(() => null);
+
+        for (const overlap of overlaps) {
+            const change = this.classify(overlap, from, to, successors, predecessors);
+            relationships.push({
+                fromIndex: overlap.fromIndex,
+                toIndex: overlap.toIndex,
+                fromName: from[overlap.fromIndex].name,
+                toName: to[overlap.toIndex].name,
+                change,
+                area: overlap.area,
+                shareOfFrom: overlap.shareOfFrom,
+                shareOfTo: overlap.shareOfTo
+            });
+            fromChanges[overlap.fromIndex] = this.dominantChange(fromChanges[overlap.fromIndex], change);
+            toChanges[overlap.toIndex] = this.dominantChange(toChanges[overlap.toIndex], change);
+        }
+
+        from.forEach((item, i) => {
+            if (fromChanges[i] || !item.area) return;
+            fromChanges[i] = 'removed';
+            relationships.push({ fromIndex: i, toIndex: null, fromName: item.name, toName: null, change: 'removed', area: item.area, shareOfFrom: 1, shareOfTo: null });
+        });
+        to.forEach((item, i) => {
+            if (toChanges[i] || !item.area) return;
+            toChanges[i] = 'added';
+            relationships.push({ fromIndex: null, toIndex: i, fromName: null, toName: item.name, change: 'added', area: item.area, shareOfFrom: null, shareOfTo: 1 });
+        });
+
+        const summary = Object.fromEntries(Object.keys(CHANGE_COLORS).map(type => [type, 0]));
+        fromChanges.forEach(change => { if (change && change !== 'merged') summary[change]++; });
+        toChanges.forEach(change => { if (change === 'merged' || change === 'added') summary[change]++; });
+
+        console.log(`[BoundaryDiff] ${fromMap.id} → ${toMap.id}: ${relationships.length} relationships`, summary);
+
+        return { fromMap, toMap, fromFeatures, toFeatures, relationships, fromChanges, toChanges, summary };
+    }
+
+    /**
+     * Area, bbox and name of each polygon feature (other geometries get area 0 and are ignored)
+     */
+    prepare(features, map) {
+        return features.map(feature => {
+            const props = feature.properties || {};
+            const name = props[map.labelProperty] ?? props.name ?? props.NAME ?? null;
+            if (!feature.geometry?.type?.includes('Polygon')) {
+                return { feature, name, area: 0, bbox: null };
+            }
+            return { feature, name, area: turf.area(feature), bbox: turf.bbox(feature) };
+        });
+    }
+
+    /**
+     * Intersect every pair of features whose bboxes overlap
+     * Pairs are found with a sweep over bbox minX so most non-neighbours are never tested
+     * Overlaps below minShare of both features are dropped (pass 0 to keep every intersection)
+     */
+    async findOverlaps(from, to, onProgress, minShare = MIN_OVERLAP_SHARE) {
+        const byMinX = (items) => items
+            .map((item, index) => ({ ...item, index }))
+            .filter(item => item.area > 0)
+            .sort((a, b) => a.bbox[0] - b.bbox[0]);
+        const fromSorted = byMinX(from);
+        const toSorted = byMinX(to);
+
+        const pairs = [];
+        let start = 0;
+        for (const a of fromSorted) {
+            // New features ending left of this one can't touch it or anything after it
+            while (start < toSorted.length && toSorted[start].bbox[2] < a.bbox[0]) {
+                start++;
+            }
+            for (let j = start; j < toSorted.length && toSorted[j].bbox[0] <= a.bbox[2]; j++) {
+                const b = toSorted[j];
+                if (b.bbox[2] >= a.bbox[0] && b.bbox[1] <= a.bbox[3] && b.bbox[3] >= a.bbox[1]) {
+                    pairs.push([a, b]);
+                }
+            }
+        }
+
+        const overlaps = [];
+        for (const [i, [a, b]] of pairs.entries()) {
+            const area = this.intersectionArea(a.feature, b.feature);
+            const shareOfFrom = area / a.area;
+            const shareOfTo = area / b.area;
+            if (area > 0 && (shareOfFrom >= minShare || shareOfTo >= minShare)) {
+                overlaps.push({ fromIndex: a.index, toIndex: b.index, area, shareOfFrom, shareOfTo });
+            }
+
+            if (i % YIELD_EVERY === YIELD_EVERY - 1) {
+                onProgress?.(Math.round((i + 1) / pairs.length * 100));
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        onProgress?.(100);
+        return overlaps;
+    }
+
+    /**
+     * Area of the intersection of two polygon features in square metres (0 if invalid)
+     */
+    intersectionArea(a, b) {
+        try {
+            const intersection = turf.intersect(a, b);
+            return intersection ? turf.area(intersection) : 0;
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    /**
+     * Classify one predecessor → successor overlap
+     */
+    classify(overlap, from, to, successors, predecessors) {
+        const next = successors[overlap.fromIndex];
+        const previous = predecessors[overlap.toIndex];
+
+        if (next.length === 1 && previous.length === 1) {
+            if (overlap.shareOfFrom < SAME_AREA_SHARE || overlap.shareOfTo < SAME_AREA_SHARE) return 'redrawn';
+            return this.sameName(from[overlap.fromIndex].name, to[overlap.toIndex].name) ? 'unchanged' : 'renamed';
+        }
+        if (next.length > 1 && next.every(o => predecessors[o.toIndex].length === 1)) return 'split';
+        if (previous.length > 1 && previous.every(o => successors[o.fromIndex].length === 1)) return 'merged';
+        return 'redrawn';
+    }
+
+    /**
+     * When a feature takes part in several kinds of change, report the most significant
+     */
+    dominantChange(current, change) {
+        const order = ['unchanged', 'renamed', 'merged', 'split', 'redrawn'];
+        if (!current) return change;
+        return order.indexOf(change) > order.indexOf(current) ? change : current;
+    }
+
+    /**
+     * Compare names ignoring case, spacing and punctuation
+     */
+    sameName(a, b) {
+        const normalise = (name) => String(name ?? '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, ' ').trim();
+        return normalise(a) === normalise(b);
+    }
+
+    /**
+     * Overlay and legend colour for a change type
+     */
+    getChangeColor(change) {
+        return CHANGE_COLORS[change] || '#666666';
+    }
+
+    /**
+     * Change types in legend order
+     */
+    getChangeTypes() {
+        return Object.keys(CHANGE_COLORS);
+    }
+}
+
+// Export singleton
+const boundaryDiff = new BoundaryDiff();
+export default boundaryDiff;
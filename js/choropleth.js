@@ -0,0 +1,313 @@
+/**
+ * NI Boundaries - Choropleth
+ * Classifies features by a property and colours them by class, for data-driven layer styles.
+ *
+ * Configured per map in maps.json (and overridable in the UI) as:
+ *   "choropleth": {
+ *     "property": "TURNOUT",       // feature property to classify
+ *     "method": "quantile",        // graduated (equal intervals) | quantile | natural-breaks | unique
+ *     "classes": 5,                // number of classes for numeric methods (2-9)
+ *     "ramp": "Blues",             // colour ramp (see RAMPS)
+ *     "breaks": [40, 50, 60, 70],  // optional fixed class boundaries - no data needed to classify
+ *     "colors": { "Yes": "#2ca25f" }, // optional unique-value colours
+ *     "fillOpacity": 0.7
+ *   }
+ */
+
+const METHODS = {
+    graduated: 'Equal intervals',
+    quantile: 'Quantiles',
+    'natural-breaks': 'Natural breaks',
+    unique: 'Unique values'
+};
+
+// ColorBrewer 9-class ramps, light to dark (RdBu runs red to blue)
+const RAMPS = {
+    Blues: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'],
+    Greens: ['#f7fcf5', '#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b'],
+    Reds: ['#fff5f0', '#fee0d2', '#fcbba1', '#fc9272', '#fb6a4a', '#ef3b2c', '#cb181d', '#a50f15', '#67000d'],
+    Purples: ['#fcfbfd', '#efedf5', '#dadaeb', '#bcbddc', '#9e9ac8', '#807dba', '#6a51a3', '#54278f', '#3f007d'],
+    Oranges: ['#fff5eb', '#fee6ce', '#fdd0a2', '#fdae6b', '#fd8d3c', '#f16913', '#d94801', '#a63603', '#7f2704'],
+    YlOrRd: ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026'],
+    YlGnBu: ['#ffffd9', '#edf8b1', '#c7e9b4', '#7fcdbb', '#41b6c4', '#1d91c0', '#225ea8', '#253494', '#081d58'],
+    RdBu: ['#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', '#d1e5f0', '#92c5de', '#4393c3', '#2166ac']
+};
+
+// Qualitative palette for unique values
+const CATEGORY_COLORS = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+
+const MAX_CATEGORIES = 12;      // Further unique values share the "Other" colour
+const MAX_JENKS_VALUES = 1000;  // Natural breaks are found on an even sample of larger datasets
+const OTHER_COLOR = '#999999';
+const NO_DATA_COLOR = '#dddddd';
+const DEFAULT_CLASSES = 5;
+
+class Choropleth {
+    /**
+     * Classification methods as { id: label }
+     */
+    getMethods() {
+        return METHODS;
+    }
+
+    /**
+     * Colour ramp names
+     */
+    getRampNames() {
+        return Object.keys(RAMPS);
+    }
+
+    /**
+     * Whether a config needs the layer's features to classify (no fixed breaks or colours)
+     */
+    needsData(config) {
+        if (!config) return false;
+        return config.method === 'unique' ? !config.colors : !Array.isArray(config.breaks);
+    }
+
+    /**
+     * Classify features for a config
+     * @param {Object[]} features - GeoJSON features (may be empty when the config has fixed breaks)
+     * @param {Object} config - choropleth config (see file header)
+     * @returns {Object} { property, method, fillOpacity, classes: [{ label, color, min, max } | { label, color, value }] }
+     */
+    classify(features, config) {
+        const method = METHODS[config.method] ? config.method : 'quantile';
+        const classification = {
+            property: config.property,
+            method,
+            fillOpacity: config.fillOpacity ?? 0.7,
+            classes: []
+        };
+
+        if (method === 'unique') {
+            classification.classes = this.classifyUnique(features, config);
+            return classification;
+        }
+
+        const values = this.getNumericValues(features, config.property).sort((a, b) => a - b);
+        const count = Math.min(9, Math.max(2, config.classes || DEFAULT_CLASSES));
+        let edges;
+        if (Array.isArray(config.breaks)) {
+            // Open-ended first and last classes
+            edges = [-Infinity, ...[...config.breaks].sort((a, b) => a - b), Infinity];
+        } else if (values.length === 0) {
+            return classification;
+        } else if (method === 'graduated') {
+            edges = this.equalIntervalEdges(values, count);
+        } else if (method === 'natural-breaks') {
+            edges = this.naturalBreaksEdges(values, count);
+        } else {
+            edges = this.quantileEdges(values, count);
+        }
+
+        // Identical edges (e.g. many equal values) would make empty classes
+        edges = edges.filter((edge, i) => i === 0 || edge > edges[i - 1]);
+        if (edges.length === 1) edges.push(edges[0]);
+
+        const colors = this.getRampColors(config.ramp, edges.length - 1);
+        for (let i = 0; i < edges.length - 1; i++) {
+            classification.classes.push({
+                label: this.formatRange(edges[i], edges[i + 1]),
+                color: colors[i],
+                min: edges[i],
+                max: edges[i + 1]
+            });
+        }
+        return classification;
+    }
+
+    /**
+     * One class per value, most common first; values past MAX_CATEGORIES fall into "Other"
+     */
+    classifyUnique(features, config) {
+        const counts = new Map();
+        for (const feature of features) {
+            const value = feature.properties?.[config.property];
+            if (value == null || value === '') continue;
+            counts.set(String(value), (counts.get(String(value)) || 0) + 1);
+        }
+
+        const fixed = config.colors || {};
+        const values = [...new Set([...Object.keys(fixed), ...[...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a))])];
+        const classes = values.slice(0, MAX_CATEGORIES).map((value, i) => ({
+            label: value,
+            color: fixed[value] || CATEGORY_COLORS[i % CATEGORY_COLORS.length],
+            value
+        }));
+        if (values.length > MAX_CATEGORIES) {
+            classes.push({ label: 'Other', color: OTHER_COLOR, value: null });
+        }
+        return classes;
+    }
+
+    /**
+     * Colour for a property value
+     */
+    getColor(classification, value) {
+        if (value == null || value === '') return NO_DATA_COLOR;
+
+        if (classification.method === 'unique') {
+            const match = classification.classes.find(c => c.value === String(value));
+            return match ? match.color : OTHER_COLOR;
+        }
+
+        const number = this.toNumber(value);
+        const classes = classification.classes;
+        if (number == null || classes.length === 0) return NO_DATA_COLOR;
+
+        // Values above the last class (features loaded after classifying) go in it
+        const match = classes.find(c => number <= c.max) || classes[classes.length - 1];
+        return match.color;
+    }
+
+    /**
+     * Legend rows for a classification, including the no-data swatch
+     */
+    getLegendItems(classification) {
+        return [
+            ...classification.classes.map(c => ({ label: c.label, color: c.color })),
+            { label: 'No data', color: NO_DATA_COLOR }
+        ];
+    }
+
+    /**
+     * Properties of a set of features, with whether each is mostly numeric
+     * @returns {{name: string, numeric: boolean}[]} sorted by name
+     */
+    getPropertyNames(features) {
+        const stats = new Map();
+        for (const feature of features) {
+            for (const [name, value] of Object.entries(feature.properties || {})) {
+                if (value == null || value === '' || typeof value === 'object') continue;
+                const stat = stats.get(name) || { values: 0, numbers: 0 };
+                stat.values++;
+                if (this.toNumber(value) != null) stat.numbers++;
+                stats.set(name, stat);
+            }
+        }
+
+        return [...stats.entries()]
+            .map(([name, stat]) => ({ name, numeric: stat.numbers / stat.values >= 0.9 }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // ============================================
+    // Numeric classification
+    // ============================================
+
+    getNumericValues(features, property) {
+        return features
+            .map(f => this.toNumber(f.properties?.[property]))
+            .filter(v => v != null);
+    }
+
+    toNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value !== 'string' || value.trim() === '') return null;
+        const number = Number(value.replace(/[,%]/g, ''));
+        return Number.isFinite(number) ? number : null;
+    }
+
+    equalIntervalEdges(values, count) {
+        const min = values[0];
+        const max = values[values.length - 1];
+        return Array.from({ length: count + 1 }, (_, i) => min + (max - min) * i / count);
+    }
+
+    /**
+     * Each class's upper edge is the last value of its share, so classes hold equal counts
+     * (values equal to an edge fall in the lower class)
+     */
+    quantileEdges(values, count) {
+        const edges = [values[0]];
+        for (let i = 1; i < count; i++) {
+            edges.push(values[Math.ceil(i * values.length / count) - 1]);
+        }
+        edges.push(values[values.length - 1]);
+        return edges;
+    }
+
+    /**
+     * Jenks natural breaks - minimises the variance within classes
+     */
+    naturalBreaksEdges(sortedValues, count) {
+        let values = sortedValues;
+        if (values.length > MAX_JENKS_VALUES) {
+            const step = (values.length - 1) / (MAX_JENKS_VALUES - 1);
+            values = Array.from({ length: MAX_JENKS_VALUES }, (_, i) => sortedValues[Math.round(i * step)]);
+        }
+
+        const n = values.length;
+        count = Math.min(count, n);
+        const lower = Array.from({ length: n + 1 }, () => new Array(count + 1).fill(0));
+        const variance = Array.from({ length: n + 1 }, () => new Array(count + 1).fill(Infinity));
+        for (let j = 1; j <= count; j++) {
+            lower[1][j] = 1;
+            variance[1][j] = 0;
+        }
+
+        for (let l = 2; l <= n; l++) {
+            let sum = 0;
+            let sumSquares = 0;
+            let w = 0;
+            let v = 0;
+            for (let m = 1; m <= l; m++) {
+                const i = l - m + 1;
+                const value = values[i - 1];
+                w++;
+                sum += value;
+                sumSquares += value * value;
+                v = sumSquares - (sum * sum) / w;
+                if (i === 1) continue;
+                for (let j = 2; j <= count; j++) {
+                    if (variance[l][j] >= v + variance[i - 1][j - 1]) {
+                        lower[l][j] = i;
+                        variance[l][j] = v + variance[i - 1][j - 1];
+                    }
+                }
+            }
+            lower[l][1] = 1;
+            variance[l][1] = v;
+        }
+
+        const edges = new Array(count + 1);
+        edges[0] = values[0];
+        edges[count] = values[n - 1];
+        let k = n;
+        for (let j = count; j >= 2; j--) {
+            const id = lower[k][j] - 1;
+            edges[j - 1] = values[id - 1];
+            k = id;
+        }
+        return edges;
+    }
+
+    /**
+     * Pick n colours spread along a ramp, skipping the near-white end of sequential ramps
+     */
+    getRampColors(rampName, n) {
+        const ramp = RAMPS[rampName] || RAMPS.Blues;
+        const start = rampName === 'RdBu' ? 0 : 1;
+        if (n <= 1) return [ramp[ramp.length - 1]];
+
+        return Array.from({ length: n }, (_, i) => ramp[start + Math.round(i * (ramp.length - 1 - start) / (n - 1))]);
+    }
+
+    /**
+     * Legend label for a class - values up to and including max
+     */
+    formatRange(min, max) {
+        if (min === -Infinity) return `≤ ${this.formatNumber(max)}`;
+        if (max === Infinity) return `> ${this.formatNumber(min)}`;
+        return `${this.formatNumber(min)} – ${this.formatNumber(max)}`;
+    }
+
+    formatNumber(value) {
+        return value.toLocaleString('en-GB', { maximumFractionDigits: Math.abs(value) < 10 ? 2 : 0 });
+    }
+}
+
+// Export singleton
+const choropleth = new Choropleth();
+export default choropleth;
@@ -0,0 +1,405 @@
+/**
+ * NI Boundaries - Compare Controller
+ * A second Leaflet map with its own base map, layer stack and date, kept in sync with the main map.
+ * Two layouts:
+ *   swipe - the comparison map lies over the main map, clipped to the right of a draggable divider
+ *   side  - the two maps sit side by side
+ */
+
+import dataService from './data-service.js';
+
+const COMPARE_MODES = ['swipe', 'side'];
+const SWIPE_KEY_STEP = 0.05;  // Divider movement per arrow key press (share of the map width)
+
+class CompareController {
+    constructor() {
+        // DOM elements
+        this.pane = null;
+        this.container = null;
+        this.divider = null;
+
+        // State
+        this.mapController = null;    // Reference to map controller (owns the main map)
+        this.map = null;              // Comparison map, created when compare mode is first used
+        this.mode = null;             // null | 'swipe' | 'side'
+        this.baseLayer = null;
+        this.baseMapId = 'osm-standard';
+        this.layers = new Map();      // mapId -> L.GeoJSON, in stack order
+        this.loading = new Set();     // mapIds being loaded
+        this.timestamp = null;        // Date chosen for the comparison layers (null = as loaded)
+        this.swipePosition = 0.5;     // Divider position as a share of the map width
+        this.syncing = false;         // Guard against the two maps moving each other in a loop
+
+        // Callbacks
+        this.onChange = null;         // Called when the mode, layers, base map or date change
+    }
+
+    /**
+     * Initialize against the main map
+     */
+    init(mapController) {
+        this.mapController = mapController;
+        this.container = document.getElementById('compareMap');
+        this.divider = document.getElementById('compareDivider');
+        this.pane = this.container?.parentElement || null;
+
+        if (!this.container || !this.divider) {
+            console.warn('[CompareController] Compare elements not found');
+            return;
+        }
+
+        this.setupDivider();
+
+        const primary = mapController.map;
+        primary.on('move', () => this.syncView(primary, this.map));
+        primary.on('resize', () => {
+            this.map?.invalidateSize({ animate: false });
+            this.updateClip();
+        });
+
+        console.log('[CompareController] Initialized');
+    }
+
+    /**
+     * Get the available layouts
+     */
+    getModes() {
+        return COMPARE_MODES;
+    }
+
+    /**
+     * Switch layout, or turn compare mode off with null
+     */
+    setMode(mode) {
+        if (!this.container) return;
+        mode = COMPARE_MODES.includes(mode) ? mode : null;
+        if (mode === this.mode) return;
+
+        this.mode = mode;
+        this.container.classList.toggle('hidden', !mode);
+        this.divider.classList.toggle('hidden', mode !== 'swipe');
+        this.pane?.classList.toggle('pane--compare-swipe', mode === 'swipe');
+        this.pane?.classList.toggle('pane--compare-side', mode === 'side');
+
+        if (mode && !this.map) this.createMap();
+
+        // Both maps change size when the layout changes
+        this.mapController.map.invalidateSize({ animate: false });
+        if (this.map) {
+            this.map.invalidateSize({ animate: false });
+            this.syncView(this.mapController.map, this.map);
+        }
+        this.updateClip();
+
+        console.log(`[CompareController] Mode: ${mode || 'off'}`);
+        this.onChange?.();
+    }
+
+    /**
+     * Create the comparison map - the zoom buttons stay on the main map
+     */
+    createMap() {
+        const primary = this.mapController.map;
+        this.map = L.map(this.container, {
+            center: primary.getCenter(),
+            zoom: primary.getZoom(),
+            zoomControl: false,
+            attributionControl: true
+        });
+        this.map.on('move', () => this.syncView(this.map, this.mapController.map));
+        this.setBaseMap(this.baseMapId);
+        this.layers.forEach(layer => layer.addTo(this.map));
+    }
+
+    /**
+     * Copy one map's view to the other
+     */
+    syncView(source, target) {
+        if (!source || !target || !this.mode || this.syncing) return;
+
+        this.syncing = true;
+        target.setView(source.getCenter(), source.getZoom(), { animate: false });
+        this.syncing = false;
+    }
+
+    /**
+     * Set the comparison map's base map
+     */
+    setBaseMap(baseMapId) {
+        const layer = this.mapController.createBaseLayer(baseMapId);
+        if (!layer) {
+            console.warn(`[CompareController] Unknown base map: ${baseMapId}`);
+            return;
+        }
+
+        this.baseMapId = baseMapId;
+        if (!this.map) return;
+
+        this.baseLayer?.remove();
+        this.baseLayer = layer.addTo(this.map);
+        this.baseLayer.bringToBack();
+        this.onChange?.();
+    }
+
+    // ============================================
+    // Swipe divider
+    // ============================================
+
+    /**
+     * Drag the divider with a pointer, or move it with the arrow keys
+     */
+    setupDivider() {
+        const moveTo = (clientX) => {
+            const rect = this.pane.getBoundingClientRect();
+            this.setSwipePosition((clientX - rect.left) / rect.width);
+        };
+
+        this.divider.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.divider.setPointerCapture(e.pointerId);
+            this.divider.classList.add('compare-divider--dragging');
+        });
+        this.divider.addEventListener('pointermove', (e) => {
+            if (this.divider.hasPointerCapture(e.pointerId)) moveTo(e.clientX);
+        });
+        const endDrag = (e) => {
+            if (!this.divider.hasPointerCapture(e.pointerId)) return;
+            this.divider.releasePointerCapture(e.pointerId);
+            this.divider.classList.remove('compare-divider--dragging');
+            this.onChange?.();
+        };
+        this.divider.addEventListener('pointerup', endDrag);
+        this.divider.addEventListener('pointercancel', endDrag);
+
+        this.divider.addEventListener('keydown', (e) => {
+            if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+            e.preventDefault();
+            this.setSwipePosition(this.swipePosition + (e.key === 'ArrowLeft' ? -SWIPE_KEY_STEP : SWIPE_KEY_STEP));
+            this.onChange?.();
+        });
+    }
+
+    /**
+     * Move the swipe divider
+     * @param {number} position - share of the map width, 0 (all comparison) to 1 (all main map)
+     */
+    setSwipePosition(position) {
+        this.swipePosition = Math.min(1, Math.max(0, position));
+        this.updateClip();
+    }
+
+    /**
+     * Clip the comparison map to the right of the divider (swipe mode only)
+     */
+    updateClip() {
+        if (!this.container) return;
+
+        if (this.mode !== 'swipe') {
+            this.container.style.clipPath = '';
+            return;
+        }
+
+        const x = Math.round(this.pane.clientWidth * this.swipePosition);
+        this.container.style.clipPath = `inset(0 0 0 ${x}px)`;
+        this.divider.style.left = `${x}px`;
+        this.divider.setAttribute('aria-valuenow', String(Math.round(this.swipePosition * 100)));
+    }
+
+    // ============================================
+    // Layer stack
+    // ============================================
+
+    /**
+     * Map IDs on the comparison map, bottom of the stack first
+     */
+    getLayerIds() {
+        return [...this.layers.keys(), ...[...this.loading].filter(id => !this.layers.has(id))];
+    }
+
+    /**
+     * Whether a layer is still loading
+     */
+    isLoading(mapId) {
+        return this.loading.has(mapId);
+    }
+
+    /**
+     * Add a map to the comparison map
+     * @returns {Promise<boolean>} false if it could not be loaded
+     */
+    async addLayer(mapId) {
+        const mapConfig = dataService.getMapById(mapId);
+        if (!mapConfig || this.layers.has(mapId) || this.loading.has(mapId)) return false;
+
+        this.loading.add(mapId);
+        this.onChange?.();
+
+        let features;
+        try {
+            features = await this.mapController.loadMapFeatures(mapConfig);
+        } catch (err) {
+            console.error(`[CompareController] Failed to load ${mapId}:`, err);
+            this.loading.delete(mapId);
+            this.onChange?.();
+            return false;
+        }
+
+        // Removed while loading
+        if (!this.loading.delete(mapId)) return false;
+
+        const style = mapConfig.style || {};
+        const layer = L.geoJSON({ type: 'FeatureCollection', features }, {
+            interactive: false,
+            style: (feature) => {
+                if (feature.geometry?.type === 'Point') return {};
+                return {
+                    color: style.color || '#3388ff',
+                    weight: style.weight || 2,
+                    fillOpacity: this.mapController.fillOpacity ?? style.fillOpacity ?? 0,
+                    opacity: this.mapController.strokeOpacity ?? 1
+                };
+            },
+            pointToLayer: (feature, latlng) => this.mapController.createPointMarker(latlng, style)
+        });
+
+        this.layers.set(mapId, layer);
+        if (this.map) layer.addTo(this.map);
+        console.log(`[CompareController] Added ${mapId} (${features.length} features)`);
+        this.onChange?.();
+        return true;
+    }
+
+    /**
+     * Remove a map from the comparison map
+     */
+    removeLayer(mapId) {
+        if (this.loading.delete(mapId)) {
+            this.onChange?.();
+            return;
+        }
+
+        const layer = this.layers.get(mapId);
+        if (!layer) return;
+
+        layer.remove();
+        this.layers.delete(mapId);
+        this.onChange?.();
+    }
+
+    /**
+     * Remove every layer from the comparison map
+     */
+    clearLayers() {
+        this.layers.forEach(layer => layer.remove());
+        this.layers.clear();
+        this.loading.clear();
+        this.timestamp = null;
+        this.onChange?.();
+    }
+
+    // ============================================
+    // Date
+    // ============================================
+
+    /**
+     * Time-series chains of the comparison layers
+     */
+    getActiveChains() {
+        const chains = new Map();
+        for (const mapId of this.getLayerIds()) {
+            const chain = dataService.getChainForMap(mapId);
+            if (chain) chains.set(chain.id, chain);
+        }
+        return [...chains.values()];
+    }
+
+    /**
+     * Dates the comparison layers can be moved to, oldest first
+     */
+    getDates() {
+        return dataService.getApplicableDates(this.getActiveChains()).reverse();
+    }
+
+    /**
+     * Date the comparison map is showing - the chosen date, else the newest layer's start
+     */
+    getTimestamp() {
+        if (this.timestamp != null) return this.timestamp;
+
+        const starts = this.getLayerIds()
+            .map(mapId => dataService.getMapValidity(mapId)?.start)
+            .filter(start => start != null);
+        return starts.length > 0 ? Math.max(...starts) : null;
+    }
+
+    /**
+     * Move the comparison layers to the maps in force at a date
+     * @returns {Promise<string[]>} descriptions of the changes made
+     */
+    async setDate(timestamp) {
+        this.timestamp = timestamp;
+        const equivalentMaps = dataService.getEquivalentMapsForDate(this.getLayerIds(), timestamp);
+        const changes = [];
+
+        for (const [oldId, newId] of Object.entries(equivalentMaps)) {
+            if (oldId === newId) continue;
+
+            const oldMap = dataService.getMapById(oldId);
+            this.removeLayer(oldId);
+
+            if (newId) {
+                if (this.layers.has(newId) || this.loading.has(newId)) continue;
+                await this.addLayer(newId);
+                changes.push(`${oldMap?.name || oldId} → ${dataService.getMapById(newId)?.name || newId}`);
+            } else {
+                const chain = dataService.getChainForMap(oldId);
+                changes.push(`${oldMap?.name || oldId} removed${chain ? ` (${dataService.describeGap(chain, timestamp)})` : ''}`);
+            }
+        }
+
+        this.onChange?.();
+        return changes;
+    }
+
+    // ============================================
+    // URL state
+    // ============================================
+
+    /**
+     * Get compare state for the URL, or null when compare mode is off
+     * @returns {Object|null} { mode, layers, baseMap, date (YYYY-MM-DD or null), swipe (0-100) }
+     */
+    getState() {
+        if (!this.mode) return null;
+        return {
+            mode: this.mode,
+            layers: this.getLayerIds(),
+            baseMap: this.baseMapId,
+            date: this.timestamp != null ? new Date(this.timestamp).toISOString().slice(0, 10) : null,
+            swipe: Math.round(this.swipePosition * 100)
+        };
+    }
+
+    /**
+     * Restore compare state from the URL
+     * The date is applied after the layers load, so they end up at the maps in force then
+     */
+    async applyState({ mode, layers = [], baseMap = null, date = null, swipe = null }) {
+        if (swipe != null && !Number.isNaN(swipe)) this.setSwipePosition(swipe / 100);
+        if (baseMap) this.setBaseMap(baseMap);
+        this.setMode(mode);
+        if (!this.mode) return;
+
+        for (const mapId of this.getLayerIds()) {
+            if (!layers.includes(mapId)) this.removeLayer(mapId);
+        }
+        await Promise.all(layers.map(mapId => this.addLayer(mapId)));
+
+        const timestamp = date ? dataService.parseMapDate(date) : null;
+        if (timestamp != null) await this.setDate(timestamp);
+    }
+}
+
+// Export singleton
+const compareController = new CompareController();
+export default compareController;
@@ -0,0 +1,104 @@
+/**
+ * NI Boundaries - Coordinate Readout
+ * Map control showing the cursor position in WGS 84, Irish Grid or ITM. The chosen system is
+ * remembered; the last position stays shown after the cursor leaves the map, and clicking it
+ * copies it.
+ */
+
+import projections from './projections.js';
+
+const STORAGE_KEY = 'ni-boundaries.coordinateSystem';
+
+class CoordinateReadout {
+    constructor() {
+        // DOM elements
+        this.control = null;
+        this.select = null;
+        this.value = null;
+
+        // State
+        this.crs = 'EPSG:4326';
+        this.latlng = null;           // Last cursor position over the map
+    }
+
+    /**
+     * Add the readout to the main map
+     */
+    init(mapController) {
+        const map = mapController.map;
+        if (!map) return;
+
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved && projections.getSystems()[saved]) this.crs = saved;
+        } catch (e) { }
+
+        this.control = L.control({ position: 'bottomleft' });
+        this.control.onAdd = () => this.createElement();
+        this.control.addTo(map);
+
+        map.on('mousemove', (e) => {
+            this.latlng = e.latlng;
+            this.render();
+        });
+
+        console.log('[CoordinateReadout] Initialized');
+    }
+
+    createElement() {
+        const container = L.DomUtil.create('div', 'coordinate-readout');
+        container.innerHTML = `
+            <select class="coordinate-readout__system" aria-label="Coordinate system">
+                ${Object.entries(projections.getSystems()).map(([crs, system]) =>
+                    `<option value="${crs}" title="${system.label}" ${crs === this.crs ? 'selected' : ''}>${system.name}</option>`).join('')}
+            </select>
+            <button type="button" class="coordinate-readout__value" title="Copy coordinates"></button>
+        `;
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+        L.DomEvent.on(container, 'mousemove', L.DomEvent.stopPropagation);  // Keep the position from before the cursor reached the control
+
+        this.select = container.querySelector('.coordinate-readout__system');
+        this.value = container.querySelector('.coordinate-readout__value');
+
+        this.select.addEventListener('change', () => this.setSystem(this.select.value));
+        this.value.addEventListener('click', () => this.copy());
+
+        this.render();
+        return container;
+    }
+
+    /**
+     * Switch coordinate system (persisted)
+     */
+    setSystem(crs) {
+        if (!projections.getSystems()[crs]) return;
+        this.crs = crs;
+        try {
+            localStorage.setItem(STORAGE_KEY, crs);
+        } catch (e) { }
+        this.render();
+    }
+
+    render() {
+        if (!this.value) return;
+        this.value.textContent = this.latlng
+            ? projections.format(this.latlng.lng, this.latlng.lat, this.crs)
+            : 'Move over the map';
+        this.value.disabled = !this.latlng;
+    }
+
+    copy() {
+        const text = this.value?.textContent;
+        if (!this.latlng || !text) return;
+
+        navigator.clipboard?.writeText(text).then(() => {
+            this.value.classList.add('coordinate-readout__value--copied');
+            setTimeout(() => this.value.classList.remove('coordinate-readout__value--copied'), 1000);
+        }).catch(err => console.warn('[CoordinateReadout] Copy failed:', err));
+    }
+}
+
+// Export singleton
+const coordinateReadout = new CoordinateReadout();
+export default coordinateReadout;
@@ -0,0 +1,181 @@
+/**
+ * NI Boundaries - Crosswalk
+ * Builds area-weighted lookup tables for re-aggregating figures from one vintage
+ * of a time-series chain to another (e.g. 1993 wards → 2012 wards).
+ *
+ * Each row gives the share of a source feature that falls in a target feature.
+ * Weights can be by area or by a population proxy: the number of census small areas
+ * (output areas, small areas or data zones) whose interior point falls in the overlap.
+ */
+
+import dataService from './data-service.js';
+import boundaryDiff from './boundary-diff.js';
+
+const POPULATION_PROXY_CHAIN = 'small-census';
+
+class Crosswalk {
+    /**
+     * Build a crosswalk between two maps in the same chain
+     * @param {Object} fromMap - source map config
+     * @param {Object} toMap - target map config
+     * @param {Object[]} fromFeatures
+     * @param {Object[]} toFeatures
+     * @param {Object} options
+     * @param {Object|null} options.proxyMap - census map used as the population proxy
+     * @param {Object[]|null} options.proxyFeatures - its features (omit for area weights only)
+     * @param {Function} options.onProgress - (percent) => void
+     * @returns {Promise<Object>} { fromMap, toMap, proxyMap, rows }
+     *   rows: [{ fromIndex, fromName, toIndex, toName, area, areaWeight, proxyCount, proxyWeight }]
+     *   areaWeight is the share of the source feature's area in the target feature.
+     *   proxyWeight is the share of the source feature's proxy count; source features
+     *   containing no proxy points fall back to their area weights.
+     */
+    async build(fromMap, toMap, fromFeatures, toFeatures, { proxyMap = null, proxyFeatures = null, onProgress = null } = {}) {
+        const chain = dataService.getChainForMap(fromMap.id);
+        if (!chain || chain.id !== dataService.getChainForMap(toMap.id)?.id) {
+            throw new Error(`${fromMap.name} and ${toMap.name} are not in the same time series`);
+        }
+
+        const from = boundaryDiff.prepare(fromFeatures, fromMap);
+        const to = boundaryDiff.prepare(toFeatures, toMap);
+        const overlaps = await boundaryDiff.findOverlaps(from, to, (percent) => {
+            onProgress?.(proxyFeatures ? Math.round(percent * 0.8) : percent);
+        }, 0);
+
+        const counts = proxyFeatures ? this.countProxyPoints(proxyFeatures, from, to) : null;
+        const sourceTotals = new Map();
+        if (counts) {
+            for (const [key, count] of counts) {
+                const fromIndex = Number(key.split(':')[0]);
+                sourceTotals.set(fromIndex, (sourceTotals.get(fromIndex) || 0) + count);
+            }
+        }
+        onProgress?.(100);
+
+        const rows = overlaps.map(overlap => {
+            const row = {
+                fromIndex: overlap.fromIndex,
+                fromName: from[overlap.fromIndex].name,
+                toIndex: overlap.toIndex,
+                toName: to[overlap.toIndex].name,
+                area: overlap.area,
+                areaWeight: overlap.shareOfFrom
+            };
+            if (counts) {
+                const total = sourceTotals.get(overlap.fromIndex) || 0;
+                row.proxyCount = counts.get(`${overlap.fromIndex}:${overlap.toIndex}`) || 0;
+                row.proxyWeight = total > 0 ? row.proxyCount / total : overlap.shareOfFrom;
+            }
+            return row;
+        });
+
+        rows.sort((a, b) => a.fromIndex - b.fromIndex || b.area - a.area);
+        console.log(`[Crosswalk] ${fromMap.id} → ${toMap.id}: ${rows.length} rows${proxyMap ? ` (proxy: ${proxyMap.id})` : ''}`);
+
+        return { fromMap, toMap, proxyMap: proxyFeatures ? proxyMap : null, rows };
+    }
+
+    /**
+     * Census map to use as a population proxy - the one closest in date to the source map
+     * @returns {Object|null} map config, or null if no census map has data
+     */
+    getProxyMap(forMap) {
+        const chain = dataService.getTimeSeriesChains().find(c => c.id === POPULATION_PROXY_CHAIN);
+        if (!chain) return null;
+
+        const target = dataService.parseMapDate(forMap.date) ?? Date.now();
+        const candidates = dataService.getMapsInChain(chain)
+            .filter(({ map }) => !map.placeholder && dataService.getMapFilePath(map));
+        candidates.sort((a, b) => Math.abs((a.timestamp ?? 0) - target) - Math.abs((b.timestamp ?? 0) - target));
+        return candidates[0]?.map || null;
+    }
+
+    /**
+     * Count the proxy features whose interior point falls in each source/target pair
+     * @returns {Map<string, number>} "fromIndex:toIndex" -> count
+     */
+    countProxyPoints(proxyFeatures, from, to) {
+        const counts = new Map();
+        for (const feature of proxyFeatures) {
+            if (!feature.geometry) continue;
+
+            let point;
+            try {
+                point = turf.pointOnFeature(feature);
+            } catch (e) {
+                continue;
+            }
+
+            const fromIndex = this.findContaining(point, from);
+            const toIndex = this.findContaining(point, to);
+            if (fromIndex === -1 || toIndex === -1) continue;
+
+            const key = `${fromIndex}:${toIndex}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        return counts;
+    }
+
+    /**
+     * Index of the prepared feature containing a point, or -1
+     */
+    findContaining(point, items) {
+        const [x, y] = point.geometry.coordinates;
+        return items.findIndex(item => item.bbox &&
+            x >= item.bbox[0] && x <= item.bbox[2] && y >= item.bbox[1] && y <= item.bbox[3] &&
+            turf.booleanPointInPolygon(point, item.feature));
+    }
+
+    /**
+     * Serialise a crosswalk as CSV
+     */
+    toCSV(result) {
+        const columns = ['from_map', 'from_index', 'from_name', 'to_map', 'to_index', 'to_name', 'overlap_area_m2', 'area_weight'];
+        if (result.proxyMap) columns.push('proxy_count', 'proxy_weight');
+
+        const escape = (value) => {
+            const text = value == null ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns.join(',')];
+        for (const row of result.rows) {
+            const values = [
+                result.fromMap.id, row.fromIndex, row.fromName,
+                result.toMap.id, row.toIndex, row.toName,
+                row.area.toFixed(1), row.areaWeight.toFixed(6)
+            ];
+            if (result.proxyMap) values.push(row.proxyCount, row.proxyWeight.toFixed(6));
+            lines.push(values.map(escape).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Serialise a crosswalk as JSON
+     */
+    toJSON(result) {
+        return JSON.stringify({
+            from: { id: result.fromMap.id, name: result.fromMap.name, date: result.fromMap.date ?? null },
+            to: { id: result.toMap.id, name: result.toMap.name, date: result.toMap.date ?? null },
+            weighting: result.proxyMap ? 'population-proxy' : 'area',
+            proxy: result.proxyMap ? { id: result.proxyMap.id, name: result.proxyMap.name } : null,
+            generated: new Date().toISOString(),
+            rows: result.rows.map(row => ({
+                ...row,
+                area: Math.round(row.area * 10) / 10
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Download file name, e.g. crosswalk-wards-1993-to-wards-2012.csv
+     */
+    getFilename(result, format) {
+        return `crosswalk-${result.fromMap.id}-to-${result.toMap.id}.${format}`;
+    }
+}
+
+// Export singleton
+const crosswalk = new Crosswalk();
+export default crosswalk;
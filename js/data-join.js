@@ -0,0 +1,225 @@
+/**
+ * NI Boundaries - Data Join
+ * Joins external tables (CSV or JSON, e.g. election results or census tables) onto boundary layers
+ * by a key column, and reports the keys that matched nothing on either side.
+ *
+ * A map can name a table to join whenever it loads in maps.json:
+ *   "join": { "file": "data/joins/ward-results.csv", "tableKey": "WardCode", "layerKey": "WARD_CODE" }
+ */
+
+const SUGGEST_SAMPLE = 500;  // Features checked when guessing the key columns
+
+class DataJoin {
+    constructor() {
+        this.joins = new Map();  // mapId -> join (see join())
+    }
+
+    /**
+     * Parse a CSV or JSON file into a table
+     * @param {string} text - file contents
+     * @param {string} filename - used to tell CSV from JSON
+     * @returns {{columns: string[], rows: Object[]}}
+     */
+    parse(text, filename = '') {
+        text = text.replace(/^\uFEFF/, '');
+        const isJson = /\.(geo)?json$/i.test(filename) || /^\s*[[{]/.test(text);
+        const rows = isJson ? this.parseJSON(text) : this.parseCSV(text);
+        if (rows.length === 0) throw new Error('The file has no rows');
+
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        return { columns, rows };
+    }
+
+    /**
+     * Rows from a JSON array of objects, an object with a rows/data array, or GeoJSON features
+     */
+    parseJSON(text) {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ? data : (data.features || data.rows || data.data);
+        if (!Array.isArray(list)) throw new Error('Expected an array of records');
+
+        return list
+            .map(item => item?.type === 'Feature' ? item.properties : item)
+            .filter(item => item && typeof item === 'object' && !Array.isArray(item));
+    }
+
+    /**
+     * Rows from CSV with a header line - quoted fields, and comma, semicolon or tab delimiters
+     */
+    parseCSV(text) {
+        const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+        const delimiter = [',', ';', '\t'].reduce((best, d) =>
+            firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const [header, ...lines] = records.filter(r => r.some(value => value.trim() !== ''));
+        if (!header) return [];
+        const columns = header.map(name => name.trim());
+        return lines.map(values => Object.fromEntries(columns.map((column, i) => [column, values[i]?.trim() ?? ''])));
+    }
+
+    /**
+     * Key values match ignoring case and surrounding spaces
+     */
+    normaliseKey(value) {
+        if (value == null) return '';
+        return String(value).trim().toUpperCase();
+    }
+
+    /**
+     * Guess which table column and feature property hold the same codes
+     * @param {Object} table - from parse()
+     * @param {Object[]} properties - feature properties of the layer
+     * @returns {{tableKey: string, layerKey: string, matches: number}|null}
+     */
+    suggestKeys(table, properties) {
+        const sample = properties.slice(0, SUGGEST_SAMPLE);
+        const layerKeys = [...new Set(sample.flatMap(p => Object.keys(p || {})))];
+        let best = null;
+
+        for (const tableKey of table.columns) {
+            const values = new Set(table.rows.map(row => this.normaliseKey(row[tableKey])).filter(Boolean));
+            for (const layerKey of layerKeys) {
+                const matches = sample.filter(p => values.has(this.normaliseKey(p?.[layerKey]))).length;
+                if (matches > 0 && (!best || matches > best.matches)) best = { tableKey, layerKey, matches };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Join a table onto a map, replacing any earlier join
+     * @param {string} mapId
+     * @param {Object} table - from parse()
+     * @param {Object} options
+     * @param {string} options.tableKey - key column in the table
+     * @param {string} options.layerKey - key property of the features
+     * @param {string} options.name - where the table came from (file name)
+     * @param {Object[]} layerProperties - properties of every feature in the map, for the report
+     * @returns {Object} the join: { mapId, name, tableKey, layerKey, columns, rows (key -> row), report }
+     *   columns maps each joined table column to the property name it appears as - columns
+     *   that clash with an existing feature property get a " (joined)" suffix
+     *   report: { tableRows, matchedRows, unmatchedTableKeys, duplicateTableKeys, features, matchedFeatures, unmatchedLayerKeys }
+     */
+    join(mapId, table, { tableKey, layerKey, name = 'Joined data' }, layerProperties) {
+        if (!table.columns.includes(tableKey)) throw new Error(`The table has no ${tableKey} column`);
+
+        const rows = new Map();
+        const duplicates = new Set();
+        for (const row of table.rows) {
+            const key = this.normaliseKey(row[tableKey]);
+            if (!key) continue;
+            if (rows.has(key)) duplicates.add(row[tableKey]);
+            else rows.set(key, row);
+        }
+
+        const existing = new Set(layerProperties.flatMap(p => Object.keys(p || {})));
+        const columns = new Map(table.columns
+            .filter(column => column !== tableKey)
+            .map(column => [column, existing.has(column) ? `${column} (joined)` : column]));
+
+        const layerKeys = new Set();
+        const unmatchedLayerKeys = [];
+        let matchedFeatures = 0;
+        for (const properties of layerProperties) {
+            const key = this.normaliseKey(properties?.[layerKey]);
+            layerKeys.add(key);
+            if (key && rows.has(key)) matchedFeatures++;
+            else unmatchedLayerKeys.push(properties?.[layerKey] ?? '(blank)');
+        }
+
+        const unmatchedTableKeys = [...rows.entries()]
+            .filter(([key]) => !layerKeys.has(key))
+            .map(([, row]) => row[tableKey]);
+
+        const result = {
+            mapId,
+            name,
+            tableKey,
+            layerKey,
+            columns,
+            rows,
+            report: {
+                tableRows: table.rows.length,
+                matchedRows: rows.size - unmatchedTableKeys.length,
+                unmatchedTableKeys,
+                duplicateTableKeys: [...duplicates],
+                features: layerProperties.length,
+                matchedFeatures,
+                unmatchedLayerKeys
+            }
+        };
+
+        this.joins.set(mapId, result);
+        console.log(`[DataJoin] ${name} → ${mapId}: ${matchedFeatures} of ${layerProperties.length} features matched`);
+        return result;
+    }
+
+    /**
+     * Get the join on a map, if any
+     */
+    getJoin(mapId) {
+        return this.joins.get(mapId) || null;
+    }
+
+    /**
+     * Remove the join from a map
+     */
+    removeJoin(mapId) {
+        return this.joins.delete(mapId);
+    }
+
+    /**
+     * A feature's properties with its joined columns added
+     * Returns the properties unchanged when the map has no join or the feature no matching row
+     */
+    getProperties(mapId, properties) {
+        const join = this.joins.get(mapId);
+        if (!join || !properties) return properties;
+
+        const row = join.rows.get(this.normaliseKey(properties[join.layerKey]));
+        if (!row) return properties;
+
+        const merged = { ...properties };
+        join.columns.forEach((name, column) => { merged[name] = row[column]; });
+        return merged;
+    }
+}
+
+// Export singleton
+const dataJoin = new DataJoin();
+export default dataJoin;
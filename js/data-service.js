@@ -3,11 +3,17 @@
  * Handles loading and querying the maps/books database
  */
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 class DataService {
   constructor() {
     this.maps = null;
     this.books = null;
     this.geographies = null;
+    this.composites = null;
+    this.datasetsManifest = null;
+    this.postcodesPromise = null;
+    this.validityByMap = null;  // mapId -> validity interval, built on first use
     this.baseUrl = '';
     this.fuse = null;
   }
@@ -16,15 +22,28 @@ class DataService {
    * Initialize the data service by loading all database files
    */
   async init() {
-    const [mapsData, booksData, geographiesData] = await Promise.all([
+    const [mapsData, booksData, geographiesData, compositesData, manifestData] = await Promise.all([
       this.loadJson('data/database/maps.json'),
       this.loadJson('data/database/books.json'),
-      this.loadJson('data/database/geographies.json')
+      this.loadJson('data/database/geographies.json'),
+      // Composites are optional - the site works without them
+      this.loadJson('data/composites.json').catch(err => {
+        console.warn('[DataService] Composite definitions not available:', err.message);
+        return null;
+      }),
+      // File sizes, used to pick a loading strategy for large datasets
+      this.loadJson('data/datasets-manifest.json').catch(err => {
+        console.warn('[DataService] Datasets manifest not available:', err.message);
+        return null;
+      })
     ]);
 
     this.maps = mapsData;
     this.books = booksData;
     this.geographies = geographiesData;
+    this.composites = compositesData?.composites || {};
+    this.datasetsManifest = manifestData || {};
+    this.validityByMap = null;
 
     // Initialize Fuse.js for fuzzy search
     this.initFuseSearch();
@@ -238,15 +257,182 @@ class DataService {
   }
 
   /**
-   * Get all available file formats for a map
+   * Get the vector tile (.mbtiles) path for a map, if one exists
+   */
+  getMapTilesPath(map) {
+    if (!map) return null;
+
+    if (map.cloneOf) {
+      const sourceMap = this.getMapById(map.cloneOf);
+      if (sourceMap?.files?.mbtiles) return sourceMap.files.mbtiles;
+    }
+
+    return map.files?.mbtiles || null;
+  }
+
+  /**
+   * Get the size in bytes of a map's data file from the datasets manifest
+   * Returns null if the file is not listed
+   */
+  getMapFileSize(map) {
+    const filePath = this.getMapFilePath(map);
+    if (!filePath) return null;
+
+    const basename = filePath.split('/').pop();
+    return this.datasetsManifest?.[basename]?.bytes ?? null;
+  }
+
+  /**
+   * Get the content version of a data file, used to invalidate cached downloads
+   * Per-feature files (data/features/<mapId>/...) and offline pack subsets
+   * (offline-pack/<packId>/<mapId>.json) share the version of their map's data file
+   * Returns null if the file is not in the manifest
+   */
+  getFileVersion(path) {
+    if (!path) return null;
+
+    const featureMatch = path.match(/^data\/features\/([^/]+)\//) ||
+      path.match(/^offline-pack\/[^/]+\/([^/]+)\.json$/);
+    if (featureMatch) {
+      const dataPath = this.getMapFilePath(this.getMapById(featureMatch[1]));
+      return dataPath ? this.getFileVersion(dataPath) : null;
+    }
+
+    const entry = this.datasetsManifest?.[path.split('/').pop()];
+    if (!entry) return null;
+    return String(entry.version ?? entry.sha256 ?? entry.bytes);
+  }
+
+  /**
+   * Get all available file formats for a map (a cloned map's come from its source map)
    */
   getMapFormats(map) {
-    if (!map?.files) return [];
-    return Object.entries(map.files)
+    const files = (map?.cloneOf && this.getMapById(map.cloneOf)?.files) || map?.files;
+    if (!files) return [];
+    return Object.entries(files)
       .filter(([_, path]) => path)
       .map(([format, path]) => ({ format, path }));
   }
 
+  // ============================================
+  // Composite Maps
+  // ============================================
+
+  /**
+   * Get the composite definition for a map, if it is built from another map
+   * Returns { sourceMap, sourceNameProperty, features: [{ properties, sourceFeatures }] } or null
+   */
+  getComposite(mapId) {
+    return this.composites?.[mapId] || null;
+  }
+
+  /**
+   * Get the IDs of all maps defined as composites
+   */
+  getCompositeMapIds() {
+    return Object.keys(this.composites || {});
+  }
+
+  // ============================================
+  // Postcode Queries
+  // ============================================
+
+  /**
+   * Recognise a BT postcode or Eircode, in full or partial form
+   * Returns { scheme: 'bt' | 'eircode', outward, inward, sector, formatted } or null
+   * inward is null for a district/routing key ("BT7", "D02"); sector is set for "BT7 1"
+   */
+  parsePostcode(query) {
+    const text = String(query || '').trim().toUpperCase();
+    const compact = text.replace(/\s+/g, '');
+
+    // Full BT postcode - the inward code is always digit + two letters
+    let match = compact.match(/^(BT\d{1,2})(\d[A-Z]{2})$/);
+    if (match) {
+      return { scheme: 'bt', outward: match[1], inward: match[2], sector: null, formatted: `${match[1]} ${match[2]}` };
+    }
+
+    // Postcode sector ("BT7 1") needs the space to tell it apart from a district
+    match = text.match(/^(BT\d{1,2})\s+(\d)$/);
+    if (match) {
+      return { scheme: 'bt', outward: match[1], inward: null, sector: match[2], formatted: `${match[1]} ${match[2]}` };
+    }
+
+    match = compact.match(/^BT\d{1,2}$/);
+    if (match) {
+      return { scheme: 'bt', outward: compact, inward: null, sector: null, formatted: compact };
+    }
+
+    // Eircode: routing key + 4-character unique identifier
+    match = compact.match(/^([AC-FHKNPRTV-Y]\d{2}|D6W)([0-9AC-FHKNPRTV-Y]{4})?$/);
+    if (match) {
+      return {
+        scheme: 'eircode',
+        outward: match[1],
+        inward: match[2] || null,
+        sector: null,
+        formatted: match[2] ? `${match[1]} ${match[2]}` : match[1]
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Load the postcode centroid dataset (data/database/postcodes.json) on first use
+   * Built by scripts/build-postcode-index.mjs; resolves to null if not available
+   */
+  loadPostcodes() {
+    if (!this.postcodesPromise) {
+      this.postcodesPromise = this.loadJson('data/database/postcodes.json').catch(err => {
+        console.warn('[DataService] Postcode data not available:', err.message);
+        this.postcodesPromise = null;
+        return null;
+      });
+    }
+    return this.postcodesPromise;
+  }
+
+  /**
+   * Resolve a postcode to a centroid
+   * Partial codes resolve to the average of the postcodes they contain
+   * Returns { postcode, scheme, lat, lng, precision: 'postcode' | 'sector' | 'district', count }
+   * or null if the query is not a postcode or is not in the dataset
+   */
+  async lookupPostcode(query) {
+    const parsed = this.parsePostcode(query);
+    if (!parsed) return null;
+
+    const data = await this.loadPostcodes();
+    if (!data) throw new Error('Postcode data is not available');
+
+    const group = data[parsed.scheme]?.[parsed.outward];
+    if (!group) return null;
+
+    let points;
+    let precision;
+    if (parsed.inward) {
+      points = group[parsed.inward] ? [group[parsed.inward]] : [];
+      precision = 'postcode';
+    } else if (parsed.sector) {
+      points = Object.entries(group).filter(([inward]) => inward.startsWith(parsed.sector)).map(([, point]) => point);
+      precision = 'sector';
+    } else {
+      points = Object.values(group);
+      precision = 'district';
+    }
+    if (points.length === 0) return null;
+
+    return {
+      postcode: parsed.formatted,
+      scheme: parsed.scheme,
+      lat: points.reduce((sum, p) => sum + p[0], 0) / points.length,
+      lng: points.reduce((sum, p) => sum + p[1], 0) / points.length,
+      precision,
+      count: points.length
+    };
+  }
+
   // ============================================
   // Book Queries
   // ============================================
@@ -430,9 +616,10 @@ class DataService {
       return new Date(dateStr).getTime();
     }
 
-    // Try generic parse
-    const parsed = Date.parse(dateStr);
-    return isNaN(parsed) ? null : parsed;
+    // Try generic parse ("1 Apr 2015" is read as local time) - keep the day at UTC midnight like the others
+    const parsed = new Date(dateStr);
+    if (isNaN(parsed)) return null;
+    return Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
   }
 
   /**
@@ -464,15 +651,172 @@ class DataService {
   }
 
   /**
-   * Get all unique dates from maps in the given chains
+   * Get the maps a map's boundaries descend from or evolve into, oldest first
+   * In parallel chains only the map's own column (plus the shared predecessor) is included,
+   * since other columns are contemporaneous series rather than ancestors
+   * Returns [{ map, classId, timestamp }], including the map itself
+   */
+  getLineageMaps(mapId) {
+    const chain = this.getChainForMap(mapId);
+    if (!chain) return [];
+
+    let lineageChain = chain;
+    if (chain.columns) {
+      const classId = this.getAllClasses().find(cls => cls.maps?.includes(mapId))?.id;
+      const column = chain.columns.find(col => col.classIds?.includes(classId));
+      if (column) {
+        lineageChain = { classIds: column.classIds, predecessor: chain.predecessor };
+      }
+    }
+
+    const seen = new Set();
+    return this.getMapsInChain(lineageChain)
+      .filter(({ map }) => !seen.has(map.id) && seen.add(map.id))
+      .reverse();
+  }
+
+  // ============================================
+  // Validity Intervals
+  // ============================================
+
+  /**
+   * Get the sequential tracks of a chain, each a list of parts { classIds, from, to }
+   * Segments share one timeline; parallel columns and the predecessor each have their own
+   */
+  getChainTracks(chain) {
+    if (chain.columns) {
+      const tracks = chain.columns.map(column => [column]);
+      if (chain.predecessor) tracks.push([chain.predecessor]);
+      return tracks;
+    }
+    if (chain.segments) return [chain.segments];
+    return [[{ classIds: chain.classIds || [] }]];
+  }
+
+  /**
+   * Get when a map's boundaries were in force
+   *   drawn - the map's date
+   *   start - dateEffective if set, otherwise the map's date (null for maps marked proposed)
+   *   end   - dateEnd if set, otherwise the start of the next map in its track,
+   *           clamped to the segment's from/to; null while still in force (exclusive)
+   * Between drawn and start the map is "proposed"
+   * @returns {{drawn: number|null, start: number|null, end: number|null, chainId: string|null, track: number|null}}
+   */
+  getMapValidity(mapOrId) {
+    const map = typeof mapOrId === 'string' ? this.getMapById(mapOrId) : mapOrId;
+    if (!map) return { drawn: null, start: null, end: null, chainId: null, track: null };
+
+    if (!this.validityByMap) this.buildValidity();
+    return this.validityByMap.get(map.id) || this.validityByMap.get(map.parentId) ||
+      { ...this.getOwnValidity(map), chainId: null, track: null };
+  }
+
+  /**
+   * Validity from a map's own fields, before its chain is considered
+   */
+  getOwnValidity(map) {
+    const drawn = this.parseMapDate(map.date);
+    const effective = this.parseMapDate(map.dateEffective);
+    return {
+      drawn,
+      start: effective ?? (map.proposed ? null : drawn),
+      end: this.parseMapDate(map.dateEnd)
+    };
+  }
+
+  /**
+   * Work out every chained map's validity interval from its neighbours in the track
+   */
+  buildValidity() {
+    this.validityByMap = new Map();
+    const classes = this.getAllClasses();
+
+    for (const chain of this.getTimeSeriesChains()) {
+      this.getChainTracks(chain).forEach((parts, track) => {
+        const entries = [];
+        for (const part of parts) {
+          const from = this.parseMapDate(part.from);
+          const to = part.to ? this.parseMapDate(part.to) + DAY_MS : null;  // 'to' is the last day
+          for (const classId of part.classIds || []) {
+            for (const mapId of classes.find(c => c.id === classId)?.maps || []) {
+              const map = this.getMapById(mapId);
+              if (map) entries.push({ map, from, to, ...this.getOwnValidity(map) });
+            }
+          }
+        }
+
+        for (const entry of entries) {
+          let { start, end } = entry;
+          if (start != null) {
+            if (end == null) {
+              const next = entries
+                .map(other => other.start)
+                .filter(other => other != null && other > start);
+              end = next.length > 0 ? Math.min(...next) : null;
+            }
+            if (entry.from != null) start = Math.max(start, entry.from);
+            if (entry.to != null) end = end == null ? entry.to : Math.min(end, entry.to);
+          }
+          this.validityByMap.set(entry.map.id, { drawn: entry.drawn, start, end, chainId: chain.id, track });
+        }
+      });
+    }
+  }
+
+  /**
+   * Legal status of a map at a date:
+   * 'in-force', 'superseded', 'proposed' (drawn but not yet in force), 'not-drawn' or 'undated'
+   */
+  getMapStatusAt(mapOrId, timestamp) {
+    const { drawn, start, end } = this.getMapValidity(mapOrId);
+    if (start != null && timestamp >= start) {
+      return end != null && timestamp >= end ? 'superseded' : 'in-force';
+    }
+    if (drawn != null && timestamp >= drawn) return 'proposed';
+    return start == null && drawn == null ? 'undated' : 'not-drawn';
+  }
+
+  /**
+   * Human-readable legal dates for a map, e.g. "In force 1 Apr 2015 – present"
+   * or "Proposed 2012; in force from 1 Apr 2015"
+   */
+  describeValidity(mapOrId, now = Date.now()) {
+    const { drawn, start, end } = this.getMapValidity(mapOrId);
+    const format = (ts) => this.formatLegalDate(ts);
+
+    if (start == null) {
+      return drawn != null ? `Proposed ${format(drawn)}; never in force` : 'Dates unknown';
+    }
+    if (now < start) {
+      return `Proposed${drawn != null && drawn < start ? ` ${format(drawn)}` : ''}; in force from ${format(start)}`;
+    }
+    const range = `${format(start)} – ${end != null ? format(end - DAY_MS) : 'present'}`;
+    return drawn != null && drawn < start
+      ? `In force ${range} (drawn ${format(drawn)})`
+      : `In force ${range}`;
+  }
+
+  /**
+   * Format a timestamp as a year when it falls on 1 January, otherwise as a short date
+   * Map dates are UTC midnight (see parseMapDate), so they are read in UTC whatever the time zone
+   */
+  formatLegalDate(timestamp) {
+    const date = new Date(timestamp);
+    if (date.getUTCMonth() === 0 && date.getUTCDate() === 1) return String(date.getUTCFullYear());
+    return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  /**
+   * Get all unique dates when maps in the given chains came into force
    */
   getApplicableDates(chains) {
     const timestamps = new Set();
 
     for (const chain of chains) {
       const maps = this.getMapsInChain(chain);
-      maps.forEach(m => {
-        if (m.timestamp) timestamps.add(m.timestamp);
+      maps.forEach(({ map }) => {
+        const { start } = this.getMapValidity(map);
+        if (start != null) timestamps.add(start);
       });
     }
 
@@ -482,42 +826,52 @@ class DataService {
 
   /**
    * Given active map IDs and a target date, find the equivalent maps for that date
-   * Returns an object mapping old mapId -> new mapId (or null if no equivalent)
+   * Only maps in force at the date are used, preferring the active map's own track
+   * (e.g. the same parallel column) over the rest of the chain
+   * Returns an object mapping old mapId -> new mapId (or null if no map is in force)
    */
   getEquivalentMapsForDate(activeMapIds, targetTimestamp) {
     const result = {};
 
-    console.log('[DataService] getEquivalentMapsForDate - activeMapIds:', activeMapIds, 'targetTimestamp:', targetTimestamp);
-
     for (const mapId of activeMapIds) {
       const chain = this.getChainForMap(mapId);
-      console.log('[DataService] Map:', mapId, 'chain:', chain?.id || 'none');
       if (!chain) {
         // Not part of a time-series, keep as-is
         result[mapId] = mapId;
         continue;
       }
 
-      // Find the map in this chain that was active at the target date
-      const mapsInChain = this.getMapsInChain(chain);
-      console.log('[DataService] mapsInChain:', mapsInChain.map(m => ({ id: m.map.id, timestamp: m.timestamp })));
-
-      // Find the map whose date is closest to but not after the target date
-      let bestMatch = null;
-      for (const { map, timestamp } of mapsInChain) {
-        if (timestamp && timestamp <= targetTimestamp) {
-          if (!bestMatch || timestamp > bestMatch.timestamp) {
-            bestMatch = { map, timestamp };
-          }
-        }
-      }
-
-      console.log('[DataService] bestMatch for', mapId, ':', bestMatch ? bestMatch.map.id : 'null');
-      result[mapId] = bestMatch ? bestMatch.map.id : null;
+      const { track } = this.getMapValidity(mapId);
+      const inForce = this.getMapsInChain(chain)
+        .map(({ map }) => ({ map, validity: this.getMapValidity(map) }))
+        .filter(({ map }) => this.getMapStatusAt(map, targetTimestamp) === 'in-force')
+        // Same track first, then track order, then the most recent start
+        .sort((a, b) => (a.validity.track !== track) - (b.validity.track !== track) ||
+          a.validity.track - b.validity.track || b.validity.start - a.validity.start);
+
+      // Keep the active map if it is still in force
+      const keep = inForce.find(({ map }) => map.id === mapId);
+      result[mapId] = (keep || inForce[0])?.map.id || null;
     }
 
     return result;
   }
+
+  /**
+   * Explain why a chain has no map in force at a date (the gap before, between or after its maps)
+   */
+  describeGap(chain, timestamp) {
+    const intervals = this.getMapsInChain(chain)
+      .map(({ map }) => ({ map, ...this.getMapValidity(map) }))
+      .filter(v => v.start != null);
+    const before = intervals.filter(v => v.end != null && v.end <= timestamp).sort((a, b) => b.end - a.end)[0];
+    const after = intervals.filter(v => v.start > timestamp).sort((a, b) => a.start - b.start)[0];
+
+    const parts = [`No ${chain.name} boundaries in force on ${this.formatLegalDate(timestamp)}`];
+    if (before) parts.push(`${before.map.name} ended ${this.formatLegalDate(before.end - DAY_MS)}`);
+    if (after) parts.push(`${after.map.name} in force from ${this.formatLegalDate(after.start)}`);
+    return parts.join('; ');
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,412 @@
+/**
+ * NI Boundaries - Download Cache
+ * Persists FGB and per-feature downloads in IndexedDB, keyed by file path and
+ * validated against a content version from data/datasets-manifest.json. Files the
+ * manifest does not list cannot be checked, so they expire after UNVERSIONED_MAX_AGE.
+ * Files saved by offline packs are pinned with the pack IDs and survive cache clears;
+ * when their data changes they are kept (used only when the network fails) and the
+ * packs are marked stale so they can be downloaded again.
+ */
+
+const DB_NAME = 'ni-boundaries-cache';
+const DB_VERSION = 2;
+const STORE = 'files';
+const PACK_STORE = 'packs';
+const UNVERSIONED_MAX_AGE = 24 * 60 * 60 * 1000;  // Unpinned entries with no manifest version
+
+class DownloadCache {
+    constructor() {
+        this.dbPromise = null;
+        this.versionResolver = null;  // (path) => version string, or null if unknown
+        this.enabled = typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Set up the version resolver and drop entries whose version no longer matches
+     */
+    async init(versionResolver) {
+        this.versionResolver = versionResolver;
+        if (!this.enabled) return;
+
+        try {
+            const removed = await this.pruneStale();
+            if (removed > 0) {
+                console.log(`[DownloadCache] Removed ${removed} stale entries`);
+            }
+        } catch (err) {
+            console.warn('[DownloadCache] IndexedDB unavailable, caching disabled:', err);
+            this.enabled = false;
+        }
+    }
+
+    /**
+     * Open the database (once)
+     */
+    openDb() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE)) {
+                        const store = db.createObjectStore(STORE, { keyPath: 'path' });
+                        store.createIndex('mapId', 'mapId');
+                    }
+                    if (!db.objectStoreNames.contains(PACK_STORE)) {
+                        db.createObjectStore(PACK_STORE, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against a store (files by default) and resolve with its result
+     */
+    async withStore(mode, fn, storeName = STORE) {
+        const db = await this.openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Get the expected version for a path
+     */
+    getVersion(path) {
+        return this.versionResolver?.(path) ?? null;
+    }
+
+    /**
+     * Whether an entry is out of date: its manifest version changed, or it has no version
+     * and is older than UNVERSIONED_MAX_AGE (pinned entries are kept as the pack saved them)
+     */
+    isStale(entry) {
+        const version = this.getVersion(entry.path);
+        if (entry.version !== version) return true;
+        return version == null && !entry.packIds?.length &&
+            Date.now() - (entry.storedAt || 0) > UNVERSIONED_MAX_AGE;
+    }
+
+    /**
+     * Read a cached entry, returning null if missing or stale
+     * Stale entries pinned by offline packs are kept, and returned if allowStale is set
+     */
+    async get(path, { allowStale = false } = {}) {
+        if (!this.enabled) return null;
+
+        try {
+            const entry = await this.withStore('readonly', store => store.get(path));
+            if (!entry) return null;
+
+            if (this.isStale(entry)) {
+                if (entry.packIds?.length) return allowStale ? entry.data : null;
+                await this.delete(path);
+                return null;
+            }
+            return entry.data;
+        } catch (err) {
+            console.warn(`[DownloadCache] Read failed for ${path}:`, err);
+            return null;
+        }
+    }
+
+    /**
+     * Store an entry (ArrayBuffer or string), optionally pinned to an offline pack
+     */
+    async put(path, data, mapId = null, packId = null) {
+        if (!this.enabled) return;
+
+        const bytes = typeof data === 'string' ? data.length : data.byteLength;
+        try {
+            const existing = await this.withStore('readonly', store => store.get(path));
+            const packIds = new Set(existing?.packIds || []);
+            if (packId) packIds.add(packId);
+
+            await this.withStore('readwrite', store => store.put({
+                path,
+                mapId,
+                version: this.getVersion(path),
+                bytes,
+                data,
+                packIds: Array.from(packIds),
+                storedAt: Date.now()
+            }));
+        } catch (err) {
+            // Usually quota exceeded - the download still succeeded
+            console.warn(`[DownloadCache] Could not store ${path}:`, err);
+        }
+    }
+
+    /**
+     * Pin an existing entry to an offline pack
+     */
+    async pin(path, packId) {
+        if (!this.enabled) return;
+
+        const entry = await this.withStore('readonly', store => store.get(path));
+        if (!entry) return;
+
+        entry.packIds = Array.from(new Set([...(entry.packIds || []), packId]));
+        await this.withStore('readwrite', store => store.put(entry));
+    }
+
+    /**
+     * Remove a pack's pin from its entries, deleting entries no other pack uses
+     */
+    async unpinPack(packId) {
+        if (!this.enabled) return;
+
+        const entries = await this.listEntries();
+        for (const { path, packIds } of entries) {
+            if (!packIds.includes(packId)) continue;
+
+            const remaining = packIds.filter(id => id !== packId);
+            if (remaining.length === 0) {
+                await this.delete(path);
+            } else {
+                const entry = await this.withStore('readonly', store => store.get(path));
+                entry.packIds = remaining;
+                await this.withStore('readwrite', store => store.put(entry));
+            }
+        }
+    }
+
+    /**
+     * List offline pack records
+     */
+    async listPacks() {
+        if (!this.enabled) return [];
+        return (await this.withStore('readonly', store => store.getAll(), PACK_STORE)) || [];
+    }
+
+    /**
+     * Create or update an offline pack record
+     */
+    async savePack(pack) {
+        if (!this.enabled) throw new Error('Offline storage is not available in this browser');
+        await this.withStore('readwrite', store => store.put(pack), PACK_STORE);
+    }
+
+    /**
+     * Delete an offline pack record (its files are released with unpinPack)
+     */
+    async deletePackRecord(packId) {
+        if (!this.enabled) return;
+        await this.withStore('readwrite', store => store.delete(packId), PACK_STORE);
+    }
+
+    /**
+     * Delete a single entry
+     */
+    async delete(path) {
+        if (!this.enabled) return;
+        await this.withStore('readwrite', store => store.delete(path));
+    }
+
+    /**
+     * Fetch a binary file, serving it from the cache when possible
+     * @returns {Promise<Uint8Array>}
+     */
+    async fetchBytes(path, { mapId = null, onProgress = null } = {}) {
+        const cached = await this.get(path);
+        if (cached) {
+            return new Uint8Array(cached);
+        }
+
+        let response;
+        try {
+            response = await fetch(path);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        } catch (err) {
+            const saved = await this.getPackFallback(path);
+            if (saved) return new Uint8Array(saved);
+            throw err;
+        }
+
+        const buffer = await this.readWithProgress(response, onProgress);
+        await this.put(path, buffer, mapId);
+        return new Uint8Array(buffer);
+    }
+
+    /**
+     * Fetch a text file, serving it from the cache when possible
+     */
+    async fetchText(path, { mapId = null, packId = null } = {}) {
+        const cached = await this.get(path);
+        if (cached != null) {
+            if (packId) await this.pin(path, packId);
+            return cached;
+        }
+
+        let response;
+        try {
+            response = await fetch(path);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        } catch (err) {
+            const saved = await this.getPackFallback(path);
+            if (saved != null) return saved;
+            throw err;
+        }
+
+        const text = await response.text();
+        await this.put(path, text, mapId, packId);
+        return text;
+    }
+
+    /**
+     * An out-of-date copy saved by an offline pack, for when the current file cannot be fetched
+     */
+    async getPackFallback(path) {
+        const data = await this.get(path, { allowStale: true });
+        if (data != null) console.log(`[DownloadCache] Using offline pack copy of ${path}`);
+        return data;
+    }
+
+    /**
+     * Read a response body into an ArrayBuffer, reporting percentage progress
+     */
+    async readWithProgress(response, onProgress) {
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        if (!onProgress || !total || !response.body) {
+            return response.arrayBuffer();
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let received = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            received += value.length;
+            onProgress(Math.min(90, Math.round((received / total) * 90)));
+        }
+
+        const result = new Uint8Array(received);
+        let offset = 0;
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return result.buffer;
+    }
+
+    /**
+     * Delete entries whose version differs from the manifest, or unversioned ones past their age
+     * Entries pinned by offline packs are kept and their packs marked stale instead
+     * @returns {Promise<number>} number of entries removed
+     */
+    async pruneStale() {
+        const entries = await this.listEntries();
+        const stale = entries.filter(entry => this.isStale(entry));
+        const stalePacks = new Set();
+        let removed = 0;
+
+        for (const entry of stale) {
+            if (entry.packIds.length > 0) {
+                entry.packIds.forEach(id => stalePacks.add(id));
+            } else {
+                await this.delete(entry.path);
+                removed++;
+            }
+        }
+
+        for (const pack of await this.listPacks()) {
+            if (stalePacks.has(pack.id) && !pack.stale) {
+                await this.savePack({ ...pack, stale: true });
+                console.log(`[DownloadCache] Offline pack ${pack.name} is out of date`);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * List entry metadata (without data)
+     */
+    async listEntries() {
+        if (!this.enabled) return [];
+
+        const db = await this.openDb();
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const tx = db.transaction(STORE, 'readonly');
+            const request = tx.objectStore(STORE).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                const { path, mapId, version, bytes, packIds = [], storedAt } = cursor.value;
+                entries.push({ path, mapId, version, bytes, packIds, storedAt });
+                cursor.continue();
+            };
+            tx.oncomplete = () => resolve(entries);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Summarise cache usage, excluding files pinned by offline packs
+     * Returns { bytes, entries, packBytes, byMap: [{ mapId, bytes, entries }] } sorted by size
+     */
+    async getUsage() {
+        const allEntries = await this.listEntries();
+        const entries = allEntries.filter(e => e.packIds.length === 0);
+        const packBytes = allEntries
+            .filter(e => e.packIds.length > 0)
+            .reduce((sum, e) => sum + (e.bytes || 0), 0);
+        const byMap = new Map();
+        let bytes = 0;
+
+        for (const entry of entries) {
+            bytes += entry.bytes || 0;
+            const key = entry.mapId || '';
+            if (!byMap.has(key)) byMap.set(key, { mapId: entry.mapId, bytes: 0, entries: 0 });
+            const usage = byMap.get(key);
+            usage.bytes += entry.bytes || 0;
+            usage.entries++;
+        }
+
+        return {
+            bytes,
+            entries: entries.length,
+            packBytes,
+            byMap: Array.from(byMap.values()).sort((a, b) => b.bytes - a.bytes)
+        };
+    }
+
+    /**
+     * Remove all entries stored for a map (pack files are kept)
+     */
+    async clearMap(mapId) {
+        if (!this.enabled) return;
+
+        const entries = await this.listEntries();
+        for (const entry of entries.filter(e => e.mapId === mapId && e.packIds.length === 0)) {
+            await this.delete(entry.path);
+        }
+    }
+
+    /**
+     * Remove everything except files pinned by offline packs
+     */
+    async clearAll() {
+        if (!this.enabled) return;
+
+        const entries = await this.listEntries();
+        for (const entry of entries.filter(e => e.packIds.length === 0)) {
+            await this.delete(entry.path);
+        }
+    }
+}
+
+// Export singleton
+const downloadCache = new DownloadCache();
+export default downloadCache;
@@ -0,0 +1,751 @@
+/**
+ * NI Boundaries - Feature Export
+ * Converts boundary features in the browser for download as GeoJSON, KML, zipped Shapefile,
+ * GeoPackage or CSV with WKT geometry. Each layer is { id, name, features, style }; features
+ * are WGS 84 GeoJSON with any joined table columns already in their properties.
+ * Every format but KML (WGS 84 by definition) can be written in Irish Grid or ITM instead.
+ */
+
+import geoPackage from './geopackage.js';
+import projections from './projections.js';
+
+const FORMATS = {
+    geojson: { label: 'GeoJSON', extension: 'geojson', type: 'application/geo+json' },
+    kml: { label: 'KML', extension: 'kml', type: 'application/vnd.google-earth.kml+xml' },
+    shapefile: { label: 'Shapefile (zip)', extension: 'zip', type: 'application/zip' },
+    gpkg: { label: 'GeoPackage', extension: 'gpkg', type: 'application/geopackage+sqlite3' },
+    csv: { label: 'CSV (WKT)', extension: 'csv', type: 'text/csv' }
+};
+
+const MAP_ID_PROPERTY = 'map_id';  // Added when features from several maps share one file
+
+// Shapefile shape types by geometry family
+const SHAPE_TYPES = { null: 0, point: 1, line: 3, polygon: 5, multipoint: 8 };
+const SHAPE_FAMILIES = {
+    Point: 'point', MultiPoint: 'point',
+    LineString: 'line', MultiLineString: 'line',
+    Polygon: 'polygon', MultiPolygon: 'polygon'
+};
+const FAMILY_SUFFIXES = { polygon: 'polygons', line: 'lines', point: 'points' };
+const DBF_MAX_TEXT = 254;     // bytes in a character field
+const DBF_MAX_NUMBER = 19;    // characters in a numeric field
+
+const textEncoder = new TextEncoder();
+
+class FeatureExport {
+    /**
+     * Download formats, as { key: { label, extension, type } }
+     */
+    getFormats() {
+        return FORMATS;
+    }
+
+    /**
+     * Convert layers to a file
+     * @param {Object[]} layers - [{ id, name, features, style }]
+     * @param {string} format - key of FORMATS
+     * @param {Object} options
+     * @param {string} options.name - file name without the extension
+     * @param {string} options.crs - coordinate system to write, a key of Projections.getSystems()
+     * @returns {Promise<{blob: Blob, filename: string}>}
+     */
+    async export(layers, format, { name, crs = 'EPSG:4326' }) {
+        const spec = FORMATS[format];
+        if (!spec) throw new Error(`Unknown format: ${format}`);
+        layers = layers.filter(layer => layer.features.length > 0);
+        if (layers.length === 0) throw new Error('There are no features to download');
+
+        if (format === 'kml') crs = 'EPSG:4326';
+        const system = projections.getSystem(crs);
+        if (system.projection) {
+            layers = layers.map(layer => ({
+                ...layer,
+                features: layer.features.map(feature => ({ ...feature, geometry: projections.transformGeometry(feature.geometry, crs) }))
+            }));
+        }
+
+        let content;
+        switch (format) {
+            case 'geojson':
+                content = this.toGeoJSON(layers, system);
+                break;
+            case 'kml':
+                content = this.toKML(layers, name);
+                break;
+            case 'shapefile':
+                content = await this.toShapefileZip(layers, system);
+                break;
+            case 'gpkg':
+                content = geoPackage.write(layers, {
+                    srs: system.projection ? {
+                        id: system.code,
+                        name: system.label,
+                        organization: 'EPSG',
+                        code: system.code,
+                        definition: system.wkt,
+                        description: system.label
+                    } : null
+                });
+                break;
+            case 'csv':
+                content = this.toCSV(layers, system);
+                break;
+        }
+
+        const count = layers.reduce((sum, layer) => sum + layer.features.length, 0);
+        console.log(`[FeatureExport] ${count} features from ${layers.length} map(s) as ${spec.label} in ${system.name}`);
+        return { blob: new Blob([content], { type: spec.type }), filename: `${name}.${spec.extension}` };
+    }
+
+    /**
+     * File name (without extension) from the maps' IDs and the date the map shows
+     * Falls back to today's date for several maps or an undated map
+     * @param {string[]} mapIds
+     * @param {Object} options
+     * @param {boolean} options.selection - true for a subset of a map's features
+     * @param {string} options.crs - adds the grid's name for files not in WGS 84
+     * @param {string} options.mapDate - the map's date from maps.json (single map only)
+     */
+    getBaseName(mapIds, { selection = false, crs = 'EPSG:4326', mapDate = null } = {}) {
+        const date = mapIds.length === 1 && mapDate
+            ? String(mapDate).trim().replace(/[^\w-]+/g, '-')
+            : new Date().toISOString().slice(0, 10);
+        let base = mapIds.length === 1 ? `${mapIds[0]}_${date}` : `ni-boundaries-features_${date}`;
+        if (selection) base += '_selection';
+        const suffix = projections.getSystem(crs).suffix;
+        return suffix ? `${base}_${suffix}` : base;
+    }
+
+    /**
+     * Features of all layers, with the map ID added to the properties when there are several maps
+     */
+    getFeatures(layers) {
+        if (layers.length === 1) return layers[0].features;
+        return layers.flatMap(layer => layer.features.map(feature => ({
+            ...feature,
+            properties: { ...feature.properties, [MAP_ID_PROPERTY]: layer.id }
+        })));
+    }
+
+    // ============================================
+    // GeoJSON, CSV and KML
+    // ============================================
+
+    /**
+     * GeoJSON - grid coordinates are named with the (pre-RFC 7946) crs member GIS software reads
+     */
+    toGeoJSON(layers, system) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            ...(system.projection ? { crs: { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${system.code}` } } } : {}),
+            features: this.getFeatures(layers).map(feature => ({
+                type: 'Feature',
+                properties: feature.properties || {},
+                geometry: feature.geometry || null
+            }))
+        });
+    }
+
+    /**
+     * CSV with the geometry as WKT in the first column (the column name QGIS and Excel-to-GIS tools look for)
+     */
+    toCSV(layers, system) {
+        const features = this.getFeatures(layers);
+        const columns = layers.length > 1 ? [MAP_ID_PROPERTY] : [];
+        const seen = new Set(['WKT', ...columns]);
+        for (const feature of features) {
+            for (const key of Object.keys(feature.properties || {})) {
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    columns.push(key);
+                }
+            }
+        }
+
+        const escape = (value) => {
+            const text = value == null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [['WKT', ...columns].map(escape).join(',')];
+        for (const feature of features) {
+            lines.push([this.toWKT(feature.geometry, system.decimals), ...columns.map(key => feature.properties?.[key])].map(escape).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Well-known text for a GeoJSON geometry (empty for none)
+     * @param {number} decimals - coordinate decimal places
+     */
+    toWKT(geometry, decimals) {
+        if (!geometry) return '';
+        const point = (coords) => coords.slice(0, 2).map(value => this.round(value, decimals)).join(' ');
+        const points = (coords) => `(${coords.map(point).join(', ')})`;
+        const rings = (coords) => `(${coords.map(points).join(', ')})`;
+
+        switch (geometry.type) {
+            case 'Point':
+                return geometry.coordinates.length ? `POINT (${point(geometry.coordinates)})` : 'POINT EMPTY';
+            case 'LineString':
+                return `LINESTRING ${points(geometry.coordinates)}`;
+            case 'Polygon':
+                return `POLYGON ${rings(geometry.coordinates)}`;
+            case 'MultiPoint':
+                return `MULTIPOINT (${geometry.coordinates.map(coords => `(${point(coords)})`).join(', ')})`;
+            case 'MultiLineString':
+                return `MULTILINESTRING ${rings(geometry.coordinates)}`;
+            case 'MultiPolygon':
+                return `MULTIPOLYGON (${geometry.coordinates.map(rings).join(', ')})`;
+            case 'GeometryCollection':
+                return `GEOMETRYCOLLECTION (${geometry.geometries.map(g => this.toWKT(g, decimals)).join(', ')})`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * KML with a folder and style per map; properties go in ExtendedData
+     */
+    toKML(layers, title) {
+        const styles = layers.map((layer, i) => {
+            const style = layer.style || {};
+            return `
+    <Style id="layer-${i}">
+      <LineStyle><color>${this.kmlColor(style.color, 1)}</color><width>${style.weight ?? 2}</width></LineStyle>
+      <PolyStyle><color>${this.kmlColor(style.fillColor || style.color, style.fillOpacity ?? 0.2)}</color></PolyStyle>
+      <IconStyle><color>${this.kmlColor(style.color, 1)}</color></IconStyle>
+    </Style>`;
+        }).join('');
+
+        const folders = layers.map((layer, i) => {
+            const placemarks = layer.features.map(feature => {
+                const properties = feature.properties || {};
+                const name = this.getFeatureName(properties, layer.labelProperty);
+                const data = Object.entries(properties)
+                    .filter(([_, value]) => value != null)
+                    .map(([key, value]) => `<Data name="${this.escapeXml(key)}"><value>${this.escapeXml(typeof value === 'object' ? JSON.stringify(value) : value)}</value></Data>`)
+                    .join('');
+                return `
+      <Placemark>
+        ${name ? `<name>${this.escapeXml(name)}</name>` : ''}
+        <styleUrl>#layer-${i}</styleUrl>
+        ${data ? `<ExtendedData>${data}</ExtendedData>` : ''}
+        ${this.toKMLGeometry(feature.geometry)}
+      </Placemark>`;
+            }).join('');
+
+            return `
+    <Folder>
+      <name>${this.escapeXml(layer.name || layer.id)}</name>${placemarks}
+    </Folder>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${this.escapeXml(title)}</name>${styles}${folders}
+  </Document>
+</kml>
+`;
+    }
+
+    toKMLGeometry(geometry) {
+        if (!geometry) return '';
+        const { decimals } = projections.getSystem('EPSG:4326');
+        const coordinates = (coords) => `<coordinates>${coords.map(c => `${this.round(c[0], decimals)},${this.round(c[1], decimals)}`).join(' ')}</coordinates>`;
+        const polygon = (rings) => `<Polygon><outerBoundaryIs><LinearRing>${coordinates(rings[0])}</LinearRing></outerBoundaryIs>${rings.slice(1)
+            .map(ring => `<innerBoundaryIs><LinearRing>${coordinates(ring)}</LinearRing></innerBoundaryIs>`).join('')}</Polygon>`;
+
+        switch (geometry.type) {
+            case 'Point':
+                return `<Point>${coordinates([geometry.coordinates])}</Point>`;
+            case 'LineString':
+                return `<LineString>${coordinates(geometry.coordinates)}</LineString>`;
+            case 'Polygon':
+                return polygon(geometry.coordinates);
+            case 'MultiPoint':
+                return `<MultiGeometry>${geometry.coordinates.map(c => `<Point>${coordinates([c])}</Point>`).join('')}</MultiGeometry>`;
+            case 'MultiLineString':
+                return `<MultiGeometry>${geometry.coordinates.map(c => `<LineString>${coordinates(c)}</LineString>`).join('')}</MultiGeometry>`;
+            case 'MultiPolygon':
+                return `<MultiGeometry>${geometry.coordinates.map(polygon).join('')}</MultiGeometry>`;
+            case 'GeometryCollection':
+                return `<MultiGeometry>${geometry.geometries.map(g => this.toKMLGeometry(g)).join('')}</MultiGeometry>`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Placemark name - the map's label property, else a name-like property
+     */
+    getFeatureName(properties, labelProperty) {
+        const key = [labelProperty, 'name', 'Name', 'NAME'].find(k => k && properties[k] != null && properties[k] !== '');
+        return key ? String(properties[key]) : '';
+    }
+
+    /**
+     * KML colour (aabbggrr) from a CSS hex colour and opacity
+     */
+    kmlColor(color, opacity) {
+        let hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color || '') ? color.slice(1) : '666666';
+        if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+        const alpha = Math.round(Math.max(0, Math.min(1, opacity)) * 255).toString(16).padStart(2, '0');
+        return `${alpha}${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toLowerCase();
+    }
+
+    round(value, decimals) {
+        return Number(value.toFixed(decimals));
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Control characters other than tab and newlines are not allowed in XML 1.0
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+    }
+
+    // ============================================
+    // Shapefile
+    // ============================================
+
+    /**
+     * Zip of shapefiles - one per map, split by geometry type when a map mixes points, lines and
+     * polygons (a shapefile holds one type)
+     */
+    async toShapefileZip(layers, system) {
+        const files = [];
+        const usedNames = new Set();
+
+        for (const layer of layers) {
+            const groups = this.groupByShapeFamily(layer.features);
+            const base = this.fileSafeName(layer.id || layer.name);
+            for (const [family, features] of groups) {
+                let name = groups.size > 1 ? `${base}_${FAMILY_SUFFIXES[family]}` : base;
+                for (let n = 2; usedNames.has(name.toLowerCase()); n++) name = `${base}_${n}`;
+                usedNames.add(name.toLowerCase());
+
+                const { shp, shx } = this.writeShp(features, family);
+                files.push(
+                    { name: `${name}.shp`, data: shp },
+                    { name: `${name}.shx`, data: shx },
+                    { name: `${name}.dbf`, data: this.writeDbf(features.map(feature => feature.properties || {})) },
+                    { name: `${name}.prj`, data: textEncoder.encode(system.prj) },
+                    { name: `${name}.cpg`, data: textEncoder.encode('UTF-8') }
+                );
+            }
+        }
+
+        return this.writeZip(files);
+    }
+
+    /**
+     * Features by shapefile family (polygon, line, point); features without a usable geometry
+     * are kept as null shapes in the first group so their attributes are not lost
+     * @returns {Map<string, Object[]>}
+     */
+    groupByShapeFamily(features) {
+        const groups = new Map();
+        const nulls = [];
+        for (const family of ['polygon', 'line', 'point']) groups.set(family, []);
+        for (const feature of features) {
+            const family = SHAPE_FAMILIES[feature.geometry?.type];
+            if (family) groups.get(family).push(feature);
+            else nulls.push(feature);
+        }
+
+        for (const [family, list] of groups) {
+            if (list.length === 0) groups.delete(family);
+        }
+        if (nulls.length > 0) {
+            if (groups.size === 0) groups.set('null', nulls);
+            else groups.values().next().value.push(...nulls);
+        }
+        return groups;
+    }
+
+    fileSafeName(name) {
+        return String(name || 'features').replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'features';
+    }
+
+    /**
+     * .shp and .shx content for features of one family
+     */
+    writeShp(features, family) {
+        const shapeType = family === 'point' && features.some(f => f.geometry?.type === 'MultiPoint')
+            ? SHAPE_TYPES.multipoint
+            : SHAPE_TYPES[family];
+
+        const records = features.map(feature => this.shapeRecord(feature.geometry, shapeType));
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        for (const record of records) {
+            if (!record.bbox) continue;
+            bbox[0] = Math.min(bbox[0], record.bbox[0]);
+            bbox[1] = Math.min(bbox[1], record.bbox[1]);
+            bbox[2] = Math.max(bbox[2], record.bbox[2]);
+            bbox[3] = Math.max(bbox[3], record.bbox[3]);
+        }
+        if (bbox[0] === Infinity) bbox.fill(0);
+
+        const shpLength = 100 + records.reduce((sum, record) => sum + 8 + record.content.length, 0);
+        const shp = new Uint8Array(shpLength);
+        const shx = new Uint8Array(100 + records.length * 8);
+        this.writeShpHeader(new DataView(shp.buffer), shpLength, shapeType, bbox);
+        this.writeShpHeader(new DataView(shx.buffer), shx.length, shapeType, bbox);
+
+        const shpView = new DataView(shp.buffer);
+        const shxView = new DataView(shx.buffer);
+        let offset = 100;
+        records.forEach((record, i) => {
+            shxView.setInt32(100 + i * 8, offset / 2);
+            shxView.setInt32(104 + i * 8, record.content.length / 2);
+            shpView.setInt32(offset, i + 1);
+            shpView.setInt32(offset + 4, record.content.length / 2);
+            shp.set(record.content, offset + 8);
+            offset += 8 + record.content.length;
+        });
+
+        return { shp, shx };
+    }
+
+    /**
+     * 100-byte main file header (lengths are in 16-bit words, big-endian; the rest little-endian)
+     */
+    writeShpHeader(view, length, shapeType, bbox) {
+        view.setInt32(0, 9994);
+        view.setInt32(24, length / 2);
+        view.setInt32(28, 1000, true);
+        view.setInt32(32, shapeType, true);
+        bbox.forEach((value, i) => view.setFloat64(36 + i * 8, value, true));
+    }
+
+    /**
+     * Record content for a geometry
+     * @returns {{content: Uint8Array, bbox: number[]|null}}
+     */
+    shapeRecord(geometry, shapeType) {
+        let parts;
+        switch (geometry?.type) {
+            case 'Point':
+                parts = geometry.coordinates.length ? [[geometry.coordinates]] : [];
+                break;
+            case 'MultiPoint':
+                parts = geometry.coordinates.map(c => [c]);
+                break;
+            case 'LineString':
+                parts = [geometry.coordinates];
+                break;
+            case 'MultiLineString':
+                parts = geometry.coordinates;
+                break;
+            case 'Polygon':
+                parts = this.orientRings(geometry.coordinates);
+                break;
+            case 'MultiPolygon':
+                parts = geometry.coordinates.flatMap(rings => this.orientRings(rings));
+                break;
+            default:
+                parts = [];
+        }
+        parts = parts.filter(part => part.length > 0);
+
+        if (parts.length === 0) {
+            const content = new Uint8Array(4);
+            new DataView(content.buffer).setInt32(0, SHAPE_TYPES.null, true);
+            return { content, bbox: null };
+        }
+
+        const points = parts.flat();
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        for (const [x, y] of points) {
+            bbox[0] = Math.min(bbox[0], x);
+            bbox[1] = Math.min(bbox[1], y);
+            bbox[2] = Math.max(bbox[2], x);
+            bbox[3] = Math.max(bbox[3], y);
+        }
+
+        if (shapeType === SHAPE_TYPES.point) {
+            const content = new Uint8Array(20);
+            const view = new DataView(content.buffer);
+            view.setInt32(0, shapeType, true);
+            view.setFloat64(4, points[0][0], true);
+            view.setFloat64(12, points[0][1], true);
+            return { content, bbox };
+        }
+
+        if (shapeType === SHAPE_TYPES.multipoint) {
+            const content = new Uint8Array(40 + points.length * 16);
+            const view = new DataView(content.buffer);
+            view.setInt32(0, shapeType, true);
+            bbox.forEach((value, i) => view.setFloat64(4 + i * 8, value, true));
+            view.setInt32(36, points.length, true);
+            points.forEach((p, i) => {
+                view.setFloat64(40 + i * 16, p[0], true);
+                view.setFloat64(48 + i * 16, p[1], true);
+            });
+            return { content, bbox };
+        }
+
+        // PolyLine and Polygon: parts index into one point array
+        const pointsOffset = 44 + parts.length * 4;
+        const content = new Uint8Array(pointsOffset + points.length * 16);
+        const view = new DataView(content.buffer);
+        view.setInt32(0, shapeType, true);
+        bbox.forEach((value, i) => view.setFloat64(4 + i * 8, value, true));
+        view.setInt32(36, parts.length, true);
+        view.setInt32(40, points.length, true);
+        let start = 0;
+        parts.forEach((part, i) => {
+            view.setInt32(44 + i * 4, start, true);
+            start += part.length;
+        });
+        points.forEach((p, i) => {
+            view.setFloat64(pointsOffset + i * 16, p[0], true);
+            view.setFloat64(pointsOffset + 8 + i * 16, p[1], true);
+        });
+        return { content, bbox };
+    }
+
+    /**
+     * Closed rings with the outer ring clockwise and holes anticlockwise, as shapefiles require
+     * (GeoJSON is the other way round)
+     */
+    orientRings(rings) {
+        return rings.filter(ring => ring.length > 0).map((ring, i) => {
+            const closed = ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]
+                ? ring
+                : [...ring, ring[0]];
+            let sum = 0;
+            for (let j = 1; j < closed.length; j++) {
+                sum += (closed[j][0] - closed[j - 1][0]) * (closed[j][1] + closed[j - 1][1]);
+            }
+            const clockwise = sum > 0;
+            return clockwise === (i === 0) ? closed : [...closed].reverse();
+        });
+    }
+
+    /**
+     * dBase III table of the properties
+     * Field names are cut to 10 characters (made unique); text is UTF-8, as the .cpg says
+     */
+    writeDbf(rows) {
+        const fields = this.getDbfFields(rows);
+        const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+        if (recordLength > 65535) throw new Error('Too many attribute columns for a shapefile');
+        const headerLength = 32 + fields.length * 32 + 1;
+        const dbf = new Uint8Array(headerLength + rows.length * recordLength + 1);
+        const view = new DataView(dbf.buffer);
+
+        const today = new Date();
+        view.setUint8(0, 0x03);
+        view.setUint8(1, today.getFullYear() - 1900);
+        view.setUint8(2, today.getMonth() + 1);
+        view.setUint8(3, today.getDate());
+        view.setUint32(4, rows.length, true);
+        view.setUint16(8, headerLength, true);
+        view.setUint16(10, recordLength, true);
+
+        fields.forEach((field, i) => {
+            const offset = 32 + i * 32;
+            dbf.set(textEncoder.encode(field.name), offset);
+            view.setUint8(offset + 11, field.type.charCodeAt(0));
+            view.setUint8(offset + 16, field.length);
+            view.setUint8(offset + 17, field.decimals);
+        });
+        dbf[headerLength - 1] = 0x0D;
+
+        rows.forEach((row, r) => {
+            let offset = headerLength + r * recordLength;
+            dbf[offset++] = 0x20;  // not deleted
+            for (const field of fields) {
+                dbf.set(this.dbfValue(row[field.property], field), offset);
+                offset += field.length;
+            }
+        });
+        dbf[dbf.length - 1] = 0x1A;
+        return dbf;
+    }
+
+    /**
+     * Field definitions: logical for booleans, numeric where every value fits, otherwise text
+     */
+    getDbfFields(rows) {
+        const properties = [];
+        const seen = new Set();
+        for (const row of rows) {
+            for (const key of Object.keys(row)) {
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    properties.push(key);
+                }
+            }
+        }
+
+        const usedNames = new Set();
+        return properties.map(property => {
+            const values = rows.map(row => row[property]).filter(value => value != null);
+            const field = { property, name: this.dbfFieldName(property, usedNames), decimals: 0 };
+
+            if (values.length > 0 && values.every(value => typeof value === 'boolean')) {
+                return { ...field, type: 'L', length: 1 };
+            }
+
+            if (values.length > 0 && values.every(value => typeof value === 'number' && Number.isFinite(value))) {
+                const decimals = Math.min(8, Math.max(0, ...values.map(value => (String(value).split('.')[1] || '').length)));
+                const length = Math.max(...values.map(value => value.toFixed(decimals).length));
+                if (length <= DBF_MAX_NUMBER && !values.some(value => /e/i.test(String(value)))) {
+                    return { ...field, type: 'N', length, decimals };
+                }
+            }
+
+            const length = Math.max(1, ...values.map(value => this.dbfText(value).length));
+            return { ...field, type: 'C', length: Math.min(length, DBF_MAX_TEXT) };
+        });
+    }
+
+    /**
+     * Unique field name of up to 10 ASCII characters
+     */
+    dbfFieldName(property, usedNames) {
+        const base = (property.replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+/, '') || 'field').slice(0, 10);
+        let name = base;
+        for (let n = 1; usedNames.has(name.toUpperCase()); n++) {
+            const suffix = `_${n}`;
+            name = base.slice(0, 10 - suffix.length) + suffix;
+        }
+        usedNames.add(name.toUpperCase());
+        return name;
+    }
+
+    dbfText(value) {
+        return textEncoder.encode(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+
+    /**
+     * Field bytes for a value: numbers right-aligned, text left-aligned, both space-padded
+     */
+    dbfValue(value, field) {
+        const bytes = new Uint8Array(field.length).fill(0x20);
+        if (field.type === 'L') {
+            bytes[0] = value == null ? 0x3F : value ? 0x54 : 0x46;  // ? T F
+        } else if (value != null && field.type === 'N') {
+            const text = textEncoder.encode(value.toFixed(field.decimals));
+            bytes.set(text, field.length - text.length);
+        } else if (value != null) {
+            let text = this.dbfText(value);
+            if (text.length > field.length) {
+                // Cut on a character boundary
+                let end = field.length;
+                while (end > 0 && (text[end] & 0xC0) === 0x80) end--;
+                text = text.subarray(0, end);
+            }
+            bytes.set(text, 0);
+        }
+        return bytes;
+    }
+
+    // ============================================
+    // Zip
+    // ============================================
+
+    /**
+     * Zip archive of files, deflated where the browser can compress
+     * @param {{name: string, data: Uint8Array}[]} files
+     * @returns {Promise<Uint8Array>}
+     */
+    async writeZip(files) {
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const entries = [];
+        let offset = 0;
+        for (const file of files) {
+            const name = textEncoder.encode(file.name);
+            const compressed = await this.deflate(file.data);
+            const method = compressed && compressed.length < file.data.length ? 8 : 0;
+            const data = method === 8 ? compressed : file.data;
+
+            const header = new Uint8Array(30 + name.length);
+            const view = new DataView(header.buffer);
+            view.setUint32(0, 0x04034B50, true);
+            view.setUint16(4, 20, true);
+            view.setUint16(6, 0x0800, true);  // UTF-8 names
+            view.setUint16(8, method, true);
+            view.setUint16(10, time, true);
+            view.setUint16(12, date, true);
+            view.setUint32(14, this.crc32(file.data), true);
+            view.setUint32(18, data.length, true);
+            view.setUint32(22, file.data.length, true);
+            view.setUint16(26, name.length, true);
+            header.set(name, 30);
+
+            entries.push({ name, header, data, offset });
+            offset += header.length + data.length;
+        }
+
+        const directory = entries.map(entry => {
+            const record = new Uint8Array(46 + entry.name.length);
+            const view = new DataView(record.buffer);
+            view.setUint32(0, 0x02014B50, true);
+            view.setUint16(4, 20, true);
+            record.set(entry.header.subarray(4, 30), 6);  // version needed through name length
+            view.setUint32(42, entry.offset, true);
+            record.set(entry.name, 46);
+            return record;
+        });
+        const directorySize = directory.reduce((sum, record) => sum + record.length, 0);
+
+        const end = new Uint8Array(22);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054B50, true);
+        endView.setUint16(8, entries.length, true);
+        endView.setUint16(10, entries.length, true);
+        endView.setUint32(12, directorySize, true);
+        endView.setUint32(16, offset, true);
+
+        const parts = [...entries.flatMap(entry => [entry.header, entry.data]), ...directory, end];
+        const zip = new Uint8Array(offset + directorySize + end.length);
+        let position = 0;
+        for (const part of parts) {
+            zip.set(part, position);
+            position += part.length;
+        }
+        return zip;
+    }
+
+    /**
+     * Raw deflate, or null where the browser has no CompressionStream
+     */
+    async deflate(data) {
+        if (typeof CompressionStream === 'undefined') return null;
+        try {
+            const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (err) {
+            return null;
+        }
+    }
+
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// Export singleton
+const featureExport = new FeatureExport();
+export default featureExport;
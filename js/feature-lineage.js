@@ -0,0 +1,82 @@
+/**
+ * NI Boundaries - Feature Lineage
+ * Walks a feature's time-series chain to find the earlier and later features that overlap it.
+ * Only the features whose bboxes touch the clicked one are fetched from each vintage.
+ */
+
+import dataService from './data-service.js';
+import pointLookup from './point-lookup.js';
+import boundaryDiff from './boundary-diff.js';
+
+const CONCURRENT_MAPS = 4;
+const MIN_OVERLAP_SHARE = 0.02;  // Ignore digitising slivers along shared edges
+
+class FeatureLineage {
+    /**
+     * Find the predecessor and successor features of a feature
+     * @param {string} mapId - map the feature belongs to
+     * @param {Object} feature - GeoJSON feature with polygon geometry
+     * @returns {Promise<{predecessors: Object[], successors: Object[]}>}
+     *   Each entry: { mapId, mapName, date, timestamp, featureName, share, shareOfOther, feature }
+     *   share is the fraction of the given feature covered, shareOfOther the fraction of the
+     *   other feature. Predecessors are nearest first, successors oldest first.
+     */
+    async getLineage(mapId, feature) {
+        const lineage = { predecessors: [], successors: [] };
+        if (!feature?.geometry?.type?.includes('Polygon')) return lineage;
+
+        const map = dataService.getMapById(mapId);
+        const timestamp = dataService.parseMapDate(map?.date);
+        const maps = dataService.getLineageMaps(mapId)
+            .filter(entry => entry.map.id !== mapId && entry.map.id !== map?.cloneOf && !entry.map.placeholder &&
+                entry.timestamp != null && entry.timestamp !== timestamp);
+        if (timestamp == null || maps.length === 0) return lineage;
+
+        const bbox = turf.bbox(feature);
+        const area = turf.area(feature);
+
+        const checkMap = async ({ map: other, timestamp: otherTimestamp }) => {
+            let candidates;
+            try {
+                candidates = await pointLookup.getFeaturesInBBox(other, bbox);
+            } catch (err) {
+                console.warn(`[FeatureLineage] ${other.id} failed:`, err.message);
+                return;
+            }
+
+            for (const candidate of candidates) {
+                if (!candidate.geometry?.type?.includes('Polygon')) continue;
+
+                const overlap = boundaryDiff.intersectionArea(feature, candidate);
+                const share = overlap / area;
+                const shareOfOther = overlap / turf.area(candidate);
+                if (share < MIN_OVERLAP_SHARE && shareOfOther < MIN_OVERLAP_SHARE) continue;
+
+                const props = candidate.properties || {};
+                const list = otherTimestamp < timestamp ? lineage.predecessors : lineage.successors;
+                list.push({
+                    mapId: other.id,
+                    mapName: other.name || other.id,
+                    date: other.date ?? null,
+                    timestamp: otherTimestamp,
+                    featureName: props[other.labelProperty] ?? props.name ?? props.NAME ?? 'Unnamed feature',
+                    share,
+                    shareOfOther,
+                    feature: candidate
+                });
+            }
+        };
+
+        for (let i = 0; i < maps.length; i += CONCURRENT_MAPS) {
+            await Promise.all(maps.slice(i, i + CONCURRENT_MAPS).map(checkMap));
+        }
+
+        lineage.predecessors.sort((a, b) => b.timestamp - a.timestamp || b.share - a.share);
+        lineage.successors.sort((a, b) => a.timestamp - b.timestamp || b.share - a.share);
+        return lineage;
+    }
+}
+
+// Export singleton
+const featureLineage = new FeatureLineage();
+export default featureLineage;
@@ -1,33 +1,88 @@
 /**
  * NI Boundaries - Feature Loader
  * Handles viewport-aware loading of pre-processed per-feature JSON files with LOD support.
+ *
+ * Spatial queries use per-map packed R-trees (data/database/rtree/<mapId>.bin) built over
+ * every feature of the map's data file, listed in data/database/rtree/index.json. The name
+ * index (data/database/spatial-index.json) is then only fetched for search; without the
+ * tree manifest it is loaded up front and doubles as the spatial index.
  */
 
+import PackedRTree from './packed-rtree.js';
+import downloadCache from './download-cache.js';
+
 const FEATURE_THRESHOLD = 50;  // Only use LOD loading for maps with >50 features
 const CONCURRENT_LOADS = 50;   // Max parallel fetch requests
 const VIEWPORT_BUFFER = 0.2;   // 20% buffer around viewport
+const DEFAULT_CACHE_BUDGET = 64 * 1024 * 1024;  // Approximate bytes of feature JSON to keep
+const TREE_DIR = 'data/database/rtree';
 
 class FeatureLoader {
     constructor() {
         this.spatialIndex = null;
         this.spatialIndexByMap = new Map();  // mapId -> [features]
-        this.loadedFeatures = new Map();     // "mapId:index:lod" -> L.geoJSON layer
+        this.loadedFeatures = new Map();     // "mapId:index:lod" -> GeoJSON, least recently used first
+        this.featureSizes = new Map();       // "mapId:index:lod" -> approximate bytes
+        this.featureBboxes = new Map();      // "mapId:index" -> bbox
+        this.cacheBudget = DEFAULT_CACHE_BUDGET;
+        this.cacheBytes = 0;
+        this.cacheStats = { hits: 0, misses: 0, evictions: 0, evictedBytes: 0 };
+        this.viewportBounds = null;          // Buffered viewport - features inside are never evicted
+        this.onEvict = null;                 // (mapId, index, lod, geojson) => void
         this.pendingLoads = new Map();       // URL -> Promise
+        this.treeManifest = null;            // mapId -> { count, lod } from rtree/index.json
+        this.trees = new Map();              // mapId -> PackedRTree, or null if unavailable
+        this.pendingTrees = new Map();       // mapId -> Promise
+        this.namesPromise = null;            // Pending or settled load of the name index
+        this.initPromise = null;
+        this.nameIndex = [];                 // [{ token, index }] sorted by token
         this.initialized = false;
     }
 
     /**
-     * Load the spatial index from disk
+     * Load the R-tree manifest, or the spatial index where there are no trees
      */
-    async init() {
-        if (this.initialized) return;
+    init() {
+        if (!this.initPromise) {
+            this.initPromise = this.loadIndexes();
+        }
+        return this.initPromise;
+    }
+
+    async loadIndexes() {
+        try {
+            const response = await fetch(`${TREE_DIR}/index.json?v=${this.getCacheBuster()}`);
+            if (response.ok) {
+                const data = await response.json();
+                this.treeManifest = new Map(Object.entries(data.maps || {}));
+            }
+        } catch (err) {
+            console.warn('[FeatureLoader] Failed to load R-tree manifest:', err);
+        }
 
-        // Add cache-busting for development - use URL search param or timestamp
-        const urlParams = new URLSearchParams(window.location.search);
-        const cacheBuster = urlParams.get('v') || Date.now();
+        if (this.treeManifest) {
+            this.initialized = true;
+            console.log(`[FeatureLoader] Loaded R-tree manifest: ${this.treeManifest.size} maps`);
+            return;
+        }
+
+        await this.loadNameIndex();
+        this.initialized = this.spatialIndex !== null;
+    }
+
+    /**
+     * Load the name index (spatial-index.json) once; resolves when loaded or failed
+     */
+    loadNameIndex() {
+        if (!this.namesPromise) {
+            this.namesPromise = this.fetchNameIndex();
+        }
+        return this.namesPromise;
+    }
 
+    async fetchNameIndex() {
         try {
-            const response = await fetch(`data/database/spatial-index.json?v=${cacheBuster}`);
+            const response = await fetch(`data/database/spatial-index.json?v=${this.getCacheBuster()}`);
             if (!response.ok) {
                 console.warn('[FeatureLoader] Spatial index not found');
                 return;
@@ -42,20 +97,35 @@ class FeatureLoader {
                     this.spatialIndexByMap.set(feature.mapId, []);
                 }
                 this.spatialIndexByMap.get(feature.mapId).push(feature);
+                if (feature.id != null) {
+                    this.featureBboxes.set(feature.id, feature.bbox);
+                }
             }
 
-            this.initialized = true;
+            this.buildNameIndex();
             console.log(`[FeatureLoader] Loaded spatial index: ${this.spatialIndex.length} features across ${this.spatialIndexByMap.size} maps`);
         } catch (err) {
             console.warn('[FeatureLoader] Failed to load spatial index:', err);
         }
     }
 
+    /**
+     * Cache-busting for development - use URL search param or timestamp
+     */
+    getCacheBuster() {
+        return new URLSearchParams(window.location.search).get('v') || Date.now();
+    }
+
     /**
      * Check if a map supports per-feature loading
      */
     supportsLOD(mapId) {
         if (!this.initialized) return false;
+
+        // Tree items are positions in the data file, which per-feature files are numbered by
+        const entry = this.treeManifest?.get(mapId);
+        if (entry) return Boolean(entry.lod) && entry.count >= FEATURE_THRESHOLD;
+
         const features = this.spatialIndexByMap.get(mapId);
         // Features must have 'id' field (format "mapId:index") for per-feature loading
         // Features without 'id' were indexed for search/bbox only
@@ -66,7 +136,15 @@ class FeatureLoader {
      * Get feature count for a map
      */
     getFeatureCount(mapId) {
-        return this.spatialIndexByMap.get(mapId)?.length || 0;
+        return this.treeManifest?.get(mapId)?.count || this.spatialIndexByMap.get(mapId)?.length || 0;
+    }
+
+    /**
+     * Whether spatial queries return every feature of a map, so an empty result means none
+     * True once the map's R-tree has loaded - the name index skips unnamed and duplicate names
+     */
+    isIndexComplete(mapId) {
+        return Boolean(this.trees.get(mapId));
     }
 
     /**
@@ -94,19 +172,66 @@ class FeatureLoader {
         );
     }
 
+    /**
+     * Load the packed R-tree for a map (data/database/rtree/<mapId>.bin)
+     * Resolves to null if the map has no tree; queries then fall back to the name index
+     */
+    async loadTree(mapId) {
+        if (this.trees.has(mapId)) return this.trees.get(mapId);
+        if (this.pendingTrees.has(mapId)) return this.pendingTrees.get(mapId);
+
+        await this.init();
+        const expected = this.treeManifest?.get(mapId)?.count;
+        if (!expected) {
+            this.trees.set(mapId, null);
+            return null;
+        }
+
+        const promise = fetch(`${TREE_DIR}/${mapId}.bin`)
+            .then(res => {
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                return res.arrayBuffer();
+            })
+            .then(buffer => {
+                const tree = new PackedRTree(buffer);
+                // Tree items are positions in the map's data file
+                if (tree.numItems !== expected) {
+                    throw new Error(`tree has ${tree.numItems} items, manifest has ${expected}`);
+                }
+                return tree;
+            })
+            .catch(err => {
+                console.warn(`[FeatureLoader] No R-tree for ${mapId}:`, err.message);
+                return null;
+            })
+            .then(tree => {
+                this.trees.set(mapId, tree);
+                this.pendingTrees.delete(mapId);
+                return tree;
+            });
+
+        this.pendingTrees.set(mapId, promise);
+        return promise;
+    }
+
     /**
      * Get features that intersect with given bounds
      */
     getFeaturesInBounds(mapId, bounds) {
-        const features = this.spatialIndexByMap.get(mapId);
-        if (!features) return [];
-
         const bufferedBounds = this.getBufferedBounds(bounds);
         const minLng = bufferedBounds.getWest();
         const maxLng = bufferedBounds.getEast();
         const minLat = bufferedBounds.getSouth();
         const maxLat = bufferedBounds.getNorth();
 
+        const tree = this.trees.get(mapId);
+        if (tree) {
+            return tree.searchItems(minLng, minLat, maxLng, maxLat).map(item => this.toTreeEntry(mapId, item));
+        }
+
+        const features = this.spatialIndexByMap.get(mapId);
+        if (!features) return [];
+
         return features.filter(f => {
             const [fMinLng, fMinLat, fMaxLng, fMaxLat] = f.bbox;
             // Check if bboxes intersect
@@ -114,6 +239,34 @@ class FeatureLoader {
         });
     }
 
+    /**
+     * Get features whose bounding boxes contain a point
+     * Candidates only - callers test the actual geometry
+     */
+    getFeaturesAtPoint(mapId, lng, lat) {
+        const tree = this.trees.get(mapId);
+        if (tree) {
+            return tree.searchItems(lng, lat, lng, lat).map(item => this.toTreeEntry(mapId, item));
+        }
+
+        const features = this.spatialIndexByMap.get(mapId);
+        if (!features) return [];
+
+        return features.filter(f => {
+            const [minLng, minLat, maxLng, maxLat] = f.bbox;
+            return lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat;
+        });
+    }
+
+    /**
+     * Index entry for an R-tree item, in the spatial index's { id, mapId, bbox } form
+     */
+    toTreeEntry(mapId, { index, bbox }) {
+        const id = `${mapId}:${index}`;
+        this.featureBboxes.set(id, bbox);
+        return { id, mapId, bbox };
+    }
+
     /**
      * Parse feature index from id (format: "mapId:index")
      */
@@ -129,9 +282,13 @@ class FeatureLoader {
         const url = `data/features/${mapId}/${index}-lod-${lod}.json`;
         const cacheKey = `${mapId}:${index}:${lod}`;
 
-        // Check if already loaded
+        // Check if already loaded - re-insert to mark as most recently used
         if (this.loadedFeatures.has(cacheKey)) {
-            return this.loadedFeatures.get(cacheKey);
+            const cached = this.loadedFeatures.get(cacheKey);
+            this.loadedFeatures.delete(cacheKey);
+            this.loadedFeatures.set(cacheKey, cached);
+            this.cacheStats.hits++;
+            return cached;
         }
 
         // Check if already loading
@@ -140,13 +297,13 @@ class FeatureLoader {
         }
 
         // Fetch the feature
-        const promise = fetch(url)
-            .then(res => {
-                if (!res.ok) throw new Error(`HTTP ${res.status}`);
-                return res.json();
-            })
-            .then(geojson => {
+        this.cacheStats.misses++;
+        const promise = downloadCache.fetchText(url, { mapId })
+            .then(text => {
+                const geojson = JSON.parse(text);
                 this.loadedFeatures.set(cacheKey, geojson);
+                this.featureSizes.set(cacheKey, text.length);
+                this.cacheBytes += text.length;
                 this.pendingLoads.delete(url);
                 return geojson;
             })
@@ -175,9 +332,105 @@ class FeatureLoader {
             results.push(...batchResults.filter(r => r !== null));
         }
 
+        this.enforceBudget();
         return results;
     }
 
+    /**
+     * Record the current viewport so eviction keeps what is on screen
+     */
+    setViewport(bounds) {
+        this.viewportBounds = bounds ? this.getBufferedBounds(bounds) : null;
+    }
+
+    /**
+     * Set the cache budget in bytes and evict down to it
+     */
+    setCacheBudget(bytes) {
+        this.cacheBudget = Math.max(0, bytes);
+        this.enforceBudget();
+    }
+
+    /**
+     * Evict least recently used features until the cache fits its budget
+     * Features in the buffered viewport are kept even if that leaves the cache over budget
+     */
+    enforceBudget() {
+        if (this.cacheBytes <= this.cacheBudget) return;
+
+        for (const key of Array.from(this.loadedFeatures.keys())) {
+            if (this.cacheBytes <= this.cacheBudget) break;
+
+            const [mapId, index, lod] = this.parseCacheKey(key);
+            if (this.isInViewport(mapId, index)) continue;
+
+            const geojson = this.loadedFeatures.get(key);
+            const bytes = this.removeCached(key);
+            this.cacheStats.evictions++;
+            this.cacheStats.evictedBytes += bytes;
+
+            if (this.onEvict) {
+                this.onEvict(mapId, index, lod, geojson);
+            }
+        }
+
+        if (this.cacheBytes > this.cacheBudget) {
+            console.log(`[FeatureLoader] Cache over budget with on-screen features (${this.formatBytes(this.cacheBytes)} / ${this.formatBytes(this.cacheBudget)})`);
+        }
+    }
+
+    /**
+     * Check whether a feature's bbox intersects the buffered viewport
+     */
+    isInViewport(mapId, index) {
+        if (!this.viewportBounds) return false;
+        const bbox = this.featureBboxes.get(`${mapId}:${index}`);
+        if (!bbox) return false;
+
+        const [minLng, minLat, maxLng, maxLat] = bbox;
+        return !(maxLng < this.viewportBounds.getWest() || minLng > this.viewportBounds.getEast() ||
+            maxLat < this.viewportBounds.getSouth() || minLat > this.viewportBounds.getNorth());
+    }
+
+    /**
+     * Split a cache key ("mapId:index:lod") - map IDs never contain colons
+     */
+    parseCacheKey(key) {
+        const [mapId, index, lod] = key.split(':');
+        return [mapId, parseInt(index, 10), parseInt(lod, 10)];
+    }
+
+    /**
+     * Remove a cached feature and return the bytes freed
+     */
+    removeCached(key) {
+        const bytes = this.featureSizes.get(key) || 0;
+        this.loadedFeatures.delete(key);
+        this.featureSizes.delete(key);
+        this.cacheBytes -= bytes;
+        return bytes;
+    }
+
+    /**
+     * Get cache statistics for display
+     */
+    getCacheStats() {
+        return {
+            entries: this.loadedFeatures.size,
+            bytes: this.cacheBytes,
+            budget: this.cacheBudget,
+            ...this.cacheStats
+        };
+    }
+
+    /**
+     * Format a byte count as KB/MB
+     */
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+
     /**
      * Get indices of features that need loading (not already loaded at same/better LOD)
      * Note: Higher LOD = more detail (LOD-2 is full res, LOD-0 is simplified)
@@ -206,32 +459,87 @@ class FeatureLoader {
     }
 
     /**
-     * Search features by name (case-insensitive, partial match)
-     * Returns: [{ id, mapId, name, bbox }]
+     * Build a sorted word index over feature names for prefix lookups
      */
-    searchFeaturesByName(query, limit = 20) {
-        if (!this.initialized || !query || query.length < 2) return [];
+    buildNameIndex() {
+        const entries = [];
+        this.spatialIndex.forEach((feature, index) => {
+            if (!feature.name) return;
+            const tokens = new Set(feature.name.toLowerCase().split(/[\s\-'’(),/]+/).filter(Boolean));
+            for (const token of tokens) {
+                entries.push({ token, index });
+            }
+        });
 
-        const lowerQuery = query.toLowerCase();
-        const results = [];
+        entries.sort((a, b) => (a.token < b.token ? -1 : a.token > b.token ? 1 : a.index - b.index));
+        this.nameIndex = entries;
+    }
 
-        for (const feature of this.spatialIndex) {
-            if (feature.name && feature.name.toLowerCase().includes(lowerQuery)) {
-                results.push(feature);
-                if (results.length >= limit) break;
+    /**
+     * Search features by name (case-insensitive substring match)
+     * Names with a word starting with the query come first, found through the word index and
+     * ranked over all of them: exact names, then names starting with the query, then the rest.
+     * If they do not fill the limit, a scan adds names containing the query anywhere
+     * (e.g. "more" in "Ballymore"). Ties keep spatial index order.
+     * filter: optional (feature) => boolean, applied before the limit
+     * Returns: [{ id, mapId, name, bbox }]
+     */
+    searchFeaturesByName(query, limit = 20, filter = null) {
+        if (!this.spatialIndex || !query || query.length < 2) return [];
+
+        const lowerQuery = query.toLowerCase().trim();
+        const firstWord = lowerQuery.split(/[\s\-'’(),/]+/).filter(Boolean)[0];
+        if (!firstWord) return [];
+
+        // Binary search for the first token >= firstWord
+        let lo = 0;
+        let hi = this.nameIndex.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.nameIndex[mid].token < firstWord) lo = mid + 1;
+            else hi = mid;
+        }
+
+        const matches = new Set();
+        for (let i = lo; i < this.nameIndex.length && this.nameIndex[i].token.startsWith(firstWord); i++) {
+            const index = this.nameIndex[i].index;
+            const feature = this.spatialIndex[index];
+            if (feature.name.toLowerCase().includes(lowerQuery) && (!filter || filter(feature))) {
+                matches.add(index);
             }
         }
 
-        return results;
+        const rank = (index) => {
+            const name = this.spatialIndex[index].name.toLowerCase();
+            if (name === lowerQuery) return 0;
+            return name.startsWith(lowerQuery) ? 1 : 2;
+        };
+        const results = Array.from(matches)
+            .map(index => ({ index, rank: rank(index) }))
+            .sort((a, b) => a.rank - b.rank || a.index - b.index)
+            .slice(0, limit)
+            .map(match => match.index);
+        if (results.length >= limit) {
+            return results.map(index => this.spatialIndex[index]);
+        }
+
+        // Substring fallback for matches inside a word
+        for (let index = 0; index < this.spatialIndex.length && results.length < limit; index++) {
+            const feature = this.spatialIndex[index];
+            if (matches.has(index) || !feature.name?.toLowerCase().includes(lowerQuery)) continue;
+            if (!filter || filter(feature)) results.push(index);
+        }
+
+        return results.map(index => this.spatialIndex[index]);
     }
 
     /**
      * Clear loaded features for a map
      */
     clearMap(mapId) {
-        for (const key of this.loadedFeatures.keys()) {
+        for (const key of Array.from(this.loadedFeatures.keys())) {
             if (key.startsWith(mapId + ':')) {
-                this.loadedFeatures.delete(key);
+                this.removeCached(key);
             }
         }
     }
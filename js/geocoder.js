@@ -0,0 +1,242 @@
+/**
+ * NI Boundaries - Geocoder
+ * Place search behind a provider interface. The local gazetteer (townlands, settlements
+ * and parishes from the spatial index) always runs and works offline; remote providers
+ * such as Nominatim are optional and only queried when enabled.
+ *
+ * A provider is { id, name, remote, search(query, { limit, signal }) } resolving to
+ * results of the form { name, displayName, lat, lon, type, bbox, source }.
+ */
+
+import dataService from './data-service.js';
+import featureLoader from './feature-loader.js';
+import projections from './projections.js';
+
+const GAZETTEER_CATEGORIES = ['townlands', 'settlements', 'civil-parishes'];
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+const REMOTE_SETTING_KEY = 'ni-boundaries.remoteGeocoder';
+const REMOTE_URL_KEY = 'ni-boundaries.geocoderUrl';  // Nominatim-compatible endpoint set in Settings
+
+/**
+ * Local gazetteer built from feature names in the spatial index
+ */
+class LocalGazetteer {
+    constructor() {
+        this.id = 'local';
+        this.name = 'Local gazetteer';
+        this.remote = false;
+    }
+
+    async search(query, { limit = 5 } = {}) {
+        const q = query.trim().toLowerCase();
+        await featureLoader.loadNameIndex();
+        // Exact names come first, then prefixes, then other matches - the loader ranks them
+        // all before the limit, so duplicates across vintages cannot crowd out exact names
+        const features = featureLoader.searchFeaturesByName(q, limit * 40, (feature) =>
+            GAZETTEER_CATEGORIES.includes(dataService.getMapById(feature.mapId)?.category));
+
+        // The same place appears in several vintages - keep one per name and location
+        const seen = new Set();
+        const results = [];
+        for (const feature of features) {
+            if (!feature.bbox?.every(Number.isFinite)) continue;
+
+            const [minX, minY, maxX, maxY] = feature.bbox;
+            const lat = (minY + maxY) / 2;
+            const lon = (minX + maxX) / 2;
+            const key = `${feature.name.toLowerCase()}|${lat.toFixed(2)}|${lon.toFixed(2)}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            const map = dataService.getMapById(feature.mapId);
+            const category = dataService.getMapCategories().find(c => c.id === map?.category);
+            results.push({
+                name: feature.name,
+                displayName: `${feature.name}, ${map?.name || feature.mapId}`,
+                lat,
+                lon,
+                type: category?.name || 'Place',
+                bbox: feature.bbox,
+                source: this.id
+            });
+            if (results.length >= limit) break;
+        }
+        return results;
+    }
+}
+
+/**
+ * Typed positions: Irish Grid references ("J 336 745"), Irish Grid or ITM eastings and
+ * northings, and latitude/longitude
+ */
+class CoordinateProvider {
+    constructor() {
+        this.id = 'coordinates';
+        this.name = 'Coordinates';
+        this.remote = false;
+    }
+
+    async search(query) {
+        return projections.parseCoordinates(query).map(position => ({
+            name: position.label,
+            displayName: position.label,
+            lat: position.lat,
+            lon: position.lon,
+            type: projections.getSystem(position.crs).label,
+            bbox: null,
+            source: this.id
+        }));
+    }
+}
+
+/**
+ * Nominatim (OpenStreetMap) search API, or any server implementing its /search endpoint
+ */
+class NominatimProvider {
+    constructor(url = NOMINATIM_URL) {
+        this.id = 'nominatim';
+        this.name = 'OpenStreetMap (Nominatim)';
+        this.remote = true;
+        this.url = url;
+    }
+
+    async search(query, { limit = 5, signal = null } = {}) {
+        const params = new URLSearchParams({
+            q: query,
+            format: 'json',
+            countrycodes: 'gb,ie',
+            limit: String(limit),
+            addressdetails: '1'
+        });
+        const response = await fetch(`${this.url}?${params}`, {
+            headers: { 'Accept': 'application/json' },
+            signal
+        });
+        if (!response.ok) throw new Error(`Geocoding failed (HTTP ${response.status})`);
+
+        const data = await response.json();
+        return (data || []).map(place => {
+            const [south, north, west, east] = (place.boundingbox || []).map(Number);
+            return {
+                name: place.name || place.display_name.split(',')[0],
+                displayName: this.formatAddress(place),
+                lat: parseFloat(place.lat),
+                lon: parseFloat(place.lon),
+                type: place.type ? place.type.replace(/_/g, ' ') : '',
+                bbox: place.boundingbox ? [west, south, east, north] : null,
+                source: this.id
+            };
+        });
+    }
+
+    /**
+     * Build a short display name from Nominatim address details
+     */
+    formatAddress(place) {
+        const addr = place.address;
+        if (!addr) return place.display_name;
+
+        const parts = [];
+        if (addr.house_number && addr.road) parts.push(`${addr.house_number} ${addr.road}`);
+        else if (addr.road) parts.push(addr.road);
+        else if (addr.name || addr.amenity || addr.building) parts.push(addr.name || addr.amenity || addr.building);
+        if (addr.suburb) parts.push(addr.suburb);
+        else if (addr.neighbourhood) parts.push(addr.neighbourhood);
+        if (addr.city) parts.push(addr.city);
+        else if (addr.town) parts.push(addr.town);
+        else if (addr.village) parts.push(addr.village);
+        if (addr.county) parts.push(addr.county);
+
+        return parts.length > 0 ? parts.join(', ') : place.display_name;
+    }
+}
+
+class Geocoder {
+    constructor() {
+        this.providers = [];
+        this.remoteEnabled = false;
+
+        let remoteUrl = null;
+        try {
+            this.remoteEnabled = localStorage.getItem(REMOTE_SETTING_KEY) === 'true';
+            remoteUrl = localStorage.getItem(REMOTE_URL_KEY);
+        } catch (e) { }
+
+        this.registerProvider(new CoordinateProvider());
+        this.registerProvider(new LocalGazetteer());
+        this.registerProvider(new NominatimProvider(remoteUrl || NOMINATIM_URL));
+    }
+
+    /**
+     * Add a provider (replacing any with the same ID)
+     */
+    registerProvider(provider) {
+        this.providers = this.providers.filter(p => p.id !== provider.id);
+        this.providers.push(provider);
+    }
+
+    /**
+     * Enable or disable remote providers (persisted)
+     */
+    setRemoteEnabled(enabled) {
+        this.remoteEnabled = enabled;
+        try {
+            localStorage.setItem(REMOTE_SETTING_KEY, String(enabled));
+        } catch (e) { }
+    }
+
+    /**
+     * Custom endpoint of the remote search provider, or '' for the OpenStreetMap server
+     */
+    getRemoteUrl() {
+        const url = this.providers.find(p => p.id === 'nominatim')?.url;
+        return url && url !== NOMINATIM_URL ? url : '';
+    }
+
+    /**
+     * Point the remote provider at another Nominatim-compatible /search URL (persisted)
+     * An empty value restores the public OpenStreetMap server; returns false if invalid
+     */
+    setRemoteUrl(url) {
+        const value = (url || '').trim();
+        if (value && !/^https?:\/\/\S+$/i.test(value)) return false;
+
+        this.registerProvider(new NominatimProvider(value || NOMINATIM_URL));
+        try {
+            if (value) localStorage.setItem(REMOTE_URL_KEY, value);
+            else localStorage.removeItem(REMOTE_URL_KEY);
+        } catch (e) { }
+        return true;
+    }
+
+    /**
+     * Providers that will be queried - remote ones only when enabled and online
+     */
+    getActiveProviders() {
+        return this.providers.filter(p => !p.remote || (this.remoteEnabled && navigator.onLine));
+    }
+
+    /**
+     * Search all active providers, local results first
+     * A failing provider is logged and skipped; AbortError is rethrown
+     */
+    async search(query, { limit = 5, signal = null } = {}) {
+        if (!query?.trim()) return [];
+
+        const results = await Promise.all(this.getActiveProviders().map(async (provider) => {
+            try {
+                return await provider.search(query, { limit, signal });
+            } catch (err) {
+                if (err.name === 'AbortError') throw err;
+                console.warn(`[Geocoder] ${provider.name} failed:`, err.message);
+                return [];
+            }
+        }));
+
+        return results.flat();
+    }
+}
+
+// Export singleton
+const geocoder = new Geocoder();
+export default geocoder;
@@ -0,0 +1,143 @@
+/**
+ * NI Boundaries - Geodesic
+ * Area and perimeter of polygons on the WGS 84 ellipsoid. Holes are subtracted from the area and
+ * MultiPolygon parts summed; every ring, holes included, counts towards the perimeter.
+ *
+ * Areas are spherical excess on the authalic sphere (the sphere with the ellipsoid's surface area,
+ * reached through authalic latitude), which keeps areas equal to the ellipsoid's. Edge lengths are
+ * ellipsoidal distances (Vincenty's inverse formula).
+ */
+
+const DEG = Math.PI / 180;
+
+// WGS 84
+const A = 6378137;
+const F = 1 / 298.257223563;
+const B = A * (1 - F);
+const E2 = F * (2 - F);
+const E = Math.sqrt(E2);
+
+const VINCENTY_TOLERANCE = 1e-12;   // Radians of longitude on the auxiliary sphere (~0.006 mm)
+const VINCENTY_ITERATIONS = 200;
+
+class Geodesic {
+    constructor() {
+        this.qp = this.authalicQ(1);
+        this.authalicRadius2 = A * A * this.qp / 2;   // m²
+    }
+
+    /**
+     * Area (m²) and perimeter (m) of a Polygon or MultiPolygon; null for other geometries
+     */
+    measure(geometry) {
+        let polygons;
+        if (geometry?.type === 'Polygon') polygons = [geometry.coordinates];
+        else if (geometry?.type === 'MultiPolygon') polygons = geometry.coordinates;
+        else return null;
+
+        let area = 0;
+        let perimeter = 0;
+        for (const rings of polygons || []) {
+            (rings || []).forEach((ring, i) => {
+                if (!ring || ring.length < 2) return;
+                const ringArea = this.ringArea(ring);
+                area += i === 0 ? ringArea : -ringArea;
+                perimeter += this.lineLength(ring);
+            });
+        }
+
+        return { area: Math.max(area, 0), perimeter };
+    }
+
+    /**
+     * Unsigned area of a ring of [lon, lat] positions (m²), closed or not
+     */
+    ringArea(ring) {
+        let excess = 0;
+        let previous = ring[ring.length - 1];
+        let [prevLambda, prevT] = [previous[0] * DEG, Math.tan(this.authalicLatitude(previous[1] * DEG) / 2)];
+
+        for (const point of ring) {
+            const lambda = point[0] * DEG;
+            const t = Math.tan(this.authalicLatitude(point[1] * DEG) / 2);
+            let dLambda = lambda - prevLambda;
+            if (dLambda > Math.PI) dLambda -= 2 * Math.PI;
+            else if (dLambda < -Math.PI) dLambda += 2 * Math.PI;
+
+            // Excess of the triangle between the edge and the equator, great-circle edges
+            excess += 2 * Math.atan2(Math.tan(dLambda / 2) * (prevT + t), 1 + prevT * t);
+            prevLambda = lambda;
+            prevT = t;
+        }
+
+        return Math.abs(excess) * this.authalicRadius2;
+    }
+
+    /**
+     * Length of a line of [lon, lat] positions along the ellipsoid (m)
+     */
+    lineLength(coords) {
+        let total = 0;
+        for (let i = 1; i < coords.length; i++) {
+            total += this.distance(coords[i - 1], coords[i]);
+        }
+        return total;
+    }
+
+    /**
+     * Ellipsoidal distance between two [lon, lat] positions (m), Vincenty's inverse formula
+     */
+    distance([lon1, lat1], [lon2, lat2]) {
+        if (lon1 === lon2 && lat1 === lat2) return 0;
+
+        const L = (lon2 - lon1) * DEG;
+        const U1 = Math.atan((1 - F) * Math.tan(lat1 * DEG));
+        const U2 = Math.atan((1 - F) * Math.tan(lat2 * DEG));
+        const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+        const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+        let lambda = L;
+        let sinSigma, cosSigma, sigma, cos2Alpha, cos2SigmaM;
+        for (let i = 0; i < VINCENTY_ITERATIONS; i++) {
+            const sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+            sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+            if (sinSigma === 0) return 0;
+            cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+            sigma = Math.atan2(sinSigma, cosSigma);
+            const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+            cos2Alpha = 1 - sinAlpha * sinAlpha;
+            cos2SigmaM = cos2Alpha === 0 ? 0 : cosSigma - 2 * sinU1 * sinU2 / cos2Alpha;   // Equatorial line
+            const C = F / 16 * cos2Alpha * (4 + F * (4 - 3 * cos2Alpha));
+            const previous = lambda;
+            lambda = L + (1 - C) * F * sinAlpha *
+                (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+            if (Math.abs(lambda - previous) < VINCENTY_TOLERANCE) break;
+        }
+        // Nearly antipodal points may not converge; the last estimate is far closer than boundary edges need
+
+        const u2 = cos2Alpha * (A * A - B * B) / (B * B);
+        const bigA = 1 + u2 / 16384 * (4096 + u2 * (-768 + u2 * (320 - 175 * u2)));
+        const bigB = u2 / 1024 * (256 + u2 * (-128 + u2 * (74 - 47 * u2)));
+        const deltaSigma = bigB * sinSigma * (cos2SigmaM + bigB / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+            bigB / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+
+        return B * bigA * (sigma - deltaSigma);
+    }
+
+    // ============================================
+    // Authalic latitude
+    // ============================================
+
+    authalicQ(sinPhi) {
+        return (1 - E2) * (sinPhi / (1 - E2 * sinPhi * sinPhi) -
+            Math.log((1 - E * sinPhi) / (1 + E * sinPhi)) / (2 * E));
+    }
+
+    authalicLatitude(phi) {
+        return Math.asin(Math.max(-1, Math.min(1, this.authalicQ(Math.sin(phi)) / this.qp)));
+    }
+}
+
+// Export singleton
+const geodesic = new Geodesic();
+export default geodesic;
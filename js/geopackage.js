@@ -0,0 +1,670 @@
+/**
+ * NI Boundaries - GeoPackage Writer
+ * Writes features as an OGC GeoPackage 1.2 - an SQLite database - without an SQLite library,
+ * by laying out the database pages directly. Each layer becomes a feature table with a
+ * GeoPackage geometry column, alongside the gpkg_spatial_ref_sys, gpkg_contents and
+ * gpkg_geometry_columns tables that GIS software reads to find it.
+ *
+ * Only what a freshly written database needs is supported: tables filled once, in rowid order,
+ * with no free pages, plus the automatic indexes SQLite expects for PRIMARY KEY and UNIQUE.
+ */
+
+const PAGE_SIZE = 4096;
+const APPLICATION_ID = 0x47504B47;  // "GPKG"
+const USER_VERSION = 10200;         // GeoPackage 1.2
+const SQLITE_VERSION = 3039000;
+
+// B-tree page types
+const TABLE_LEAF = 0x0D;
+const TABLE_INTERIOR = 0x05;
+const INDEX_LEAF = 0x0A;
+
+// WKB geometry type codes
+const WKB_TYPES = {
+    Point: 1, LineString: 2, Polygon: 3, MultiPoint: 4,
+    MultiLineString: 5, MultiPolygon: 6, GeometryCollection: 7
+};
+
+const SPATIAL_REF_SYS = [
+    {
+        id: -1, name: 'Undefined cartesian SRS', organization: 'NONE', code: -1,
+        definition: 'undefined', description: 'undefined cartesian coordinate reference system'
+    },
+    {
+        id: 0, name: 'Undefined geographic SRS', organization: 'NONE', code: 0,
+        definition: 'undefined', description: 'undefined geographic coordinate reference system'
+    },
+    {
+        id: 4326, name: 'WGS 84 geodetic', organization: 'EPSG', code: 4326,
+        definition: 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]',
+        description: 'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid'
+    }
+];
+
+const SCHEMA = {
+    gpkg_spatial_ref_sys: 'CREATE TABLE gpkg_spatial_ref_sys (srs_name TEXT NOT NULL, srs_id INTEGER NOT NULL PRIMARY KEY, organization TEXT NOT NULL, organization_coordsys_id INTEGER NOT NULL, definition TEXT NOT NULL, description TEXT)',
+    gpkg_contents: 'CREATE TABLE gpkg_contents (table_name TEXT NOT NULL PRIMARY KEY, data_type TEXT NOT NULL, identifier TEXT UNIQUE, description TEXT DEFAULT \'\', last_change DATETIME NOT NULL DEFAULT (strftime(\'%Y-%m-%dT%H:%M:%fZ\',\'now\')), min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE, srs_id INTEGER, CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id))',
+    gpkg_geometry_columns: 'CREATE TABLE gpkg_geometry_columns (table_name TEXT NOT NULL, column_name TEXT NOT NULL, geometry_type_name TEXT NOT NULL, srs_id INTEGER NOT NULL, z TINYINT NOT NULL, m TINYINT NOT NULL, CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name), CONSTRAINT uk_gc_table_name UNIQUE (table_name), CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name), CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys (srs_id))'
+};
+
+const textEncoder = new TextEncoder();
+
+class GeoPackage {
+    /**
+     * Write layers to a GeoPackage file
+     * @param {Object[]} layers - [{ id, name, description, features }] with WGS 84 GeoJSON features;
+     *   tables are named from the IDs and titled with the names
+     * @param {Object} options
+     * @param {Object} options.srs - { id, name, organization, code, definition, description } when
+     *   the coordinates are not WGS 84 longitude/latitude
+     * @returns {Uint8Array}
+     */
+    write(layers, { srs = null } = {}) {
+        this.pages = [null];  // Page 1 is written last, once the schema's root pages are known
+        const srsId = srs?.id ?? 4326;
+        const spatialRefSys = srs ? [...SPATIAL_REF_SYS.filter(row => row.id !== srs.id), srs].sort((a, b) => a.id - b.id) : SPATIAL_REF_SYS;
+
+        const tables = this.prepareTables(layers);
+        const now = new Date().toISOString();
+        const master = [];  // sqlite_master rows: [type, name, tbl_name, rootpage, sql]
+
+        // gpkg_spatial_ref_sys - srs_id is the rowid
+        master.push(['table', 'gpkg_spatial_ref_sys', 'gpkg_spatial_ref_sys', this.writeTable(spatialRefSys.map(row => ({
+            rowid: row.id,
+            values: [row.name, null, row.organization, row.code, row.definition, row.description]
+        }))), SCHEMA.gpkg_spatial_ref_sys]);
+
+        // gpkg_contents and its PRIMARY KEY and UNIQUE indexes
+        const contents = tables.map((table, i) => ({
+            rowid: i + 1,
+            values: [table.name, 'features', table.identifier, table.description, now, ...table.bbox, srsId]
+        }));
+        master.push(['table', 'gpkg_contents', 'gpkg_contents', this.writeTable(contents), SCHEMA.gpkg_contents]);
+        master.push(['index', 'sqlite_autoindex_gpkg_contents_1', 'gpkg_contents', this.writeIndex(contents.map(row => [row.values[0], row.rowid])), null]);
+        master.push(['index', 'sqlite_autoindex_gpkg_contents_2', 'gpkg_contents', this.writeIndex(contents.map(row => [row.values[2], row.rowid])), null]);
+
+        // gpkg_geometry_columns and its PRIMARY KEY and UNIQUE indexes
+        const geometryColumns = tables.map((table, i) => ({
+            rowid: i + 1,
+            values: [table.name, 'geom', table.geometryType, srsId, 0, 0]
+        }));
+        master.push(['table', 'gpkg_geometry_columns', 'gpkg_geometry_columns', this.writeTable(geometryColumns), SCHEMA.gpkg_geometry_columns]);
+        master.push(['index', 'sqlite_autoindex_gpkg_geometry_columns_1', 'gpkg_geometry_columns', this.writeIndex(geometryColumns.map(row => [row.values[0], row.values[1], row.rowid])), null]);
+        master.push(['index', 'sqlite_autoindex_gpkg_geometry_columns_2', 'gpkg_geometry_columns', this.writeIndex(geometryColumns.map(row => [row.values[0], row.rowid])), null]);
+
+        // Feature tables - fid is the rowid
+        for (const table of tables) {
+            const rows = table.features.map((feature, i) => ({
+                rowid: i + 1,
+                values: [null, this.geometryBlob(feature.geometry, srsId, table.promote), ...table.columns.map(column => column.value(feature.properties?.[column.property]))]
+            }));
+            master.push(['table', table.name, table.name, this.writeTable(rows), table.sql]);
+        }
+
+        this.writeTable(master.map((values, i) => ({ rowid: i + 1, values })), 1);
+
+        const file = new Uint8Array(this.pages.length * PAGE_SIZE);
+        this.pages.forEach((page, i) => file.set(page, i * PAGE_SIZE));
+        this.writeHeader(file);
+        this.pages = null;
+        return file;
+    }
+
+    /**
+     * Table names, columns and geometry types for the layers
+     */
+    prepareTables(layers) {
+        const usedNames = new Set(['gpkg_spatial_ref_sys', 'gpkg_contents', 'gpkg_geometry_columns']);
+        const usedIdentifiers = new Set();
+
+        return layers.map(layer => {
+            const name = this.uniqueName(this.tableName(layer.id ?? layer.name), usedNames);
+            const identifier = this.uniqueName(String(layer.name || name), usedIdentifiers);
+            const features = layer.features.filter(Boolean);
+
+            // Column types from the values present: INTEGER, REAL or TEXT
+            const types = new Map();
+            for (const feature of features) {
+                for (const [property, value] of Object.entries(feature.properties || {})) {
+                    if (value == null) {
+                        if (!types.has(property)) types.set(property, null);
+                        continue;
+                    }
+                    const type = typeof value === 'boolean' ? 'INTEGER'
+                        : typeof value === 'number' ? (Number.isSafeInteger(value) ? 'INTEGER' : 'REAL')
+                            : 'TEXT';
+                    const current = types.get(property);
+                    types.set(property, !current || current === type ? type
+                        : current !== 'TEXT' && type !== 'TEXT' ? 'REAL' : 'TEXT');
+                }
+            }
+
+            const usedColumns = new Set(['fid', 'geom']);
+            const columns = [...types].map(([property, type]) => {
+                type = type || 'TEXT';
+                const column = this.uniqueName(property, usedColumns);
+                return { property, name: column, type, value: (value) => this.columnValue(value, type) };
+            });
+
+            const sql = `CREATE TABLE ${this.quote(name)} (fid INTEGER PRIMARY KEY, geom GEOMETRY${columns.map(column => `, ${this.quote(column.name)} ${column.type}`).join('')})`;
+            const { geometryType, promote } = this.getGeometryType(features);
+
+            return {
+                name,
+                identifier,
+                description: layer.description || '',
+                features,
+                columns,
+                sql,
+                geometryType,
+                promote,
+                bbox: this.getBBox(features)
+            };
+        });
+    }
+
+    /**
+     * Table name from a layer name - letters, digits and underscores, not starting with a digit
+     */
+    tableName(name) {
+        const cleaned = String(name || 'features').toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'features';
+        return /^[0-9]/.test(cleaned) ? `t_${cleaned}` : cleaned;
+    }
+
+    /**
+     * A name not yet in the set (compared ignoring case, as SQLite does), adding it
+     */
+    uniqueName(name, used) {
+        let candidate = name;
+        for (let n = 1; used.has(candidate.toLowerCase()); n++) candidate = `${name}_${n}`;
+        used.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    quote(identifier) {
+        return `"${identifier.replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * Value as stored in a column of the given type
+     */
+    columnValue(value, type) {
+        if (value == null) return null;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (typeof value === 'object') return JSON.stringify(value);
+        return type === 'TEXT' ? String(value) : value;
+    }
+
+    /**
+     * Declared geometry type of a table - a single type where the features allow, with single
+     * parts promoted to multi when both occur; GEOMETRY when the features are mixed
+     */
+    getGeometryType(features) {
+        const types = new Set(features.map(feature => feature.geometry?.type).filter(Boolean));
+        if (types.size === 1) {
+            const [type] = types;
+            return { geometryType: type === 'GeometryCollection' ? 'GEOMETRYCOLLECTION' : type.toUpperCase(), promote: false };
+        }
+        for (const single of ['Point', 'LineString', 'Polygon']) {
+            if (types.size === 2 && types.has(single) && types.has(`Multi${single}`)) {
+                return { geometryType: `MULTI${single.toUpperCase()}`, promote: true };
+            }
+        }
+        return { geometryType: 'GEOMETRY', promote: false };
+    }
+
+    /**
+     * [minX, minY, maxX, maxY] of the features, or nulls when there are no coordinates
+     */
+    getBBox(features) {
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        for (const feature of features) {
+            if (!feature.geometry) continue;
+            const envelope = this.getEnvelope(feature.geometry);
+            if (!envelope) continue;
+            bbox[0] = Math.min(bbox[0], envelope[0]);
+            bbox[1] = Math.min(bbox[1], envelope[2]);
+            bbox[2] = Math.max(bbox[2], envelope[1]);
+            bbox[3] = Math.max(bbox[3], envelope[3]);
+        }
+        return bbox[0] === Infinity ? [null, null, null, null] : bbox;
+    }
+
+    // ============================================
+    // Geometry
+    // ============================================
+
+    /**
+     * GeoPackage geometry: "GP" header with the SRS and XY envelope, then little-endian WKB
+     * @param {Object} geometry - GeoJSON geometry
+     * @param {number} srsId
+     * @param {boolean} promote - write single parts as multi
+     */
+    geometryBlob(geometry, srsId, promote) {
+        if (!geometry) return null;
+        if (promote && WKB_TYPES[`Multi${geometry.type}`]) {
+            geometry = { type: `Multi${geometry.type}`, coordinates: [geometry.coordinates] };
+        }
+
+        const envelope = this.getEnvelope(geometry);
+        const wkb = this.toWKB(geometry);
+        const header = new DataView(new ArrayBuffer(envelope ? 40 : 8));
+        header.setUint8(0, 0x47);  // G
+        header.setUint8(1, 0x50);  // P
+        header.setUint8(2, 0);     // version
+        header.setUint8(3, envelope ? 0x03 : 0x11);  // little-endian; XY envelope, or empty with none
+        header.setInt32(4, srsId, true);
+        if (envelope) envelope.forEach((value, i) => header.setFloat64(8 + i * 8, value, true));
+
+        const blob = new Uint8Array(header.byteLength + wkb.length);
+        blob.set(new Uint8Array(header.buffer), 0);
+        blob.set(wkb, header.byteLength);
+        return blob;
+    }
+
+    /**
+     * [minX, maxX, minY, maxY] of a geometry (GeoPackage envelope order), or null if empty
+     */
+    getEnvelope(geometry) {
+        const envelope = [Infinity, -Infinity, Infinity, -Infinity];
+        const visit = (coords) => {
+            if (typeof coords[0] === 'number') {
+                envelope[0] = Math.min(envelope[0], coords[0]);
+                envelope[1] = Math.max(envelope[1], coords[0]);
+                envelope[2] = Math.min(envelope[2], coords[1]);
+                envelope[3] = Math.max(envelope[3], coords[1]);
+            } else {
+                coords.forEach(visit);
+            }
+        };
+        if (geometry.type === 'GeometryCollection') {
+            geometry.geometries.forEach(g => visit(g.coordinates || []));
+        } else {
+            visit(geometry.coordinates || []);
+        }
+        return envelope[0] === Infinity ? null : envelope;
+    }
+
+    /**
+     * Well-known binary (ISO, XY, little-endian)
+     */
+    toWKB(geometry) {
+        const bytes = [];
+        const view = new DataView(new ArrayBuffer(8));
+        const uint32 = (value) => {
+            view.setUint32(0, value, true);
+            for (let i = 0; i < 4; i++) bytes.push(view.getUint8(i));
+        };
+        const float64 = (value) => {
+            view.setFloat64(0, value, true);
+            for (let i = 0; i < 8; i++) bytes.push(view.getUint8(i));
+        };
+        const points = (coords) => {
+            uint32(coords.length);
+            coords.forEach(([x, y]) => { float64(x); float64(y); });
+        };
+
+        const write = (g) => {
+            bytes.push(1);
+            uint32(WKB_TYPES[g.type]);
+            switch (g.type) {
+                case 'Point':
+                    if (g.coordinates.length === 0) { float64(NaN); float64(NaN); } else { float64(g.coordinates[0]); float64(g.coordinates[1]); }
+                    break;
+                case 'LineString':
+                    points(g.coordinates);
+                    break;
+                case 'Polygon':
+                    uint32(g.coordinates.length);
+                    g.coordinates.forEach(points);
+                    break;
+                case 'MultiPoint':
+                case 'MultiLineString':
+                case 'MultiPolygon': {
+                    const part = g.type.slice(5);
+                    uint32(g.coordinates.length);
+                    g.coordinates.forEach(coordinates => write({ type: part, coordinates }));
+                    break;
+                }
+                case 'GeometryCollection':
+                    uint32(g.geometries.length);
+                    g.geometries.forEach(write);
+                    break;
+                default:
+                    throw new Error(`Unsupported geometry type: ${g.type}`);
+            }
+        };
+
+        write(geometry);
+        return Uint8Array.from(bytes);
+    }
+
+    // ============================================
+    // SQLite pages
+    // ============================================
+
+    /**
+     * Append a page (or fill a reserved one), returning its 1-based number
+     */
+    addPage(page = null, pageNumber = null) {
+        if (pageNumber) {
+            this.pages[pageNumber - 1] = page;
+            return pageNumber;
+        }
+        this.pages.push(page);
+        return this.pages.length;
+    }
+
+    /**
+     * Write a table b-tree
+     * @param {Object[]} rows - [{ rowid, values }] in rowid order
+     * @param {number} rootPage - page the root must go on (sqlite_master is always page 1)
+     * @returns {number} root page number
+     */
+    writeTable(rows, rootPage = null) {
+        const cells = rows.map(row => ({
+            key: row.rowid,
+            bytes: this.leafCell(this.encodeRecord(row.values), PAGE_SIZE - 35, this.varint(row.rowid))
+        }));
+
+        let level = this.packPages(cells, TABLE_LEAF, rootPage);
+        while (level.length > 1) {
+            // Each interior cell points at a child and holds the largest rowid in it; the last child
+            // is the page's right-most pointer
+            const entries = level.map(child => ({ key: child.maxKey, child: this.addPage(child.build()) }));
+            level = this.packInteriorPages(entries, rootPage);
+        }
+        return this.addPage(level[0].build(), rootPage);
+    }
+
+    /**
+     * Write an index b-tree with a single leaf page (enough for the few rows of the gpkg tables)
+     * @param {Array[]} keys - index records: the indexed values then the rowid
+     */
+    writeIndex(keys) {
+        const sorted = [...keys].sort((a, b) => this.compareRecords(a, b));
+        const cells = sorted.map(values => ({ bytes: this.leafCell(this.encodeRecord(values), Math.floor((PAGE_SIZE - 12) * 64 / 255) - 23) }));
+        const pages = this.packPages(cells, INDEX_LEAF);
+        if (pages.length > 1) throw new Error('Too many layers for one GeoPackage');
+        return this.addPage(pages[0].build());
+    }
+
+    /**
+     * Split leaf cells into pages, as builders that lay out each page when called
+     * @param {number} firstPage - page number of the first page (page 1 has the file header before it)
+     */
+    packPages(cells, type, firstPage = null) {
+        const pages = [];
+        let current = null;
+        const start = () => {
+            const headerOffset = firstPage === 1 && pages.length === 0 ? 100 : 0;
+            current = { type, cells: [], used: headerOffset + 8, headerOffset, maxKey: null };
+            pages.push(current);
+        };
+        start();
+
+        for (const cell of cells) {
+            if (current.cells.length > 0 && current.used + cell.bytes.length + 2 > PAGE_SIZE) start();
+            current.cells.push(cell.bytes);
+            current.used += cell.bytes.length + 2;
+            current.maxKey = cell.key;
+        }
+
+        // Only a single-page tree keeps its root on the reserved page; otherwise page 1's header
+        // offset belongs to the interior root written later
+        if (pages.length > 1 && pages[0].headerOffset) {
+            return this.packPages(cells, type, null);
+        }
+        return pages.map(page => ({ ...page, build: () => this.buildPage(page.type, page.cells, null, page.headerOffset) }));
+    }
+
+    /**
+     * Pack interior cells into pages, each keeping its last child as the right-most pointer
+     */
+    packInteriorPages(entries, rootPage) {
+        const pages = [];
+        let current = null;
+        const start = (headerOffset) => {
+            current = { type: TABLE_INTERIOR, entries: [], used: headerOffset + 12, headerOffset };
+            pages.push(current);
+        };
+
+        // Try to fit everything under one root first (which may be page 1)
+        const rootOffset = rootPage === 1 ? 100 : 0;
+        const cellSize = (entry) => 4 + this.varint(entry.key).length + 2;
+        const fitsOne = entries.slice(0, -1).reduce((sum, entry) => sum + cellSize(entry), rootOffset + 12) <= PAGE_SIZE;
+        start(fitsOne ? rootOffset : 0);
+
+        for (const entry of entries) {
+            if (current.entries.length > 1 && current.used + cellSize(entry) > PAGE_SIZE) start(0);
+            current.entries.push(entry);
+            current.used += cellSize(entry);
+        }
+
+        return pages.map(page => {
+            const children = page.entries;
+            const last = children[children.length - 1];
+            return {
+                type: TABLE_INTERIOR,
+                maxKey: last.key,
+                build: () => this.buildPage(TABLE_INTERIOR, children.slice(0, -1).map(entry => {
+                    const cell = new Uint8Array(4 + this.varint(entry.key).length);
+                    new DataView(cell.buffer).setUint32(0, entry.child);
+                    cell.set(this.varint(entry.key), 4);
+                    return cell;
+                }), last.child, page.headerOffset)
+            };
+        });
+    }
+
+    /**
+     * Lay out a b-tree page: header, cell pointers, then cells packed from the end of the page
+     */
+    buildPage(type, cells, rightMost = null, headerOffset = 0) {
+        const page = new Uint8Array(PAGE_SIZE);
+        const view = new DataView(page.buffer);
+        const headerSize = type === TABLE_INTERIOR ? 12 : 8;
+
+        let contentStart = PAGE_SIZE;
+        cells.forEach((cell, i) => {
+            contentStart -= cell.length;
+            page.set(cell, contentStart);
+            view.setUint16(headerOffset + headerSize + i * 2, contentStart);
+        });
+
+        view.setUint8(headerOffset, type);
+        view.setUint16(headerOffset + 1, 0);  // no freeblocks
+        view.setUint16(headerOffset + 3, cells.length);
+        view.setUint16(headerOffset + 5, contentStart);
+        view.setUint8(headerOffset + 7, 0);
+        if (type === TABLE_INTERIOR) view.setUint32(headerOffset + 8, rightMost);
+        return page;
+    }
+
+    /**
+     * Leaf cell for a record, spilling the end of a large record onto overflow pages
+     * @param {Uint8Array} payload - the record
+     * @param {number} maxLocal - most payload bytes kept on the leaf page
+     * @param {Uint8Array} rowid - varint rowid (table b-trees only)
+     */
+    leafCell(payload, maxLocal, rowid = new Uint8Array(0)) {
+        const size = payload.length;
+        let local = size;
+        if (size > maxLocal) {
+            const minLocal = Math.floor((PAGE_SIZE - 12) * 32 / 255) - 23;
+            const k = minLocal + ((size - minLocal) % (PAGE_SIZE - 4));
+            local = k <= maxLocal ? k : minLocal;
+        }
+
+        const sizeVarint = this.varint(size);
+        const cell = new Uint8Array(sizeVarint.length + rowid.length + local + (local < size ? 4 : 0));
+        cell.set(sizeVarint, 0);
+        cell.set(rowid, sizeVarint.length);
+        cell.set(payload.subarray(0, local), sizeVarint.length + rowid.length);
+        if (local < size) {
+            new DataView(cell.buffer).setUint32(cell.length - 4, this.writeOverflow(payload.subarray(local)));
+        }
+        return cell;
+    }
+
+    /**
+     * Write overflow pages for the rest of a payload, returning the first page number
+     */
+    writeOverflow(rest) {
+        const chunk = PAGE_SIZE - 4;
+        const count = Math.ceil(rest.length / chunk);
+        const first = this.pages.length + 1;
+        for (let i = 0; i < count; i++) {
+            const page = new Uint8Array(PAGE_SIZE);
+            if (i < count - 1) new DataView(page.buffer).setUint32(0, first + i + 1);
+            page.set(rest.subarray(i * chunk, (i + 1) * chunk), 4);
+            this.addPage(page);
+        }
+        return first;
+    }
+
+    /**
+     * SQLite record: header of serial types, then the values
+     */
+    encodeRecord(values) {
+        const types = [];
+        const bodies = [];
+        for (const value of values) {
+            if (value == null) {
+                types.push(0);
+            } else if (value instanceof Uint8Array) {
+                types.push(value.length * 2 + 12);
+                bodies.push(value);
+            } else if (typeof value === 'string') {
+                const bytes = textEncoder.encode(value);
+                types.push(bytes.length * 2 + 13);
+                bodies.push(bytes);
+            } else if (Number.isSafeInteger(value)) {
+                const [type, body] = this.encodeInteger(value);
+                types.push(type);
+                if (body) bodies.push(body);
+            } else {
+                const body = new Uint8Array(8);
+                new DataView(body.buffer).setFloat64(0, value);
+                types.push(7);
+                bodies.push(body);
+            }
+        }
+
+        const typeBytes = types.map(type => this.varint(type));
+        const typesLength = typeBytes.reduce((sum, bytes) => sum + bytes.length, 0);
+        let headerSize = typesLength + 1;
+        if (this.varint(headerSize).length > 1) headerSize = typesLength + this.varint(typesLength + 2).length;
+
+        const parts = [this.varint(headerSize), ...typeBytes, ...bodies];
+        const record = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            record.set(part, offset);
+            offset += part.length;
+        }
+        return record;
+    }
+
+    /**
+     * Serial type and big-endian bytes for an integer, in the fewest bytes
+     */
+    encodeInteger(value) {
+        if (value === 0) return [8, null];
+        if (value === 1) return [9, null];
+
+        const sizes = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]];
+        for (const [type, size] of sizes) {
+            const limit = 2 ** (size * 8 - 1);
+            if (value >= -limit && value < limit) {
+                const body = new Uint8Array(size);
+                let remaining = BigInt.asUintN(size * 8, BigInt(value));
+                for (let i = size - 1; i >= 0; i--) {
+                    body[i] = Number(remaining & 0xFFn);
+                    remaining >>= 8n;
+                }
+                return [type, body];
+            }
+        }
+        return [7, null];
+    }
+
+    /**
+     * SQLite variable-length integer (negative values as 64-bit two's complement)
+     */
+    varint(value) {
+        let v = BigInt.asUintN(64, BigInt(value));
+        if (v > 0x00FFFFFFFFFFFFFFn) {
+            const bytes = new Uint8Array(9);
+            bytes[8] = Number(v & 0xFFn);
+            v >>= 8n;
+            for (let i = 7; i >= 0; i--) {
+                bytes[i] = Number(v & 0x7Fn) | 0x80;
+                v >>= 7n;
+            }
+            return bytes;
+        }
+
+        const groups = [];
+        do {
+            groups.unshift(Number(v & 0x7Fn));
+            v >>= 7n;
+        } while (v > 0n);
+        return Uint8Array.from(groups, (group, i) => i < groups.length - 1 ? group | 0x80 : group);
+    }
+
+    /**
+     * Order index records as SQLite does: NULLs first, numbers, then text by bytes (BINARY collation)
+     */
+    compareRecords(a, b) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const x = a[i];
+            const y = b[i];
+            if (x === y) continue;
+            if (x == null || y == null) return x == null ? -1 : 1;
+            if (typeof x === 'number' && typeof y === 'number') return x - y;
+            if (typeof x === 'number' || typeof y === 'number') return typeof x === 'number' ? -1 : 1;
+
+            const xs = textEncoder.encode(x);
+            const ys = textEncoder.encode(y);
+            for (let j = 0; j < Math.min(xs.length, ys.length); j++) {
+                if (xs[j] !== ys[j]) return xs[j] - ys[j];
+            }
+            if (xs.length !== ys.length) return xs.length - ys.length;
+        }
+        return a.length - b.length;
+    }
+
+    /**
+     * The 100-byte database header at the start of page 1
+     */
+    writeHeader(file) {
+        const view = new DataView(file.buffer);
+        file.set(textEncoder.encode('SQLite format 3\0'), 0);
+        view.setUint16(16, PAGE_SIZE);
+        view.setUint8(18, 1);       // legacy file format versions
+        view.setUint8(19, 1);
+        view.setUint8(20, 0);       // reserved bytes per page
+        view.setUint8(21, 64);      // payload fractions (fixed values)
+        view.setUint8(22, 32);
+        view.setUint8(23, 32);
+        view.setUint32(24, 1);      // file change counter
+        view.setUint32(28, this.pages.length);
+        view.setUint32(32, 0);      // no free pages
+        view.setUint32(36, 0);
+        view.setUint32(40, 1);      // schema cookie
+        view.setUint32(44, 4);      // schema format
+        view.setUint32(48, 0);
+        view.setUint32(52, 0);      // not auto-vacuum
+        view.setUint32(56, 1);      // UTF-8
+        view.setUint32(60, USER_VERSION);
+        view.setUint32(64, 0);
+        view.setUint32(68, APPLICATION_ID);
+        view.setUint32(92, 1);      // version-valid-for (matches the change counter)
+        view.setUint32(96, SQLITE_VERSION);
+    }
+}
+
+// Export singleton
+const geoPackage = new GeoPackage();
+export default geoPackage;
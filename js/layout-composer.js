@@ -0,0 +1,323 @@
+/**
+ * NI Boundaries - Layout Composer
+ * Dialog for laying out publication maps from a template: paper, title and subtitle, which page
+ * elements to show, a live preview, export, and saving or loading templates as JSON.
+ */
+
+import dataService from './data-service.js';
+import mapExport from './map-export.js';
+import printLayout from './print-layout.js';
+
+const PREVIEW_DELAY = 300;  // ms after the last change before the preview is redrawn
+
+class LayoutComposer {
+    constructor() {
+        // DOM elements
+        this.modal = null;
+        this.fields = {};
+
+        // State
+        this.mapController = null;    // Reference to map controller
+        this.template = null;         // Template the layout started from
+        this.previewTimer = null;
+        this.previewRun = 0;          // Ignores previews finished after a newer one started
+
+        // Callbacks
+        this.onDownload = null;       // (content, filename, type) - save a file
+        this.onError = null;          // (message) - tell the user something failed
+    }
+
+    /**
+     * Initialize the dialog
+     */
+    init(mapController) {
+        this.mapController = mapController;
+        this.modal = document.getElementById('layoutComposer');
+        if (!this.modal) {
+            console.warn('[LayoutComposer] Layout composer element not found');
+            return;
+        }
+
+        const ids = {
+            template: 'layoutTemplate',
+            paper: 'layoutPaper',
+            orientation: 'layoutOrientation',
+            title: 'layoutTitle',
+            subtitle: 'layoutSubtitle',
+            elements: 'layoutElements',
+            format: 'layoutFormat',
+            dpi: 'layoutDpi',
+            exportBtn: 'layoutExport',
+            name: 'layoutTemplateName',
+            save: 'layoutSaveTemplate',
+            remove: 'layoutDeleteTemplate',
+            download: 'layoutDownloadTemplate',
+            load: 'layoutLoadTemplate',
+            loadInput: 'layoutLoadInput',
+            preview: 'layoutPreview'
+        };
+        for (const [key, id] of Object.entries(ids)) this.fields[key] = document.getElementById(id);
+
+        const { paper, elements } = this.fields;
+        paper.innerHTML = Object.keys(mapExport.getPaperSizes())
+            .map(size => `<option value="${size}">${size}</option>`)
+            .join('');
+        elements.innerHTML = Object.entries(printLayout.getOptionalElements())
+            .map(([key, label]) => `
+                <label class="control-checkbox">
+                    <input type="checkbox" value="${key}">
+                    <span>${label}</span>
+                </label>
+            `).join('');
+
+        this.setupEvents();
+        console.log('[LayoutComposer] Initialized');
+    }
+
+    setupEvents() {
+        const f = this.fields;
+        const close = () => this.close();
+        this.modal.querySelector('.layout-composer__backdrop')?.addEventListener('click', close);
+        document.getElementById('layoutComposerClose')?.addEventListener('click', close);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) close();
+        });
+
+        f.template.addEventListener('change', () => {
+            const template = printLayout.getTemplate(f.template.value);
+            if (template) this.applyTemplate(template);
+        });
+        [f.paper, f.orientation, f.elements].forEach(el => el.addEventListener('change', () => this.schedulePreview()));
+        [f.title, f.subtitle].forEach(el => el.addEventListener('input', () => this.schedulePreview()));
+
+        const updateDpi = () => { f.dpi.disabled = f.format.value !== 'png'; };
+        f.format.addEventListener('change', updateDpi);
+        updateDpi();
+
+        f.exportBtn.addEventListener('click', () => this.exportLayout());
+        f.save.addEventListener('click', () => this.saveTemplate());
+        f.remove.addEventListener('click', () => this.deleteTemplate());
+        f.download.addEventListener('click', () => {
+            const template = this.getCurrentTemplate();
+            const filename = `${template.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'layout'}.layout.json`;
+            this.onDownload?.(printLayout.toJSON(template), filename, 'application/json');
+        });
+        f.load.addEventListener('click', () => f.loadInput.click());
+        f.loadInput.addEventListener('change', async () => {
+            const file = f.loadInput.files[0];
+            f.loadInput.value = '';
+            if (file) await this.loadTemplateFile(file);
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.modal) && !this.modal.classList.contains('hidden');
+    }
+
+    /**
+     * Open the dialog, keeping the settings from last time
+     */
+    open() {
+        if (!this.modal) return;
+
+        this.renderTemplates(this.template?.id);
+        if (!this.template) this.applyTemplate(printLayout.getTemplate('standard'));
+        this.modal.classList.remove('hidden');
+        this.fields.template.focus();
+        this.schedulePreview();
+    }
+
+    close() {
+        this.modal?.classList.add('hidden');
+        clearTimeout(this.previewTimer);
+    }
+
+    /**
+     * Fill the template list - built-in templates, then those saved in this browser
+     */
+    renderTemplates(selectedId = null) {
+        const templates = printLayout.getTemplates();
+        const options = (list) => list
+            .map(template => `<option value="${template.id}">${this.escapeHtml(template.name)}</option>`)
+            .join('');
+        const saved = templates.filter(template => !template.builtIn);
+
+        this.fields.template.innerHTML = `
+            <optgroup label="Built-in">${options(templates.filter(template => template.builtIn))}</optgroup>
+            ${saved.length > 0 ? `<optgroup label="Saved">${options(saved)}</optgroup>` : ''}
+        `;
+        if (selectedId && templates.some(template => template.id === selectedId)) {
+            this.fields.template.value = selectedId;
+        }
+        this.fields.remove.disabled = !saved.some(template => template.id === this.fields.template.value);
+    }
+
+    /**
+     * Set the form from a template
+     */
+    applyTemplate(template) {
+        const f = this.fields;
+        this.template = template;
+        f.template.value = template.id;
+        f.paper.value = template.paper;
+        f.orientation.value = template.orientation;
+        f.title.value = template.title;
+        f.subtitle.value = template.subtitle;
+        f.name.value = template.builtIn ? '' : template.name;
+        f.elements.querySelectorAll('input').forEach(input => {
+            input.checked = Boolean(template.elements[input.value]) && !template.hidden.includes(input.value);
+            input.disabled = !template.elements[input.value];
+        });
+        f.remove.disabled = Boolean(template.builtIn);
+        this.schedulePreview();
+    }
+
+    /**
+     * Elements unchecked in the form
+     */
+    getHidden() {
+        return [...this.fields.elements.querySelectorAll('input')]
+            .filter(input => !input.checked)
+            .map(input => input.value);
+    }
+
+    /**
+     * The form as a template - positions are rescaled to the chosen paper so they save as seen
+     */
+    getCurrentTemplate() {
+        const f = this.fields;
+        return {
+            name: f.name.value.trim() || this.template.name,
+            paper: f.paper.value,
+            orientation: f.orientation.value,
+            title: f.title.value,
+            subtitle: f.subtitle.value,
+            hidden: this.getHidden(),
+            elements: printLayout.getLayout(this.template, f.paper.value, f.orientation.value, [])
+        };
+    }
+
+    /**
+     * Options for MapExport from the form
+     */
+    getExportOptions() {
+        const f = this.fields;
+        const layerNames = [];
+        this.mapController.layerStates.forEach((state, id) => {
+            if (state.loaded && state.visible) layerNames.push(dataService.getMapById(id)?.name || state.config?.name || id);
+        });
+
+        return {
+            paper: f.paper.value,
+            orientation: f.orientation.value,
+            title: printLayout.fillText(f.title.value, layerNames),
+            subtitle: printLayout.fillText(f.subtitle.value, layerNames),
+            layout: printLayout.getLayout(this.template, f.paper.value, f.orientation.value, this.getHidden())
+        };
+    }
+
+    // ============================================
+    // Preview and export
+    // ============================================
+
+    schedulePreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.renderPreview(), PREVIEW_DELAY);
+    }
+
+    /**
+     * Draw the page as SVG in the dialog
+     */
+    async renderPreview() {
+        if (!this.isOpen()) return;
+
+        const run = ++this.previewRun;
+        const preview = this.fields.preview;
+        preview.classList.add('layout-composer__preview--loading');
+        try {
+            const scene = await mapExport.buildScene(this.mapController, this.getExportOptions());
+            if (run !== this.previewRun) return;
+            preview.innerHTML = mapExport.toSVG(scene).replace(/^<\?xml[^>]*>\s*/, '');
+        } catch (err) {
+            if (run !== this.previewRun) return;
+            console.error('[LayoutComposer] Preview failed:', err);
+            preview.innerHTML = `<p class="text-muted text-xs">Preview failed: ${this.escapeHtml(err.message)}</p>`;
+        } finally {
+            if (run === this.previewRun) preview.classList.remove('layout-composer__preview--loading');
+        }
+    }
+
+    async exportLayout() {
+        const button = this.fields.exportBtn;
+        button.disabled = true;
+        button.textContent = 'Exporting…';
+        try {
+            const { blob, filename } = await mapExport.export(this.mapController, {
+                ...this.getExportOptions(),
+                format: this.fields.format.value,
+                dpi: Number(this.fields.dpi.value) || 300
+            });
+            this.onDownload?.(blob, filename);
+        } catch (err) {
+            console.error('[LayoutComposer] Export failed:', err);
+            this.onError?.(`Export failed: ${err.message}`);
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Export';
+        }
+    }
+
+    // ============================================
+    // Templates
+    // ============================================
+
+    saveTemplate() {
+        if (!this.fields.name.value.trim()) {
+            this.onError?.('Name the template to save it');
+            this.fields.name.focus();
+            return;
+        }
+
+        try {
+            const saved = printLayout.saveTemplate(this.getCurrentTemplate());
+            this.renderTemplates(saved.id);
+            this.applyTemplate(printLayout.getTemplate(saved.id));
+        } catch (err) {
+            console.error('[LayoutComposer] Could not save template:', err);
+            this.onError?.(`Could not save template: ${err.message}`);
+        }
+    }
+
+    deleteTemplate() {
+        const id = this.fields.template.value;
+        if (!printLayout.deleteTemplate(id)) return;
+
+        this.renderTemplates();
+        this.applyTemplate(printLayout.getTemplate('standard'));
+    }
+
+    /**
+     * Load a template from a JSON file and save it in this browser
+     */
+    async loadTemplateFile(file) {
+        try {
+            const template = printLayout.parseTemplate(await file.text());
+            const saved = printLayout.saveTemplate(template);
+            this.renderTemplates(saved.id);
+            this.applyTemplate(printLayout.getTemplate(saved.id));
+        } catch (err) {
+            console.warn(`[LayoutComposer] Could not load ${file.name}:`, err);
+            this.onError?.(`Could not load ${file.name}: ${err.message}`);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export singleton
+const layoutComposer = new LayoutComposer();
+export default layoutComposer;
@@ -5,12 +5,20 @@
 
 import featureLoader from './feature-loader.js';
 import dataService from './data-service.js';
+import vectorTileLoader from './vector-tile-loader.js';
+import downloadCache from './download-cache.js';
+import offlinePacks from './offline-packs.js';
+import boundaryDiff from './boundary-diff.js';
+import choropleth from './choropleth.js';
+import dataJoin from './data-join.js';
+import pointLookup from './point-lookup.js';
 
 class MapController {
     constructor() {
         this.map = null;
         this.layerStates = new Map();
         this.labelMarkers = [];
+        this.placedLabels = [];      // Labels drawn by updateLabels, for map export
         this.labelsEnabled = true;
         this.onFeatureClick = null;
         this.baseLayer = null;
@@ -20,9 +28,19 @@ class MapController {
         this.onLoadProgress = null;
         this.lodLayers = new Set();  // Layers using LOD loading
         this.currentLOD = new Map(); // mapId -> current LOD level
+        this.tileMode = 'auto';      // 'auto' | 'tiles' | 'fgb'
+        this.pendingTileHits = [];   // Vector tile features hit by the current click
+        this.tileFailures = new Set(); // Maps whose .mbtiles could not be opened
+        this.diffOverlay = null;     // Boundary change overlay (see showDiffOverlay)
+        this.flashLayer = null;      // Temporary highlight (see flashFeature)
+        this.choroplethOverrides = new Map(); // mapId -> choropleth config set in the UI (null = off)
+        this.configuredJoins = new Set(); // Maps whose maps.json join has been applied (or tried)
+        this.layerStyles = new Map(); // mapId -> style changes made in the UI (see setLayerStyle)
+        this.onJoinChange = null;    // Called with a mapId when a table is joined onto it or removed
 
         // Initialize feature loader
         featureLoader.init();
+        featureLoader.onEvict = (mapId, index, lod, geojson) => this.removeEvictedFeature(mapId, geojson);
     }
 
     /**
@@ -120,6 +138,26 @@ class MapController {
         }
     };
 
+    /**
+     * Stroke dash patterns for per-layer styles, as Leaflet dashArray values
+     */
+    static DASH_PATTERNS = {
+        solid: null,
+        dashed: '8 6',
+        dotted: '2 5',
+        'dash-dot': '10 5 2 5'
+    };
+
+    /**
+     * Data files at or above this size are drawn from vector tiles in 'auto' mode
+     */
+    static TILE_SIZE_THRESHOLD = 8 * 1024 * 1024;
+
+    /**
+     * Pixels either side of a vector tile click searched for the clicked feature's geometry
+     */
+    static TILE_HIT_TOLERANCE = 5;
+
     /**
      * Overlay layer configurations - Global Watersheds overlays
      */
@@ -191,10 +229,7 @@ class MapController {
         }
 
         // Create new base layer
-        this.baseLayer = L.tileLayer(config.url, {
-            attribution: config.attribution,
-            maxZoom: config.maxZoom
-        });
+        this.baseLayer = this.createBaseLayer(baseMapId);
 
         if (this.map) {
             this.baseLayer.addTo(this.map);
@@ -205,6 +240,20 @@ class MapController {
         console.log(`[MapController] Base map set to: ${baseMapId}`);
     }
 
+    /**
+     * Create a tile layer for a base map (also used by the comparison map)
+     * @returns {L.TileLayer|null} null for an unknown base map
+     */
+    createBaseLayer(baseMapId) {
+        const config = MapController.BASE_MAPS[baseMapId];
+        if (!config) return null;
+
+        return L.tileLayer(config.url, {
+            attribution: config.attribution,
+            maxZoom: config.maxZoom
+        });
+    }
+
     /**
      * Toggle overlay layer
      */
@@ -284,7 +333,10 @@ class MapController {
             }
         }
 
-        if (!filePath) {
+        // Composite maps are dissolved from another map's features at load time
+        const composite = dataService.getComposite(id);
+
+        if (!filePath && !composite) {
             console.warn(`[MapController] No file path for layer ${id}`);
             return null;
         }
@@ -309,36 +361,52 @@ class MapController {
             this.onLoadProgress(id, 0);
         }
 
+        // Tables named in maps.json are joined the first time their map loads, before it is styled
+        if (mapConfig.join && !this.configuredJoins.has(id)) {
+            this.configuredJoins.add(id);
+            await this.loadConfiguredJoin(mapConfig);
+        }
+
+        // Data-driven styles classify every feature, so unless the classes are fixed
+        // the whole map is loaded rather than the tiles or LOD features in view
+        const choroplethConfig = this.getChoroplethConfig(mapConfig);
+        const classifyLoaded = choropleth.needsData(choroplethConfig);
+        state.choropleth = choroplethConfig && !classifyLoaded ? choropleth.classify([], choroplethConfig) : null;
+
+        // Large datasets and small screens draw from vector tiles where available
+        if (!composite && !classifyLoaded && this.shouldUseTiles(mapConfig)) {
+            return this.loadLayerWithTiles(mapConfig, state, show);
+        }
+
         // Check if this map supports LOD loading
-        if (featureLoader.supportsLOD(id)) {
+        if (!composite && !classifyLoaded && featureLoader.supportsLOD(id)) {
             return this.loadLayerWithLOD(mapConfig, state, show);
         }
 
         try {
-            // Load the data with progress
-            const features = await this.loadDataFile(filePath, (progress) => {
+            const reportProgress = (progress) => {
                 state.progress = progress;
                 if (this.onLoadProgress) {
                     this.onLoadProgress(id, progress);
                 }
-            });
+            };
+
+            // Load the data with progress
+            const features = composite
+                ? await this.buildCompositeFeatures(id, composite, reportProgress)
+                : await this.loadDataFile(filePath, reportProgress, id);
 
             const geojsonData = Array.isArray(features)
                 ? { type: 'FeatureCollection', features }
                 : features;
 
+            if (classifyLoaded) {
+                state.choropleth = choropleth.classify(this.withJoinedProperties(id, geojsonData.features || []), choroplethConfig);
+            }
+
             // Create GeoJSON layer
             const geoJsonLayer = L.geoJSON(geojsonData, {
-                style: (feature) => {
-                    // Don't apply polygon style to points - they use pointToLayer
-                    if (feature.geometry?.type === 'Point') return {};
-                    return {
-                        color: style?.color || '#3388ff',
-                        weight: style?.weight || 2,
-                        fillOpacity: style?.fillOpacity ?? 0,
-                        opacity: 1
-                    };
-                },
+                style: (feature) => this.getFeatureStyle(state, feature, style),
                 pointToLayer: (feature, latlng) => {
                     return this.createPointMarker(latlng, style);
                 },
@@ -411,6 +479,10 @@ class MapController {
         const lod = featureLoader.getLODForZoom(zoom);
 
         this.currentLOD.set(id, lod);
+        featureLoader.setViewport(bounds);
+
+        // Viewport queries use the map's packed R-tree once it has loaded
+        await featureLoader.loadTree(id);
 
         // Find features in viewport
         const visibleFeatures = featureLoader.getFeaturesInBounds(id, bounds);
@@ -455,21 +527,272 @@ class MapController {
         return state;
     }
 
+    /**
+     * Set how layers with an .mbtiles file are loaded
+     * Applies to layers loaded after the change
+     */
+    setTileMode(mode) {
+        if (!['auto', 'tiles', 'fgb'].includes(mode)) {
+            console.warn(`[MapController] Unknown tile mode: ${mode}`);
+            return;
+        }
+        this.tileMode = mode;
+        console.log(`[MapController] Tile mode set to: ${mode}`);
+    }
+
+    /**
+     * Decide whether a map should be drawn from vector tiles instead of its FGB file
+     */
+    shouldUseTiles(mapConfig) {
+        if (this.tileMode === 'fgb' || this.tileFailures.has(mapConfig.id)) return false;
+        if (!dataService.getMapTilesPath(mapConfig) || !vectorTileLoader.isSupported()) return false;
+        if (this.tileMode === 'tiles') return true;
+
+        const isSmallScreen = window.matchMedia?.('(max-width: 768px)').matches;
+        const fileSize = dataService.getMapFileSize(mapConfig) || 0;
+        return isSmallScreen || fileSize >= MapController.TILE_SIZE_THRESHOLD;
+    }
+
+    /**
+     * Load a layer as vector tiles read from its .mbtiles file
+     */
+    async loadLayerWithTiles(mapConfig, state, show) {
+        const { id, style, name } = mapConfig;
+        const tilesPath = dataService.getMapTilesPath(mapConfig);
+
+        state.useTiles = true;
+        state.tileLabels = new Map();  // feature key -> label entry
+        state.tileLabelKeys = new Map();  // tile key -> feature keys labelled from that tile
+
+        try {
+            const tileLayer = await vectorTileLoader.createLayer(tilesPath, {
+                style: (properties) => this.getTileStyle(style, state.choropleth, this.getFeatureProperties(id, properties),
+                    this.layerStyles.get(id)),
+                interactive: true,
+                pane: 'overlayPane',
+                onTileFeatures: (tile, coords) => this.collectTileLabels(state, tile, coords)
+            });
+
+            // Feature clicks fire before the map click, which merges them into its results
+            // Tiles carry no usable geometry, so the click keeps the raw properties to find the feature by
+            tileLayer.on('click', (e) => {
+                this.pendingTileHits.push({ mapId: id, properties: e.layer?.properties || {} });
+            });
+            tileLayer.on('load', () => this.updateLabels());
+            tileLayer.on('tileunload', (e) => this.releaseTileLabels(state, e.coords));
+
+            tileLayer.addTo(state.group);
+            state.tileLayer = tileLayer;
+            state.featureCount = featureLoader.getFeatureCount(id) || null;
+            state.loaded = true;
+            state.loading = false;
+            state.progress = 100;
+
+            if (this.onLoadProgress) {
+                this.onLoadProgress(id, 100);
+            }
+
+            if (show) {
+                this.showLayer(id);
+            }
+
+            console.log(`[MapController] Loaded tile layer: ${name} (zoom ${tileLayer.metadata.minZoom}-${tileLayer.metadata.maxZoom})`);
+            return state;
+        } catch (err) {
+            console.warn(`[MapController] Vector tiles unavailable for ${id}, loading data file instead:`, err);
+            this.tileFailures.add(id);
+            this.layerStates.delete(id);
+            return this.loadLayer(mapConfig, show);
+        }
+    }
+
+    /**
+     * Style for vector tile features, following the current transparency settings
+     * @param {Object|null} classification - the layer's choropleth classes, if any
+     * @param {Object} override - the layer's style changes (see setLayerStyle)
+     */
+    getTileStyle(style, classification = null, properties = {}, override = {}) {
+        const color = override.color || style?.color || '#3388ff';
+        const fillOpacity = classification ? classification.fillOpacity : style?.fillOpacity ?? 0;
+        return {
+            color,
+            weight: override.weight ?? (style?.weight || 2),
+            dashArray: MapController.DASH_PATTERNS[override.dash] ?? null,
+            opacity: this.strokeOpacity ?? 1,
+            fill: true,
+            fillColor: classification
+                ? choropleth.getColor(classification, properties?.[classification.property])
+                : override.fillColor || color,
+            fillOpacity: override.fillOpacity ?? this.fillOpacity ?? fillOpacity,
+            radius: style?.radius || 5
+        };
+    }
+
+    /**
+     * Style for a GeoJSON feature - the map's style with the layer's style changes,
+     * filled by class when the layer has a choropleth
+     */
+    getFeatureStyle(state, feature, style) {
+        const override = this.layerStyles.get(state.id) || {};
+
+        // Points keep their marker style (see createPointMarker) apart from a chosen colour
+        if (feature.geometry?.type === 'Point') return { fillColor: override.color || style?.color || '#3388ff' };
+
+        const classification = state.choropleth;
+        const color = override.color || style?.color || '#3388ff';
+        const featureStyle = {
+            color,
+            weight: override.weight ?? (style?.weight || 2),
+            dashArray: MapController.DASH_PATTERNS[override.dash] ?? null,
+            fillColor: override.fillColor || color,
+            fillOpacity: override.fillOpacity ?? this.fillOpacity ?? style?.fillOpacity ?? 0,
+            opacity: this.strokeOpacity ?? 1
+        };
+        if (classification) {
+            const properties = this.getFeatureProperties(state.id, feature.properties);
+            featureStyle.fillColor = choropleth.getColor(classification, properties?.[classification.property]);
+            featureStyle.fillOpacity = override.fillOpacity ?? this.fillOpacity ?? classification.fillOpacity;
+        }
+        return featureStyle;
+    }
+
+    /**
+     * Collect label entries from a decoded vector tile
+     * A feature split across tiles keeps the anchor from its largest visible piece
+     */
+    collectTileLabels(state, tile, coords) {
+        const mapConfig = state.config;
+        const { labelProperty } = mapConfig;
+        if (!labelProperty || !this.map) return;
+
+        const priorityProp = mapConfig.priorityProperty || mapConfig.significanceProperty;
+        const tileSize = 256;
+        const tileKey = this.getTileKey(coords);
+        const tileFeatureKeys = new Set();
+        state.tileLabelKeys.set(tileKey, tileFeatureKeys);
+
+        for (const layerName in tile.layers) {
+            const layer = tile.layers[layerName];
+            const extent = layer.extent || 4096;
+
+            for (const i in layer.features) {
+                const feat = layer.features[i];
+                const properties = feat.properties || {};
+                if (!properties[labelProperty]) continue;
+
+                const text = this.cleanLabelText(properties[labelProperty], mapConfig.labelCleanup);
+                if (!text) continue;
+
+                const anchor = this.getTileFeatureAnchor(feat);
+                if (!anchor) continue;
+
+                // Compare pieces across zoom levels in world units
+                const size = anchor.area / Math.pow(4, coords.z);
+                const key = feat.id != null ? feat.id : JSON.stringify(properties);
+                const latlng = vectorTileLoader.tilePointToLatLng(this.map, coords, anchor.point, extent, tileSize);
+                tileFeatureKeys.add(key);
+
+                // Each tile's piece is kept, so the label can move to another piece when this tile unloads
+                const existing = state.tileLabels.get(key);
+                if (existing) {
+                    existing.pieces.set(tileKey, { size, latlng });
+                    if (existing.size < size) {
+                        existing.size = size;
+                        existing.latlng = latlng;
+                    }
+                    continue;
+                }
+
+                const entry = {
+                    layer: { getLatLng: () => entry.latlng },
+                    feature: { type: 'Feature', properties, geometry: null },
+                    text,
+                    color: mapConfig.style?.color || '#3388ff',
+                    priority: priorityProp ? (parseFloat(properties[priorityProp]) || 0) : 0,
+                    latlng,
+                    size,
+                    pieces: new Map([[tileKey, { size, latlng }]])  // tile key -> { size, latlng }
+                };
+                state.tileLabels.set(key, entry);
+                state.labelEntries.push(entry);
+            }
+        }
+    }
+
+    /**
+     * Forget the label pieces of a tile Leaflet has unloaded, so labels only cover loaded tiles
+     * Labels left with no pieces are dropped; the rest move to their largest remaining piece
+     */
+    releaseTileLabels(state, coords) {
+        const tileKey = this.getTileKey(coords);
+        const keys = state.tileLabelKeys?.get(tileKey);
+        if (!keys) return;
+        state.tileLabelKeys.delete(tileKey);
+
+        const removed = new Set();
+        for (const key of keys) {
+            const entry = state.tileLabels.get(key);
+            if (!entry) continue;
+            entry.pieces.delete(tileKey);
+
+            if (entry.pieces.size === 0) {
+                state.tileLabels.delete(key);
+                removed.add(entry);
+                continue;
+            }
+            const largest = [...entry.pieces.values()].reduce((a, b) => (b.size > a.size ? b : a));
+            entry.size = largest.size;
+            entry.latlng = largest.latlng;
+        }
+
+        if (removed.size > 0) {
+            state.labelEntries = state.labelEntries.filter(entry => !removed.has(entry));
+        }
+    }
+
+    /**
+     * Key of a tile, as seen by onTileFeatures and the tileunload event
+     */
+    getTileKey(coords) {
+        return `${coords.z}/${coords.x}/${coords.y}`;
+    }
+
+    /**
+     * Find a label anchor for a vector tile feature in tile-extent coordinates
+     * Uses the bounding box centre of the largest ring, or the first point for point features
+     */
+    getTileFeatureAnchor(feat) {
+        const rings = feat.loadGeometry?.() || feat.geometry || [];
+        let best = null;
+
+        for (const ring of rings) {
+            if (!ring?.length) continue;
+
+            let area = 0;
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            for (let j = 0; j < ring.length; j++) {
+                const p = ring[j];
+                const q = ring[(j + 1) % ring.length];
+                area += p.x * q.y - q.x * p.y;
+                minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+                minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+            }
+            area = Math.abs(area / 2);
+
+            if (!best || area > best.area) {
+                best = { area, point: { x: (minX + maxX) / 2, y: (minY + maxY) / 2 } };
+            }
+        }
+
+        return best;
+    }
+
     /**
      * Add a single feature to a layer state
      */
     addFeatureToLayer(state, geojson, style, labelProperty, mapConfig) {
         const geoJsonLayer = L.geoJSON(geojson, {
-            style: (feature) => {
-                // Don't apply polygon style to points - they use pointToLayer
-                if (feature.geometry?.type === 'Point') return {};
-                return {
-                    color: style?.color || '#3388ff',
-                    weight: style?.weight || 2,
-                    fillOpacity: style?.fillOpacity ?? 0,
-                    opacity: 1
-                };
-            },
+            style: (feature) => this.getFeatureStyle(state, feature, style),
             pointToLayer: (feature, latlng) => {
                 return this.createPointMarker(latlng, style);
             },
@@ -499,6 +822,27 @@ class MapController {
 
         geoJsonLayer.addTo(state.group);
         state.geoJsonLayers.push(geoJsonLayer);
+
+        // Remember which Leaflet layer shows this GeoJSON so cache eviction can remove it
+        if (!state.layersByGeoJson) state.layersByGeoJson = new Map();
+        state.layersByGeoJson.set(geojson, geoJsonLayer);
+    }
+
+    /**
+     * Remove the Leaflet layer for a feature evicted from the feature cache
+     * Partial layers keep their features - they were picked individually by the user
+     */
+    removeEvictedFeature(mapId, geojson) {
+        const state = this.layerStates.get(mapId);
+        if (!state || state.isPartial || !state.layersByGeoJson) return;
+
+        const geoJsonLayer = state.layersByGeoJson.get(geojson);
+        if (!geoJsonLayer) return;
+
+        state.group.removeLayer(geoJsonLayer);
+        state.geoJsonLayers = state.geoJsonLayers.filter(layer => layer !== geoJsonLayer);
+        state.labelEntries = state.labelEntries.filter(entry => !geoJsonLayer.hasLayer(entry.layer));
+        state.layersByGeoJson.delete(geojson);
     }
 
     /**
@@ -510,6 +854,7 @@ class MapController {
         const bounds = this.map.getBounds();
         const zoom = this.map.getZoom();
         const newLOD = featureLoader.getLODForZoom(zoom);
+        featureLoader.setViewport(bounds);
 
         for (const mapId of this.lodLayers) {
             const state = this.layerStates.get(mapId);
@@ -532,6 +877,7 @@ class MapController {
                 }
                 state.geoJsonLayers = [];
                 state.labelEntries = [];
+                state.layersByGeoJson = new Map();
 
                 // Clear cached features at old LOD
                 featureLoader.clearMap(mapId);
@@ -560,25 +906,51 @@ class MapController {
 
     /**
      * Load a data file (FGB or GeoJSON)
+     * mapId tags the download in the persistent cache; if the download fails
+     * (usually offline), features saved in offline packs are used instead
      */
-    async loadDataFile(filePath, onProgress = null) {
+    async loadDataFile(filePath, onProgress = null, mapId = null) {
         const ext = filePath.split('.').pop()?.toLowerCase();
 
-        if (ext === 'fgb') {
-            return this.loadFlatGeobuf(filePath, onProgress);
-        } else {
-            const response = await fetch(filePath);
-            return response.json();
+        try {
+            if (ext === 'fgb') {
+                return await this.loadFlatGeobuf(filePath, onProgress, mapId);
+            } else {
+                const response = await fetch(filePath);
+                return await response.json();
+            }
+        } catch (err) {
+            const packFeatures = mapId ? await offlinePacks.getFeatureSubset(mapId) : null;
+            if (!packFeatures) throw err;
+
+            console.log(`[MapController] Using offline pack features for ${mapId}`);
+            return packFeatures;
         }
     }
 
     /**
      * Load FlatGeobuf file
      */
-    async loadFlatGeobuf(url, onProgress = null) {
+    async loadFlatGeobuf(url, onProgress = null, mapId = null) {
         const features = [];
         let featureCount = 0;
 
+        // Serve repeat loads from the persistent cache, otherwise download and store the whole file
+        if (downloadCache.enabled) {
+            try {
+                const bytes = await downloadCache.fetchBytes(url, { mapId, onProgress });
+                const result = flatgeobuf.deserialize(bytes);
+                if (Array.isArray(result?.features)) return result.features;
+                for await (const feature of result) {
+                    features.push(feature);
+                }
+                return features;
+            } catch (err) {
+                console.warn(`[MapController] Cached load failed for ${url}, streaming instead:`, err.message);
+                features.length = 0;
+            }
+        }
+
         try {
             for await (const feature of flatgeobuf.deserialize(url)) {
                 features.push(feature);
@@ -601,6 +973,107 @@ class MapController {
         return features;
     }
 
+    /**
+     * Load every feature of a map at full detail, whatever mode it is drawn in
+     * Used for analysis (diffs, exports) rather than display
+     */
+    async loadMapFeatures(mapConfig, onProgress = null) {
+        const composite = dataService.getComposite(mapConfig.id);
+        if (composite) {
+            return this.buildCompositeFeatures(mapConfig.id, composite, onProgress);
+        }
+
+        const filePath = dataService.getMapFilePath(mapConfig);
+        if (!filePath) throw new Error(`${mapConfig.name || mapConfig.id} has no boundary data`);
+
+        const data = await this.loadDataFile(filePath, onProgress, mapConfig.id);
+        return Array.isArray(data) ? data : (data.features || []);
+    }
+
+    /**
+     * Build a composite map's features by dissolving named features of its source map
+     * Source features are matched on composite.sourceNameProperty, ignoring case and spacing
+     */
+    async buildCompositeFeatures(mapId, composite, onProgress = null) {
+        const sourceMap = dataService.getMapById(composite.sourceMap);
+        const sourcePath = dataService.getMapFilePath(sourceMap);
+        if (!sourcePath) {
+            throw new Error(`Composite ${mapId}: no data file for source map ${composite.sourceMap}`);
+        }
+
+        const sourceData = await this.loadDataFile(sourcePath, (progress) => {
+            if (onProgress) onProgress(Math.round(progress * 0.8));
+        }, composite.sourceMap);
+        const sourceFeatures = Array.isArray(sourceData) ? sourceData : (sourceData.features || []);
+
+        // Index source features by normalised name
+        const normalise = (name) => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+        const byName = new Map();
+        for (const feature of sourceFeatures) {
+            const name = feature.properties?.[composite.sourceNameProperty];
+            if (name == null) continue;
+            const key = normalise(name);
+            if (!byName.has(key)) byName.set(key, []);
+            byName.get(key).push(feature);
+        }
+
+        const features = [];
+        for (const definition of composite.features || []) {
+            const parts = [];
+            for (const sourceName of definition.sourceFeatures || []) {
+                const matches = byName.get(normalise(sourceName));
+                if (matches) {
+                    parts.push(...matches);
+                } else {
+                    console.warn(`[MapController] Composite ${mapId}: source feature "${sourceName}" not found in ${composite.sourceMap}`);
+                }
+            }
+
+            const geometry = this.dissolveGeometries(parts);
+            if (!geometry) continue;
+
+            features.push({
+                type: 'Feature',
+                properties: { ...definition.properties },
+                geometry
+            });
+        }
+
+        console.log(`[MapController] Built composite ${mapId}: ${features.length} features from ${sourceFeatures.length} in ${composite.sourceMap}`);
+        return features;
+    }
+
+    /**
+     * Dissolve polygon features into a single geometry
+     * Uses turf.union where available, otherwise merges the parts into a MultiPolygon
+     */
+    dissolveGeometries(features) {
+        const polygons = features.filter(f => f?.geometry?.type?.includes('Polygon'));
+        if (polygons.length === 0) return null;
+
+        if (typeof turf !== 'undefined') {
+            try {
+                let merged = polygons[0];
+                for (let i = 1; i < polygons.length; i++) {
+                    merged = turf.union(merged, polygons[i]) || merged;
+                }
+                return merged.geometry;
+            } catch (err) {
+                console.warn('[MapController] Dissolve failed, falling back to MultiPolygon:', err);
+            }
+        }
+
+        const coordinates = [];
+        for (const feature of polygons) {
+            if (feature.geometry.type === 'Polygon') {
+                coordinates.push(feature.geometry.coordinates);
+            } else {
+                coordinates.push(...feature.geometry.coordinates);
+            }
+        }
+        return { type: 'MultiPolygon', coordinates };
+    }
+
     /**
      * Clean label text based on cleanup rule
      */
@@ -827,6 +1300,483 @@ class MapController {
         return results;
     }
 
+    /**
+     * Features of a vector tile layer with their full geometry, read for an area from the map's data file
+     * Tiles only hold clipped, simplified geometry, so anything measuring or outlining features uses these.
+     * Only the area is fetched (R-tree picks or a FlatGeobuf bbox query) - tile layers are the large maps
+     * @param {string} id
+     * @param {L.LatLngBounds} bounds
+     */
+    async getTileFeaturesInBounds(id, bounds) {
+        const state = this.layerStates.get(id);
+        if (!state?.tileLayer) return [];
+
+        const bbox = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
+        const features = await pointLookup.getFeaturesInBBox(state.config, bbox);
+
+        // Files already in the download cache come back whole
+        return features.filter(feature => {
+            if (!feature?.geometry) return false;
+            const [minX, minY, maxX, maxY] = turf.bbox(feature);
+            return minX <= bbox[2] && maxX >= bbox[0] && minY <= bbox[3] && maxY >= bbox[1];
+        });
+    }
+
+    /**
+     * Find the data file feature behind a vector tile click
+     * Features near the click are matched on the tile's properties; ties go to the polygon containing it
+     */
+    async resolveTileHit({ mapId, properties }, latlng) {
+        const hit = { mapId, properties: this.getFeatureProperties(mapId, properties), geometry: null };
+        try {
+            // A few pixels either side, so lines and points drawn under the click are found too
+            const point = this.map.latLngToContainerPoint(latlng);
+            const near = L.latLngBounds(
+                this.map.containerPointToLatLng(point.subtract([MapController.TILE_HIT_TOLERANCE, MapController.TILE_HIT_TOLERANCE])),
+                this.map.containerPointToLatLng(point.add([MapController.TILE_HIT_TOLERANCE, MapController.TILE_HIT_TOLERANCE]))
+            );
+
+            const keys = Object.keys(properties);
+            const matches = (await this.getTileFeaturesInBounds(mapId, near))
+                .filter(feature => keys.every(key => String(feature.properties?.[key]) === String(properties[key])));
+
+            const clicked = turf.point([latlng.lng, latlng.lat]);
+            const feature = matches.length > 1
+                ? matches.find(f => f.geometry?.type?.includes('Polygon') && turf.booleanPointInPolygon(clicked, f)) || matches[0]
+                : matches[0];
+            if (feature) hit.geometry = feature.geometry;
+        } catch (err) {
+            console.warn(`[MapController] Could not find the clicked feature of ${mapId}:`, err.message);
+        }
+        return hit;
+    }
+
+    /**
+     * Get the GeoJSON features drawn for a layer (empty for vector tile layers - see getTileFeaturesInBounds)
+     */
+    getLayerFeatures(id) {
+        const state = this.layerStates.get(id);
+        if (!state || state.tileLayer) return [];
+
+        const features = [];
+        state.geoJsonLayers.forEach(geoJsonLayer => {
+            geoJsonLayer.eachLayer(layer => {
+                if (layer.feature) features.push(layer.feature);
+            });
+        });
+        return features;
+    }
+
+    /**
+     * Animate the change from one vintage to the next after layers have been swapped:
+     * the old boundaries fade out, boundaries that no longer exist are dashed red
+     * and new or redrawn boundaries flash orange
+     * Features are matched on their rounded bbox, so renamed-only features are not highlighted
+     * @returns {{added: number, removed: number}}
+     */
+    animateBoundaryChange(oldFeatures, newMapId, duration = 1500) {
+        if (!this.map || oldFeatures.length === 0) return { added: 0, removed: 0 };
+
+        const signature = (feature) => {
+            try {
+                return turf.bbox(feature).map(v => v.toFixed(4)).join(',');
+            } catch (e) {
+                return null;
+            }
+        };
+        // Markers can't be faded - only outlines are animated
+        const isOutline = (feature) => feature.geometry && !feature.geometry.type.includes('Point');
+        oldFeatures = oldFeatures.filter(isOutline);
+        const newFeatures = this.getLayerFeatures(newMapId).filter(isOutline);
+        const oldSigs = new Set(oldFeatures.map(signature));
+        const newSigs = new Set(newFeatures.map(signature));
+        const removed = oldFeatures.filter(f => !newSigs.has(signature(f)));
+        const added = newFeatures.filter(f => !oldSigs.has(signature(f)));
+
+        const layers = [
+            { style: { color: '#666666', weight: 1, fill: false }, features: oldFeatures, opacity: 0.8 },
+            { style: { color: '#d62728', weight: 2, dashArray: '4 4', fill: false }, features: removed, opacity: 1 },
+            { style: { color: '#ff7f0e', weight: 3, fillColor: '#ff7f0e', fillOpacity: 0.25 }, features: added, opacity: 1 }
+        ].map(({ style, features, opacity }) => ({
+            layer: L.geoJSON(features, { style: { ...style, opacity }, interactive: false }),
+            opacity
+        }));
+        layers.forEach(({ layer }) => {
+            layer.addTo(this.map);
+        });
+
+        // Hold briefly, then fade everything out
+        const start = performance.now();
+        const fade = (now) => {
+            const t = Math.min(1, (now - start) / duration);
+            const remaining = t < 0.3 ? 1 : 1 - (t - 0.3) / 0.7;
+            layers.forEach(({ layer, opacity }) => {
+                layer.setStyle({ opacity: opacity * remaining, fillOpacity: 0.25 * remaining });
+            });
+            if (t < 1) {
+                requestAnimationFrame(fade);
+            } else {
+                layers.forEach(({ layer }) => layer.remove());
+            }
+        };
+        requestAnimationFrame(fade);
+
+        return { added: added.length, removed: removed.length };
+    }
+
+    /**
+     * Show the result of boundaryDiff.compare on the map: new boundaries coloured by
+     * change type, with old boundaries that have no successor dashed on top
+     */
+    showDiffOverlay(result) {
+        this.clearDiffOverlay();
+        if (!this.map) return;
+
+        const name = (value) => value == null ? 'Unnamed' : String(value).replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+        const styleFor = (change) => ({
+            color: boundaryDiff.getChangeColor(change),
+            weight: change === 'unchanged' ? 1 : 2,
+            fillColor: boundaryDiff.getChangeColor(change),
+            fillOpacity: change === 'unchanged' ? 0.05 : 0.35,
+            dashArray: change === 'removed' ? '6 4' : null
+        });
+
+        const polygons = (features, changes) => features
+            .map((feature, i) => ({ feature, change: changes[i] }))
+            .filter(({ feature, change }) => change && feature.geometry?.type?.includes('Polygon'));
+
+        const newLayer = L.geoJSON(null);
+        for (const { feature, change } of polygons(result.toFeatures, result.toChanges)) {
+            const props = feature.properties || {};
+            L.geoJSON(feature, { style: styleFor(change) })
+                .bindTooltip(`${name(props[result.toMap.labelProperty] ?? props.name)} <em>(${change})</em>`, { sticky: true })
+                .addTo(newLayer);
+        }
+
+        const removedLayer = L.geoJSON(null);
+        for (const { feature } of polygons(result.fromFeatures, result.fromChanges).filter(p => p.change === 'removed')) {
+            const props = feature.properties || {};
+            L.geoJSON(feature, { style: { ...styleFor('removed'), fillOpacity: 0.15 } })
+                .bindTooltip(`${name(props[result.fromMap.labelProperty] ?? props.name)} <em>(removed)</em>`, { sticky: true })
+                .addTo(removedLayer);
+        }
+
+        this.diffOverlay = L.layerGroup([newLayer, removedLayer]).addTo(this.map);
+        const bounds = newLayer.getBounds().extend(removedLayer.getBounds());
+        if (bounds.isValid()) this.map.fitBounds(bounds, { padding: [20, 20] });
+    }
+
+    /**
+     * Remove the boundary change overlay
+     */
+    clearDiffOverlay() {
+        if (this.diffOverlay) {
+            this.diffOverlay.remove();
+            this.diffOverlay = null;
+        }
+    }
+
+    /**
+     * Outline a feature above all layers and zoom to it; the outline is removed after a few seconds
+     * Works whether or not the feature is drawn by its own layer (LOD, tiles or not loaded)
+     */
+    flashFeature(feature, duration = 4000) {
+        if (!this.map || !feature?.geometry) return;
+
+        this.flashLayer?.remove();
+        const layer = L.geoJSON(feature, {
+            style: { color: '#ff0000', weight: 4, fillColor: '#ff0000', fillOpacity: 0.15 },
+            interactive: false
+        }).addTo(this.map);
+        this.flashLayer = layer;
+
+        const bounds = layer.getBounds();
+        if (bounds.isValid()) this.map.fitBounds(bounds, { padding: [40, 40], maxZoom: 15 });
+
+        setTimeout(() => {
+            if (this.flashLayer !== layer) return;
+            layer.remove();
+            this.flashLayer = null;
+        }, duration);
+    }
+
+    /**
+     * Choropleth config for a map - the UI override if set, else its maps.json config
+     * @returns {Object|null}
+     */
+    getChoroplethConfig(mapConfig) {
+        if (this.choroplethOverrides.has(mapConfig.id)) return this.choroplethOverrides.get(mapConfig.id);
+        return mapConfig.choropleth || null;
+    }
+
+    /**
+     * Override a map's choropleth and restyle it if loaded
+     * @param {string} mapId
+     * @param {Object|null|undefined} config - new config, null for a single colour, undefined to restore maps.json
+     */
+    async setChoropleth(mapId, config) {
+        if (config === undefined) {
+            this.choroplethOverrides.delete(mapId);
+        } else {
+            this.choroplethOverrides.set(mapId, config);
+        }
+        return this.applyChoropleth(mapId);
+    }
+
+    /**
+     * Reclassify and restyle a loaded map, e.g. after its choropleth or joined data changes
+     */
+    async applyChoropleth(mapId) {
+        const state = this.layerStates.get(mapId);
+        if (!state?.loaded) return;
+
+        const effective = this.getChoroplethConfig(state.config);
+
+        // Tile and LOD layers only hold the features in view - reload the whole map to classify it
+        if (choropleth.needsData(effective) && (state.useTiles || state.useLOD) && !state.isPartial) {
+            const visible = state.visible;
+            this.unloadLayer(mapId);
+            await this.loadLayer(state.config, visible);
+            return;
+        }
+
+        state.choropleth = effective ? choropleth.classify(this.withJoinedProperties(mapId, this.getLayerFeatures(mapId)), effective) : null;
+        this.restyleLayer(state);
+        console.log(`[MapController] Choropleth for ${mapId}: ${effective ? `${effective.method} on ${effective.property}` : 'off'}`);
+    }
+
+    /**
+     * Property names of a loaded layer's features, for choosing what to classify
+     * @returns {{name: string, numeric: boolean}[]}
+     */
+    getLayerProperties(id) {
+        return choropleth.getPropertyNames(this.withJoinedProperties(id, this.getLoadedFeatures(id)));
+    }
+
+    /**
+     * Features of a loaded layer that carry its properties
+     * Tile layers keep no features, but their labelled features carry the same properties
+     */
+    getLoadedFeatures(id) {
+        const state = this.layerStates.get(id);
+        if (!state) return [];
+        return state.tileLayer ? state.labelEntries.map(entry => entry.feature) : this.getLayerFeatures(id);
+    }
+
+    /**
+     * A feature's properties with the columns of any table joined onto its map
+     */
+    getFeatureProperties(mapId, properties) {
+        return dataJoin.getProperties(mapId, properties);
+    }
+
+    /**
+     * Copies of features carrying their joined columns (the features themselves when there is no join)
+     */
+    withJoinedProperties(mapId, features) {
+        if (!dataJoin.getJoin(mapId)) return features;
+        return features.map(feature => ({ ...feature, properties: this.getFeatureProperties(mapId, feature.properties) }));
+    }
+
+    /**
+     * Join a table onto a map and restyle it if loaded
+     * Every feature of the map is read (not just those drawn) so the report covers the whole map
+     * @param {string} mapId
+     * @param {Object} table - from dataJoin.parse
+     * @param {Object} options - { tableKey, layerKey, name } (see dataJoin.join)
+     * @returns {Promise<Object>} the join, with its report
+     */
+    async joinTable(mapId, table, options) {
+        const mapConfig = dataService.getMapById(mapId);
+        if (!mapConfig) throw new Error(`Unknown map: ${mapId}`);
+
+        const features = await this.loadMapFeatures(mapConfig);
+        const join = dataJoin.join(mapId, table, options, features.map(f => f.properties || {}));
+
+        await this.applyChoropleth(mapId);
+        this.onJoinChange?.(mapId);
+        return join;
+    }
+
+    /**
+     * Remove the table joined onto a map
+     */
+    async removeJoin(mapId) {
+        if (!dataJoin.removeJoin(mapId)) return;
+
+        await this.applyChoropleth(mapId);
+        this.onJoinChange?.(mapId);
+    }
+
+    /**
+     * Join the table a map names in maps.json
+     */
+    async loadConfiguredJoin(mapConfig) {
+        const { file, tableKey, layerKey } = mapConfig.join;
+        if (!file || !tableKey || !layerKey) {
+            console.warn(`[MapController] Incomplete join config for ${mapConfig.id}`);
+            return;
+        }
+
+        try {
+            const text = await downloadCache.fetchText(file, { mapId: mapConfig.id });
+            const table = dataJoin.parse(text, file);
+            await this.joinTable(mapConfig.id, table, { tableKey, layerKey, name: file.split('/').pop() });
+        } catch (err) {
+            console.warn(`[MapController] Could not join ${file} onto ${mapConfig.id}:`, err.message);
+        }
+    }
+
+    /**
+     * Legends for the visible layers with a choropleth
+     * @returns {Object[]} [{ mapId, mapName, property, method, items: [{ label, color }] }]
+     */
+    getChoroplethLegends() {
+        const legends = [];
+        this.layerStates.forEach((state, id) => {
+            if (!state.visible || !state.choropleth) return;
+            legends.push({
+                mapId: id,
+                mapName: state.config?.name || id,
+                property: state.choropleth.property,
+                method: choropleth.getMethods()[state.choropleth.method],
+                items: choropleth.getLegendItems(state.choropleth)
+            });
+        });
+        return legends;
+    }
+
+    /**
+     * Redraw a loaded layer with its current style
+     */
+    restyleLayer(state) {
+        if (state.tileLayer) {
+            state.tileLayer.redraw();
+        } else {
+            state.geoJsonLayers.forEach(layer => layer.setStyle(feature => this.getFeatureStyle(state, feature, state.config.style)));
+        }
+    }
+
+    /**
+     * Style a layer is drawn with - its maps.json style with the changes made in the UI
+     * @returns {Object} { color, weight, dash, fillColor, fillOpacity (0-1), labels }
+     */
+    getLayerStyle(mapId) {
+        const style = dataService.getMapById(mapId)?.style || {};
+        const override = this.layerStyles.get(mapId) || {};
+        const color = override.color || style.color || '#3388ff';
+        return {
+            color,
+            weight: override.weight ?? (style.weight || 2),
+            dash: override.dash || 'solid',
+            fillColor: override.fillColor || color,
+            fillOpacity: override.fillOpacity ?? this.fillOpacity ?? style.fillOpacity ?? 0,
+            labels: override.labels ?? true
+        };
+    }
+
+    /**
+     * Change how one layer is drawn, on top of its maps.json style
+     * Changes are kept for the map whether or not it is loaded, so they apply when it next loads
+     * @param {string} mapId
+     * @param {Object|null} changes - any of { color, weight, dash, fillColor, fillOpacity, labels }; null restores maps.json
+     */
+    setLayerStyle(mapId, changes) {
+        if (changes === null) {
+            this.layerStyles.delete(mapId);
+        } else {
+            const override = { ...this.layerStyles.get(mapId), ...changes };
+            Object.keys(override).forEach(key => override[key] == null && delete override[key]);
+            if (Object.keys(override).length > 0) {
+                this.layerStyles.set(mapId, override);
+            } else {
+                this.layerStyles.delete(mapId);
+            }
+        }
+
+        const state = this.layerStates.get(mapId);
+        if (state?.loaded) {
+            this.restyleLayer(state);
+            this.updateLabels();
+        }
+    }
+
+    /**
+     * Whether a layer has style changes
+     */
+    hasLayerStyle(mapId) {
+        return this.layerStyles.has(mapId);
+    }
+
+    /**
+     * All layer style changes, for saving
+     * @returns {Object} mapId -> changes
+     */
+    getLayerStyles() {
+        return Object.fromEntries(this.layerStyles);
+    }
+
+    /**
+     * Restore saved layer style changes, replacing those of the same maps
+     * @param {Object} styles - mapId -> changes, as from getLayerStyles
+     */
+    setLayerStyles(styles) {
+        for (const [mapId, changes] of Object.entries(styles || {})) {
+            if (changes && typeof changes === 'object' && dataService.getMapById(mapId)) {
+                this.layerStyles.delete(mapId);
+                this.setLayerStyle(mapId, changes);
+            }
+        }
+    }
+
+    /**
+     * Style changes of the given layers for URL state
+     * Format: mapId:field_field,... with fields c<stroke hex> w<width> d<dash> f<fill hex> o<fill opacity %> l0 (no labels)
+     */
+    getLayerStylesParam(mapIds) {
+        return mapIds
+            .filter(mapId => this.layerStyles.has(mapId))
+            .map(mapId => {
+                const { color, weight, dash, fillColor, fillOpacity, labels } = this.layerStyles.get(mapId);
+                const fields = [];
+                if (color) fields.push(`c${color.replace('#', '')}`);
+                if (weight != null) fields.push(`w${weight}`);
+                if (dash) fields.push(`d${dash}`);
+                if (fillColor) fields.push(`f${fillColor.replace('#', '')}`);
+                if (fillOpacity != null) fields.push(`o${Math.round(fillOpacity * 100)}`);
+                if (labels === false) fields.push('l0');
+                return fields.length > 0 ? `${mapId}:${fields.join('_')}` : null;
+            })
+            .filter(Boolean)
+            .join(',');
+    }
+
+    /**
+     * Restore layer style changes from URL state (see getLayerStylesParam)
+     */
+    setLayerStylesFromParam(param) {
+        const styles = {};
+        for (const entry of (param || '').split(',')) {
+            const [mapId, fields] = entry.split(':');
+            if (!mapId || !fields) continue;
+
+            const style = {};
+            for (const field of fields.split('_')) {
+                const value = field.slice(1);
+                switch (field[0]) {
+                    case 'c': if (/^[0-9a-f]{6}$/i.test(value)) style.color = `#${value}`; break;
+                    case 'w': if (Number(value) > 0) style.weight = Number(value); break;
+                    case 'd': if (value in MapController.DASH_PATTERNS) style.dash = value; break;
+                    case 'f': if (/^[0-9a-f]{6}$/i.test(value)) style.fillColor = `#${value}`; break;
+                    case 'o': if (value !== '' && !Number.isNaN(Number(value))) style.fillOpacity = Math.min(100, Math.max(0, Number(value))) / 100; break;
+                    case 'l': style.labels = value !== '0'; break;
+                }
+            }
+            styles[mapId] = style;
+        }
+        this.setLayerStyles(styles);
+    }
+
     /**
      * Set transparency (stroke opacity) for all layers
      */
@@ -834,6 +1784,10 @@ class MapController {
         const opacity = 1 - (value / 100);
         this.strokeOpacity = opacity;
         this.layerStates.forEach(state => {
+            if (state.tileLayer) {
+                state.tileLayer.redraw();
+                return;
+            }
             state.group.eachLayer(layer => {
                 if (layer.setStyle) {
                     layer.setStyle({ opacity });
@@ -843,12 +1797,17 @@ class MapController {
     }
 
     /**
-     * Set fill transparency for all layers
+     * Set fill transparency for all layers without a fill opacity of their own
      */
     setFillTransparency(value) {
         const fillOpacity = 1 - (value / 100);
         this.fillOpacity = fillOpacity;
         this.layerStates.forEach(state => {
+            // Layers with their own fill opacity keep it
+            if (state.tileLayer || this.layerStyles.get(state.id)?.fillOpacity != null) {
+                this.restyleLayer(state);
+                return;
+            }
             state.group.eachLayer(layer => {
                 if (layer.setStyle) {
                     layer.setStyle({ fillOpacity });
@@ -884,6 +1843,7 @@ class MapController {
         // Clear existing labels
         this.labelMarkers.forEach(m => this.map.removeLayer(m));
         this.labelMarkers = [];
+        this.placedLabels = [];
 
         if (!this.labelsEnabled) return;
 
@@ -896,10 +1856,15 @@ class MapController {
 
         // Collect all visible label entries
         const allLabels = [];
-        this.layerStates.forEach(state => {
-            if (state.loaded && state.visible) {
-                allLabels.push(...state.labelEntries);
-            }
+        this.layerStates.forEach((state, id) => {
+            if (!state.loaded || !state.visible) return;
+
+            // Layers can turn their labels off or recolour them
+            const override = this.layerStyles.get(id);
+            if (override?.labels === false) return;
+            allLabels.push(...(override?.color
+                ? state.labelEntries.map(entry => ({ ...entry, color: override.color }))
+                : state.labelEntries));
         });
 
         // Step 1: Sort by priority (descending) - higher priority labels first
@@ -1009,6 +1974,7 @@ class MapController {
                 });
                 marker.addTo(this.map);
                 this.labelMarkers.push(marker);
+                this.placedLabels.push({ latlng: center, text: info.text, color: info.color, fontSize, maxWidth });
             } catch (err) {
                 // Ignore label placement errors
             }
@@ -1018,10 +1984,14 @@ class MapController {
     /**
      * Handle map click events
      */
-    handleMapClick(e) {
+    async handleMapClick(e) {
         const clickLatLng = e.latlng;
         const featuresFound = [];
 
+        // Vector tile features reported by the tile layers' own click events
+        const tileHits = this.pendingTileHits;
+        this.pendingTileHits = [];
+
         this.layerStates.forEach(state => {
             if (!state.loaded || !state.visible) return;
 
@@ -1035,7 +2005,7 @@ class MapController {
                         if (clickLatLng.distanceTo(layer.getLatLng()) < 10) {
                             featuresFound.push({
                                 mapId: layer._mapId,
-                                properties: layer.feature.properties,
+                                properties: this.getFeatureProperties(layer._mapId, layer.feature.properties),
                                 geometry: layer.feature.geometry
                             });
                         }
@@ -1046,14 +2016,14 @@ class MapController {
                             if (turf.booleanPointInPolygon(point, layer.feature)) {
                                 featuresFound.push({
                                     mapId: layer._mapId,
-                                    properties: layer.feature.properties,
+                                    properties: this.getFeatureProperties(layer._mapId, layer.feature.properties),
                                     geometry: layer.feature.geometry
                                 });
                             }
                         } else {
                             featuresFound.push({
                                 mapId: layer._mapId,
-                                properties: layer.feature.properties,
+                                properties: this.getFeatureProperties(layer._mapId, layer.feature.properties),
                                 geometry: layer.feature.geometry
                             });
                         }
@@ -1062,6 +2032,10 @@ class MapController {
             });
         });
 
+        if (tileHits.length > 0) {
+            featuresFound.unshift(...await Promise.all(tileHits.map(hit => this.resolveTileHit(hit, clickLatLng))));
+        }
+
         if (this.onFeatureClick && featuresFound.length > 0) {
             this.onFeatureClick(featuresFound);
         }
@@ -1075,7 +2049,7 @@ class MapController {
         if (!state || !this.map) return;
 
         try {
-            const bounds = state.group.getBounds();
+            const bounds = state.tileLayer?.options.bounds || state.group.getBounds();
             if (bounds.isValid()) {
                 this.map.fitBounds(bounds, { padding: [20, 20] });
             }
@@ -0,0 +1,864 @@
+/**
+ * NI Boundaries - Map Export
+ * Lays out the current map view on a page - the visible boundary layers, the labels placed by
+ * MapController.updateLabels, a legend, scale bar, north arrow and attribution - and writes it
+ * as a high-resolution PNG, a vector SVG or a print-ready PDF.
+ * Everything is drawn from the layers' own geometry; base map tiles are not included, as most
+ * tile servers do not allow them to be exported.
+ */
+
+import dataService from './data-service.js';
+
+// Portrait page sizes in millimetres
+const PAPER_SIZES = {
+    A5: [148, 210],
+    A4: [210, 297],
+    A3: [297, 420],
+    A2: [420, 594],
+    Letter: [215.9, 279.4],
+    Legal: [215.9, 355.6]
+};
+
+const FORMATS = ['png', 'svg', 'pdf'];
+const PT_PER_MM = 72 / 25.4;
+const MARGIN_MM = 10;
+const SIMPLIFY_PT = 0.25;     // Vertices closer than this to the previous one are dropped
+const MIN_STROKE_PT = 0.25;
+const MAP_BACKGROUND = '#f8f9fa';
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+const EARTH_CIRCUMFERENCE = 40075016.686;  // metres, for the scale bar
+
+// WinAnsiEncoding codes for the characters outside Latin-1 that appear in names and legends
+const WIN_ANSI = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+    '•': 0x95, '–': 0x96, '—': 0x97, '≤': null, '≥': null
+};
+
+class MapExport {
+    /**
+     * Paper sizes as { name: [width, height] } in mm, portrait
+     */
+    getPaperSizes() {
+        return PAPER_SIZES;
+    }
+
+    /**
+     * Export the current map view
+     * @param {Object} mapController
+     * @param {Object} options
+     * @param {string} options.format - 'png' | 'svg' | 'pdf'
+     * @param {string} options.paper - key of PAPER_SIZES
+     * @param {string} options.orientation - 'landscape' | 'portrait'
+     * @param {number} options.dpi - PNG resolution
+     * @param {string} options.title - printed above the map (optional)
+     * @param {string} options.subtitle - printed below the title (optional, needs a layout with a subtitle)
+     * @param {Object} options.layout - element placement (see getDefaultLayout), sized for the paper
+     * @returns {Promise<{blob: Blob, filename: string}>}
+     */
+    async export(mapController, { format = 'png', paper = 'A4', orientation = 'landscape', dpi = 300, title = '', subtitle = '', layout = null } = {}) {
+        if (!FORMATS.includes(format)) throw new Error(`Unknown export format: ${format}`);
+
+        const scene = await this.buildScene(mapController, { paper, orientation, title, subtitle, layout });
+        let blob;
+        if (format === 'svg') {
+            blob = new Blob([this.toSVG(scene)], { type: 'image/svg+xml' });
+        } else if (format === 'pdf') {
+            blob = await this.toPDF(scene, title);
+        } else {
+            const canvas = this.toCanvas(scene, dpi);
+            blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        console.log(`[MapExport] ${format.toUpperCase()} ${paper} ${orientation}: ${scene.featureCount} features, ${scene.labelCount} labels`);
+        return { blob, filename: `ni-boundaries-map-${date}.${format}` };
+    }
+
+    /**
+     * Page size in mm for a paper size and orientation
+     * @returns {number[]} [width, height]
+     */
+    getPageSize(paper, orientation) {
+        const [short, long] = PAPER_SIZES[paper] || PAPER_SIZES.A4;
+        return orientation === 'portrait' ? [short, long] : [long, short];
+    }
+
+    /**
+     * Default placement of the page elements, in mm from the top-left of the page
+     * The map fills the page inside the margins; the legend, scale bar and north arrow sit
+     * inside the map frame, with the title above it and the attribution below
+     *
+     * A layout may also place:
+     *   subtitle   { x, y, size, w, anchor } - like title; w wraps the text
+     *   titleBlock { x, y, w, h } - box drawn behind the title and subtitle
+     *   inset      { x, y, w, h } - locator map of the layers' full extent, marking the main view
+     *   dateStamp  { x, y, size, anchor } - date the map was produced (the attribution then leaves it out)
+     * Elements left out, or null, are not drawn
+     */
+    getDefaultLayout(width, height, hasTitle) {
+        const titleHeight = hasTitle ? 12 : 0;
+        const attributionHeight = 8;
+        const map = {
+            x: MARGIN_MM,
+            y: MARGIN_MM + titleHeight,
+            w: width - 2 * MARGIN_MM,
+            h: height - 2 * MARGIN_MM - titleHeight - attributionHeight
+        };
+
+        return {
+            title: hasTitle ? { x: MARGIN_MM, y: MARGIN_MM + 8, size: 16 } : null,
+            map,
+            legend: { x: map.x + 4, y: map.y + map.h - 4, anchor: 'bottom-left' },
+            scaleBar: { x: map.x + map.w - 4, y: map.y + map.h - 4, anchor: 'bottom-right', w: 40 },
+            northArrow: { x: map.x + map.w - 4, y: map.y + 4, anchor: 'top-right', size: 12 },
+            attribution: { x: MARGIN_MM, y: map.y + map.h + 4, w: map.w }
+        };
+    }
+
+    // ============================================
+    // Scene
+    // ============================================
+
+    /**
+     * Build the page as a list of drawing items in points (1/72 inch), y down
+     * Items: path { rings, closed, style }, circle { x, y, r, style }, rect { x, y, w, h, style },
+     * text { x, y, text, size, color, bold, anchor, halo }, group { clip, items }
+     * style: { stroke, strokeWidth, strokeOpacity, dash, fill, fillOpacity }
+     */
+    async buildScene(mapController, { paper = 'A4', orientation = 'landscape', title = '', subtitle = '', layout = null } = {}) {
+        const [pageWidth, pageHeight] = this.getPageSize(paper, orientation);
+        layout = layout || this.getDefaultLayout(pageWidth, pageHeight, Boolean(title));
+
+        const mm = (value) => value * PT_PER_MM;
+        const scene = {
+            width: mm(pageWidth),
+            height: mm(pageHeight),
+            items: [{ type: 'rect', x: 0, y: 0, w: mm(pageWidth), h: mm(pageHeight), style: { fill: '#ffffff' } }],
+            featureCount: 0,
+            labelCount: 0
+        };
+
+        const box = (element) => ({ x: mm(element.x), y: mm(element.y), w: mm(element.w), h: mm(element.h) });
+        const view = await this.addMap(scene, mapController, box(layout.map));
+
+        if (layout.titleBlock) {
+            scene.items.push({ type: 'rect', ...box(layout.titleBlock), style: { fill: '#ffffff', stroke: '#212529', strokeWidth: 0.75 } });
+        }
+        if (layout.title && title) {
+            this.addText(scene, title, { ...layout.title, x: mm(layout.title.x), y: mm(layout.title.y), w: layout.title.w && mm(layout.title.w), size: layout.title.size || 16, bold: true });
+        }
+        if (layout.subtitle && subtitle) {
+            this.addText(scene, subtitle, { ...layout.subtitle, x: mm(layout.subtitle.x), y: mm(layout.subtitle.y), w: layout.subtitle.w && mm(layout.subtitle.w), size: layout.subtitle.size || 10, color: '#495057' });
+        }
+        if (layout.inset) this.addInset(scene, view, box(layout.inset));
+        if (layout.legend) this.addLegend(scene, mapController, { ...layout.legend, x: mm(layout.legend.x), y: mm(layout.legend.y) });
+        if (layout.scaleBar) this.addScaleBar(scene, view, { ...layout.scaleBar, x: mm(layout.scaleBar.x), y: mm(layout.scaleBar.y), w: mm(layout.scaleBar.w) });
+        if (layout.northArrow) this.addNorthArrow(scene, { ...layout.northArrow, x: mm(layout.northArrow.x), y: mm(layout.northArrow.y), size: mm(layout.northArrow.size) });
+        if (layout.attribution) {
+            this.addAttribution(scene, mapController, { x: mm(layout.attribution.x), y: mm(layout.attribution.y), w: mm(layout.attribution.w), withDate: !layout.dateStamp });
+        }
+        if (layout.dateStamp) {
+            this.addText(scene, `Produced ${this.formatDate(new Date())}`, { ...layout.dateStamp, x: mm(layout.dateStamp.x), y: mm(layout.dateStamp.y), size: layout.dateStamp.size || 7, color: '#6c757d' });
+        }
+
+        return scene;
+    }
+
+    /**
+     * Draw the visible layers and their labels into the map frame
+     * The current view is fitted into the frame, keeping its centre and the map's projection
+     * @returns {Object} { scale (pt per screen pixel), metresPerPt, bounds (L.LatLngBounds drawn),
+     *   layers ([{ features, style, extent }] of every visible layer, for the inset) }
+     */
+    async addMap(scene, mapController, frame) {
+        const map = mapController.map;
+        const size = map.getSize();
+        const zoom = map.getZoom();
+        const scale = Math.min(frame.w / size.x, frame.h / size.y);
+        const centre = map.project(map.getCenter(), zoom);
+
+        const toPage = (lat, lng) => {
+            const p = map.project([lat, lng], zoom);
+            return [frame.x + frame.w / 2 + (p.x - centre.x) * scale, frame.y + frame.h / 2 + (p.y - centre.y) * scale];
+        };
+        const bounds = L.latLngBounds(
+            map.unproject(L.point(centre.x - frame.w / 2 / scale, centre.y - frame.h / 2 / scale), zoom),
+            map.unproject(L.point(centre.x + frame.w / 2 / scale, centre.y + frame.h / 2 / scale), zoom)
+        );
+
+        const items = [{ type: 'rect', x: frame.x, y: frame.y, w: frame.w, h: frame.h, style: { fill: MAP_BACKGROUND } }];
+        const layers = [];
+
+        for (const state of mapController.layerStates.values()) {
+            if (!state.loaded || !state.visible) continue;
+
+            const features = await this.getLayerFeatures(mapController, state, bounds);
+            layers.push({
+                features: features.map(entry => entry.feature),
+                style: mapController.getLayerStyle(state.id),
+                extent: state.tileLayer?.options.bounds || null
+            });
+            for (const { feature, style } of features) {
+                if (!feature?.geometry) continue;
+                const [minX, minY, maxX, maxY] = turf.bbox(feature);
+                if (!bounds.intersects(L.latLngBounds([minY, minX], [maxY, maxX]))) continue;
+
+                this.addGeometry(items, feature.geometry, style, toPage, scale);
+                scene.featureCount++;
+            }
+        }
+
+        for (const label of mapController.placedLabels || []) {
+            const [x, y] = toPage(label.latlng.lat, label.latlng.lng);
+            if (x < frame.x || x > frame.x + frame.w || y < frame.y || y > frame.y + frame.h) continue;
+
+            const size = label.fontSize * scale;
+            this.wrapLabel(label.text, label.fontSize, label.maxWidth).forEach((line, i) => {
+                items.push({
+                    type: 'text', x, y: y + size * (0.95 + i * 1.2), text: line, size,
+                    color: label.color, bold: true, anchor: 'middle', halo: { color: '#ffffff', width: 2 * scale }
+                });
+            });
+            scene.labelCount++;
+        }
+
+        scene.items.push({ type: 'group', clip: frame, items });
+        scene.items.push({ type: 'rect', ...frame, style: { stroke: '#212529', strokeWidth: 0.75 } });
+
+        const metresPerPixel = EARTH_CIRCUMFERENCE * Math.cos(map.getCenter().lat * Math.PI / 180) / (256 * Math.pow(2, zoom));
+        return { scale, metresPerPt: metresPerPixel / scale, bounds, layers };
+    }
+
+    /**
+     * Locator map - the full extent of the visible layers in outline, with the main map's view
+     * marked in red
+     * @param {Object} view - from addMap
+     * @param {Object} frame - { x, y, w, h } in pt
+     */
+    addInset(scene, view, frame) {
+        const features = view.layers.flatMap(layer => layer.features).filter(feature => feature?.geometry);
+        if (features.length === 0) return;
+
+        // Extent of the layers and the view together, in Web Mercator at zoom 0
+        // Tile layers only read the features in view, so their tiles' bounds stand in for the rest
+        const [minX, minY, maxX, maxY] = turf.bbox({ type: 'FeatureCollection', features });
+        const extent = L.latLngBounds([minY, minX], [maxY, maxX]).extend(view.bounds);
+        view.layers.forEach(layer => layer.extent && extent.extend(layer.extent));
+        const project = (lat, lng) => L.CRS.EPSG3857.latLngToPoint(L.latLng(lat, lng), 0);
+        const topLeft = project(extent.getNorth(), extent.getWest());
+        const bottomRight = project(extent.getSouth(), extent.getEast());
+        const padding = 4;
+        const scale = Math.min(
+            (frame.w - 2 * padding) / Math.max(bottomRight.x - topLeft.x, 1e-9),
+            (frame.h - 2 * padding) / Math.max(bottomRight.y - topLeft.y, 1e-9)
+        );
+        const offsetX = frame.x + (frame.w - (bottomRight.x - topLeft.x) * scale) / 2;
+        const offsetY = frame.y + (frame.h - (bottomRight.y - topLeft.y) * scale) / 2;
+        const toPage = (lat, lng) => {
+            const p = project(lat, lng);
+            return [offsetX + (p.x - topLeft.x) * scale, offsetY + (p.y - topLeft.y) * scale];
+        };
+
+        const items = [{ type: 'rect', ...frame, style: { fill: '#ffffff' } }];
+        for (const layer of view.layers) {
+            const style = { color: '#6c757d', weight: 0.5, fillColor: layer.style.color, fillOpacity: 0.15, radius: 1 };
+            layer.features.forEach(feature => feature?.geometry && this.addGeometry(items, feature.geometry, style, toPage, 1));
+        }
+
+        const [left, top] = toPage(view.bounds.getNorth(), view.bounds.getWest());
+        const [right, bottom] = toPage(view.bounds.getSouth(), view.bounds.getEast());
+        items.push({ type: 'rect', x: left, y: top, w: Math.max(right - left, 1), h: Math.max(bottom - top, 1), style: { stroke: '#e03131', strokeWidth: 1 } });
+
+        scene.items.push({ type: 'group', clip: frame, items });
+        scene.items.push({ type: 'rect', ...frame, style: { stroke: '#212529', strokeWidth: 0.5 } });
+    }
+
+    /**
+     * Features of a layer with the Leaflet style each is drawn with
+     * Vector tile layers hold no features, so those within bounds are read from their data file
+     * @param {L.LatLngBounds} bounds - area drawn
+     */
+    async getLayerFeatures(mapController, state, bounds) {
+        if (state.tileLayer) {
+            const features = await mapController.getTileFeaturesInBounds(state.id, bounds);
+            const pointStyle = mapController.createPointMarker([0, 0], state.config.style).options;
+            return features.map(feature => {
+                const style = mapController.getFeatureStyle(state, feature, state.config.style);
+                return { feature, style: feature.geometry?.type === 'Point' ? { ...pointStyle, ...style } : style };
+            });
+        }
+
+        const features = [];
+        state.geoJsonLayers.forEach(geoJsonLayer => {
+            geoJsonLayer.eachLayer(layer => {
+                if (layer.feature) features.push({ feature: layer.feature, style: layer.options || {} });
+            });
+        });
+        return features;
+    }
+
+    /**
+     * Add a GeoJSON geometry drawn with a Leaflet path style (Leaflet's defaults where unset)
+     */
+    addGeometry(items, geometry, style, toPage, scale) {
+        const strokeWidth = Math.max(MIN_STROKE_PT, (style.weight ?? 3) * scale);
+        const pathStyle = {
+            stroke: style.stroke !== false ? (style.color || '#3388ff') : null,
+            strokeWidth,
+            strokeOpacity: style.opacity ?? 1,
+            dash: style.dashArray ? String(style.dashArray).split(/[\s,]+/).map(n => Number(n) * scale) : null
+        };
+        const fillStyle = { ...pathStyle };
+        if (style.fill !== false && (style.fillOpacity ?? 0.2) > 0) {
+            fillStyle.fill = style.fillColor || style.color || '#3388ff';
+            fillStyle.fillOpacity = style.fillOpacity ?? 0.2;
+        }
+
+        const projectRings = (rings) => rings.map(ring => this.projectRing(ring, toPage)).filter(ring => ring.length > 1);
+
+        switch (geometry.type) {
+            case 'Polygon':
+                items.push({ type: 'path', rings: projectRings(geometry.coordinates), closed: true, style: fillStyle });
+                break;
+            case 'MultiPolygon':
+                items.push({ type: 'path', rings: projectRings(geometry.coordinates.flat()), closed: true, style: fillStyle });
+                break;
+            case 'LineString':
+                items.push({ type: 'path', rings: projectRings([geometry.coordinates]), closed: false, style: pathStyle });
+                break;
+            case 'MultiLineString':
+                items.push({ type: 'path', rings: projectRings(geometry.coordinates), closed: false, style: pathStyle });
+                break;
+            case 'Point':
+            case 'MultiPoint': {
+                const points = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+                for (const [lng, lat] of points) {
+                    const [x, y] = toPage(lat, lng);
+                    items.push({ type: 'circle', x, y, r: (style.radius ?? 10) * scale, style: { ...fillStyle, fill: style.fillColor || style.color || '#3388ff', fillOpacity: style.fillOpacity ?? 0.2 } });
+                }
+                break;
+            }
+            case 'GeometryCollection':
+                geometry.geometries.forEach(g => this.addGeometry(items, g, style, toPage, scale));
+                break;
+        }
+    }
+
+    /**
+     * Project a ring to the page, dropping vertices too close together to show
+     */
+    projectRing(ring, toPage) {
+        const points = [];
+        let last = null;
+        for (const [lng, lat] of ring) {
+            const point = toPage(lat, lng);
+            if (last && Math.abs(point[0] - last[0]) < SIMPLIFY_PT && Math.abs(point[1] - last[1]) < SIMPLIFY_PT) continue;
+            points.push(point);
+            last = point;
+        }
+        return points;
+    }
+
+    /**
+     * Split a label into lines the way it wraps on screen (same width estimate as updateLabels)
+     */
+    wrapLabel(text, fontSize, maxWidth) {
+        const charWidth = fontSize * 0.65;
+        const lines = [];
+        let line = '';
+        for (const word of String(text).split(/\s+/)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && candidate.length * charWidth > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Legend of the visible layers, with the classes of those styled by attribute
+     * @param {Object} position - { x, y, anchor } in pt; anchor is the corner of the box at x, y
+     */
+    addLegend(scene, mapController, { x, y, anchor = 'bottom-left' }) {
+        const choropleths = new Map(mapController.getChoroplethLegends().map(legend => [legend.mapId, legend]));
+        const rows = [];
+        mapController.layerStates.forEach((state, id) => {
+            if (!state.loaded || !state.visible) return;
+            const name = state.config?.name || id;
+            const legend = choropleths.get(id);
+            if (legend) {
+                rows.push({ text: name, bold: true });
+                rows.push({ text: legend.property, muted: true });
+                legend.items.forEach(item => rows.push({ text: item.label, swatch: { fill: item.color, stroke: 'rgba(0,0,0,0.3)' }, indent: true }));
+            } else {
+                const style = mapController.getLayerStyle(id);
+                rows.push({ text: name, swatch: { fill: style.fillOpacity > 0 ? style.fillColor : null, stroke: style.color, dash: style.dash !== 'solid' } });
+            }
+        });
+        if (rows.length === 0) return;
+
+        const size = 7;
+        const rowHeight = size * 1.6;
+        const padding = 5;
+        const swatchWidth = 14;
+        const textX = (row) => padding + (row.swatch ? swatchWidth + 4 : 0) + (row.indent ? 4 : 0);
+        const width = Math.max(...rows.map(row => textX(row) + this.estimateTextWidth(row.text, size, row.bold))) + padding;
+        const height = rows.length * rowHeight + padding * 2 - (rowHeight - size);
+
+        const left = anchor.endsWith('right') ? x - width : x;
+        const top = anchor.startsWith('bottom') ? y - height : y;
+        scene.items.push({ type: 'rect', x: left, y: top, w: width, h: height, style: { fill: '#ffffff', fillOpacity: 0.9, stroke: '#adb5bd', strokeWidth: 0.5 } });
+
+        rows.forEach((row, i) => {
+            const rowTop = top + padding + i * rowHeight;
+            if (row.swatch) {
+                const swatchX = left + padding + (row.indent ? 4 : 0);
+                scene.items.push({
+                    type: 'rect', x: swatchX, y: rowTop, w: swatchWidth, h: size,
+                    style: {
+                        fill: row.swatch.fill, fillOpacity: row.swatch.fill ? 0.7 : 0,
+                        stroke: row.swatch.stroke, strokeWidth: 1, dash: row.swatch.dash ? [2, 1.5] : null
+                    }
+                });
+            }
+            scene.items.push({
+                type: 'text', x: left + textX(row), y: rowTop + size * 0.85, text: row.text, size,
+                color: row.muted ? '#6c757d' : '#212529', bold: row.bold
+            });
+        });
+    }
+
+    /**
+     * Scale bar in round kilometres or metres, with the representative fraction below
+     * @param {Object} position - { x, y, w (longest bar), anchor } in pt
+     */
+    addScaleBar(scene, view, { x, y, w, anchor = 'bottom-right' }) {
+        const maxMetres = w * view.metresPerPt;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(maxMetres)));
+        const metres = [5, 2, 1].map(n => n * magnitude).find(n => n <= maxMetres) || magnitude;
+        const barWidth = metres / view.metresPerPt;
+        const format = (m) => m >= 1000 ? `${(m / 1000).toLocaleString('en-GB')} km` : `${m.toLocaleString('en-GB')} m`;
+        const denominator = Math.round(view.metresPerPt * PT_PER_MM * 1000);
+        const fraction = `1:${Number(denominator.toPrecision(2)).toLocaleString('en-GB')}`;
+
+        const padding = 4;
+        const boxWidth = Math.max(barWidth, this.estimateTextWidth(fraction, 6)) + padding * 2 + 8;
+        const boxHeight = 30;
+        const left = anchor.endsWith('right') ? x - boxWidth : x;
+        const top = anchor.startsWith('bottom') ? y - boxHeight : y;
+        scene.items.push({ type: 'rect', x: left, y: top, w: boxWidth, h: boxHeight, style: { fill: '#ffffff', fillOpacity: 0.9, stroke: '#adb5bd', strokeWidth: 0.5 } });
+
+        const barX = left + padding + 4;
+        const barY = top + 12;
+        scene.items.push({ type: 'rect', x: barX, y: barY, w: barWidth / 2, h: 4, style: { fill: '#212529', stroke: '#212529', strokeWidth: 0.5 } });
+        scene.items.push({ type: 'rect', x: barX + barWidth / 2, y: barY, w: barWidth / 2, h: 4, style: { fill: '#ffffff', stroke: '#212529', strokeWidth: 0.5 } });
+        scene.items.push({ type: 'text', x: barX, y: barY - 2.5, text: '0', size: 6, color: '#212529', anchor: 'middle' });
+        scene.items.push({ type: 'text', x: barX + barWidth, y: barY - 2.5, text: format(metres), size: 6, color: '#212529', anchor: 'middle' });
+        scene.items.push({ type: 'text', x: barX + barWidth / 2, y: barY + 12, text: fraction, size: 6, color: '#6c757d', anchor: 'middle' });
+    }
+
+    /**
+     * North arrow - the map is Web Mercator, so north is straight up
+     * @param {Object} position - { x, y, size, anchor } in pt
+     */
+    addNorthArrow(scene, { x, y, size, anchor = 'top-right' }) {
+        const width = size * 0.6;
+        const left = anchor.endsWith('right') ? x - width : x;
+        const top = anchor.startsWith('bottom') ? y - size : y;
+        const cx = left + width / 2;
+        const tipY = top + size * 0.3;
+        const baseY = top + size;
+        const notchY = top + size * 0.8;
+
+        const outline = { stroke: '#212529', strokeWidth: 0.5 };
+        scene.items.push({ type: 'path', rings: [[[cx, tipY], [left, baseY], [cx, notchY]]], closed: true, style: { ...outline, fill: '#ffffff' } });
+        scene.items.push({ type: 'path', rings: [[[cx, tipY], [left + width, baseY], [cx, notchY]]], closed: true, style: { ...outline, fill: '#212529' } });
+        scene.items.push({ type: 'text', x: cx, y: top + size * 0.25, text: 'N', size: size * 0.3, color: '#212529', bold: true, anchor: 'middle', halo: { color: '#ffffff', width: 1.5 } });
+    }
+
+    /**
+     * Credits for the visible layers, grouped by their maps.json providers, wrapped to the given width
+     * @param {Object} position - { x, y (top), w, withDate } in pt
+     */
+    addAttribution(scene, mapController, { x, y, w, withDate = true }) {
+        const providers = new Map();  // providers, e.g. "OSNI, NISRA" -> map names
+        mapController.layerStates.forEach((state, id) => {
+            if (!state.loaded || !state.visible) return;
+            const map = dataService.getMapById(id) || state.config;
+            const key = (map?.provider || []).join(', ');
+            providers.set(key, [...(providers.get(key) || []), map?.name || id]);
+        });
+
+        const sources = [...providers].map(([provider, names]) => provider ? `${provider} (${names.join(', ')})` : names.join(', '));
+
+        const text = [
+            sources.length > 0 ? `Boundaries: ${sources.join('; ')}.` : '',
+            'Base map not included.',
+            withDate ? `Exported from NI Boundaries on ${this.formatDate(new Date())}.` : 'Exported from NI Boundaries.'
+        ].filter(Boolean).join(' ');
+
+        this.addText(scene, text, { x, y: y + 6, w, size: 6, color: '#6c757d' });
+    }
+
+    /**
+     * Add text, wrapped to a width when one is given
+     * @param {Object} options - { x, y (first baseline), w, size, color, bold, anchor } in pt
+     */
+    addText(scene, text, { x, y, w = null, size = 10, color = '#212529', bold = false, anchor = 'start' }) {
+        const lines = [];
+        for (const paragraph of String(text).split('\n')) {
+            let line = '';
+            for (const word of paragraph.split(' ')) {
+                const candidate = line ? `${line} ${word}` : word;
+                if (w && line && this.estimateTextWidth(candidate, size, bold) > w) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            }
+            lines.push(line);
+        }
+
+        lines.forEach((line, i) => {
+            scene.items.push({ type: 'text', x, y: y + i * size * 1.3, text: line, size, color, bold, anchor });
+        });
+    }
+
+    /**
+     * Date as e.g. "18 October 2026"
+     */
+    formatDate(date) {
+        return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    /**
+     * Rough text width for layout - Helvetica averages about half an em per character
+     */
+    estimateTextWidth(text, size, bold = false) {
+        return String(text).length * size * (bold ? 0.56 : 0.5);
+    }
+
+    // ============================================
+    // SVG
+    // ============================================
+
+    /**
+     * Write a scene as an SVG document sized in millimetres
+     */
+    toSVG(scene) {
+        const num = (n) => Number(Number(n).toFixed(2));
+        // Text and every attribute value - colours and anchors can come from loaded templates and styles
+        const esc = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+        let clipCount = 0;
+
+        const styleAttrs = (style = {}) => {
+            const attrs = [`fill="${esc(style.fill || 'none')}"`];
+            if (style.fill && style.fillOpacity != null && style.fillOpacity < 1) attrs.push(`fill-opacity="${num(style.fillOpacity)}"`);
+            if (style.stroke) {
+                attrs.push(`stroke="${esc(style.stroke)}"`, `stroke-width="${num(style.strokeWidth ?? 1)}"`, 'stroke-linejoin="round"', 'stroke-linecap="round"');
+                if (style.strokeOpacity != null && style.strokeOpacity < 1) attrs.push(`stroke-opacity="${num(style.strokeOpacity)}"`);
+                if (style.dash) attrs.push(`stroke-dasharray="${style.dash.map(num).join(' ')}"`);
+            }
+            return attrs.join(' ');
+        };
+
+        const render = (items) => items.map(item => {
+            switch (item.type) {
+                case 'group': {
+                    const id = `clip${++clipCount}`;
+                    const { x, y, w, h } = item.clip;
+                    return `<clipPath id="${id}"><rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}"/></clipPath>` +
+                        `<g clip-path="url(#${id})">${render(item.items)}</g>`;
+                }
+                case 'path': {
+                    const d = item.rings.map(ring => `M${ring.map(([x, y]) => `${num(x)} ${num(y)}`).join('L')}${item.closed ? 'Z' : ''}`).join('');
+                    return `<path d="${d}" fill-rule="evenodd" ${styleAttrs(item.style)}/>`;
+                }
+                case 'circle':
+                    return `<circle cx="${num(item.x)}" cy="${num(item.y)}" r="${num(item.r)}" ${styleAttrs(item.style)}/>`;
+                case 'rect':
+                    return `<rect x="${num(item.x)}" y="${num(item.y)}" width="${num(item.w)}" height="${num(item.h)}" ${styleAttrs(item.style)}/>`;
+                case 'text': {
+                    const anchor = item.anchor && item.anchor !== 'start' ? ` text-anchor="${esc(item.anchor)}"` : '';
+                    const weight = item.bold ? ' font-weight="bold"' : '';
+                    const halo = item.halo
+                        ? ` stroke="${esc(item.halo.color)}" stroke-width="${num(item.halo.width)}" stroke-linejoin="round" paint-order="stroke"`
+                        : '';
+                    return `<text x="${num(item.x)}" y="${num(item.y)}" font-size="${num(item.size)}" fill="${esc(item.color)}"${anchor}${weight}${halo}>${esc(item.text)}</text>`;
+                }
+                default:
+                    return '';
+            }
+        }).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${num(scene.width / PT_PER_MM)}mm" height="${num(scene.height / PT_PER_MM)}mm" viewBox="0 0 ${num(scene.width)} ${num(scene.height)}" font-family="${esc(FONT_FAMILY)}">
+${render(scene.items)}
+</svg>
+`;
+    }
+
+    // ============================================
+    // PNG (canvas)
+    // ============================================
+
+    /**
+     * Draw a scene onto a canvas at a resolution in dots per inch
+     */
+    toCanvas(scene, dpi = 300) {
+        const ratio = dpi / 72;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(scene.width * ratio);
+        canvas.height = Math.round(scene.height * ratio);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(ratio, ratio);
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
+
+        const paint = (style = {}) => {
+            if (style.fill) {
+                ctx.globalAlpha = style.fillOpacity ?? 1;
+                ctx.fillStyle = style.fill;
+                ctx.fill('evenodd');
+            }
+            if (style.stroke) {
+                ctx.globalAlpha = style.strokeOpacity ?? 1;
+                ctx.strokeStyle = style.stroke;
+                ctx.lineWidth = style.strokeWidth ?? 1;
+                ctx.setLineDash(style.dash || []);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+            ctx.globalAlpha = 1;
+        };
+
+        const draw = (items) => {
+            for (const item of items) {
+                switch (item.type) {
+                    case 'group':
+                        ctx.save();
+                        ctx.beginPath();
+                        ctx.rect(item.clip.x, item.clip.y, item.clip.w, item.clip.h);
+                        ctx.clip();
+                        draw(item.items);
+                        ctx.restore();
+                        break;
+                    case 'path':
+                        ctx.beginPath();
+                        for (const ring of item.rings) {
+                            ring.forEach(([x, y], i) => i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+                            if (item.closed) ctx.closePath();
+                        }
+                        paint(item.style);
+                        break;
+                    case 'circle':
+                        ctx.beginPath();
+                        ctx.arc(item.x, item.y, item.r, 0, Math.PI * 2);
+                        paint(item.style);
+                        break;
+                    case 'rect':
+                        ctx.beginPath();
+                        ctx.rect(item.x, item.y, item.w, item.h);
+                        paint(item.style);
+                        break;
+                    case 'text':
+                        ctx.font = `${item.bold ? 'bold ' : ''}${item.size}px ${FONT_FAMILY}`;
+                        ctx.textAlign = item.anchor === 'middle' ? 'center' : item.anchor === 'end' ? 'right' : 'left';
+                        ctx.textBaseline = 'alphabetic';
+                        if (item.halo) {
+                            ctx.strokeStyle = item.halo.color;
+                            ctx.lineWidth = item.halo.width;
+                            ctx.strokeText(item.text, item.x, item.y);
+                        }
+                        ctx.fillStyle = item.color;
+                        ctx.fillText(item.text, item.x, item.y);
+                        break;
+                }
+            }
+        };
+
+        draw(scene.items);
+        return canvas;
+    }
+
+    // ============================================
+    // PDF
+    // ============================================
+
+    /**
+     * Write a scene as a single-page vector PDF using the standard Helvetica fonts
+     * @returns {Promise<Blob>}
+     */
+    async toPDF(scene, title = '') {
+        const num = (n) => String(Number(n.toFixed(2)));
+        const rgb = (color) => this.parseColor(color).map(c => num(c / 255)).join(' ');
+        const alphaStates = new Map();  // "fill/stroke" -> graphics state name
+        const ops = [`1 0 0 -1 0 ${num(scene.height)} cm`, '1 j 1 J'];
+
+        const setAlpha = (fill, stroke) => {
+            const key = `${num(fill)}/${num(stroke)}`;
+            if (!alphaStates.has(key)) alphaStates.set(key, `GS${alphaStates.size + 1}`);
+            ops.push(`/${alphaStates.get(key)} gs`);
+        };
+
+        const paint = (style = {}) => {
+            const fill = Boolean(style.fill);
+            const stroke = Boolean(style.stroke);
+            if (!fill && !stroke) {
+                ops.push('n');
+                return;
+            }
+            setAlpha(fill ? style.fillOpacity ?? 1 : 1, stroke ? style.strokeOpacity ?? 1 : 1);
+            if (fill) ops.push(`${rgb(style.fill)} rg`);
+            if (stroke) {
+                ops.push(`${rgb(style.stroke)} RG`, `${num(style.strokeWidth ?? 1)} w`);
+                ops.push(style.dash ? `[${style.dash.map(num).join(' ')}] 0 d` : '[] 0 d');
+            }
+            ops.push(fill && stroke ? 'B*' : fill ? 'f*' : 'S');
+        };
+
+        const circle = (x, y, r) => {
+            const k = 0.5523 * r;
+            ops.push(`${num(x + r)} ${num(y)} m`,
+                `${num(x + r)} ${num(y + k)} ${num(x + k)} ${num(y + r)} ${num(x)} ${num(y + r)} c`,
+                `${num(x - k)} ${num(y + r)} ${num(x - r)} ${num(y + k)} ${num(x - r)} ${num(y)} c`,
+                `${num(x - r)} ${num(y - k)} ${num(x - k)} ${num(y - r)} ${num(x)} ${num(y - r)} c`,
+                `${num(x + k)} ${num(y - r)} ${num(x + r)} ${num(y - k)} ${num(x + r)} ${num(y)} c`, 'h');
+        };
+
+        const text = (item) => {
+            const width = this.estimateTextWidth(item.text, item.size, item.bold);
+            const x = item.anchor === 'middle' ? item.x - width / 2 : item.anchor === 'end' ? item.x - width : item.x;
+            const show = `BT /${item.bold ? 'F2' : 'F1'} ${num(item.size)} Tf 1 0 0 -1 ${num(x)} ${num(item.y)} Tm (${this.pdfString(item.text)}) Tj ET`;
+            setAlpha(1, 1);
+            if (item.halo) {
+                ops.push(`${rgb(item.halo.color)} RG`, `${num(item.halo.width)} w`, '[] 0 d', '1 Tr', show, '0 Tr');
+            }
+            ops.push(`${rgb(item.color)} rg`, show);
+        };
+
+        const draw = (items) => {
+            for (const item of items) {
+                switch (item.type) {
+                    case 'group':
+                        ops.push('q', `${num(item.clip.x)} ${num(item.clip.y)} ${num(item.clip.w)} ${num(item.clip.h)} re W n`);
+                        draw(item.items);
+                        ops.push('Q');
+                        break;
+                    case 'path':
+                        for (const ring of item.rings) {
+                            ring.forEach(([x, y], i) => ops.push(`${num(x)} ${num(y)} ${i === 0 ? 'm' : 'l'}`));
+                            if (item.closed) ops.push('h');
+                        }
+                        paint(item.style);
+                        break;
+                    case 'circle':
+                        circle(item.x, item.y, item.r);
+                        paint(item.style);
+                        break;
+                    case 'rect':
+                        ops.push(`${num(item.x)} ${num(item.y)} ${num(item.w)} ${num(item.h)} re`);
+                        paint(item.style);
+                        break;
+                    case 'text':
+                        text(item);
+                        break;
+                }
+            }
+        };
+
+        draw(scene.items);
+
+        let content = this.latin1(ops.join('\n'));
+        let filter = '';
+        if (typeof CompressionStream !== 'undefined') {
+            const stream = new Blob([content]).stream().pipeThrough(new CompressionStream('deflate'));
+            content = new Uint8Array(await new Response(stream).arrayBuffer());
+            filter = ' /Filter /FlateDecode';
+        }
+
+        const gsEntries = [...alphaStates].map(([key, name]) => {
+            const [fill, stroke] = key.split('/');
+            return `/${name} << /Type /ExtGState /ca ${fill} /CA ${stroke} >>`;
+        }).join(' ');
+        const now = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(scene.width)} ${num(scene.height)}] ` +
+                `/Resources << /Font << /F1 5 0 R /F2 6 0 R >> /ExtGState << ${gsEntries} >> >> /Contents 4 0 R >>`,
+            [`<< /Length ${content.length}${filter} >>\nstream\n`, content, '\nendstream'],
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+            `<< /Title (${this.pdfString(title || 'Map')}) /Producer (NI Boundaries) /CreationDate (D:${now}) >>`
+        ];
+
+        const parts = [this.latin1('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+        const offsets = [];
+        let length = parts[0].length;
+        objects.forEach((body, i) => {
+            offsets.push(length);
+            const chunks = [`${i + 1} 0 obj\n`, ...(Array.isArray(body) ? body : [body]), '\nendobj\n']
+                .map(chunk => typeof chunk === 'string' ? this.latin1(chunk) : chunk);
+            chunks.forEach(chunk => { parts.push(chunk); length += chunk.length; });
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>`,
+            'startxref',
+            String(length),
+            '%%EOF',
+            ''
+        ].join('\n');
+        parts.push(this.latin1(xref));
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+
+    /**
+     * Escape a string for a PDF literal, in WinAnsiEncoding
+     */
+    pdfString(text) {
+        return String(text)
+            .replace(/≤/g, '<=')
+            .replace(/≥/g, '>=')
+            .replace(/[^\x00-\xFF]/g, c => WIN_ANSI[c] ? String.fromCharCode(WIN_ANSI[c]) : '?')
+            .replace(/[\\()]/g, c => `\\${c}`);
+    }
+
+    /**
+     * Bytes of a string whose characters are all below 256
+     */
+    latin1(text) {
+        return Uint8Array.from(text, c => c.charCodeAt(0) & 0xFF);
+    }
+
+    /**
+     * [r, g, b] (0-255) from a hex or rgb()/rgba() colour
+     */
+    parseColor(color) {
+        const value = String(color || '#000000').trim();
+        const rgbMatch = value.match(/^rgba?\(([^)]+)\)$/i);
+        if (rgbMatch) return rgbMatch[1].split(',').slice(0, 3).map(n => Number(n) || 0);
+
+        let hex = value.replace('#', '');
+        if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+        const number = parseInt(hex.slice(0, 6), 16);
+        return Number.isNaN(number) ? [0, 0, 0] : [(number >> 16) & 255, (number >> 8) & 255, number & 255];
+    }
+}
+
+// Export singleton
+const mapExport = new MapExport();
+export default mapExport;
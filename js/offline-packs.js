@@ -0,0 +1,376 @@
+/**
+ * NI Boundaries - Offline Packs
+ * Saves everything needed to view an area without a connection: per-feature LOD
+ * files, FGB subsets for the active layers and optionally base map tiles.
+ */
+
+import dataService from './data-service.js';
+import featureLoader from './feature-loader.js';
+import downloadCache from './download-cache.js';
+
+const TILE_CACHE = 'ni-boundaries-tiles';  // Served by sw.js for cross-origin tile requests
+const MAX_PACK_TILES = 3000;
+const TILE_CONTEXT_ZOOMS = 2;              // Also save tiles this many levels below the current zoom
+
+class OfflinePacks {
+    /**
+     * List saved packs, newest first
+     */
+    async listPacks() {
+        const packs = await downloadCache.listPacks();
+        return packs.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Get a pack by ID
+     */
+    async getPack(packId) {
+        const packs = await downloadCache.listPacks();
+        return packs.find(p => p.id === packId) || null;
+    }
+
+    /**
+     * Find the newest pack whose area contains a point (or the newest pack if no point is given)
+     */
+    async findPack(lat = null, lng = null) {
+        const packs = await this.listPacks();
+        if (lat == null || lng == null) return packs[0] || null;
+
+        return packs.find(({ bounds: [west, south, east, north] }) =>
+            lng >= west && lng <= east && lat >= south && lat <= north) || null;
+    }
+
+    /**
+     * Rename a pack
+     */
+    async renamePack(packId, name) {
+        const pack = await this.getPack(packId);
+        if (!pack || !name?.trim()) return null;
+
+        pack.name = name.trim();
+        await downloadCache.savePack(pack);
+        return pack;
+    }
+
+    /**
+     * Delete a pack along with any files and tiles no other pack uses
+     */
+    async deletePack(packId) {
+        const pack = await this.getPack(packId);
+        if (!pack) return;
+
+        await downloadCache.unpinPack(packId);
+
+        if (pack.tiles?.length && typeof caches !== 'undefined') {
+            const otherTiles = new Set();
+            for (const other of await this.listPacks()) {
+                if (other.id !== packId) other.tiles?.forEach(url => otherTiles.add(url));
+            }
+            const cache = await caches.open(TILE_CACHE);
+            for (const url of pack.tiles) {
+                if (!otherTiles.has(url)) await cache.delete(url);
+            }
+        }
+
+        await downloadCache.deletePackRecord(packId);
+        console.log(`[OfflinePacks] Deleted pack ${pack.name}`);
+    }
+
+    /**
+     * Count the base map tiles a pack would need
+     */
+    countTiles(map, bounds, fromZoom, toZoom, layer = null) {
+        let count = 0;
+        for (const tileZoom of this.getTileZooms(layer, fromZoom, toZoom)) {
+            const range = this.getTileRange(map, bounds, tileZoom, layer);
+            count += (range.max.x - range.min.x + 1) * (range.max.y - range.min.y + 1);
+        }
+        return count;
+    }
+
+    /**
+     * Tile zooms a layer requests across a range of map zooms
+     * L.GridLayer clamps the map zoom to the layer's native zooms, so some map zooms share tiles
+     */
+    getTileZooms(layer, fromZoom, toZoom) {
+        const { minNativeZoom, maxNativeZoom } = layer?.options || {};
+        const zooms = new Set();
+        for (let z = fromZoom; z <= toZoom; z++) {
+            zooms.add(Math.max(minNativeZoom ?? -Infinity, Math.min(maxNativeZoom ?? Infinity, z)));
+        }
+        return [...zooms];
+    }
+
+    /**
+     * Tile coordinate range covering bounds at a tile zoom, in the layer's tile size
+     * (halved by detectRetina on high-density screens)
+     */
+    getTileRange(map, bounds, tileZoom, layer = null) {
+        const tileSize = this.getTileSize(layer);
+        const nw = map.project(bounds.getNorthWest(), tileZoom).unscaleBy(tileSize).floor();
+        const se = map.project(bounds.getSouthEast(), tileZoom).unscaleBy(tileSize).floor();
+        return { min: nw, max: se };
+    }
+
+    /**
+     * Tile size of a layer as a point (options.tileSize may be a number)
+     */
+    getTileSize(layer) {
+        const size = layer?.options.tileSize ?? 256;
+        return size instanceof L.Point ? size : L.point(size, size);
+    }
+
+    /**
+     * Save the current area
+     * @param {Object} options
+     * @param {string} options.name - pack name
+     * @param {L.Map} options.map - Leaflet map (for the viewport and tile projection)
+     * @param {Object[]} options.mapConfigs - active layers
+     * @param {L.TileLayer|null} options.baseLayer - base map to save tiles from
+     * @param {string} options.baseMapId - base map ID, restored when the pack is opened
+     * @param {number|null} options.maxTileZoom - save base tiles up to this zoom, or null for none
+     * @param {Function} options.onProgress - (message) => void
+     */
+    async createPack({ name, map, mapConfigs, baseLayer = null, baseMapId = null, maxTileZoom = null, onProgress = null }) {
+        const bounds = map.getBounds();
+        const zoom = Math.round(map.getZoom());
+        const id = `pack-${Date.now().toString(36)}`;
+        const report = (message) => onProgress?.(message);
+
+        // Check the tile count before downloading anything
+        let tileFromZoom = null;
+        if (baseLayer && maxTileZoom != null) {
+            tileFromZoom = Math.max(0, Math.min(zoom, maxTileZoom) - TILE_CONTEXT_ZOOMS);
+            const tileCount = this.countTiles(map, bounds, tileFromZoom, maxTileZoom, baseLayer);
+            if (tileCount > MAX_PACK_TILES) {
+                throw new Error(`Too many base map tiles (${tileCount}). Zoom in or choose a lower tile zoom.`);
+            }
+        }
+
+        const pack = {
+            id,
+            name: name?.trim() || `Area saved ${new Date().toLocaleDateString()}`,
+            createdAt: Date.now(),
+            bounds: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()],
+            center: [map.getCenter().lat, map.getCenter().lng],
+            zoom,
+            layers: mapConfigs.map(m => m.id),
+            baseMap: baseMapId,
+            maxTileZoom: tileFromZoom != null ? maxTileZoom : null,
+            files: 0,
+            tiles: [],
+            bytes: 0
+        };
+
+        // Save the record first so pinned files always belong to a known pack
+        await downloadCache.savePack(pack);
+
+        try {
+            for (const [i, mapConfig] of mapConfigs.entries()) {
+                report(`Saving ${mapConfig.name} (${i + 1} of ${mapConfigs.length})…`);
+                const saved = await this.saveLayer(pack, mapConfig, bounds, zoom);
+                pack.files += saved.files;
+                pack.bytes += saved.bytes;
+            }
+
+            if (tileFromZoom != null) {
+                const saved = await this.saveTiles(pack, map, bounds, baseLayer, tileFromZoom, maxTileZoom, report);
+                pack.tiles = saved.urls;
+                pack.bytes += saved.bytes;
+            }
+
+            await downloadCache.savePack(pack);
+            console.log(`[OfflinePacks] Saved pack ${pack.name}: ${pack.files} files, ${pack.tiles.length} tiles`);
+            return pack;
+        } catch (err) {
+            await this.deletePack(id);
+            throw err;
+        }
+    }
+
+    /**
+     * Download a pack again after its data has changed, replacing it
+     * The map should already show the pack's area (see App.openPack) - the new pack saves that view
+     */
+    async refreshPack(pack, { map, mapConfigs, baseLayer = null, onProgress = null }) {
+        const refreshed = await this.createPack({
+            name: pack.name,
+            map,
+            mapConfigs,
+            baseLayer: pack.maxTileZoom != null ? baseLayer : null,
+            baseMapId: pack.baseMap,
+            maxTileZoom: pack.maxTileZoom ?? null,
+            onProgress
+        });
+        await this.deletePack(pack.id);
+        return refreshed;
+    }
+
+    /**
+     * Save one layer's data for the area
+     * LOD maps keep the per-feature files from the current LOD up to full detail;
+     * other maps keep the FGB features intersecting the area
+     */
+    async saveLayer(pack, mapConfig, bounds, zoom) {
+        // Composites are rebuilt from their source map
+        const composite = dataService.getComposite(mapConfig.id);
+        const mapId = composite ? composite.sourceMap : mapConfig.id;
+        const dataMap = dataService.getMapById(mapId);
+
+        if (featureLoader.supportsLOD(mapId)) {
+            await featureLoader.loadTree(mapId);
+            const features = featureLoader.getFeaturesInBounds(mapId, bounds);
+            let files = 0;
+            let bytes = 0;
+
+            for (let lod = featureLoader.getLODForZoom(zoom); lod <= 2; lod++) {
+                for (const feature of features) {
+                    const index = featureLoader.parseFeatureId(feature.id);
+                    const text = await downloadCache.fetchText(`data/features/${mapId}/${index}-lod-${lod}.json`, { mapId, packId: pack.id });
+                    files++;
+                    bytes += text.length;
+                }
+            }
+            return { files, bytes };
+        }
+
+        const filePath = dataService.getMapFilePath(dataMap);
+        if (!filePath?.endsWith('.fgb')) {
+            console.warn(`[OfflinePacks] ${mapId} has no FGB file to save`);
+            return { files: 0, bytes: 0 };
+        }
+
+        // FlatGeobuf's spatial index lets us read just the features in the area
+        const rect = {
+            minX: bounds.getWest(),
+            minY: bounds.getSouth(),
+            maxX: bounds.getEast(),
+            maxY: bounds.getNorth()
+        };
+        const features = [];
+        for await (const feature of flatgeobuf.deserialize(filePath, rect)) {
+            features.push(feature);
+        }
+
+        const text = JSON.stringify({ type: 'FeatureCollection', features });
+        await downloadCache.put(this.getSubsetPath(pack.id, mapId), text, mapId, pack.id);
+        return { files: 1, bytes: text.length };
+    }
+
+    /**
+     * Cache key for a pack's FGB subset of a map
+     */
+    getSubsetPath(packId, mapId) {
+        return `offline-pack/${packId}/${mapId}.json`;
+    }
+
+    /**
+     * Get the features saved for a map across all packs, or null if none
+     * Features saved by overlapping packs are only returned once
+     */
+    async getFeatureSubset(mapId) {
+        const packs = (await this.listPacks()).filter(p => p.layers.some(id =>
+            id === mapId || dataService.getComposite(id)?.sourceMap === mapId));
+        if (packs.length === 0) return null;
+
+        const seen = new Set();
+        const features = [];
+        for (const pack of packs) {
+            // Out-of-date subsets still serve offline until the pack is updated
+            const text = await downloadCache.get(this.getSubsetPath(pack.id, mapId), { allowStale: true });
+            if (!text) continue;
+
+            // Features with the same attributes are told apart by their extent
+            for (const feature of JSON.parse(text).features || []) {
+                const key = JSON.stringify([feature.properties, feature.geometry ? turf.bbox(feature) : null]);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                features.push(feature);
+            }
+        }
+
+        return features.length > 0 ? features : null;
+    }
+
+    /**
+     * Download base map tiles into the tile cache
+     */
+    async saveTiles(pack, map, bounds, baseLayer, fromZoom, toZoom, report) {
+        if (typeof caches === 'undefined') return { urls: [], bytes: 0 };
+
+        const cache = await caches.open(TILE_CACHE);
+        const urls = [];
+        let bytes = 0;
+
+        const total = this.countTiles(map, bounds, fromZoom, toZoom, baseLayer);
+        for (const tileZoom of this.getTileZooms(baseLayer, fromZoom, toZoom)) {
+            const { min, max } = this.getTileRange(map, bounds, tileZoom, baseLayer);
+            for (let x = min.x; x <= max.x; x++) {
+                for (let y = min.y; y <= max.y; y++) {
+                    const url = this.getTileUrl(baseLayer, map, x, y, tileZoom);
+                    urls.push(url);
+
+                    if (!(await cache.match(url))) {
+                        const response = await this.fetchTile(url);
+                        if (response) {
+                            await cache.put(url, response.clone());
+                            bytes += Number(response.headers.get('Content-Length')) || 0;
+                        }
+                    }
+
+                    if (urls.length % 50 === 0) {
+                        report?.(`Saving base map tiles (${urls.length} of ${total})…`);
+                    }
+                }
+            }
+        }
+
+        return { urls, bytes };
+    }
+
+    /**
+     * Build a tile URL the same way L.TileLayer.getTileUrl does for tile coordinates at a tile zoom:
+     * {r} is '@2x' on high-density screens, and the URL zoom follows zoomReverse and zoomOffset
+     * (which detectRetina raises), so offline requests hit the saved tiles
+     */
+    getTileUrl(baseLayer, map, x, y, tileZoom) {
+        const { options } = baseLayer;
+        const data = {
+            r: L.Browser.retina ? '@2x' : '',
+            s: baseLayer._getSubdomain({ x, y }),
+            x,
+            y,
+            z: (options.zoomReverse ? options.maxZoom - tileZoom : tileZoom) + options.zoomOffset
+        };
+        if (!map.options.crs.infinite) {
+            const worldTiles = map.getPixelWorldBounds(tileZoom).max.unscaleBy(this.getTileSize(baseLayer)).ceil();
+            const invertedY = worldTiles.y - 1 - y;
+            if (options.tms) data.y = invertedY;
+            data['-y'] = invertedY;
+        }
+        return L.Util.template(baseLayer._url, L.Util.extend(data, options));
+    }
+
+    /**
+     * Fetch a tile, falling back to an opaque response for servers without CORS
+     */
+    async fetchTile(url) {
+        try {
+            const response = await fetch(url, { mode: 'cors' });
+            if (response.ok) return response;
+        } catch (err) {
+            // Try no-cors below
+        }
+
+        try {
+            return await fetch(url, { mode: 'no-cors' });
+        } catch (err) {
+            console.warn(`[OfflinePacks] Tile failed: ${url}`);
+            return null;
+        }
+    }
+}
+
+// Export singleton
+const offlinePacks = new OfflinePacks();
+export default offlinePacks;
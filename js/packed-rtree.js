@@ -0,0 +1,112 @@
+/**
+ * NI Boundaries - Packed R-tree
+ * Read-only packed Hilbert R-tree produced by scripts/packed-rtree.mjs.
+ * See that file for the binary layout.
+ */
+
+const MAGIC = 0xfb;
+const VERSION = 1;
+const HEADER_BYTES = 8;
+
+class PackedRTree {
+    /**
+     * Wrap an ArrayBuffer holding a serialized tree
+     */
+    constructor(buffer) {
+        const view = new DataView(buffer);
+        if (view.getUint8(0) !== MAGIC || view.getUint8(1) !== VERSION) {
+            throw new Error('Not a packed R-tree (bad magic or version)');
+        }
+
+        this.nodeSize = view.getUint16(2, true);
+        this.numItems = view.getUint32(4, true);
+
+        // Recompute level bounds exactly as the writer did
+        let n = this.numItems;
+        let numNodes = n;
+        this.levelBounds = [n * 4];
+        do {
+            n = Math.ceil(n / this.nodeSize);
+            numNodes += n;
+            this.levelBounds.push(numNodes * 4);
+        } while (n !== 1);
+
+        this.boxes = new Float32Array(buffer, HEADER_BYTES, numNodes * 4);
+        this.indices = new Uint32Array(buffer, HEADER_BYTES + numNodes * 16, numNodes);
+    }
+
+    /**
+     * Find items whose boxes intersect the query box
+     * @returns {number[]} item indices
+     */
+    search(minX, minY, maxX, maxY) {
+        const results = [];
+        this.visit(minX, minY, maxX, maxY, (index) => results.push(index));
+        return results;
+    }
+
+    /**
+     * Find items whose boxes intersect the query box, with each item's box
+     * @returns {{index: number, bbox: number[]}[]} bbox is [minX, minY, maxX, maxY]
+     */
+    searchItems(minX, minY, maxX, maxY) {
+        const results = [];
+        this.visit(minX, minY, maxX, maxY, (index, pos) => {
+            results.push({ index, bbox: Array.from(this.boxes.subarray(pos, pos + 4)) });
+        });
+        return results;
+    }
+
+    /**
+     * Walk the tree, calling onLeaf(itemIndex, boxOffset) for each intersecting item
+     */
+    visit(minX, minY, maxX, maxY, onLeaf) {
+        const queue = [];
+        let nodeIndex = this.boxes.length - 4;  // Root is the last node
+
+        while (nodeIndex !== undefined) {
+            const end = Math.min(nodeIndex + this.nodeSize * 4, this.upperBound(nodeIndex));
+
+            for (let pos = nodeIndex; pos < end; pos += 4) {
+                if (maxX < this.boxes[pos] || maxY < this.boxes[pos + 1] ||
+                    minX > this.boxes[pos + 2] || minY > this.boxes[pos + 3]) continue;
+
+                const index = this.indices[pos >> 2];
+                if (nodeIndex >= this.numItems * 4) {
+                    queue.push(index);    // Branch: index is the offset of its first child
+                } else {
+                    onLeaf(index, pos);   // Leaf: index is the item
+                }
+            }
+
+            nodeIndex = queue.pop();
+        }
+    }
+
+    /**
+     * Find items whose boxes contain a point
+     */
+    searchPoint(x, y) {
+        return this.search(x, y, x, y);
+    }
+
+    /**
+     * Get the overall extent of the tree as [minX, minY, maxX, maxY]
+     */
+    getBounds() {
+        const pos = this.boxes.length - 4;
+        return [this.boxes[pos], this.boxes[pos + 1], this.boxes[pos + 2], this.boxes[pos + 3]];
+    }
+
+    /**
+     * End offset of the tree level containing a node
+     */
+    upperBound(nodeIndex) {
+        for (const bound of this.levelBounds) {
+            if (bound > nodeIndex) return bound;
+        }
+        return this.levelBounds[this.levelBounds.length - 1];
+    }
+}
+
+export default PackedRTree;
@@ -0,0 +1,249 @@
+/**
+ * NI Boundaries - Point Lookup
+ * Finds every boundary in every map that contains a point, whether or not the map is loaded.
+ * Per-map R-trees pick the candidate features, so only their geometries are fetched:
+ * per-feature files for LOD maps, FlatGeobuf bbox queries (range requests) for the rest.
+ * Maps without a complete index go straight to the FlatGeobuf query.
+ */
+
+import dataService from './data-service.js';
+import featureLoader from './feature-loader.js';
+import downloadCache from './download-cache.js';
+
+const CONCURRENT_MAPS = 6;  // Maps queried in parallel
+const LOOKUP_LOD = 2;       // Full detail - simplified outlines misplace points near boundaries
+
+class PointLookup {
+    /**
+     * Find the areas containing a point across all maps
+     * @param {number} lat
+     * @param {number} lng
+     * @param {Object} options
+     * @param {string[]|null} options.categories - only check maps in these categories
+     * @param {Function} options.onProgress - (checked, total) => void
+     * @returns {Promise<{lat, lng, matches: Object[], groups: Object[], failed: string[]}>}
+     *   matches: [{ mapId, mapName, category, date, timestamp, featureName, properties, color }]
+     *   groups: [{ category: { id, name, icon }, matches }] in category order, matches oldest first
+     */
+    async findAreasAtPoint(lat, lng, { categories = null, onProgress = null } = {}) {
+        const maps = this.getSearchableMaps()
+            .filter(map => !categories || categories.includes(map.category));
+        const point = turf.point([lng, lat]);
+        const matches = [];
+        const failed = [];
+        const featuresByPath = new Map();  // Clones share their source's file - query it once
+        let checked = 0;
+
+        const checkMap = async (map) => {
+            try {
+                const features = await this.getContainingFeatures(map, point, lat, lng, featuresByPath);
+                for (const feature of features) {
+                    matches.push(this.toMatch(map, feature));
+                }
+            } catch (err) {
+                console.warn(`[PointLookup] ${map.id} failed:`, err.message);
+                failed.push(map.id);
+            }
+            checked++;
+            onProgress?.(checked, maps.length);
+        };
+
+        for (let i = 0; i < maps.length; i += CONCURRENT_MAPS) {
+            await Promise.all(maps.slice(i, i + CONCURRENT_MAPS).map(checkMap));
+        }
+        featureLoader.enforceBudget();
+
+        return { lat, lng, matches, groups: this.groupMatches(matches), failed };
+    }
+
+    /**
+     * All maps and variants that have boundary data (placeholders excluded)
+     */
+    getSearchableMaps() {
+        const maps = [];
+        for (const map of dataService.getAllMaps()) {
+            if (map.variants) {
+                map.variants.forEach(v => maps.push(dataService.getMapById(v.id)));
+            }
+            maps.push(map);
+        }
+
+        return maps.filter(map => map && !map.placeholder &&
+            (dataService.getMapFilePath(map) || dataService.getComposite(map.id)));
+    }
+
+    /**
+     * Get the features of one map that contain the point
+     */
+    async getContainingFeatures(map, point, lat, lng, featuresByPath) {
+        const composite = dataService.getComposite(map.id);
+        if (composite) {
+            return this.getCompositeFeatures(composite, point, lat, lng, featuresByPath);
+        }
+
+        const dataMap = map.cloneOf ? dataService.getMapById(map.cloneOf) : map;
+        const path = dataService.getMapFilePath(map);
+        if (!featuresByPath.has(path)) {
+            featuresByPath.set(path, this.queryMap(dataMap?.id || map.id, path, point, lat, lng));
+        }
+        return featuresByPath.get(path);
+    }
+
+    /**
+     * Query a data file for features containing the point
+     */
+    async queryMap(mapId, path, point, lat, lng) {
+        // Only an index holding every feature (the map's R-tree) can rule the map out or
+        // pick its per-feature files; the name index skips unnamed and duplicate names
+        await featureLoader.loadTree(mapId);
+        if (featureLoader.isIndexComplete(mapId)) {
+            const candidates = featureLoader.getFeaturesAtPoint(mapId, lng, lat);
+            if (candidates.length === 0) return [];
+
+            if (featureLoader.supportsLOD(mapId)) {
+                const indices = candidates.map(f => featureLoader.parseFeatureId(f.id));
+                const features = await featureLoader.loadFeatures(mapId, indices, LOOKUP_LOD);
+                return features.filter(feature => this.containsPoint(feature, point));
+            }
+        }
+
+        const features = await this.queryFile(mapId, path, { minX: lng, minY: lat, maxX: lng, maxY: lat });
+        return features.filter(feature => this.containsPoint(feature, point));
+    }
+
+    /**
+     * Get the full-detail features of a map whose bboxes intersect [minX, minY, maxX, maxY]
+     * Composite maps have no features of their own and return nothing
+     */
+    async getFeaturesInBBox(map, [minX, minY, maxX, maxY]) {
+        const path = dataService.getMapFilePath(map);
+        if (!path || dataService.getComposite(map.id)) return [];
+
+        // As in queryMap, an empty result only rules the map out when its index is complete
+        const mapId = map.cloneOf ? map.cloneOf : map.id;
+        await featureLoader.loadTree(mapId);
+        if (featureLoader.isIndexComplete(mapId)) {
+            const candidates = featureLoader.getFeaturesInBounds(mapId, L.latLngBounds([minY, minX], [maxY, maxX]));
+            if (candidates.length === 0) return [];
+
+            if (featureLoader.supportsLOD(mapId)) {
+                const indices = candidates.map(f => featureLoader.parseFeatureId(f.id));
+                return featureLoader.loadFeatures(mapId, indices, LOOKUP_LOD);
+            }
+        }
+
+        return this.queryFile(mapId, path, { minX, minY, maxX, maxY });
+    }
+
+    /**
+     * Read the features whose bboxes intersect a rect from a FGB or GeoJSON file
+     * Cached and GeoJSON files are returned whole - callers filter by geometry
+     */
+    async queryFile(mapId, path, rect) {
+        const features = [];
+
+        if (path.toLowerCase().endsWith('.fgb')) {
+            // Whole file already downloaded - no network needed
+            const cached = await downloadCache.get(path);
+            if (cached) {
+                const result = flatgeobuf.deserialize(new Uint8Array(cached));
+                if (Array.isArray(result?.features)) return result.features;
+                for await (const feature of result) features.push(feature);
+                return features;
+            }
+
+            // The FGB spatial index means only the matching features are downloaded
+            for await (const feature of flatgeobuf.deserialize(path, rect)) {
+                features.push(feature);
+            }
+            return features;
+        }
+
+        const text = await downloadCache.fetchText(path, { mapId });
+        const data = JSON.parse(text);
+        return Array.isArray(data) ? data : (data.features || []);
+    }
+
+    /**
+     * Composite features contain the point if one of their source features does
+     */
+    async getCompositeFeatures(composite, point, lat, lng, featuresByPath) {
+        const sourceMap = dataService.getMapById(composite.sourceMap);
+        const sourceFeatures = await this.getContainingFeatures(sourceMap, point, lat, lng, featuresByPath);
+
+        const normalise = (name) => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+        const sourceNames = new Set(sourceFeatures
+            .map(f => f.properties?.[composite.sourceNameProperty])
+            .filter(name => name != null)
+            .map(normalise));
+
+        return (composite.features || [])
+            .filter(def => (def.sourceFeatures || []).some(name => sourceNames.has(normalise(name))))
+            .map(def => ({ type: 'Feature', properties: { ...def.properties }, geometry: null }));
+    }
+
+    /**
+     * Point-in-polygon test, ignoring non-polygon and invalid geometries
+     */
+    containsPoint(feature, point) {
+        if (!feature?.geometry?.type?.includes('Polygon')) return false;
+        try {
+            return turf.booleanPointInPolygon(point, feature);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Build a result entry for a containing feature
+     */
+    toMatch(map, feature) {
+        const props = feature.properties || {};
+        return {
+            mapId: map.id,
+            mapName: map.name || map.id,
+            category: map.category,
+            date: map.date || null,
+            timestamp: dataService.parseMapDate(map.date),
+            featureName: props[map.labelProperty] ?? props.name ?? props.NAME ?? props.id ?? 'Unnamed feature',
+            properties: props,
+            color: map.style?.color || '#3388ff'
+        };
+    }
+
+    /**
+     * Group matches by category (in maps.json order), oldest map first within each
+     */
+    groupMatches(matches) {
+        const categories = dataService.maps?.categories || [];
+        const order = new Map(categories.map((c, i) => [c.id, i]));
+        const groups = new Map();
+
+        for (const match of matches) {
+            if (!groups.has(match.category)) {
+                const category = categories.find(c => c.id === match.category);
+                groups.set(match.category, {
+                    category: {
+                        id: match.category,
+                        name: category?.name || match.category || 'Other',
+                        icon: category?.icon || ''
+                    },
+                    matches: []
+                });
+            }
+            groups.get(match.category).matches.push(match);
+        }
+
+        for (const group of groups.values()) {
+            group.matches.sort((a, b) =>
+                (a.timestamp ?? Infinity) - (b.timestamp ?? Infinity) || a.mapName.localeCompare(b.mapName));
+        }
+
+        return Array.from(groups.values()).sort((a, b) =>
+            (order.get(a.category.id) ?? Infinity) - (order.get(b.category.id) ?? Infinity));
+    }
+}
+
+// Export singleton
+const pointLookup = new PointLookup();
+export default pointLookup;
@@ -0,0 +1,307 @@
+/**
+ * NI Boundaries - Print Layout
+ * Page templates for the layout composer: where the map, title block, inset locator map, legend,
+ * scale bar, north arrow, credits and date stamp go on the page. Templates are plain JSON, so they
+ * can be saved in the browser, downloaded and loaded again for other maps.
+ *
+ *   {
+ *     "type": "ni-boundaries-layout", "version": 1,
+ *     "name": "Council report",
+ *     "paper": "A4", "orientation": "landscape",   // page the element positions are measured on
+ *     "title": "{layers}", "subtitle": "As at {date}",
+ *     "hidden": ["inset"],                          // elements placed but switched off
+ *     "elements": { "map": { "x": 10, "y": 27, "w": 277, "h": 163 }, ... }  // mm from the top-left
+ *   }
+ *
+ * Title and subtitle may use {layers} (names of the visible layers) and {date} (today).
+ * Element shapes are those of MapExport.getDefaultLayout.
+ */
+
+import mapExport from './map-export.js';
+
+const TEMPLATE_TYPE = 'ni-boundaries-layout';
+const TEMPLATE_VERSION = 1;
+const STORAGE_KEY = 'ni-boundaries.layoutTemplates';
+
+// Elements a template can place, in drawing order, with the fields each needs
+const ELEMENTS = {
+    map: ['x', 'y', 'w', 'h'],
+    titleBlock: ['x', 'y', 'w', 'h'],
+    title: ['x', 'y'],
+    subtitle: ['x', 'y'],
+    inset: ['x', 'y', 'w', 'h'],
+    legend: ['x', 'y'],
+    scaleBar: ['x', 'y', 'w'],
+    northArrow: ['x', 'y', 'size'],
+    attribution: ['x', 'y', 'w'],
+    dateStamp: ['x', 'y']
+};
+
+// Optional element fields: sizes in mm, and the anchor - a text alignment for text, the corner at x, y for boxes
+const SIZE_FIELDS = ['w', 'h', 'size'];
+const ANCHORS = ['start', 'middle', 'end', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Elements that can be switched off (the map always shows)
+const OPTIONAL_ELEMENTS = {
+    titleBlock: 'Title block',
+    subtitle: 'Subtitle',
+    inset: 'Inset locator map',
+    legend: 'Legend',
+    scaleBar: 'Scale bar',
+    northArrow: 'North arrow',
+    attribution: 'Source credits',
+    dateStamp: 'Date stamp'
+};
+
+const BUILT_IN_TEMPLATES = [
+    {
+        id: 'standard',
+        name: 'Standard',
+        paper: 'A4',
+        orientation: 'landscape',
+        title: '{layers}',
+        subtitle: '',
+        hidden: ['titleBlock', 'inset'],
+        elements: {
+            map: { x: 10, y: 27, w: 277, h: 163 },
+            titleBlock: { x: 10, y: 10, w: 277, h: 15 },
+            title: { x: 13, y: 17.5, size: 14 },
+            subtitle: { x: 13, y: 23, size: 8 },
+            inset: { x: 241, y: 47, w: 42, h: 42 },
+            legend: { x: 14, y: 186, anchor: 'bottom-left' },
+            scaleBar: { x: 283, y: 186, w: 40, anchor: 'bottom-right' },
+            northArrow: { x: 283, y: 31, size: 12, anchor: 'top-right' },
+            attribution: { x: 10, y: 192, w: 220 },
+            dateStamp: { x: 287, y: 198, anchor: 'end' }
+        }
+    },
+    {
+        id: 'publication',
+        name: 'Publication (side panel)',
+        paper: 'A4',
+        orientation: 'landscape',
+        title: '{layers}',
+        subtitle: 'Produced {date}',
+        hidden: ['dateStamp'],
+        elements: {
+            map: { x: 10, y: 10, w: 205, h: 190 },
+            titleBlock: { x: 221, y: 10, w: 66, h: 30 },
+            title: { x: 224, y: 19, w: 60, size: 14 },
+            subtitle: { x: 224, y: 34, w: 60, size: 8 },
+            inset: { x: 221, y: 118, w: 66, h: 48 },
+            legend: { x: 221, y: 44, anchor: 'top-left' },
+            scaleBar: { x: 287, y: 182, w: 40, anchor: 'bottom-right' },
+            northArrow: { x: 221, y: 170, size: 12, anchor: 'top-left' },
+            attribution: { x: 221, y: 184, w: 66 },
+            dateStamp: { x: 287, y: 200, anchor: 'end' }
+        }
+    },
+    {
+        id: 'portrait',
+        name: 'Portrait',
+        paper: 'A4',
+        orientation: 'portrait',
+        title: '{layers}',
+        subtitle: '',
+        hidden: ['titleBlock'],
+        elements: {
+            map: { x: 10, y: 28, w: 190, h: 215 },
+            titleBlock: { x: 10, y: 10, w: 190, h: 16 },
+            title: { x: 13, y: 18, size: 14 },
+            subtitle: { x: 13, y: 24, size: 8 },
+            inset: { x: 150, y: 248, w: 50, h: 38 },
+            legend: { x: 10, y: 248, anchor: 'top-left' },
+            scaleBar: { x: 146, y: 248, w: 40, anchor: 'top-right' },
+            northArrow: { x: 196, y: 32, size: 12, anchor: 'top-right' },
+            attribution: { x: 10, y: 283, w: 135 },
+            dateStamp: { x: 200, y: 292, anchor: 'end' }
+        }
+    }
+];
+
+class PrintLayout {
+    /**
+     * Elements that can be switched off, as { key: label }
+     */
+    getOptionalElements() {
+        return OPTIONAL_ELEMENTS;
+    }
+
+    /**
+     * Built-in templates followed by those saved in this browser
+     * @returns {Object[]} templates, with builtIn set on the built-in ones
+     */
+    getTemplates() {
+        return [
+            ...BUILT_IN_TEMPLATES.map(template => ({ ...template, builtIn: true })),
+            ...this.loadSavedTemplates()
+        ];
+    }
+
+    /**
+     * Get a template by ID
+     */
+    getTemplate(id) {
+        return this.getTemplates().find(template => template.id === id) || null;
+    }
+
+    /**
+     * Templates saved in localStorage - any that no longer validate are skipped
+     */
+    loadSavedTemplates() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return saved.flatMap(template => {
+                try {
+                    return [{ ...this.normaliseTemplate(template), id: template.id }];
+                } catch (err) {
+                    console.warn(`[PrintLayout] Skipping saved template ${template?.name}:`, err.message);
+                    return [];
+                }
+            });
+        } catch (err) {
+            console.warn('[PrintLayout] Could not read saved templates:', err);
+            return [];
+        }
+    }
+
+    /**
+     * Save a template in this browser, replacing any saved template of the same name
+     * @returns {Object} the saved template, with its ID
+     */
+    saveTemplate(template) {
+        const normalised = this.normaliseTemplate(template);
+        const id = `saved-${normalised.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'layout'}`;
+        const saved = this.loadSavedTemplates().filter(existing => existing.id !== id);
+        saved.push({ ...normalised, id });
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+        console.log(`[PrintLayout] Saved template: ${normalised.name}`);
+        return { ...normalised, id };
+    }
+
+    /**
+     * Delete a saved template (built-in templates cannot be deleted)
+     */
+    deleteTemplate(id) {
+        const saved = this.loadSavedTemplates();
+        const remaining = saved.filter(template => template.id !== id);
+        if (remaining.length === saved.length) return false;
+
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(remaining));
+        return true;
+    }
+
+    /**
+     * Template as a JSON file
+     */
+    toJSON(template) {
+        const { type, version, name, paper, orientation, title, subtitle, hidden, elements } = this.normaliseTemplate(template);
+        return JSON.stringify({ type, version, name, paper, orientation, title, subtitle, hidden, elements }, null, 2);
+    }
+
+    /**
+     * Read a template from a JSON file
+     * @throws {Error} when the file is not a usable layout template
+     */
+    parseTemplate(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error('The file is not valid JSON');
+        }
+        if (data?.type && data.type !== TEMPLATE_TYPE) throw new Error('The file is not a layout template');
+        if (data?.version > TEMPLATE_VERSION) throw new Error(`Layout template version ${data.version} is not supported`);
+        return this.normaliseTemplate(data);
+    }
+
+    /**
+     * Check a template and keep only the fields the composer uses
+     * Templates are shared as files, so unknown fields and anchors are dropped and sizes must be numbers
+     * @throws {Error} when the map frame or an element position is missing or not a number
+     */
+    normaliseTemplate(template) {
+        if (!template || typeof template !== 'object') throw new Error('A layout template must be an object');
+        const elements = template.elements || {};
+        if (!elements.map) throw new Error('A layout template must place the map');
+
+        const normalised = {};
+        for (const [key, fields] of Object.entries(ELEMENTS)) {
+            const element = elements[key];
+            if (!element) continue;
+            const kept = {};
+            for (const field of fields) {
+                if (!Number.isFinite(element[field])) throw new Error(`${key}.${field} must be a number`);
+                kept[field] = element[field];
+            }
+            for (const field of SIZE_FIELDS) {
+                if (field in kept || element[field] == null) continue;
+                const value = Number(element[field]);
+                if (!Number.isFinite(value)) throw new Error(`${key}.${field} must be a number`);
+                kept[field] = value;
+            }
+            if (ANCHORS.includes(element.anchor)) kept.anchor = element.anchor;
+            normalised[key] = kept;
+        }
+
+        const paperSizes = mapExport.getPaperSizes();
+        return {
+            type: TEMPLATE_TYPE,
+            version: TEMPLATE_VERSION,
+            name: String(template.name || 'Untitled layout').trim() || 'Untitled layout',
+            paper: paperSizes[template.paper] ? template.paper : 'A4',
+            orientation: template.orientation === 'portrait' ? 'portrait' : 'landscape',
+            title: String(template.title ?? ''),
+            subtitle: String(template.subtitle ?? ''),
+            hidden: (Array.isArray(template.hidden) ? template.hidden : []).filter(key => OPTIONAL_ELEMENTS[key]),
+            elements: normalised
+        };
+    }
+
+    /**
+     * Element positions for a page, scaled from the page the template was made on
+     * Positions stretch with the page; text, arrow and scale bar sizes scale with the smaller side
+     * @param {Object} template
+     * @param {string} paper
+     * @param {string} orientation
+     * @param {string[]} hidden - elements to leave out (defaults to the template's)
+     * @returns {Object} layout for MapExport.buildScene
+     */
+    getLayout(template, paper, orientation, hidden = template.hidden || []) {
+        const [fromWidth, fromHeight] = mapExport.getPageSize(template.paper, template.orientation);
+        const [toWidth, toHeight] = mapExport.getPageSize(paper, orientation);
+        const sx = toWidth / fromWidth;
+        const sy = toHeight / fromHeight;
+        const sizeScale = Math.min(sx, sy);
+
+        const layout = {};
+        for (const [key, element] of Object.entries(template.elements)) {
+            if (hidden.includes(key)) continue;
+            const scaled = { ...element, x: element.x * sx, y: element.y * sy };
+            if (element.w != null) scaled.w = element.w * sx;
+            if (element.h != null) scaled.h = element.h * sy;
+            if (element.size != null) scaled.size = element.size * sizeScale;
+            layout[key] = scaled;
+        }
+
+        // Without the title, the title block has nothing in it
+        if (!layout.title) delete layout.titleBlock;
+        return layout;
+    }
+
+    /**
+     * Fill in {layers} and {date} in a title or subtitle
+     * @param {string} text
+     * @param {string[]} layerNames - names of the visible layers
+     */
+    fillText(text, layerNames) {
+        return String(text || '')
+            .replace(/\{layers\}/g, layerNames.join(', '))
+            .replace(/\{date\}/g, mapExport.formatDate(new Date()))
+            .trim();
+    }
+}
+
+// Export singleton
+const printLayout = new PrintLayout();
+export default printLayout;
@@ -0,0 +1,369 @@
+/**
+ * NI Boundaries - Projections
+ * Coordinate systems used for Irish mapping alongside WGS 84:
+ *   Irish Grid (TM65, EPSG:29902) - OSNI, Land & Property Services and older boundary reports
+ *   Irish Transverse Mercator (ITM, EPSG:2157) - on ETRS89, which is taken as WGS 84 (within a metre)
+ * Transverse Mercator uses the Ordnance Survey series formulas (mm accuracy across Ireland); TM65 is
+ * reached by the EPSG:1641 Helmert transformation (about a metre).
+ * Also reads and writes Irish Grid references such as "J 336 745".
+ */
+
+const DEG = Math.PI / 180;
+const ARC_SECOND = DEG / 3600;
+
+const ELLIPSOIDS = {
+    wgs84: { a: 6378137, b: 6356752.314245 },
+    grs80: { a: 6378137, b: 6356752.314140 },
+    airyModified: { a: 6377340.189, b: 6356034.447 }
+};
+
+// TM65 to WGS 84 (EPSG:1641), position vector convention: metres, arc-seconds, ppm
+const TM65_TO_WGS84 = { tx: 482.5, ty: -130.6, tz: 564.6, rx: -1.042, ry: -0.214, rz: -0.631, s: 8.15 };
+
+const SYSTEMS = {
+    'EPSG:4326': {
+        name: 'WGS 84',
+        label: 'WGS 84 (latitude/longitude)',
+        code: 4326,
+        geographic: true,
+        decimals: 7,      // ~1 cm, when written as text
+        prj: 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]',
+        wkt: 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]'
+    },
+    'EPSG:29902': {
+        name: 'Irish Grid',
+        label: 'Irish Grid (TM65)',
+        code: 29902,
+        suffix: 'irish-grid',
+        decimals: 3,      // mm
+        ellipsoid: ELLIPSOIDS.airyModified,
+        datum: TM65_TO_WGS84,
+        projection: { lat0: 53.5, lon0: -8, k0: 1.000035, e0: 200000, n0: 250000 },
+        prj: 'PROJCS["TM65_Irish_Grid",GEOGCS["GCS_TM65",DATUM["D_TM65",SPHEROID["Airy_Modified",6377340.189,299.3249646]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",200000.0],PARAMETER["False_Northing",250000.0],PARAMETER["Central_Meridian",-8.0],PARAMETER["Scale_Factor",1.000035],PARAMETER["Latitude_Of_Origin",53.5],UNIT["Meter",1.0]]',
+        wkt: 'PROJCS["TM65 / Irish Grid",GEOGCS["TM65",DATUM["TM65",SPHEROID["Airy Modified 1849",6377340.189,299.3249646,AUTHORITY["EPSG","7002"]],TOWGS84[482.5,-130.6,564.6,-1.042,-0.214,-0.631,8.15],AUTHORITY["EPSG","6299"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4299"]],PROJECTION["Transverse_Mercator"],PARAMETER["latitude_of_origin",53.5],PARAMETER["central_meridian",-8],PARAMETER["scale_factor",1.000035],PARAMETER["false_easting",200000],PARAMETER["false_northing",250000],UNIT["metre",1,AUTHORITY["EPSG","9001"]],AXIS["Easting",EAST],AXIS["Northing",NORTH],AUTHORITY["EPSG","29902"]]'
+    },
+    'EPSG:2157': {
+        name: 'ITM',
+        label: 'Irish Transverse Mercator (ITM)',
+        code: 2157,
+        suffix: 'itm',
+        decimals: 3,      // mm
+        ellipsoid: ELLIPSOIDS.grs80,
+        datum: null,
+        projection: { lat0: 53.5, lon0: -8, k0: 0.99982, e0: 600000, n0: 750000 },
+        prj: 'PROJCS["IRENET95_Irish_Transverse_Mercator",GEOGCS["GCS_IRENET95",DATUM["D_IRENET95",SPHEROID["GRS_1980",6378137.0,298.257222101]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",600000.0],PARAMETER["False_Northing",750000.0],PARAMETER["Central_Meridian",-8.0],PARAMETER["Scale_Factor",0.99982],PARAMETER["Latitude_Of_Origin",53.5],UNIT["Meter",1.0]]',
+        wkt: 'PROJCS["IRENET95 / Irish Transverse Mercator",GEOGCS["IRENET95",DATUM["IRENET95",SPHEROID["GRS 1980",6378137,298.257222101,AUTHORITY["EPSG","7019"]],TOWGS84[0,0,0,0,0,0,0],AUTHORITY["EPSG","6173"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4173"]],PROJECTION["Transverse_Mercator"],PARAMETER["latitude_of_origin",53.5],PARAMETER["central_meridian",-8],PARAMETER["scale_factor",0.99982],PARAMETER["false_easting",600000],PARAMETER["false_northing",750000],UNIT["metre",1,AUTHORITY["EPSG","9001"]],AXIS["Easting",EAST],AXIS["Northing",NORTH],AUTHORITY["EPSG","2157"]]'
+    }
+};
+
+// Irish Grid 100 km squares, west to east then north to south (no I)
+const GRID_LETTERS = 'ABCDEFGHJKLMNOPQRSTUVWXYZ';
+
+// Where a typed easting/northing must land to be taken as Irish (lon/lat)
+const IRELAND_BOUNDS = { west: -11, south: 51, east: -5, north: 56 };
+
+class Projections {
+    /**
+     * Coordinate systems, as { 'EPSG:nnnn': { name, label, code, ... } }
+     */
+    getSystems() {
+        return SYSTEMS;
+    }
+
+    getSystem(crs) {
+        return SYSTEMS[crs] || SYSTEMS['EPSG:4326'];
+    }
+
+    /**
+     * WGS 84 longitude/latitude to a coordinate system
+     * @returns {number[]} [x, y] - [lon, lat] for WGS 84, [easting, northing] for the grids
+     */
+    fromWGS84(lon, lat, crs) {
+        const system = this.getSystem(crs);
+        if (!system.projection) return [lon, lat];
+
+        if (system.datum) {
+            [lon, lat] = this.shiftDatum(lon, lat, ELLIPSOIDS.wgs84, system.ellipsoid, system.datum, -1);
+        }
+        return this.project(lon, lat, system.ellipsoid, system.projection);
+    }
+
+    /**
+     * Coordinate system to WGS 84 longitude/latitude
+     * @returns {number[]} [lon, lat]
+     */
+    toWGS84(x, y, crs) {
+        const system = this.getSystem(crs);
+        if (!system.projection) return [x, y];
+
+        const [lon, lat] = this.unproject(x, y, system.ellipsoid, system.projection);
+        return system.datum
+            ? this.shiftDatum(lon, lat, system.ellipsoid, ELLIPSOIDS.wgs84, system.datum, 1)
+            : [lon, lat];
+    }
+
+    /**
+     * A GeoJSON geometry's WGS 84 coordinates reprojected (a copy; the geometry itself is unchanged)
+     */
+    transformGeometry(geometry, crs) {
+        if (!geometry || !this.getSystem(crs).projection) return geometry;
+        if (geometry.type === 'GeometryCollection') {
+            return { ...geometry, geometries: geometry.geometries.map(g => this.transformGeometry(g, crs)) };
+        }
+
+        const transform = (coords) => typeof coords[0] === 'number'
+            ? this.fromWGS84(coords[0], coords[1], crs)
+            : coords.map(transform);
+        return { ...geometry, coordinates: transform(geometry.coordinates) };
+    }
+
+    // ============================================
+    // Display and parsing
+    // ============================================
+
+    /**
+     * A WGS 84 position written in a coordinate system, e.g. "54.59640°N 5.93010°W",
+     * "333831 E 373987 N (J 33831 73987)" or "733754 E 873983 N"
+     */
+    format(lon, lat, crs) {
+        const system = this.getSystem(crs);
+        if (!system.projection) {
+            return `${Math.abs(lat).toFixed(5)}°${lat < 0 ? 'S' : 'N'} ${Math.abs(lon).toFixed(5)}°${lon < 0 ? 'W' : 'E'}`;
+        }
+
+        const [easting, northing] = this.fromWGS84(lon, lat, crs);
+        const text = `${Math.round(easting)} E ${Math.round(northing)} N`;
+        if (crs !== 'EPSG:29902') return text;
+
+        const reference = this.toGridReference(easting, northing);
+        return reference ? `${text} (${reference})` : text;
+    }
+
+    /**
+     * Irish Grid reference for an easting and northing, e.g. "J 33831 73987"
+     * @param {number} digits - figures per coordinate: 5 is 1 m, 3 is 100 m
+     * @returns {string|null} null outside the lettered squares
+     */
+    toGridReference(easting, northing, digits = 5) {
+        const column = Math.floor(easting / 100000);
+        const row = Math.floor(northing / 100000);
+        if (column < 0 || column > 4 || row < 0 || row > 4) return null;
+
+        const letter = GRID_LETTERS[(4 - row) * 5 + column];
+        const scale = 10 ** (5 - digits);
+        const figures = (value) => String(Math.floor((value % 100000) / scale)).padStart(digits, '0');
+        return `${letter} ${figures(easting)} ${figures(northing)}`;
+    }
+
+    /**
+     * Read an Irish Grid reference - a square letter then 1 to 5 figures each of easting and
+     * northing, with or without spaces ("J 336 745", "J336745", "j 33600 74500")
+     * Run together, a reference needs 4 or more figures so Eircode routing keys ("D02") and road
+     * numbers ("A26") are not read as references
+     * @returns {{easting: number, northing: number, precision: number}|null} the centre of the
+     *   square the reference names, and its size in metres
+     */
+    parseGridReference(text) {
+        const reference = String(text).trim().toUpperCase();
+        const pair = reference.match(/^([A-HJ-Z])\s*(\d{1,5})\s+(\d{1,5})$/);
+        const run = pair ? null : reference.match(/^([A-HJ-Z])(?:\s+(\d{2,10})|(\d{4,10}))$/);
+        if (!pair && !run) return null;
+
+        const letter = (pair || run)[1];
+        let eastFigures = pair ? pair[2] : run[2] || run[3];
+        let northFigures = pair ? pair[3] : '';
+        if (!northFigures) {
+            if (eastFigures.length % 2 !== 0) return null;
+            northFigures = eastFigures.slice(eastFigures.length / 2);
+            eastFigures = eastFigures.slice(0, eastFigures.length / 2);
+        }
+        if (eastFigures.length !== northFigures.length) return null;
+
+        const index = GRID_LETTERS.indexOf(letter);
+        const precision = 10 ** (5 - eastFigures.length);
+        return {
+            easting: (index % 5) * 100000 + Number(eastFigures) * precision + precision / 2,
+            northing: (4 - Math.floor(index / 5)) * 100000 + Number(northFigures) * precision + precision / 2,
+            precision
+        };
+    }
+
+    /**
+     * Positions a search query could mean: an Irish Grid reference, an easting and northing in
+     * Irish Grid or ITM (whichever falls in Ireland), or a latitude and longitude
+     * @returns {{lon: number, lat: number, crs: string, label: string}[]}
+     */
+    parseCoordinates(text) {
+        const query = String(text).trim();
+
+        const reference = this.parseGridReference(query);
+        if (reference) {
+            const [lon, lat] = this.toWGS84(reference.easting, reference.northing, 'EPSG:29902');
+            return [{ lon, lat, crs: 'EPSG:29902', label: `Irish Grid ${query.toUpperCase().replace(/\s+/g, ' ')}` }];
+        }
+
+        const match = query.match(/^([EN]?)\s*(-?\d+(?:\.\d+)?)\s*[EN]?\s*[,\s]\s*([EN]?)\s*(-?\d+(?:\.\d+)?)\s*[EN]?$/i);
+        if (!match) return [];
+        let a = Number(match[2]);
+        let b = Number(match[4]);
+        if (/n/i.test(match[1]) || /e/i.test(match[3])) [a, b] = [b, a];
+
+        // Grid coordinates are whole metres in the hundreds of thousands
+        if (Math.abs(a) >= 1000 && Math.abs(b) >= 1000) {
+            return ['EPSG:29902', 'EPSG:2157'].flatMap(crs => {
+                const [lon, lat] = this.toWGS84(a, b, crs);
+                if (!this.inIreland(lon, lat)) return [];
+                return [{ lon, lat, crs, label: `${SYSTEMS[crs].name} ${Math.round(a)} E ${Math.round(b)} N` }];
+            });
+        }
+
+        // Latitude first, as usually written; longitude first when only that reading fits Ireland
+        const [lat, lon] = this.inIreland(a, b) && !this.inIreland(b, a) ? [b, a] : [a, b];
+        if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return [];
+        return [{ lon, lat, crs: 'EPSG:4326', label: this.format(lon, lat, 'EPSG:4326') }];
+    }
+
+    inIreland(lon, lat) {
+        return lon >= IRELAND_BOUNDS.west && lon <= IRELAND_BOUNDS.east &&
+            lat >= IRELAND_BOUNDS.south && lat <= IRELAND_BOUNDS.north;
+    }
+
+    // ============================================
+    // Transverse Mercator
+    // ============================================
+
+    /**
+     * Meridional arc from the origin latitude to a latitude (both radians), scaled
+     */
+    meridionalArc(phi, phi0, { a, b }, k0) {
+        const n = (a - b) / (a + b);
+        const n2 = n * n;
+        const n3 = n2 * n;
+        const dPhi = phi - phi0;
+        const sPhi = phi + phi0;
+        return b * k0 * (
+            (1 + n + 1.25 * n2 + 1.25 * n3) * dPhi -
+            (3 * n + 3 * n2 + 2.625 * n3) * Math.sin(dPhi) * Math.cos(sPhi) +
+            (1.875 * n2 + 1.875 * n3) * Math.sin(2 * dPhi) * Math.cos(2 * sPhi) -
+            (35 / 24) * n3 * Math.sin(3 * dPhi) * Math.cos(3 * sPhi)
+        );
+    }
+
+    /**
+     * Radii of curvature at a latitude: nu (prime vertical) and rho (meridian), scaled
+     */
+    radii(phi, { a, b }, k0) {
+        const e2 = 1 - (b * b) / (a * a);
+        const w = 1 - e2 * Math.sin(phi) ** 2;
+        return { nu: a * k0 / Math.sqrt(w), rho: a * k0 * (1 - e2) / w ** 1.5 };
+    }
+
+    project(lon, lat, ellipsoid, { lat0, lon0, k0, e0, n0 }) {
+        const phi = lat * DEG;
+        const dLambda = (lon - lon0) * DEG;
+        const { nu, rho } = this.radii(phi, ellipsoid, k0);
+        const eta2 = nu / rho - 1;
+        const sin = Math.sin(phi);
+        const cos = Math.cos(phi);
+        const tan2 = Math.tan(phi) ** 2;
+
+        const I = this.meridionalArc(phi, lat0 * DEG, ellipsoid, k0) + n0;
+        const II = nu / 2 * sin * cos;
+        const III = nu / 24 * sin * cos ** 3 * (5 - tan2 + 9 * eta2);
+        const IIIA = nu / 720 * sin * cos ** 5 * (61 - 58 * tan2 + tan2 * tan2);
+        const IV = nu * cos;
+        const V = nu / 6 * cos ** 3 * (nu / rho - tan2);
+        const VI = nu / 120 * cos ** 5 * (5 - 18 * tan2 + tan2 * tan2 + 14 * eta2 - 58 * tan2 * eta2);
+
+        return [
+            e0 + IV * dLambda + V * dLambda ** 3 + VI * dLambda ** 5,
+            I + II * dLambda ** 2 + III * dLambda ** 4 + IIIA * dLambda ** 6
+        ];
+    }
+
+    unproject(easting, northing, ellipsoid, { lat0, lon0, k0, e0, n0 }) {
+        const phi0 = lat0 * DEG;
+
+        // Latitude whose meridional arc matches the northing
+        let phi = phi0;
+        let arc = 0;
+        do {
+            phi += (northing - n0 - arc) / (ellipsoid.a * k0);
+            arc = this.meridionalArc(phi, phi0, ellipsoid, k0);
+        } while (Math.abs(northing - n0 - arc) >= 0.00001);
+
+        const { nu, rho } = this.radii(phi, ellipsoid, k0);
+        const eta2 = nu / rho - 1;
+        const tan = Math.tan(phi);
+        const tan2 = tan * tan;
+        const sec = 1 / Math.cos(phi);
+        const dE = easting - e0;
+
+        const VII = tan / (2 * rho * nu);
+        const VIII = tan / (24 * rho * nu ** 3) * (5 + 3 * tan2 + eta2 - 9 * tan2 * eta2);
+        const IX = tan / (720 * rho * nu ** 5) * (61 + 90 * tan2 + 45 * tan2 * tan2);
+        const X = sec / nu;
+        const XI = sec / (6 * nu ** 3) * (nu / rho + 2 * tan2);
+        const XII = sec / (120 * nu ** 5) * (5 + 28 * tan2 + 24 * tan2 * tan2);
+        const XIIA = sec / (5040 * nu ** 7) * (61 + 662 * tan2 + 1320 * tan2 * tan2 + 720 * tan2 ** 3);
+
+        const lat = phi - VII * dE ** 2 + VIII * dE ** 4 - IX * dE ** 6;
+        const lon = lon0 * DEG + X * dE - XI * dE ** 3 + XII * dE ** 5 - XIIA * dE ** 7;
+        return [lon / DEG, lat / DEG];
+    }
+
+    // ============================================
+    // Datum shift
+    // ============================================
+
+    /**
+     * Move a position between datums with a Helmert transformation through earth-centred coordinates
+     * @param {number} direction - 1 applies the parameters as given, -1 their (small-angle) inverse
+     */
+    shiftDatum(lon, lat, from, to, { tx, ty, tz, rx, ry, rz, s }, direction) {
+        const [x, y, z] = this.toCartesian(lat * DEG, lon * DEG, from);
+        const d = direction;
+        const scale = 1 + d * s * 1e-6;
+        const [rX, rY, rZ] = [rx, ry, rz].map(r => d * r * ARC_SECOND);
+
+        return this.fromCartesian(
+            d * tx + scale * (x - rZ * y + rY * z),
+            d * ty + scale * (rZ * x + y - rX * z),
+            d * tz + scale * (-rY * x + rX * y + z),
+            to
+        );
+    }
+
+    toCartesian(phi, lambda, { a, b }) {
+        const e2 = 1 - (b * b) / (a * a);
+        const nu = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+        return [
+            nu * Math.cos(phi) * Math.cos(lambda),
+            nu * Math.cos(phi) * Math.sin(lambda),
+            (1 - e2) * nu * Math.sin(phi)
+        ];
+    }
+
+    /**
+     * Earth-centred coordinates to [lon, lat] in degrees (height dropped)
+     */
+    fromCartesian(x, y, z, { a, b }) {
+        const e2 = 1 - (b * b) / (a * a);
+        const p = Math.hypot(x, y);
+        let phi = Math.atan2(z, p * (1 - e2));
+        for (let i = 0; i < 10; i++) {
+            const nu = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+            const next = Math.atan2(z + e2 * nu * Math.sin(phi), p);
+            if (Math.abs(next - phi) < 1e-12) {
+                phi = next;
+                break;
+            }
+            phi = next;
+        }
+        return [Math.atan2(y, x) / DEG, phi / DEG];
+    }
+}
+
+// Export singleton
+const projections = new Projections();
+export default projections;
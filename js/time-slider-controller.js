@@ -1,9 +1,12 @@
 /**
  * NI Boundaries - Time Slider Controller
- * Handles unified timeline navigation across time-series layers
+ * Handles unified timeline navigation across time-series layers, playback and export
  */
 
 import dataService from './data-service.js';
+import timelineExport from './timeline-export.js';
+
+const PLAYBACK_SPEEDS = [4000, 2000, 1000];  // ms per date: slow, normal, fast
 
 class TimeSliderController {
     constructor() {
@@ -14,6 +17,9 @@ class TimeSliderController {
         this.prevBtn = null;
         this.nextBtn = null;
         this.resetBtn = null;
+        this.playBtn = null;
+        this.speedSelect = null;
+        this.exportBtn = null;
 
         // State
         this.dates = [];              // Array of timestamps (sorted oldest first)
@@ -23,6 +29,11 @@ class TimeSliderController {
         this.mapController = null;    // Reference to map controller
         this.uiController = null;     // Reference to UI controller
         this._applyingDateChange = false; // Guard against re-entrant updates
+        this.playing = false;
+        this.playSession = 0;         // Incremented on pause so an old playback loop stops
+        this.playbackInterval = PLAYBACK_SPEEDS[1];
+        this.exporting = false;
+        this.chainPins = new Map();   // chainId -> timestamp; pinned chains keep their own date and ignore the slider
 
         // Callbacks
         this.onLayersChanged = null;  // Callback when layers change
@@ -42,6 +53,9 @@ class TimeSliderController {
         this.prevBtn = document.getElementById('timelinePrev');
         this.nextBtn = document.getElementById('timelineNext');
         this.resetBtn = document.getElementById('timelineReset');
+        this.playBtn = document.getElementById('timelinePlay');
+        this.speedSelect = document.getElementById('timelineSpeed');
+        this.exportBtn = document.getElementById('timelineExport');
 
         if (!this.container) {
             console.warn('[TimeSlider] Timeline slider elements not found');
@@ -49,10 +63,28 @@ class TimeSliderController {
         }
 
         // Bind event listeners
-        this.slider.addEventListener('input', () => this.handleSliderChange());
-        this.prevBtn.addEventListener('click', () => this.stepBackward());
-        this.nextBtn.addEventListener('click', () => this.stepForward());
-        this.resetBtn.addEventListener('click', () => this.reset());
+        // Manual navigation stops playback
+        this.slider.addEventListener('input', () => { this.pause(); this.handleSliderChange(); });
+        this.prevBtn.addEventListener('click', () => { this.pause(); this.stepBackward(); });
+        this.nextBtn.addEventListener('click', () => { this.pause(); this.stepForward(); });
+        this.resetBtn.addEventListener('click', () => { this.pause(); this.reset(); });
+
+        this.playBtn?.addEventListener('click', () => this.togglePlayback());
+        this.exportBtn?.addEventListener('click', () => this.exportSequence());
+
+        if (this.speedSelect) {
+            try {
+                const saved = parseInt(localStorage.getItem('ni-boundaries.timelineSpeed'), 10);
+                if (PLAYBACK_SPEEDS.includes(saved)) this.playbackInterval = saved;
+            } catch (e) { }
+            this.speedSelect.value = String(this.playbackInterval);
+            this.speedSelect.addEventListener('change', () => {
+                this.playbackInterval = parseInt(this.speedSelect.value, 10);
+                try {
+                    localStorage.setItem('ni-boundaries.timelineSpeed', this.speedSelect.value);
+                } catch (e) { }
+            });
+        }
 
         console.log('[TimeSlider] Initialized');
     }
@@ -82,14 +114,22 @@ class TimeSliderController {
             }
         }
 
+        // Pins only last while their chain is on the map
+        for (const chainId of this.chainPins.keys()) {
+            if (!seenChainIds.has(chainId)) this.chainPins.delete(chainId);
+        }
+
+        // The slider only drives chains that aren't pinned
+        const followingChains = this.activeChains.filter(chain => !this.chainPins.has(chain.id));
+
         // If no time-series layers, hide the slider
-        if (this.activeChains.length === 0) {
+        if (followingChains.length === 0) {
             this.hide();
             return;
         }
 
-        // Get applicable dates across all active chains (sorted newest first from dataService)
-        const datesNewestFirst = dataService.getApplicableDates(this.activeChains);
+        // Get applicable dates across all following chains (sorted newest first from dataService)
+        const datesNewestFirst = dataService.getApplicableDates(followingChains);
 
         if (datesNewestFirst.length === 0) {
             this.hide();
@@ -139,6 +179,7 @@ class TimeSliderController {
      * Hide the slider
      */
     hide() {
+        this.pause();
         if (this.container) {
             this.container.classList.add('hidden');
         }
@@ -203,7 +244,7 @@ class TimeSliderController {
         this.slider.value = this.dates[this.currentIndex];
         this.updateLabel();
         this.updateButtonStates();
-        this.applyDateChange();
+        return this.applyDateChange();
     }
 
     /**
@@ -222,7 +263,121 @@ class TimeSliderController {
         this.slider.value = this.dates[this.currentIndex];
         this.updateLabel();
         this.updateButtonStates();
-        this.applyDateChange();
+        return this.applyDateChange();
+    }
+
+    /**
+     * Jump to a date index, applying the layer changes
+     */
+    goToIndex(index) {
+        if (index < 0 || index >= this.dates.length || index === this.currentIndex) return Promise.resolve();
+
+        if (this.preSliderState === null) {
+            this.savePreSliderState();
+        }
+
+        this.currentIndex = index;
+        this.slider.value = this.dates[this.currentIndex];
+        this.updateLabel();
+        this.updateButtonStates();
+        return this.applyDateChange();
+    }
+
+    /**
+     * Start or stop playback
+     */
+    togglePlayback() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Play through the dates from the current one (or from the oldest if at the end),
+     * waiting playbackInterval between dates
+     */
+    async play() {
+        if (this.playing || this.exporting || this.dates.length < 2) return;
+
+        const session = ++this.playSession;
+        this.playing = true;
+        this.updatePlayButton();
+
+        if (this.currentIndex >= this.dates.length - 1) {
+            await this.goToIndex(0);
+        }
+
+        while (this.playSession === session && this.currentIndex < this.dates.length - 1) {
+            await new Promise(resolve => setTimeout(resolve, this.playbackInterval));
+            if (this.playSession !== session) return;
+            await this.goToIndex(this.currentIndex + 1);
+        }
+
+        if (this.playSession === session) this.pause();
+    }
+
+    /**
+     * Stop playback
+     */
+    pause() {
+        if (!this.playing) return;
+        this.playSession++;
+        this.playing = false;
+        this.updatePlayButton();
+    }
+
+    /**
+     * Sync the play button icon and label
+     */
+    updatePlayButton() {
+        if (!this.playBtn) return;
+        this.playBtn.classList.toggle('timeline-btn--playing', this.playing);
+        const label = this.playing ? 'Pause' : 'Play through dates';
+        this.playBtn.title = label;
+        this.playBtn.setAttribute('aria-label', label);
+    }
+
+    /**
+     * Export every date as a frame of an animated PNG
+     * Steps through the dates without transitions, then returns to the current date
+     */
+    async exportSequence() {
+        if (this.exporting || this.dates.length < 2 || !this.mapController?.map) return;
+
+        this.pause();
+        this.exporting = true;
+        if (this.exportBtn) this.exportBtn.disabled = true;
+
+        const startIndex = this.currentIndex;
+        const frames = [];
+        try {
+            for (let i = 0; i < this.dates.length; i++) {
+                this.showToast(`Rendering frame ${i + 1} of ${this.dates.length}…`);
+                await this.goToIndex(i);
+                frames.push(await timelineExport.renderFrame(this.mapController, this.label.textContent));
+            }
+
+            const blob = await timelineExport.encodeApng(frames, this.playbackInterval);
+            const years = [this.dates[0], this.dates[this.dates.length - 1]].map(ts => new Date(ts).getUTCFullYear());
+            const chainIds = this.activeChains.map(c => c.id).join('-');
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${chainIds || 'timeline'}-${years.join('-')}.png`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+            this.showToast(`Exported ${frames.length} frames`);
+        } catch (err) {
+            console.error('[TimeSlider] Export failed:', err);
+            this.showToast('Export failed');
+        } finally {
+            await this.goToIndex(startIndex);
+            this.exporting = false;
+            if (this.exportBtn) this.exportBtn.disabled = false;
+        }
     }
 
     /**
@@ -253,25 +408,41 @@ class TimeSliderController {
     updateLabel() {
         if (!this.label || this.dates.length === 0) return;
 
+        this.label.textContent = this.formatDate(this.dates[this.currentIndex]);
+        this.updateLegalNote();
+    }
+
+    /**
+     * Explain the legal position at the current date in the label and slider tooltips:
+     * which boundaries are in force, which are drawn but only proposed, and any gaps
+     */
+    updateLegalNote() {
         const timestamp = this.dates[this.currentIndex];
-        const date = new Date(timestamp);
+        const lines = [];
+        let hasNote = false;
 
-        // Format as year, or full date if available
-        const year = date.getFullYear();
-        const month = date.getMonth();
-        const day = date.getDate();
+        for (const chain of this.activeChains.filter(c => !this.chainPins.has(c.id))) {
+            const maps = dataService.getMapsInChain(chain).map(entry => entry.map);
+            const inForce = maps.filter(map => dataService.getMapStatusAt(map, timestamp) === 'in-force');
+            const proposed = maps.filter(map => dataService.getMapStatusAt(map, timestamp) === 'proposed');
 
-        // If it's Jan 1, just show the year
-        if (month === 0 && day === 1) {
-            this.label.textContent = year.toString();
-        } else {
-            // Show short date format
-            this.label.textContent = date.toLocaleDateString('en-GB', {
-                day: 'numeric',
-                month: 'short',
-                year: 'numeric'
-            });
+            if (inForce.length === 0) lines.push(dataService.describeGap(chain, timestamp));
+            for (const map of [...inForce, ...proposed]) {
+                lines.push(`${map.name}: ${dataService.describeValidity(map, timestamp)}`);
+            }
+            hasNote = hasNote || inForce.length === 0 || proposed.length > 0;
         }
+
+        this.label.title = lines.join('\n');
+        this.slider.title = this.label.title;
+        this.label.classList.toggle('timeline-label--has-note', hasNote);
+    }
+
+    /**
+     * Format a timestamp as a year, or a short date if it isn't 1 January
+     */
+    formatDate(timestamp) {
+        return dataService.formatLegalDate(timestamp);
     }
 
     /**
@@ -308,7 +479,9 @@ class TimeSliderController {
     async restorePreSliderState() {
         if (!this.preSliderState) return;
 
-        const currentIds = this.getLoadedMapIds();
+        // Pinned chains keep their own date
+        const following = (mapId) => !this.isPinned(dataService.getChainForMap(mapId)?.id);
+        const currentIds = this.getLoadedMapIds().filter(following);
 
         // Unload all current layers
         for (const mapId of currentIds) {
@@ -316,7 +489,7 @@ class TimeSliderController {
         }
 
         // Reload original layers
-        for (const mapId of this.preSliderState) {
+        for (const mapId of this.preSliderState.filter(following)) {
             const map = dataService.getMapById(mapId);
             if (map) {
                 await this.mapController.loadLayer(map, true);
@@ -329,10 +502,13 @@ class TimeSliderController {
 
     /**
      * Apply the date change - swap layers to match target date
+     * Changed boundaries are animated, except while exporting
      */
     async applyDateChange() {
+        const animate = !this.exporting;
         const targetTimestamp = this.dates[this.currentIndex];
-        const currentIds = this.getLoadedMapIds();
+        const currentIds = this.getLoadedMapIds()
+            .filter(mapId => !this.isPinned(dataService.getChainForMap(mapId)?.id));
 
         console.log('[TimeSlider] applyDateChange - targetTimestamp:', targetTimestamp, 'targetDate:', new Date(targetTimestamp));
         console.log('[TimeSlider] applyDateChange - currentIds:', currentIds);
@@ -342,6 +518,32 @@ class TimeSliderController {
 
         console.log('[TimeSlider] applyDateChange - equivalentMaps:', equivalentMaps);
 
+        const changes = await this.swapLayers(equivalentMaps, animate, targetTimestamp);
+
+        // Refresh active layers panel with the new set of layers
+        if (changes.length > 0 && this.onLayersChanged) {
+            this.onLayersChanged();
+        }
+
+        // Highlight changed layers in UI
+        this.highlightChangedLayers(changes);
+
+        // Show toast notification (the label is enough during playback and export)
+        if (changes.length > 0 && !this.playing && !this.exporting) {
+            this.showToast(`Layers updated: ${changes.join(', ')}`);
+        } else {
+            console.log('[TimeSlider] No changes to apply');
+        }
+    }
+
+    /**
+     * Replace layers with their equivalents for another date
+     * @param {Object} equivalentMaps - old mapId -> new mapId (or null to remove)
+     * @param {boolean} animate
+     * @param {number} timestamp - the date being moved to (explains removed layers)
+     * @returns {Promise<string[]>} descriptions of the changes made
+     */
+    async swapLayers(equivalentMaps, animate, timestamp) {
         const changes = [];
 
         // Guard: prevent updateForActiveLayers from resetting slider during swaps
@@ -355,7 +557,8 @@ class TimeSliderController {
                     continue;
                 }
 
-                // Unload old layer
+                // Keep the old outlines for the transition, then unload the old layer
+                const oldFeatures = animate ? this.mapController.getLayerFeatures(oldId) : [];
                 console.log('[TimeSlider] Unloading:', oldId);
                 this.mapController.unloadLayer(oldId);
 
@@ -365,6 +568,10 @@ class TimeSliderController {
                     console.log('[TimeSlider] Loading new:', newId, map?.name);
                     if (map) {
                         await this.mapController.loadLayer(map, true);
+                        if (animate) {
+                            this.mapController.animateBoundaryChange(oldFeatures, newId,
+                                Math.min(1500, this.playbackInterval * 0.75));
+                        }
 
                         const oldMap = dataService.getMapById(oldId);
                         const oldName = oldMap ? this.getYear(oldMap.date) || oldMap.name : oldId;
@@ -372,28 +579,146 @@ class TimeSliderController {
                         changes.push(`${oldName} → ${newName}`);
                     }
                 } else {
-                    // No equivalent found - layer disappears
+                    // No map in force at this date - layer disappears
                     const oldMap = dataService.getMapById(oldId);
-                    changes.push(`${oldMap?.name || oldId} removed`);
+                    const chain = dataService.getChainForMap(oldId);
+                    changes.push(chain
+                        ? `${oldMap?.name || oldId} removed (${dataService.describeGap(chain, timestamp)})`
+                        : `${oldMap?.name || oldId} removed`);
                 }
             }
         } finally {
             this._applyingDateChange = false;
         }
 
-        // Refresh active layers panel with the new set of layers
-        if (changes.length > 0 && this.onLayersChanged) {
-            this.onLayersChanged();
+        return changes;
+    }
+
+    // ============================================
+    // Per-chain pins
+    // ============================================
+
+    /**
+     * Whether a chain is pinned to its own date
+     */
+    isPinned(chainId) {
+        return chainId != null && this.chainPins.has(chainId);
+    }
+
+    /**
+     * Pin a chain at the date of its loaded map, or release it back to the slider
+     * A released chain jumps to the slider date if the slider has been used
+     */
+    async toggleChainLock(chainId) {
+        const chain = dataService.getTimeSeriesChains().find(c => c.id === chainId);
+        if (!chain) return;
+
+        if (this.chainPins.has(chainId)) {
+            this.chainPins.delete(chainId);
+            this.updateForActiveLayers(this.getLoadedMapIds());
+            if (this.preSliderState !== null && this.dates.length > 0) {
+                await this.applyChainDate(chain, this.dates[this.currentIndex]);
+            }
+        } else {
+            this.chainPins.set(chainId, this.getChainTimestamp(chain));
+            this.updateForActiveLayers(this.getLoadedMapIds());
         }
 
-        // Highlight changed layers in UI
-        this.highlightChangedLayers(changes);
+        this.onLayersChanged?.();
+    }
+
+    /**
+     * Move a pinned chain to another of its dates
+     */
+    async setChainDate(chainId, timestamp) {
+        const chain = dataService.getTimeSeriesChains().find(c => c.id === chainId);
+        if (!chain || !this.chainPins.has(chainId)) return;
 
-        // Show toast notification
+        this.chainPins.set(chainId, timestamp);
+        const changes = await this.applyChainDate(chain, timestamp);
+        this.onLayersChanged?.();
         if (changes.length > 0) {
-            this.showToast(`Layers updated: ${changes.join(', ')}`);
-        } else {
-            console.log('[TimeSlider] No changes to apply');
+            this.showToast(`${chain.name}: ${changes.join(', ')}`);
+        }
+    }
+
+    /**
+     * Swap one chain's loaded maps to their equivalents at a date
+     */
+    async applyChainDate(chain, timestamp) {
+        const ids = this.getLoadedMapIds().filter(mapId => dataService.getChainForMap(mapId)?.id === chain.id);
+        const equivalentMaps = dataService.getEquivalentMapsForDate(ids, timestamp);
+        return this.swapLayers(equivalentMaps, !this.exporting, timestamp);
+    }
+
+    /**
+     * Date of the newest loaded map in a chain
+     */
+    getChainTimestamp(chain) {
+        const timestamps = this.getLoadedMapIds()
+            .filter(mapId => dataService.getChainForMap(mapId)?.id === chain.id)
+            .map(mapId => dataService.parseMapDate(dataService.getMapById(mapId)?.date))
+            .filter(ts => ts != null);
+        return timestamps.length > 0 ? Math.max(...timestamps) : null;
+    }
+
+    /**
+     * Per-chain controls for the active layers panel
+     * @param {string[]} mapIds - loaded map IDs
+     * @returns {Map<string, Object>} mapId -> { chainId, chainName, pinned, dates, labels, index, timestamp }
+     *   dates are oldest first; index is the position of the pinned date (pinned chains only);
+     *   timestamp is the date the chain is being viewed at (pinned date, slider date once used, or now)
+     */
+    getChainControls(mapIds) {
+        const controls = new Map();
+        const byChain = new Map();
+
+        for (const mapId of mapIds) {
+            const chain = dataService.getChainForMap(mapId);
+            if (!chain) continue;
+
+            if (!byChain.has(chain.id)) {
+                const pinned = this.chainPins.has(chain.id);
+                const dates = dataService.getApplicableDates([chain]).reverse();
+                const pinnedAt = this.chainPins.get(chain.id);
+                byChain.set(chain.id, {
+                    chainId: chain.id,
+                    chainName: chain.name,
+                    pinned,
+                    dates,
+                    labels: dates.map(ts => this.formatDate(ts)),
+                    index: pinned && pinnedAt != null && dates.length > 0
+                        ? dates.reduce((best, ts, i) => Math.abs(ts - pinnedAt) < Math.abs(dates[best] - pinnedAt) ? i : best, 0)
+                        : null,
+                    timestamp: pinned
+                        ? pinnedAt ?? Date.now()
+                        : (this.preSliderState !== null && this.dates.length > 0 ? this.dates[this.currentIndex] : Date.now())
+                });
+            }
+            controls.set(mapId, byChain.get(chain.id));
+        }
+        return controls;
+    }
+
+    /**
+     * Pins for URL state, e.g. "wards:1984-01-01,parliamentary:2023-01-01"
+     */
+    getPinsParam() {
+        return [...this.chainPins]
+            .map(([chainId, ts]) => `${chainId}:${ts != null ? new Date(ts).toISOString().slice(0, 10) : ''}`)
+            .join(',');
+    }
+
+    /**
+     * Restore pins from URL state
+     * The layers are expected to already be loaded at the pinned dates
+     */
+    setPinsFromParam(param) {
+        this.chainPins.clear();
+        for (const pin of (param || '').split(',')) {
+            const [chainId, date] = pin.split(':');
+            if (!chainId || !dataService.getTimeSeriesChains().some(c => c.id === chainId)) continue;
+            this.chainPins.set(chainId, date ? dataService.parseMapDate(date) : null);
         }
     }
 
@@ -0,0 +1,234 @@
+/**
+ * NI Boundaries - Timeline Export
+ * Renders the boundary layers on the map to canvas frames and assembles them
+ * into an animated PNG (APNG) for exporting time slider playback.
+ * Base map tiles are not drawn - most tile servers do not allow canvas export.
+ */
+
+import mapExport from './map-export.js';
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+let crcTable = null;
+
+class TimelineExport {
+    /**
+     * Draw the visible boundary layers and a caption into a canvas the size of the map
+     * Vector tile layers are drawn from their data file's features in view, as in the map export
+     * @param {MapController} mapController
+     * @param {string} caption - drawn in the top-left corner (e.g. the date)
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async renderFrame(mapController, caption) {
+        const map = mapController.map;
+        const size = map.getSize();
+        const canvas = document.createElement('canvas');
+        canvas.width = size.x;
+        canvas.height = size.y;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = '#f8f9fa';
+        ctx.fillRect(0, 0, size.x, size.y);
+
+        const bounds = map.getBounds();
+        const layerNames = [];
+        for (const state of mapController.layerStates.values()) {
+            if (!state.visible) continue;
+            layerNames.push(state.config?.name || state.id);
+            if (!state.loaded) continue;
+
+            for (const { feature, style } of await mapExport.getLayerFeatures(mapController, state, bounds)) {
+                if (!feature?.geometry) continue;
+                const [minX, minY, maxX, maxY] = turf.bbox(feature);
+                if (!bounds.intersects(L.latLngBounds([minY, minX], [maxY, maxX]))) continue;
+                this.drawFeature(ctx, map, feature.geometry, style);
+            }
+        }
+
+        this.drawCaption(ctx, caption, layerNames);
+        return canvas;
+    }
+
+    /**
+     * Draw a GeoJSON geometry with a Leaflet path style
+     */
+    drawFeature(ctx, map, geometry, style) {
+        const toPoint = ([lng, lat]) => map.latLngToContainerPoint([lat, lng]);
+        const traceRing = (ring) => {
+            ring.forEach((coord, i) => {
+                const p = toPoint(coord);
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+        };
+
+        ctx.beginPath();
+        switch (geometry.type) {
+            case 'Polygon':
+                geometry.coordinates.forEach(ring => { traceRing(ring); ctx.closePath(); });
+                break;
+            case 'MultiPolygon':
+                geometry.coordinates.forEach(polygon => polygon.forEach(ring => { traceRing(ring); ctx.closePath(); }));
+                break;
+            case 'LineString':
+                traceRing(geometry.coordinates);
+                break;
+            case 'MultiLineString':
+                geometry.coordinates.forEach(traceRing);
+                break;
+            case 'Point': {
+                const p = toPoint(geometry.coordinates);
+                ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+                break;
+            }
+            case 'GeometryCollection':
+                geometry.geometries.forEach(g => this.drawFeature(ctx, map, g, style));
+                return;
+            default:
+                return;
+        }
+
+        if (geometry.type.includes('Polygon') || geometry.type === 'Point') {
+            if (style.fill !== false) {
+                ctx.globalAlpha = style.fillOpacity ?? 0.2;
+                ctx.fillStyle = style.fillColor || style.color || '#3388ff';
+                ctx.fill('evenodd');
+            }
+        }
+        if (style.stroke !== false) {
+            ctx.globalAlpha = style.opacity ?? 1;
+            ctx.strokeStyle = style.color || '#3388ff';
+            ctx.lineWidth = style.weight ?? 2;
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw the caption box
+     */
+    drawCaption(ctx, caption, layerNames) {
+        const lines = [caption, ...layerNames];
+        ctx.font = 'bold 20px sans-serif';
+        const width = Math.max(...lines.map((line, i) => {
+            ctx.font = i === 0 ? 'bold 20px sans-serif' : '13px sans-serif';
+            return ctx.measureText(line).width;
+        }));
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillRect(10, 10, width + 20, 36 + layerNames.length * 18);
+
+        ctx.fillStyle = '#212529';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => {
+            ctx.font = i === 0 ? 'bold 20px sans-serif' : '13px sans-serif';
+            ctx.fillText(line, 20, i === 0 ? 18 : 26 + i * 18);
+        });
+    }
+
+    /**
+     * Encode canvases as an animated PNG that loops forever
+     * All frames must have the same size
+     * @param {HTMLCanvasElement[]} frames
+     * @param {number} delayMs - display time per frame
+     * @returns {Promise<Blob>}
+     */
+    async encodeApng(frames, delayMs) {
+        const pngs = await Promise.all(frames.map(canvas =>
+            new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+                .then(blob => blob.arrayBuffer())
+                .then(buffer => this.readChunks(new Uint8Array(buffer)))));
+
+        const ihdr = pngs[0].find(c => c.type === 'IHDR');
+        const width = new DataView(ihdr.data.buffer, ihdr.data.byteOffset).getUint32(0);
+        const height = new DataView(ihdr.data.buffer, ihdr.data.byteOffset).getUint32(4);
+
+        const parts = [new Uint8Array(PNG_SIGNATURE), this.chunk('IHDR', ihdr.data)];
+        parts.push(this.chunk('acTL', this.uint32s(frames.length, 0)));
+
+        let sequence = 0;
+        pngs.forEach((chunks, index) => {
+            const fctl = new Uint8Array(26);
+            const view = new DataView(fctl.buffer);
+            view.setUint32(0, sequence++);
+            view.setUint32(4, width);
+            view.setUint32(8, height);
+            view.setUint16(20, Math.round(delayMs));
+            view.setUint16(22, 1000);
+            parts.push(this.chunk('fcTL', fctl));
+
+            for (const { type, data } of chunks) {
+                if (type !== 'IDAT') continue;
+                if (index === 0) {
+                    parts.push(this.chunk('IDAT', data));
+                } else {
+                    const fdat = new Uint8Array(4 + data.length);
+                    new DataView(fdat.buffer).setUint32(0, sequence++);
+                    fdat.set(data, 4);
+                    parts.push(this.chunk('fdAT', fdat));
+                }
+            }
+        });
+
+        parts.push(this.chunk('IEND', new Uint8Array(0)));
+        return new Blob(parts, { type: 'image/apng' });
+    }
+
+    /**
+     * Split a PNG file into chunks
+     */
+    readChunks(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset);
+        const chunks = [];
+        let offset = PNG_SIGNATURE.length;
+
+        while (offset < bytes.length) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            chunks.push({ type, data: bytes.slice(offset + 8, offset + 8 + length) });
+            offset += 12 + length;
+        }
+        return chunks;
+    }
+
+    /**
+     * Build a PNG chunk (length, type, data, CRC)
+     */
+    chunk(type, data) {
+        const out = new Uint8Array(12 + data.length);
+        const view = new DataView(out.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+        out.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(out.subarray(4, 8 + data.length)));
+        return out;
+    }
+
+    uint32s(...values) {
+        const out = new Uint8Array(values.length * 4);
+        const view = new DataView(out.buffer);
+        values.forEach((v, i) => view.setUint32(i * 4, v));
+        return out;
+    }
+
+    crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// Export singleton
+const timelineExport = new TimelineExport();
+export default timelineExport;
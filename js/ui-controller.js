@@ -4,6 +4,23 @@
  */
 
 import dataService from './data-service.js';
+import geocoder from './geocoder.js';
+import boundaryDiff from './boundary-diff.js';
+import choropleth from './choropleth.js';
+import dataJoin from './data-join.js';
+import featureExport from './feature-export.js';
+import projections from './projections.js';
+import geodesic from './geodesic.js';
+
+const JOIN_REPORT_KEYS = 50;  // Unmatched keys listed in the join report before "and N more"
+
+const DOWNLOAD_CRS_KEY = 'ni-boundaries.downloadCrs';  // Coordinate system for converted downloads
+
+// Source files offered for download as published (tile packages are for the map, not for download)
+const SOURCE_FILE_LABELS = {
+    fgb: 'FlatGeobuf (.fgb)',
+    geojson: 'GeoJSON'
+};
 
 class UIController {
     constructor() {
@@ -35,6 +52,22 @@ class UIController {
         this.onExpandToFullMap = null;
         this.onSearch = null;
         this.onMapDetailClick = null;
+        this.onCompareVintages = null;
+        this.onClearComparison = null;
+        this.onExportCrosswalk = null;
+        this.onGetFeatureLineage = null;
+        this.onLineageSelect = null;
+        this.onChainLockToggle = null;
+        this.onChainDateChange = null;
+        this.onChoroplethEdit = null;
+        this.onChoroplethChange = null;
+        this.onLayerStyleEdit = null;
+        this.onLayerStyleChange = null;
+        this.onGetJoinLayerProperties = null;
+        this.onJoinData = null;
+        this.onRemoveJoin = null;
+        this.onDownloadMapAs = null;      // async (mapId, format, crs) - convert a whole layer for download
+        this.onDownloadFeatures = null;   // async (rows, format, crs) - convert Tables rows for download
 
         // Catalogue navigation state
         this.catalogueHistory = [];
@@ -201,6 +234,7 @@ class UIController {
 
         // Build file path HTML
         const filePath = map.files?.fgb || map.files?.geojson || null;
+        const downloadItemsHtml = this.getDownloadItemsHtml(map, 'catalogue-detail__download');
 
         // Build style info
         const styleInfo = [];
@@ -310,6 +344,18 @@ class UIController {
                 <div class="catalogue-detail__keywords">${keywordsHtml}</div>
             </div>` : ''}
 
+            ${downloadItemsHtml ? `
+            <div class="catalogue-detail__section">
+                <div class="catalogue-detail__section-title">Download</div>
+                <div class="catalogue-detail__downloads">${downloadItemsHtml}</div>
+                ${downloadItemsHtml.includes('download-as-btn') ? `
+                <label class="catalogue-detail__download-crs">
+                    <span class="text-muted text-xs">Coordinates</span>
+                    ${this.getDownloadCrsSelectHtml()}
+                </label>
+                <div class="text-muted text-xs">Converted files use these coordinates, except KML (always WGS 84).</div>` : ''}
+            </div>` : ''}
+
             ${variantsHtml}
             ${membersHtml}
 
@@ -337,6 +383,8 @@ class UIController {
             });
         }
 
+        this.setupDownloadAsButtons(detailView);
+
         // Variant click handlers
         detailView.querySelectorAll('.catalogue-detail__variant').forEach(el => {
             el.addEventListener('click', () => {
@@ -2490,7 +2538,7 @@ class UIController {
         const providers = (map.provider || []).join(', ');
         const dateStr = this.formatMapDate(map.date);
         const hasVariants = map.variants && map.variants.length > 0;
-        const hasDownload = map.files?.fgb || map.files?.geojson;
+        const downloadItemsHtml = this.getDownloadItemsHtml(map, 'download-dropdown__item');
 
         // Note field if present
         const noteHtml = map.note ? `<div class="map-card__note">${this.escapeHtml(map.note)}</div>` : '';
@@ -2525,7 +2573,7 @@ class UIController {
                 </button>
                 
                 <!-- Slot 4: Download -->
-                ${hasDownload ? `
+                ${downloadItemsHtml ? `
                     <div class="download-btn-group">
                         <button class="btn btn--icon btn--sm download-btn" data-map-id="${map.id}" title="Download">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -2534,10 +2582,7 @@ class UIController {
                                 <line x1="12" y1="15" x2="12" y2="3"/>
                             </svg>
                         </button>
-                        <div class="download-dropdown hidden">
-                            ${map.files?.fgb ? `<a href="${map.files.fgb}" class="download-dropdown__item" download>FlatGeobuf (.fgb)</a>` : ''}
-                            ${map.files?.geojson ? `<a href="${map.files.geojson}" class="download-dropdown__item" download>GeoJSON</a>` : ''}
-                        </div>
+                        <div class="download-dropdown hidden">${downloadItemsHtml}</div>
                     </div>
                 ` : '<div class="download-btn-group--placeholder"></div>'}
                 
@@ -2584,6 +2629,9 @@ class UIController {
             }
         });
 
+        card.querySelector('.download-dropdown')?.addEventListener('click', (e) => e.stopPropagation());
+        this.setupDownloadAsButtons(card);
+
         card.querySelector('.variants-btn')?.addEventListener('click', (e) => {
             e.stopPropagation();
             this.toggleVariantsPanel(map, card);
@@ -2597,6 +2645,79 @@ class UIController {
         return card;
     }
 
+    /**
+     * Download links for a map: its published files, then the formats it can be converted to
+     * (maps whose features can be loaded - from a data file or built as a composite)
+     */
+    getDownloadItemsHtml(map, itemClass) {
+        const sourceLinks = dataService.getMapFormats(map)
+            .filter(({ format }) => SOURCE_FILE_LABELS[format])
+            .map(({ format, path }) => `<a href="${this.escapeHtml(path)}" class="${itemClass}" download>${SOURCE_FILE_LABELS[format]}</a>`);
+
+        const canConvert = Boolean(dataService.getMapFilePath(map) || dataService.getComposite(map.id));
+        const conversions = canConvert
+            ? Object.entries(featureExport.getFormats()).map(([format, { label }]) =>
+                `<button type="button" class="${itemClass} download-as-btn" data-map-id="${map.id}" data-format="${format}">${label}</button>`)
+            : [];
+
+        return [...sourceLinks, ...conversions].join('');
+    }
+
+    /**
+     * Coordinate system chosen for converted downloads (persisted)
+     */
+    getDownloadCrs() {
+        try {
+            const saved = localStorage.getItem(DOWNLOAD_CRS_KEY);
+            if (saved && projections.getSystems()[saved]) return saved;
+        } catch (e) { }
+        return 'EPSG:4326';
+    }
+
+    setDownloadCrs(crs) {
+        try {
+            localStorage.setItem(DOWNLOAD_CRS_KEY, crs);
+        } catch (e) { }
+        document.querySelectorAll('.download-crs-select').forEach(select => { select.value = crs; });
+    }
+
+    getDownloadCrsSelectHtml(className = '') {
+        const current = this.getDownloadCrs();
+        return `
+            <select class="control-select download-crs-select ${className}" aria-label="Coordinate system for downloads">
+                ${Object.entries(projections.getSystems()).map(([crs, system]) =>
+            `<option value="${crs}" ${crs === current ? 'selected' : ''}>${system.label}</option>`).join('')}
+            </select>
+        `;
+    }
+
+    /**
+     * Wire the conversion buttons from getDownloadItemsHtml, showing progress on the button,
+     * and any coordinate system choice beside them
+     */
+    setupDownloadAsButtons(container) {
+        container.querySelectorAll('.download-crs-select').forEach(select => {
+            select.addEventListener('change', () => this.setDownloadCrs(select.value));
+        });
+
+        container.querySelectorAll('.download-as-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                if (!this.onDownloadMapAs || btn.disabled) return;
+
+                const label = btn.textContent;
+                btn.disabled = true;
+                btn.textContent = 'Preparing…';
+                try {
+                    await this.onDownloadMapAs(btn.dataset.mapId, btn.dataset.format, this.getDownloadCrs());
+                } finally {
+                    btn.disabled = false;
+                    btn.textContent = label;
+                }
+            });
+        });
+    }
+
     copyMapUrl(mapId, buttonEl) {
         const url = new URL(window.location.href);
         const currentLayers = url.hash.match(/layers=([^&]+)/)?.[1] || '';
@@ -2971,6 +3092,7 @@ class UIController {
         if (!panel || !content) return;
 
         content.innerHTML = '';
+        const infoId = this.featureInfoId = (this.featureInfoId || 0) + 1;
 
         features.forEach(feature => {
             const mapConfig = mapConfigs.find(m => m.id === feature.mapId);
@@ -3062,6 +3184,20 @@ class UIController {
                 html += '</div>';
             }
 
+            // Earlier and later boundaries from the time series, filled in once found
+            const hasLineage = this.onGetFeatureLineage && geometry?.type?.includes('Polygon') &&
+                dataService.getChainForMap(feature.mapId);
+            if (hasLineage) {
+                html += `
+                    <details class="feature-info__details feature-info__lineage" open>
+                        <summary class="feature-info__summary">Lineage</summary>
+                        <div class="feature-info__lineage-list">
+                            <div class="feature-info__lineage-status">Finding earlier and later boundaries…</div>
+                        </div>
+                    </details>
+                `;
+            }
+
             // Render all properties in a collapsible table
             const excludeKeys = ['Name', 'name', 'NAME', 'Area', 'area', 'AREA',
                 'Perimeter', 'perimeter', 'PERIMETER', 'geometry',
@@ -3096,6 +3232,10 @@ class UIController {
 
             div.innerHTML = html;
             content.appendChild(div);
+
+            if (hasLineage) {
+                this.renderFeatureLineage(div.querySelector('.feature-info__lineage-list'), feature, infoId);
+            }
         });
 
         // Setup close button
@@ -3136,30 +3276,74 @@ class UIController {
         panel.classList.remove('hidden');
     }
 
-    calculateGeodesicMetrics(geometry) {
-        const result = { area: null, perimeter: null };
+    /**
+     * Fill a feature's Lineage section with the overlapping features of earlier and later vintages
+     * Clicking an entry loads that vintage and highlights the feature
+     */
+    async renderFeatureLineage(container, feature, infoId) {
+        let lineage;
+        try {
+            lineage = await this.onGetFeatureLineage(feature.mapId, {
+                type: 'Feature',
+                properties: feature.properties || {},
+                geometry: feature.geometry
+            });
+        } catch (err) {
+            console.error('[UIController] Lineage failed:', err);
+            lineage = null;
+        }
+        // A newer click has replaced this panel
+        if (infoId !== this.featureInfoId) return;
+
+        if (!lineage) {
+            container.innerHTML = '<div class="feature-info__lineage-status">Lineage unavailable</div>';
+            return;
+        }
+        if (lineage.predecessors.length === 0 && lineage.successors.length === 0) {
+            container.innerHTML = '<div class="feature-info__lineage-status">No earlier or later boundaries overlap this area.</div>';
+            return;
+        }
+
+        const entries = [];
+        const renderGroup = (title, items) => {
+            if (items.length === 0) return '';
+            return `<div class="feature-info__lineage-group">${title}</div>` + items.map(entry => {
+                const index = entries.push(entry) - 1;
+                const percent = Math.round(entry.share * 100);
+                const otherPercent = Math.round(entry.shareOfOther * 100);
+                return `
+                    <button type="button" class="feature-info__lineage-item" data-lineage-index="${index}"
+                        title="${percent}% of this area; ${otherPercent}% of ${this.escapeHtml(String(entry.featureName))}">
+                        <span class="feature-info__lineage-date">${this.escapeHtml(String(entry.date ?? ''))}</span>
+                        <span class="feature-info__lineage-name">
+                            ${this.escapeHtml(String(entry.featureName))}
+                            <span class="feature-info__lineage-map">${this.escapeHtml(entry.mapName)}</span>
+                        </span>
+                        <span class="feature-info__lineage-share">${percent < 1 ? '<1' : percent}%</span>
+                    </button>
+                `;
+            }).join('');
+        };
 
-        if (!geometry || !geometry.coordinates) return result;
+        container.innerHTML = renderGroup('Earlier', lineage.predecessors) + renderGroup('Later', lineage.successors);
+        container.querySelectorAll('.feature-info__lineage-item').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.onLineageSelect?.(entries[Number(btn.dataset.lineageIndex)]);
+            });
+        });
+    }
 
-        const R = 6371; // Earth radius in km
+    /**
+     * Ellipsoidal area (km²) and perimeter (km) of a polygon feature's geometry, holes excluded
+     */
+    calculateGeodesicMetrics(geometry) {
+        const result = { area: null, perimeter: null };
 
         try {
-            if (geometry.type === 'Polygon') {
-                const coords = geometry.coordinates[0];
-                result.area = this.calculatePolygonArea(coords, R);
-                result.perimeter = this.calculatePolygonPerimeter(coords, R);
-            } else if (geometry.type === 'MultiPolygon') {
-                let totalArea = 0;
-                let totalPerimeter = 0;
-
-                geometry.coordinates.forEach(polygon => {
-                    const coords = polygon[0];
-                    totalArea += this.calculatePolygonArea(coords, R);
-                    totalPerimeter += this.calculatePolygonPerimeter(coords, R);
-                });
-
-                result.area = totalArea;
-                result.perimeter = totalPerimeter;
+            const metrics = geodesic.measure(geometry);
+            if (metrics) {
+                result.area = metrics.area / 1e6;
+                result.perimeter = metrics.perimeter / 1000;
             }
         } catch (e) {
             console.warn('[UIController] Error calculating geodesic metrics:', e);
@@ -3168,43 +3352,14 @@ class UIController {
         return result;
     }
 
-    calculatePolygonArea(coords, R) {
-        // Spherical excess formula (Shoelace for spherical coordinates)
-        let total = 0;
-
-        for (let i = 0; i < coords.length - 1; i++) {
-            const lon1 = coords[i][0] * Math.PI / 180;
-            const lat1 = coords[i][1] * Math.PI / 180;
-            const lon2 = coords[i + 1][0] * Math.PI / 180;
-            const lat2 = coords[i + 1][1] * Math.PI / 180;
-
-            total += (lon2 - lon1) * (2 + Math.sin(lat1) + Math.sin(lat2));
-        }
-
-        return Math.abs(total * R * R / 2);
-    }
-
-    calculatePolygonPerimeter(coords, R) {
-        // Haversine formula for each segment
-        let total = 0;
-
-        for (let i = 0; i < coords.length - 1; i++) {
-            const [lon1, lat1] = coords[i];
-            const [lon2, lat2] = coords[i + 1];
-
-            const dLat = (lat2 - lat1) * Math.PI / 180;
-            const dLon = (lon2 - lon1) * Math.PI / 180;
-            const lat1Rad = lat1 * Math.PI / 180;
-            const lat2Rad = lat2 * Math.PI / 180;
-
-            const a = Math.sin(dLat / 2) ** 2 +
-                Math.cos(lat1Rad) * Math.cos(lat2Rad) * Math.sin(dLon / 2) ** 2;
-            const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-            total += R * c;
-        }
-
-        return total;
+    /**
+     * Add computed area and perimeter columns to a loaded-feature table row
+     */
+    addGeodesicColumns(row) {
+        const { area, perimeter } = this.calculateGeodesicMetrics(row.feature?.geometry);
+        if (area !== null) row['area (km²)'] = Math.round(area * 1000) / 1000;
+        if (perimeter !== null) row['perimeter (km)'] = Math.round(perimeter * 1000) / 1000;
+        return row;
     }
 
     formatNumber(num, precision = null) {
@@ -3246,7 +3401,11 @@ class UIController {
         // Could show loading indicator - simplified for now
     }
 
-    updateActiveLayers(loadedMaps, visibilityMap, partialLayerInfo) {
+    /**
+     * @param {Map} chainControls - mapId -> time-series chain controls (see TimeSliderController.getChainControls)
+     * @param {Set} choroplethIds - maps currently styled by attribute
+     */
+    updateActiveLayers(loadedMaps, visibilityMap, partialLayerInfo, chainControls = null, choroplethIds = null, layerStyles = null) {
         const container = document.getElementById('activeLayersList');
         if (!container) return;
 
@@ -3258,9 +3417,15 @@ class UIController {
         container.innerHTML = loadedMaps.map(map => {
             const isVisible = visibilityMap?.get(map.id) ?? true;
             const partial = partialLayerInfo?.get(map.id);
-            const color = map.style?.color || '#3388ff';
+            const styled = layerStyles?.has(map.id);
+            const color = layerStyles?.get(map.id)?.color || map.style?.color || '#3388ff';
             const authors = map.authors?.join(', ') || '';
             const date = map.date ? this.getYear(map.date) : '';
+            const chain = chainControls?.get(map.id);
+            const chainIndex = chain?.index ?? (chain ? chain.dates.length - 1 : 0);
+            const viewedAt = chain?.timestamp ?? Date.now();
+            const proposed = dataService.getMapStatusAt(map, viewedAt) === 'proposed';
+            const legalDates = map.date ? dataService.describeValidity(map, viewedAt) : '';
 
             return `
                 <div class="active-layer-item ${isVisible ? '' : 'active-layer-item--hidden'}${partial?.isPartial ? ' active-layer-item--partial' : ''}" data-map-id="${map.id}">
@@ -3268,11 +3433,33 @@ class UIController {
                     <div class="active-layer-item__info">
                         <span class="active-layer-item__name">${this.escapeHtml(map.name)}</span>
                         <span class="active-layer-item__meta">
-                            ${authors}${authors && date ? ' · ' : ''}${date ? `<em>${date}</em>` : ''}
+                            ${authors}${authors && date ? ' · ' : ''}${date ? `<em title="${this.escapeHtml(legalDates)}">${date}</em>` : ''}
+                            ${proposed ? `<span class="active-layer-item__proposed-badge" title="${this.escapeHtml(legalDates)}">Proposed</span>` : ''}
                             ${partial?.isPartial ? `<span class="active-layer-item__partial-badge">${partial.featureNames?.length || 1} feature${(partial.featureNames?.length || 1) > 1 ? 's' : ''}</span>` : ''}
                         </span>
+                        ${chain?.pinned && chain.dates.length > 1 ? `
+                        <span class="active-layer-item__chain-date">
+                            <input type="range" class="active-layer-item__chain-slider" data-chain-id="${chain.chainId}"
+                                min="0" max="${chain.dates.length - 1}" step="1" value="${chainIndex}"
+                                aria-label="${this.escapeHtml(chain.chainName)} date">
+                            <span class="active-layer-item__chain-label">${this.escapeHtml(chain.labels[chainIndex])}</span>
+                        </span>` : ''}
                     </div>
                     <div class="active-layer-item__actions">
+                        ${chain ? `<button class="active-layer-item__btn chain-lock-btn${chain.pinned ? ' active-layer-item__btn--active' : ''}" data-chain-id="${chain.chainId}"
+                            title="${chain.pinned ? `Release ${this.escapeHtml(chain.chainName)} to the time slider` : `Pin ${this.escapeHtml(chain.chainName)} to its own date`}" aria-pressed="${chain.pinned}">
+                            ${chain.pinned
+                    ? '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="11" width="18" height="11" rx="2"/><path d="M7 11V7a5 5 0 0 1 10 0v4"/></svg>'
+                    : '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="11" width="18" height="11" rx="2"/><path d="M7 11V7a5 5 0 0 1 9.9-1"/></svg>'}
+                        </button>` : ''}
+                        <button class="active-layer-item__btn layer-style-btn${styled ? ' active-layer-item__btn--active' : ''}" data-map-id="${map.id}"
+                            title="Layer style" aria-pressed="${styled ? 'true' : 'false'}">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 20h9"/><path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4z"/></svg>
+                        </button>
+                        <button class="active-layer-item__btn choropleth-btn${choroplethIds?.has(map.id) ? ' active-layer-item__btn--active' : ''}" data-map-id="${map.id}"
+                            title="Style by attribute" aria-pressed="${choroplethIds?.has(map.id) ? 'true' : 'false'}">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="7" height="7"/><rect x="14" y="3" width="7" height="7" fill="currentColor"/><rect x="3" y="14" width="7" height="7" fill="currentColor" fill-opacity="0.5"/><rect x="14" y="14" width="7" height="7"/></svg>
+                        </button>
                         <button class="active-layer-item__btn visibility-btn" data-map-id="${map.id}" title="${isVisible ? 'Hide' : 'Show'}">
                             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>
                         </button>
@@ -3305,6 +3492,362 @@ class UIController {
                 if (this.onMapUnload) this.onMapUnload(mapId);
             });
         });
+
+        container.querySelectorAll('.layer-style-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.onLayerStyleEdit?.(btn.dataset.mapId);
+            });
+        });
+
+        container.querySelectorAll('.choropleth-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.onChoroplethEdit?.(btn.dataset.mapId);
+            });
+        });
+
+        container.querySelectorAll('.chain-lock-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.onChainLockToggle?.(btn.dataset.chainId);
+            });
+        });
+
+        // Pinned chain sliders: update the label while dragging, swap layers on release
+        container.querySelectorAll('.active-layer-item__chain-slider').forEach(slider => {
+            const chain = [...chainControls.values()].find(c => c.chainId === slider.dataset.chainId);
+            const label = slider.parentElement.querySelector('.active-layer-item__chain-label');
+            slider.addEventListener('input', () => {
+                label.textContent = chain.labels[slider.value];
+            });
+            slider.addEventListener('change', () => {
+                this.onChainDateChange?.(chain.chainId, chain.dates[slider.value]);
+            });
+        });
+    }
+
+    // ============================================
+    // Choropleth Styles
+    // ============================================
+
+    /**
+     * Open the style-by-attribute editor for a loaded map
+     * @param {Object} map - map config
+     * @param {{name: string, numeric: boolean}[]} properties - the layer's feature properties
+     * @param {Object|null} config - the choropleth config in effect
+     */
+    openChoroplethEditor(map, properties, config) {
+        const panel = document.getElementById('choroplethEditor');
+        if (!panel) return;
+
+        if (!this.choroplethEditorReady) {
+            this.setupChoroplethEditor();
+            this.choroplethEditorReady = true;
+        }
+
+        this.choroplethEditorMapId = map.id;
+        document.getElementById('layerStyleEditor')?.classList.add('hidden');
+        document.getElementById('choroplethEditorMap').textContent = map.name || map.id;
+
+        const propertySelect = document.getElementById('choroplethProperty');
+        const names = properties.map(p => p.name);
+        if (config?.property && !names.includes(config.property)) {
+            properties = [...properties, { name: config.property, numeric: config.method !== 'unique' }];
+        }
+        propertySelect.innerHTML = properties.length > 0
+            ? properties.map(p => `<option value="${this.escapeHtml(p.name)}" data-numeric="${p.numeric}">${this.escapeHtml(p.name)}${p.numeric ? '' : ' (text)'}</option>`).join('')
+            : '<option value="">No attributes loaded</option>';
+
+        const firstNumeric = properties.find(p => p.numeric);
+        propertySelect.value = config?.property || firstNumeric?.name || properties[0]?.name || '';
+        document.getElementById('choroplethMethod').value = config?.method || (firstNumeric ? 'quantile' : 'unique');
+        document.getElementById('choroplethClasses').value = String(config?.classes || 5);
+        document.getElementById('choroplethRamp').value = config?.ramp || 'Blues';
+        document.getElementById('choroplethReset').disabled = !map.choropleth;
+        this.updateChoroplethEditorFields();
+
+        panel.classList.remove('hidden');
+        propertySelect.focus();
+    }
+
+    setupChoroplethEditor() {
+        const methodSelect = document.getElementById('choroplethMethod');
+        methodSelect.innerHTML = Object.entries(choropleth.getMethods())
+            .map(([id, label]) => `<option value="${id}">${label}</option>`).join('');
+        document.getElementById('choroplethRamp').innerHTML = choropleth.getRampNames()
+            .map(name => `<option value="${name}">${name}</option>`).join('');
+
+        // Text attributes can only be shown as unique values
+        document.getElementById('choroplethProperty').addEventListener('change', (e) => {
+            const numeric = e.target.selectedOptions[0]?.dataset.numeric === 'true';
+            if (!numeric) methodSelect.value = 'unique';
+            this.updateChoroplethEditorFields();
+        });
+        methodSelect.addEventListener('change', () => this.updateChoroplethEditorFields());
+
+        const close = () => document.getElementById('choroplethEditor').classList.add('hidden');
+        const apply = (config) => {
+            this.onChoroplethChange?.(this.choroplethEditorMapId, config);
+            close();
+        };
+
+        document.getElementById('choroplethEditorClose').addEventListener('click', close);
+        document.getElementById('choroplethApply').addEventListener('click', () => {
+            const property = document.getElementById('choroplethProperty').value;
+            if (!property) return;
+            apply({
+                property,
+                method: methodSelect.value,
+                classes: Number(document.getElementById('choroplethClasses').value),
+                ramp: document.getElementById('choroplethRamp').value
+            });
+        });
+        document.getElementById('choroplethOff').addEventListener('click', () => apply(null));
+        document.getElementById('choroplethReset').addEventListener('click', () => apply(undefined));
+    }
+
+    /**
+     * Class count and colour ramp only apply to numeric methods
+     */
+    updateChoroplethEditorFields() {
+        const unique = document.getElementById('choroplethMethod').value === 'unique';
+        document.getElementById('choroplethClasses').disabled = unique;
+        document.getElementById('choroplethRamp').disabled = unique;
+    }
+
+    /**
+     * Render the legend for layers styled by attribute
+     * @param {Object[]} legends - see MapController.getChoroplethLegends
+     */
+    renderChoroplethLegend(legends) {
+        const container = document.getElementById('choroplethLegend');
+        if (!container) return;
+
+        container.classList.toggle('hidden', legends.length === 0);
+        container.innerHTML = legends.map(legend => `
+            <div class="choropleth-legend__group">
+                <div class="choropleth-legend__title">${this.escapeHtml(legend.mapName)}</div>
+                <div class="choropleth-legend__subtitle">${this.escapeHtml(legend.property)} · ${this.escapeHtml(legend.method)}</div>
+                <ul class="choropleth-legend__items">
+                    ${legend.items.map(item => `
+                        <li class="choropleth-legend__item">
+                            <span class="choropleth-legend__swatch" style="background: ${this.escapeHtml(item.color)}"></span>
+                            ${this.escapeHtml(item.label)}
+                        </li>`).join('')}
+                </ul>
+            </div>
+        `).join('');
+    }
+
+    // ============================================
+    // Layer Styles
+    // ============================================
+
+    /**
+     * Open the style editor for a loaded map; changes apply as they are made
+     * @param {Object} map - map config
+     * @param {Object} style - the style it is drawn with (see MapController.getLayerStyle)
+     * @param {boolean} hasChoropleth - fill colour comes from the attribute style instead
+     */
+    openLayerStyleEditor(map, style, hasChoropleth = false) {
+        const panel = document.getElementById('layerStyleEditor');
+        if (!panel) return;
+
+        if (!this.layerStyleEditorReady) {
+            this.setupLayerStyleEditor();
+            this.layerStyleEditorReady = true;
+        }
+
+        this.layerStyleEditorMapId = map.id;
+        document.getElementById('layerStyleEditorMap').textContent = map.name || map.id;
+        this.setLayerStyleFields(style);
+
+        const fill = document.getElementById('layerStyleFill');
+        fill.disabled = hasChoropleth;
+        fill.title = hasChoropleth ? 'Filled by the attribute style' : '';
+
+        document.getElementById('choroplethEditor')?.classList.add('hidden');
+        panel.classList.remove('hidden');
+        document.getElementById('layerStyleColor').focus();
+    }
+
+    /**
+     * Show a style in the editor's fields
+     */
+    setLayerStyleFields(style) {
+        document.getElementById('layerStyleColor').value = style.color;
+        document.getElementById('layerStyleWeight').value = String(style.weight);
+        document.getElementById('layerStyleWeightValue').textContent = `${style.weight}px`;
+        document.getElementById('layerStyleDash').value = style.dash;
+        document.getElementById('layerStyleFill').value = style.fillColor;
+        document.getElementById('layerStyleFillOpacity').value = String(Math.round(style.fillOpacity * 100));
+        document.getElementById('layerStyleFillOpacityValue').textContent = `${Math.round(style.fillOpacity * 100)}%`;
+        document.getElementById('layerStyleLabels').checked = style.labels;
+    }
+
+    setupLayerStyleEditor() {
+        const change = (changes) => this.onLayerStyleChange?.(this.layerStyleEditorMapId, changes);
+
+        document.getElementById('layerStyleColor').addEventListener('input', (e) => change({ color: e.target.value }));
+        document.getElementById('layerStyleWeight').addEventListener('input', (e) => {
+            document.getElementById('layerStyleWeightValue').textContent = `${e.target.value}px`;
+            change({ weight: Number(e.target.value) });
+        });
+        document.getElementById('layerStyleDash').addEventListener('change', (e) => change({ dash: e.target.value }));
+        document.getElementById('layerStyleFill').addEventListener('input', (e) => change({ fillColor: e.target.value }));
+        document.getElementById('layerStyleFillOpacity').addEventListener('input', (e) => {
+            document.getElementById('layerStyleFillOpacityValue').textContent = `${e.target.value}%`;
+            change({ fillOpacity: Number(e.target.value) / 100 });
+        });
+        document.getElementById('layerStyleLabels').addEventListener('change', (e) => change({ labels: e.target.checked }));
+
+        document.getElementById('layerStyleReset').addEventListener('click', () => {
+            const style = this.onLayerStyleChange?.(this.layerStyleEditorMapId, null);
+            if (style) this.setLayerStyleFields(style);
+        });
+        document.getElementById('layerStyleEditorClose').addEventListener('click', () => {
+            document.getElementById('layerStyleEditor').classList.add('hidden');
+        });
+    }
+
+    // ============================================
+    // Data Join
+    // ============================================
+
+    /**
+     * Open the join dialog for a table read from a file
+     * The layer whose features best match one of the table's columns is picked to start with
+     * @param {Object} table - from dataJoin.parse
+     * @param {string} filename
+     * @param {Object[]} maps - configs of the loaded maps the table can be joined onto
+     */
+    openJoinDialog(table, filename, maps) {
+        const panel = document.getElementById('joinDialog');
+        if (!panel) return;
+
+        if (!this.joinDialogReady) {
+            this.setupJoinDialog();
+            this.joinDialogReady = true;
+        }
+
+        this.joinDialogTable = table;
+        this.joinDialogFilename = filename;
+        document.getElementById('joinDialogFile').textContent =
+            `${filename} · ${table.rows.length} rows, ${table.columns.length} columns`;
+
+        const layerSelect = document.getElementById('joinLayer');
+        layerSelect.innerHTML = maps.length > 0
+            ? maps.map(map => `<option value="${this.escapeHtml(map.id)}">${this.escapeHtml(map.name || map.id)}</option>`).join('')
+            : '<option value="">Load a map to join onto</option>';
+
+        let best = null;
+        for (const map of maps) {
+            const suggestion = dataJoin.suggestKeys(table, this.onGetJoinLayerProperties?.(map.id) || []);
+            if (suggestion && (!best || suggestion.matches > best.matches)) best = { ...suggestion, mapId: map.id };
+        }
+        if (best) layerSelect.value = best.mapId;
+
+        document.getElementById('joinTableKey').innerHTML = table.columns
+            .map(column => `<option value="${this.escapeHtml(column)}">${this.escapeHtml(column)}</option>`).join('');
+        this.updateJoinKeys();
+
+        panel.classList.remove('hidden');
+        layerSelect.focus();
+    }
+
+    setupJoinDialog() {
+        const layerSelect = document.getElementById('joinLayer');
+        const applyBtn = document.getElementById('joinApply');
+        const report = document.getElementById('joinReport');
+
+        layerSelect.addEventListener('change', () => this.updateJoinKeys());
+        document.getElementById('joinDialogClose').addEventListener('click', () => {
+            document.getElementById('joinDialog').classList.add('hidden');
+        });
+
+        applyBtn.addEventListener('click', async () => {
+            const mapId = layerSelect.value;
+            const tableKey = document.getElementById('joinTableKey').value;
+            const layerKey = document.getElementById('joinLayerKey').value;
+            if (!mapId || !tableKey || !layerKey || !this.onJoinData) return;
+
+            applyBtn.disabled = true;
+            report.innerHTML = '<p class="text-muted text-sm">Joining…</p>';
+            try {
+                const join = await this.onJoinData(mapId, this.joinDialogTable, { tableKey, layerKey, name: this.joinDialogFilename });
+                this.renderJoinReport(join);
+            } catch (err) {
+                report.innerHTML = `<p class="join-dialog__error">Could not join: ${this.escapeHtml(err.message)}</p>`;
+            } finally {
+                applyBtn.disabled = false;
+            }
+        });
+
+        document.getElementById('joinRemove').addEventListener('click', async () => {
+            const mapId = layerSelect.value;
+            if (!mapId) return;
+            await this.onRemoveJoin?.(mapId);
+            this.renderJoinReport(null);
+        });
+    }
+
+    /**
+     * Fill the layer key choices for the selected layer, suggesting the best-matching pair of keys
+     */
+    updateJoinKeys() {
+        const mapId = document.getElementById('joinLayer').value;
+        const properties = mapId ? (this.onGetJoinLayerProperties?.(mapId) || []) : [];
+        const names = [...new Set(properties.flatMap(p => Object.keys(p || {})))].sort((a, b) => a.localeCompare(b));
+
+        const layerKeySelect = document.getElementById('joinLayerKey');
+        layerKeySelect.innerHTML = names.length > 0
+            ? names.map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`).join('')
+            : '<option value="">No attributes loaded</option>';
+
+        const suggestion = this.joinDialogTable ? dataJoin.suggestKeys(this.joinDialogTable, properties) : null;
+        if (suggestion) {
+            document.getElementById('joinTableKey').value = suggestion.tableKey;
+            layerKeySelect.value = suggestion.layerKey;
+        }
+
+        document.getElementById('joinApply').disabled = !mapId || names.length === 0;
+        this.renderJoinReport(mapId ? dataJoin.getJoin(mapId) : null);
+    }
+
+    /**
+     * Show how well a join matched, listing the keys found on only one side
+     * @param {Object|null} join - from dataJoin.join, or null when the layer has no join
+     */
+    renderJoinReport(join) {
+        const container = document.getElementById('joinReport');
+        document.getElementById('joinRemove').disabled = !join;
+        if (!container) return;
+
+        if (!join) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const { report } = join;
+        const keyList = (title, keys, note = '') => {
+            if (keys.length === 0) return '';
+            const shown = keys.slice(0, JOIN_REPORT_KEYS).map(key => this.escapeHtml(String(key))).join(', ');
+            const more = keys.length > JOIN_REPORT_KEYS ? ` and ${keys.length - JOIN_REPORT_KEYS} more` : '';
+            return `
+                <details class="join-dialog__keys">
+                    <summary>${title} (${keys.length})${note}</summary>
+                    <p>${shown}${more}</p>
+                </details>`;
+        };
+
+        container.innerHTML = `
+            <p class="join-dialog__summary">
+                <strong>${this.escapeHtml(join.name)}</strong> joined on ${this.escapeHtml(join.tableKey)} = ${this.escapeHtml(join.layerKey)}:
+                ${report.matchedFeatures} of ${report.features} boundaries matched,
+                ${report.matchedRows} of ${report.tableRows} rows used
+            </p>
+            ${keyList('Table keys with no boundary', report.unmatchedTableKeys)}
+            ${keyList('Boundaries with no row', report.unmatchedLayerKeys)}
+            ${keyList('Duplicate table keys', report.duplicateTableKeys, ' - first row used')}
+        `;
     }
 
     // ============================================
@@ -3340,7 +3883,10 @@ class UIController {
             allColumns: [],              // All discovered columns sorted by coverage
             columnCoverage: new Map(),   // column -> Set of mapIds that have this column
             visibleColumnCount: 3,       // Start with base columns (name, map, category)
-            manifestData: null           // Cache the manifest for column recalculation
+            manifestData: null,          // Cache the manifest for column recalculation
+            changes: null,               // Last boundary comparison result
+            selected: new Set(),         // Feature rows ticked for download
+            downloadFormat: 'geojson'
         };
 
         dataTypeSelect.addEventListener('change', (e) => {
@@ -3349,6 +3895,8 @@ class UIController {
             this.loadTablesData();
         });
 
+        this.setupBoundaryChanges();
+
         if (searchInput) {
             let debounce;
             searchInput.addEventListener('input', (e) => {
@@ -3372,6 +3920,9 @@ class UIController {
             return;
         }
 
+        document.getElementById('tablesChangesControls')?.classList.toggle('hidden', this.tablesState.dataType !== 'changes');
+        this.tablesState.selected.clear();
+
         switch (this.tablesState.dataType) {
             case 'maps':
                 this.tablesState.allData = (data.maps || []).map(m => ({
@@ -3403,20 +3954,181 @@ class UIController {
                 return;
 
             case 'features':
-                // Only loaded features
-                if (this.onGetLoadedFeatures) {
-                    this.tablesState.allData = this.onGetLoadedFeatures() || [];
-                    this.tablesState.columns = this.calculateDynamicColumns(this.tablesState.allData);
-                } else {
-                    this.tablesState.allData = [];
-                    this.tablesState.columns = [];
+                // Only loaded features - tile layers read those in view from the data file
+                container.innerHTML = '<p class="text-muted">Loading features...</p>';
+                this.loadLoadedFeatures();
+                return;
+
+            case 'changes':
+                if (!this.tablesState.changes) {
+                    container.innerHTML = '<p class="text-muted">Choose two maps from the same time series and press Compare.</p>';
+                    return;
                 }
+                this.tablesState.allData = this.getBoundaryChangeRows(this.tablesState.changes);
+                this.tablesState.columns = ['change', 'from', 'to', 'area transferred (km²)', '% of from', '% of to'];
                 break;
         }
 
         this.filterAndRenderTable();
     }
 
+    // ============================================
+    // Boundary Changes (Tables view)
+    // ============================================
+
+    setupBoundaryChanges() {
+        const fromSelect = document.getElementById('changesFrom');
+        const toSelect = document.getElementById('changesTo');
+        const compareBtn = document.getElementById('changesCompare');
+        const clearBtn = document.getElementById('changesClear');
+        if (!fromSelect || !toSelect || !compareBtn) return;
+
+        // One option group per time series, oldest map first
+        for (const chain of dataService.getTimeSeriesChains()) {
+            const maps = this.getComparableMaps(chain);
+            if (maps.length < 2) continue;
+
+            const group = document.createElement('optgroup');
+            group.label = chain.name;
+            for (const map of maps) {
+                group.appendChild(new Option(map.name, map.id));
+            }
+            fromSelect.appendChild(group);
+        }
+
+        fromSelect.addEventListener('change', () => this.updateChangesToOptions());
+        this.updateChangesToOptions();
+
+        compareBtn.addEventListener('click', async () => {
+            if (!this.onCompareVintages || !fromSelect.value || !toSelect.value) return;
+
+            const summary = document.getElementById('changesSummary');
+            compareBtn.disabled = true;
+            summary.textContent = 'Loading boundaries…';
+            try {
+                this.tablesState.changes = await this.onCompareVintages(fromSelect.value, toSelect.value, (percent) => {
+                    summary.textContent = `Comparing boundaries… ${percent}%`;
+                });
+                this.renderBoundaryChangeSummary(this.tablesState.changes);
+                if (clearBtn) clearBtn.disabled = false;
+            } catch (err) {
+                console.error('[UIController] Boundary comparison failed:', err);
+                this.tablesState.changes = null;
+                summary.textContent = `Comparison failed: ${err.message}`;
+            } finally {
+                compareBtn.disabled = false;
+            }
+
+            this.tablesState.currentPage = 1;
+            this.tablesState.sortKey = null;
+            this.loadTablesData();
+        });
+
+        clearBtn?.addEventListener('click', () => {
+            this.onClearComparison?.();
+            this.tablesState.changes = null;
+            document.getElementById('changesSummary').innerHTML = '';
+            clearBtn.disabled = true;
+            this.loadTablesData();
+        });
+
+        // Crosswalk export (From → To in the order chosen)
+        const weightingSelect = document.getElementById('crosswalkWeighting');
+        const exportButtons = [['crosswalkCsv', 'csv'], ['crosswalkJson', 'json']]
+            .map(([id, format]) => ({ btn: document.getElementById(id), format }))
+            .filter(({ btn }) => btn);
+
+        exportButtons.forEach(({ btn, format }) => {
+            btn.addEventListener('click', async () => {
+                if (!this.onExportCrosswalk || !fromSelect.value || !toSelect.value) return;
+
+                const summary = document.getElementById('changesSummary');
+                exportButtons.forEach(b => { b.btn.disabled = true; });
+                summary.textContent = 'Building crosswalk…';
+                try {
+                    const rowCount = await this.onExportCrosswalk(fromSelect.value, toSelect.value, weightingSelect?.value || 'area', format, (percent) => {
+                        summary.textContent = `Building crosswalk… ${percent}%`;
+                    });
+                    summary.textContent = `Crosswalk exported: ${rowCount} rows`;
+                } catch (err) {
+                    console.error('[UIController] Crosswalk failed:', err);
+                    summary.textContent = `Crosswalk failed: ${err.message}`;
+                } finally {
+                    exportButtons.forEach(b => { b.btn.disabled = false; });
+                }
+            });
+        });
+    }
+
+    /**
+     * Maps in a chain that have boundary data, oldest first
+     */
+    getComparableMaps(chain) {
+        return dataService.getMapsInChain(chain)
+            .map(entry => entry.map)
+            .filter(map => !map.placeholder && (dataService.getMapFilePath(map) || dataService.getComposite(map.id)))
+            .reverse();
+    }
+
+    /**
+     * Offer the other maps in the From map's chain, defaulting to the next vintage
+     */
+    updateChangesToOptions() {
+        const fromSelect = document.getElementById('changesFrom');
+        const toSelect = document.getElementById('changesTo');
+        const chain = dataService.getChainForMap(fromSelect.value);
+        if (!chain) return;
+
+        const maps = this.getComparableMaps(chain);
+        const fromIndex = maps.findIndex(m => m.id === fromSelect.value);
+        toSelect.innerHTML = '';
+        maps.forEach(map => {
+            if (map.id !== fromSelect.value) toSelect.appendChild(new Option(map.name, map.id));
+        });
+        toSelect.value = (maps[fromIndex + 1] || maps[fromIndex - 1])?.id || '';
+    }
+
+    /**
+     * Legend of change types with feature counts
+     */
+    renderBoundaryChangeSummary(result) {
+        const summary = document.getElementById('changesSummary');
+        if (!summary) return;
+
+        summary.innerHTML = Object.entries(result.summary)
+            .filter(([, count]) => count > 0)
+            .map(([change, count]) => `
+                <span><span class="tables-changes__swatch" style="background:${boundaryDiff.getChangeColor(change)}"></span>${count} ${change}</span>
+            `).join('');
+    }
+
+    /**
+     * Table rows for each predecessor → successor relationship
+     */
+    getBoundaryChangeRows(result) {
+        const percent = (share) => share == null ? '' : Math.round(share * 1000) / 10;
+        return result.relationships.map(r => ({
+            change: r.change,
+            from: r.fromIndex == null ? '' : (r.fromName ?? `Feature ${r.fromIndex + 1}`),
+            to: r.toIndex == null ? '' : (r.toName ?? `Feature ${r.toIndex + 1}`),
+            'area transferred (km²)': Math.round(r.area / 10000) / 100,
+            '% of from': percent(r.shareOfFrom),
+            '% of to': percent(r.shareOfTo)
+        }));
+    }
+
+    /**
+     * Rows for the features of the loaded layers
+     */
+    async loadLoadedFeatures() {
+        const rows = this.onGetLoadedFeatures ? await this.onGetLoadedFeatures() : [];
+        if (this.tablesState.dataType !== 'features') return;  // View changed while loading
+
+        this.tablesState.allData = (rows || []).map(row => this.addGeodesicColumns(row));
+        this.tablesState.columns = this.calculateDynamicColumns(this.tablesState.allData);
+        this.filterAndRenderTable();
+    }
+
     async loadAllFeatures() {
         const container = document.getElementById('tablesContainer');
         if (!container) return;
@@ -3602,7 +4314,7 @@ class UIController {
         });
 
         // Prioritize common columns
-        const priority = ['name', 'Name', 'NAME', 'mapName', 'area', 'perimeter', 'date'];
+        const priority = ['name', 'Name', 'NAME', 'mapName', 'area', 'perimeter', 'area (km²)', 'perimeter (km)', 'date'];
         const columns = priority.filter(k => allKeys.has(k));
 
         // Add remaining columns
@@ -3654,11 +4366,15 @@ class UIController {
     }
 
     renderTable(container) {
-        const { filteredData, columns, currentPage, pageSize, allColumns, visibleColumnCount } = this.tablesState;
+        const { filteredData, columns, currentPage, pageSize, allColumns, visibleColumnCount, selected } = this.tablesState;
         const totalPages = Math.ceil(filteredData.length / pageSize);
         const start = (currentPage - 1) * pageSize;
         const pageData = filteredData.slice(start, start + pageSize);
 
+        // Feature views can be ticked and downloaded
+        const selectable = ['features', 'allFeatures'].includes(this.tablesState.dataType);
+        const selectedCount = filteredData.filter(row => selected.has(row)).length;
+
         // Check if there are more columns to show
         const hasMoreColumns = allColumns && allColumns.length > visibleColumnCount;
         const remainingColumns = hasMoreColumns ? allColumns.length - visibleColumnCount : 0;
@@ -3668,10 +4384,28 @@ class UIController {
                 Showing ${start + 1}-${Math.min(start + pageSize, filteredData.length)} of ${filteredData.length} features
                 ${allColumns && allColumns.length > 3 ? ` · ${columns.length} of ${allColumns.length} columns` : ''}
             </div>
+            ${selectable && filteredData.length > 0 ? `
+            <div class="tables-download">
+                <select class="control-select tables-download__format" aria-label="Download format">
+                    ${Object.entries(featureExport.getFormats()).map(([format, { label }]) =>
+                `<option value="${format}" ${format === this.tablesState.downloadFormat ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                ${this.getDownloadCrsSelectHtml('tables-download__crs')}
+                <button class="btn btn--sm btn--secondary tables-download__btn">
+                    Download ${selectedCount > 0 ? `${selectedCount} selected` : this.tablesState.searchQuery ? `${filteredData.length} filtered` : `all ${filteredData.length}`}
+                </button>
+                ${selectedCount > 0 ? '<button class="btn btn--sm tables-download__clear">Clear selection</button>' : ''}
+            </div>` : ''}
             <div class="tables-wrapper tables-wrapper--scrollable">
                 <table class="data-table data-table--scrollable">
                     <thead>
                         <tr>
+                            ${selectable ? `
+                                <th class="data-table__header data-table__select">
+                                    <input type="checkbox" class="tables-select-all" aria-label="Select all ${filteredData.length} rows"
+                                        ${selectedCount > 0 && selectedCount === filteredData.length ? 'checked' : ''}>
+                                </th>
+                            ` : ''}
                             ${columns.map(col => `
                                 <th class="data-table__header sortable" data-sort-key="${col}">
                                     <span class="data-table__text">${this.escapeHtml(col)}${this.tablesState.sortKey === col ?
@@ -3681,8 +4415,13 @@ class UIController {
                         </tr>
                     </thead>
                     <tbody>
-                        ${pageData.map(row => `
+                        ${pageData.map((row, i) => `
                             <tr>
+                                ${selectable ? `
+                                    <td class="data-table__cell data-table__select">
+                                        <input type="checkbox" class="tables-select-row" data-row-index="${start + i}" aria-label="Select row" ${selected.has(row) ? 'checked' : ''}>
+                                    </td>
+                                ` : ''}
                                 ${columns.map(col => `
                                     <td class="data-table__cell"><span class="data-table__text">${this.escapeHtml(String(row[col] ?? ''))}</span></td>
                                 `).join('')}
@@ -3717,6 +4456,8 @@ class UIController {
 
         container.innerHTML = html;
 
+        if (selectable) this.setupTableSelection(container, selectedCount);
+
         // Add sort listeners
         container.querySelectorAll('.sortable').forEach(th => {
             th.addEventListener('click', () => {
@@ -3759,6 +4500,57 @@ class UIController {
         });
     }
 
+    /**
+     * Row ticks and the download toolbar of the feature views
+     * Downloads the ticked rows, or every row matching the search when none are ticked
+     */
+    setupTableSelection(container, selectedCount) {
+        const { filteredData, selected } = this.tablesState;
+
+        const selectAll = container.querySelector('.tables-select-all');
+        if (selectAll) {
+            selectAll.indeterminate = selectedCount > 0 && selectedCount < filteredData.length;
+            selectAll.addEventListener('change', () => {
+                filteredData.forEach(row => selectAll.checked ? selected.add(row) : selected.delete(row));
+                this.renderTable(container);
+            });
+        }
+
+        container.querySelectorAll('.tables-select-row').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const row = filteredData[Number(checkbox.dataset.rowIndex)];
+                if (checkbox.checked) selected.add(row);
+                else selected.delete(row);
+                this.renderTable(container);
+            });
+        });
+
+        container.querySelector('.tables-download__format')?.addEventListener('change', (e) => {
+            this.tablesState.downloadFormat = e.target.value;
+        });
+        container.querySelector('.tables-download__crs')?.addEventListener('change', (e) => this.setDownloadCrs(e.target.value));
+
+        container.querySelector('.tables-download__clear')?.addEventListener('click', () => {
+            selected.clear();
+            this.renderTable(container);
+        });
+
+        const downloadBtn = container.querySelector('.tables-download__btn');
+        downloadBtn?.addEventListener('click', async () => {
+            if (!this.onDownloadFeatures) return;
+            const rows = selectedCount > 0 ? filteredData.filter(row => selected.has(row)) : filteredData;
+            const label = downloadBtn.textContent;
+            downloadBtn.disabled = true;
+            downloadBtn.textContent = 'Preparing…';
+            try {
+                await this.onDownloadFeatures(rows, this.tablesState.downloadFormat, this.getDownloadCrs());
+            } finally {
+                downloadBtn.disabled = false;
+                downloadBtn.textContent = label;
+            }
+        });
+    }
+
     // ============================================
     // Search & Discovery (Step 1)
     // ============================================
@@ -3928,7 +4720,9 @@ class UIController {
         // Check for address-like patterns (contains numbers and common suffixes)
         const addressPattern = /\d+\s+(road|street|avenue|lane|drive|place|close|way|court|gardens|park|terrace|crescent)/i;
 
-        return postcodePattern.test(query) || addressPattern.test(query) || query.includes(',');
+        // Grid references and typed coordinates are found by the geocoder too
+        return postcodePattern.test(query) || addressPattern.test(query) || query.includes(',') ||
+            projections.parseCoordinates(query).length > 0;
     }
 
     renderAutocomplete(results, query) {
@@ -4038,16 +4832,7 @@ class UIController {
         }
 
         try {
-            // Use Nominatim API (OpenStreetMap)
-            const encoded = encodeURIComponent(query + ', Northern Ireland, UK');
-            const response = await fetch(
-                `https://nominatim.openstreetmap.org/search?q=${encoded}&format=json&addressdetails=1&limit=5&countrycodes=gb`,
-                { headers: { 'Accept': 'application/json' } }
-            );
-
-            if (!response.ok) throw new Error('Geocoding failed');
-
-            const results = await response.json();
+            const results = await geocoder.search(query, { limit: 5 });
 
             if (results.length === 0) {
                 if (autocomplete) {
@@ -4071,8 +4856,8 @@ class UIController {
         if (!autocomplete) return;
 
         const html = results.map(result => {
-            const displayName = result.display_name.split(',').slice(0, 3).join(', ');
-            const type = result.type || 'place';
+            const displayName = result.displayName;
+            const type = this.escapeHtml(result.type || 'place');
 
             return `<div class="search-autocomplete__item search-autocomplete__item--address" 
                          data-type="address" 
@@ -4124,7 +4909,7 @@ class UIController {
                 <button class="address-results__close" title="Close">×</button>
             </div>
             <div class="address-results__content">
-                <p class="text-muted text-sm">Checking loaded boundaries...</p>
+                <p class="text-muted text-sm">Checking every map...</p>
             </div>
         `;
 
@@ -4141,30 +4926,44 @@ class UIController {
         }
     }
 
-    renderIntersectionResults(intersections, lat, lon) {
+    renderIntersectionResults(result, lat, lon) {
         const addressResults = document.getElementById('addressResults');
         const contentEl = addressResults?.querySelector('.address-results__content');
         if (!contentEl) return;
 
-        if (!intersections || intersections.length === 0) {
-            contentEl.innerHTML = '<p class="text-muted text-sm">No loaded boundaries contain this location. Load some maps to see which areas include this address.</p>';
-            return;
+        contentEl.innerHTML = this.renderPointAreas(result);
+    }
+
+    /**
+     * Render point lookup results (see PointLookup.findAreasAtPoint), grouped by category
+     * Each match carries data-map-id so callers can load the map on click
+     */
+    renderPointAreas(result) {
+        if (!result || result.matches.length === 0) {
+            return '<p class="text-muted text-sm">No boundaries contain this location.</p>';
         }
 
-        const html = `
-            <p class="text-sm mb-2">This location is within:</p>
-            <ul class="address-results__list">
-                ${intersections.map(item => `
-                    <li class="address-results__item">
-                        <span class="address-results__color" style="background: ${item.color || '#888'}"></span>
-                        <span class="address-results__name">${this.escapeHtml(item.featureName)}</span>
-                        <span class="address-results__layer">${this.escapeHtml(item.mapName)}</span>
-                    </li>
+        const groupsHtml = result.groups.map(group => `
+            <div class="address-results__group">
+                <div class="address-results__group-title">${group.category.icon} ${this.escapeHtml(group.category.name)}</div>
+                ${group.matches.map(match => `
+                    <div class="address-results__match" data-map-id="${this.escapeHtml(match.mapId)}" title="Show ${this.escapeHtml(match.mapName)}">
+                        <span class="address-results__color" style="background:${match.color}"></span>
+                        <span><strong>${this.escapeHtml(match.mapName)}:</strong> ${this.escapeHtml(String(match.featureName))}</span>
+                    </div>
                 `).join('')}
-            </ul>
-        `;
+            </div>
+        `).join('');
+
+        const failedNote = result.failed.length > 0
+            ? `<p class="text-muted text-xs">${result.failed.length} map${result.failed.length === 1 ? '' : 's'} could not be checked.</p>`
+            : '';
 
-        contentEl.innerHTML = html;
+        return `
+            <p class="text-sm mb-2">This location is within ${result.matches.length} area${result.matches.length === 1 ? '' : 's'}:</p>
+            ${groupsHtml}
+            ${failedNote}
+        `;
     }
 
     removeAddressMarker() {
@@ -0,0 +1,189 @@
+/**
+ * NI Boundaries - Vector Tile Loader
+ * Reads vector tiles straight out of .mbtiles SQLite files over HTTP range requests
+ * (sql.js-httpvfs), decompresses them with pako and renders them with Leaflet.VectorGrid.
+ */
+
+const WORKER_URL = 'js/sql.js-httpvfs/sqlite.worker.js';
+const WASM_URL = 'js/sql.js-httpvfs/sql-wasm.wasm.txt';
+const REQUEST_CHUNK_SIZE = 4096;  // Must match the page size of the mbtiles files (SQLite default)
+
+class VectorTileLoader {
+    constructor() {
+        this.databases = new Map();  // mbtiles URL -> Promise<{ db, worker }>
+        this.metadata = new Map();   // mbtiles URL -> Promise<metadata>
+    }
+
+    /**
+     * Check whether the libraries needed for tile rendering are present
+     */
+    isSupported() {
+        return typeof createDbWorker === 'function' &&
+            typeof pako !== 'undefined' &&
+            typeof L !== 'undefined' && !!L.VectorGrid?.Protobuf &&
+            typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Open (or reuse) a database worker for an mbtiles file
+     */
+    openDatabase(url) {
+        if (!this.databases.has(url)) {
+            const promise = createDbWorker(
+                [{
+                    from: 'inline',
+                    config: {
+                        serverMode: 'full',
+                        url,
+                        requestChunkSize: REQUEST_CHUNK_SIZE
+                    }
+                }],
+                WORKER_URL,
+                WASM_URL
+            ).catch(err => {
+                // Allow a later retry
+                this.databases.delete(url);
+                throw err;
+            });
+            this.databases.set(url, promise);
+        }
+        return this.databases.get(url);
+    }
+
+    /**
+     * Read the metadata table (zoom range, bounds and vector layer names)
+     */
+    getMetadata(url) {
+        if (!this.metadata.has(url)) {
+            const promise = this.openDatabase(url).then(async ({ db }) => {
+                const rows = await db.query('SELECT name, value FROM metadata');
+                const raw = Object.fromEntries(rows.map(r => [r.name, r.value]));
+
+                let vectorLayers = [];
+                try {
+                    vectorLayers = JSON.parse(raw.json || '{}').vector_layers || [];
+                } catch (err) {
+                    console.warn(`[VectorTileLoader] Invalid metadata json in ${url}`);
+                }
+
+                const bounds = raw.bounds ? raw.bounds.split(',').map(Number) : null;
+
+                return {
+                    name: raw.name || null,
+                    minZoom: raw.minzoom != null ? parseInt(raw.minzoom, 10) : 0,
+                    maxZoom: raw.maxzoom != null ? parseInt(raw.maxzoom, 10) : 14,
+                    bounds: bounds?.length === 4 ? bounds : null,  // [west, south, east, north]
+                    layerNames: vectorLayers.map(l => l.id)
+                };
+            });
+            this.metadata.set(url, promise);
+        }
+        return this.metadata.get(url);
+    }
+
+    /**
+     * Fetch a single tile as raw (decompressed) protobuf bytes, or null if absent
+     * mbtiles stores rows in TMS order, so the XYZ row is flipped
+     */
+    async getTile(url, z, x, y) {
+        const { db } = await this.openDatabase(url);
+        const tmsY = (1 << z) - 1 - y;
+        const rows = await db.query(
+            'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?',
+            [z, x, tmsY]
+        );
+        const data = rows[0]?.tile_data;
+        if (!data) return null;
+
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        // gzip magic number - tippecanoe compresses tiles by default
+        if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+            return pako.ungzip(bytes);
+        }
+        return bytes;
+    }
+
+    /**
+     * Create a VectorGrid layer that draws tiles from an mbtiles file
+     * @param {string} url - mbtiles URL
+     * @param {Object} options - VectorGrid options plus:
+     *   style(properties, zoom) - style function applied to every vector layer
+     *   onTileFeatures(tile, coords) - called with each decoded tile
+     */
+    async createLayer(url, options = {}) {
+        const metadata = await this.getMetadata(url);
+        const loader = this;
+
+        const styleFn = options.style || (() => ({}));
+        const layerStyles = {};
+        for (const name of metadata.layerNames) {
+            layerStyles[name] = styleFn;
+        }
+
+        const MBTilesGrid = L.VectorGrid.Protobuf.extend({
+            _getVectorTilePromise(coords) {
+                return loader.getTile(url, coords.z, coords.x, coords.y)
+                    .then(bytes => {
+                        if (!bytes) return { layers: {} };
+
+                        // Let the stock protobuf parser decode the tile from a blob URL
+                        const blobUrl = URL.createObjectURL(new Blob([bytes], { type: 'application/x-protobuf' }));
+                        this._url = blobUrl;
+                        return L.VectorGrid.Protobuf.prototype._getVectorTilePromise.call(this, coords)
+                            .finally(() => URL.revokeObjectURL(blobUrl));
+                    })
+                    .then(tile => {
+                        // Style any layer the metadata didn't declare
+                        for (const name in tile.layers) {
+                            if (!this.options.vectorTileLayerStyles[name]) {
+                                this.options.vectorTileLayerStyles[name] = styleFn;
+                            }
+                        }
+                        if (options.onTileFeatures) {
+                            options.onTileFeatures(tile, coords);
+                        }
+                        return tile;
+                    })
+                    .catch(err => {
+                        console.warn(`[VectorTileLoader] Tile ${coords.z}/${coords.x}/${coords.y} failed:`, err.message);
+                        return { layers: {} };
+                    });
+            }
+        });
+
+        const layerOptions = {
+            ...options,
+            rendererFactory: L.svg.tile,
+            vectorTileLayerStyles: layerStyles,
+            minNativeZoom: metadata.minZoom,
+            maxNativeZoom: metadata.maxZoom
+        };
+        delete layerOptions.style;
+        delete layerOptions.onTileFeatures;
+
+        if (metadata.bounds) {
+            const [west, south, east, north] = metadata.bounds;
+            layerOptions.bounds = L.latLngBounds([south, west], [north, east]);
+        }
+
+        const layer = new MBTilesGrid('', layerOptions);
+        layer.metadata = metadata;
+        return layer;
+    }
+
+    /**
+     * Convert a point in tile-extent coordinates to a LatLng
+     */
+    tilePointToLatLng(map, coords, point, extent, tileSize = 256) {
+        const scale = tileSize / extent;
+        const pixel = L.point(
+            coords.x * tileSize + point.x * scale,
+            coords.y * tileSize + point.y * scale
+        );
+        return map.unproject(pixel, coords.z);
+    }
+}
+
+// Export singleton
+const vectorTileLoader = new VectorTileLoader();
+export default vectorTileLoader;
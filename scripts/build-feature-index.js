@@ -8,6 +8,11 @@
  * 
  * This makes ALL map features searchable in the autocomplete, even when
  * the maps are not currently loaded on the Leaflet map.
+ *
+ * Also writes a packed R-tree per map to data/database/rtree/<mapId>.bin over
+ * every feature in the file (named or not): item i is the file's i-th feature,
+ * which is also the numbering of per-feature LOD files. The trees are listed in
+ * data/database/rtree/index.json as { maps: { mapId: { count, lod } } }.
  * 
  * Usage: node scripts/build-feature-index.js
  */
@@ -20,6 +25,9 @@ const { Readable } = require('stream');
 const ROOT = path.resolve(__dirname, '..');
 const MAPS_JSON = path.join(ROOT, 'data', 'database', 'maps.json');
 const SPATIAL_INDEX = path.join(ROOT, 'data', 'database', 'spatial-index.json');
+const RTREE_DIR = path.join(ROOT, 'data', 'database', 'rtree');
+const RTREE_MANIFEST = path.join(RTREE_DIR, 'index.json');
+const FEATURES_DIR = path.join(ROOT, 'data', 'features');
 
 // Helper: compute bbox from a GeoJSON geometry
 function computeBbox(geometry) {
@@ -37,7 +45,7 @@ function computeBbox(geometry) {
         }
     }
 
-    if (geometry.coordinates) {
+    if (geometry?.coordinates) {
         processCoords(geometry.coordinates);
     }
 
@@ -45,6 +53,10 @@ function computeBbox(geometry) {
 }
 
 async function buildIndex() {
+    // The R-tree writer is shared with the ES module build script
+    const { buildPackedRTree } = await import('./packed-rtree.mjs');
+    fs.mkdirSync(RTREE_DIR, { recursive: true });
+
     // Load maps.json
     const mapsDb = JSON.parse(fs.readFileSync(MAPS_JSON, 'utf8'));
     const maps = mapsDb.maps || [];
@@ -52,6 +64,7 @@ async function buildIndex() {
     console.log(`Found ${maps.length} maps in maps.json`);
 
     const features = [];
+    const trees = {};
     const seenNames = new Map(); // Deduplicate across clone maps
     let skipped = 0;
     let processed = 0;
@@ -68,7 +81,7 @@ async function buildIndex() {
             }
         }
 
-        if (!fgbPath || !labelProp) {
+        if (!fgbPath) {
             skipped++;
             continue;
         }
@@ -93,9 +106,14 @@ async function buildIndex() {
             const uint8 = new Uint8Array(fileBuffer);
 
             // Use flatgeobuf to deserialize
+            const mapBoxes = [];
             let featureCount = 0;
             for await (const feature of deserialize(uint8)) {
-                const name = feature.properties?.[labelProp];
+                // Every feature goes in the R-tree, at its position in the file
+                const bbox = computeBbox(feature.geometry);
+                mapBoxes.push(bbox);
+
+                const name = labelProp ? feature.properties?.[labelProp] : null;
                 if (!name || typeof name !== 'string' || !name.trim()) continue;
 
                 const trimmedName = name.trim();
@@ -112,9 +130,6 @@ async function buildIndex() {
                 if (seenNames.has(dedupeKey)) continue;
                 seenNames.set(dedupeKey, true);
 
-                // Compute bbox
-                const bbox = computeBbox(feature.geometry);
-
                 features.push({
                     name: cleanName,
                     mapId: map.id,
@@ -124,8 +139,14 @@ async function buildIndex() {
                 featureCount++;
             }
 
+            // Packed R-tree for viewport and point queries
+            if (mapBoxes.length > 0) {
+                fs.writeFileSync(path.join(RTREE_DIR, `${map.id}.bin`), buildPackedRTree(mapBoxes));
+                trees[map.id] = { count: mapBoxes.length, lod: fs.existsSync(path.join(FEATURES_DIR, map.id)) };
+            }
+
             processed++;
-            console.log(`  ✓ ${map.id}: ${featureCount} features (label: ${labelProp})`);
+            console.log(`  ✓ ${map.id}: ${mapBoxes.length} features, ${featureCount} names (label: ${labelProp || 'none'})`);
         } catch (err) {
             console.error(`  ✗ Error reading ${map.id}: ${err.message}`);
             skipped++;
@@ -149,6 +170,10 @@ async function buildIndex() {
     // Write back
     fs.writeFileSync(SPATIAL_INDEX, JSON.stringify(spatialIndex, null, 2), 'utf8');
     console.log(`\nWrote ${features.length} features to ${path.relative(ROOT, SPATIAL_INDEX)}`);
+
+    // R-tree manifest - the client loads this instead of the spatial index on startup
+    fs.writeFileSync(RTREE_MANIFEST, JSON.stringify({ generated: spatialIndex.generated, maps: trees }, null, 2), 'utf8');
+    console.log(`Wrote ${Object.keys(trees).length} R-trees listed in ${path.relative(ROOT, RTREE_MANIFEST)}`);
 }
 
 buildIndex().catch(err => {
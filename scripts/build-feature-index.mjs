@@ -5,19 +5,28 @@
  * Reads all FlatGeobuf map files referenced in maps.json, extracts feature
  * names using each map's labelProperty, computes bounding boxes, and writes
  * the results into data/database/spatial-index.json's `features` array.
+ *
+ * Also writes a packed R-tree per map to data/database/rtree/<mapId>.bin over
+ * every feature in the file (named or not): item i is the file's i-th feature,
+ * which is also the numbering of per-feature LOD files. The trees are listed in
+ * data/database/rtree/index.json as { maps: { mapId: { count, lod } } }.
  * 
  * Usage: node scripts/build-feature-index.mjs
  */
 
-import { readFileSync, writeFileSync, existsSync, statSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, statSync, mkdirSync } from 'fs';
 import { resolve, join, relative, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { deserialize } from 'flatgeobuf/lib/mjs/geojson.js';
+import { buildPackedRTree } from './packed-rtree.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = resolve(__dirname, '..');
 const MAPS_JSON = join(ROOT, 'data', 'database', 'maps.json');
 const SPATIAL_INDEX = join(ROOT, 'data', 'database', 'spatial-index.json');
+const RTREE_DIR = join(ROOT, 'data', 'database', 'rtree');
+const RTREE_MANIFEST = join(RTREE_DIR, 'index.json');
+const FEATURES_DIR = join(ROOT, 'data', 'features');
 
 // Compute bbox from a GeoJSON geometry
 function computeBbox(geometry) {
@@ -45,9 +54,12 @@ async function buildIndex() {
     console.log(`Found ${maps.length} maps in maps.json`);
 
     const features = [];
+    const trees = {};
     const seenNames = new Set();
     let skipped = 0, processed = 0;
 
+    mkdirSync(RTREE_DIR, { recursive: true });
+
     for (const map of maps) {
         const labelProp = map.labelProperty;
         let fgbPath = map.files?.fgb;
@@ -58,7 +70,7 @@ async function buildIndex() {
             if (src?.files?.fgb) fgbPath = src.files.fgb;
         }
 
-        if (!fgbPath || !labelProp) { skipped++; continue; }
+        if (!fgbPath) { skipped++; continue; }
 
         const fullPath = join(ROOT, fgbPath);
         if (!existsSync(fullPath)) {
@@ -76,10 +88,14 @@ async function buildIndex() {
 
         try {
             const buf = new Uint8Array(readFileSync(fullPath));
+            const mapBoxes = [];
             let count = 0;
 
             for await (const feature of deserialize(buf)) {
-                let name = feature.properties?.[labelProp];
+                const bbox = computeBbox(feature.geometry);
+                mapBoxes.push(bbox);
+
+                let name = labelProp ? feature.properties?.[labelProp] : null;
                 if (!name || typeof name !== 'string') continue;
 
                 name = name.trim();
@@ -92,16 +108,17 @@ async function buildIndex() {
                 if (seenNames.has(key)) continue;
                 seenNames.add(key);
 
-                features.push({
-                    name,
-                    mapId: map.id,
-                    bbox: computeBbox(feature.geometry)
-                });
+                features.push({ name, mapId: map.id, bbox });
                 count++;
             }
 
+            if (mapBoxes.length > 0) {
+                writeFileSync(join(RTREE_DIR, `${map.id}.bin`), buildPackedRTree(mapBoxes));
+                trees[map.id] = { count: mapBoxes.length, lod: existsSync(join(FEATURES_DIR, map.id)) };
+            }
+
             processed++;
-            console.log(`  ✓ ${map.id}: ${count} features`);
+            console.log(`  ✓ ${map.id}: ${mapBoxes.length} features, ${count} names`);
         } catch (err) {
             console.error(`  ✗ ${map.id}: ${err.message}`);
             skipped++;
@@ -122,6 +139,9 @@ async function buildIndex() {
 
     writeFileSync(SPATIAL_INDEX, JSON.stringify(idx, null, 2), 'utf8');
     console.log(`Wrote to ${relative(ROOT, SPATIAL_INDEX)}`);
+
+    writeFileSync(RTREE_MANIFEST, JSON.stringify({ generated: idx.generated, maps: trees }, null, 2), 'utf8');
+    console.log(`Wrote ${Object.keys(trees).length} R-trees listed in ${relative(ROOT, RTREE_MANIFEST)}`);
 }
 
 buildIndex().catch(err => { console.error('Fatal:', err); process.exit(1); });
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Build Postcode Centroid Index
+ *
+ * Reads postcode centroid CSVs and writes data/database/postcodes.json,
+ * which DataService.lookupPostcode uses to resolve BT postcodes and Eircodes.
+ *
+ *   --bt <file>        ONS Postcode Directory (or any CSV with pcds/lat/long columns).
+ *                      Only live BT postcodes are kept (rows with a doterm are skipped).
+ *   --eircode <file>   CSV with eircode/lat/lng columns (column names are matched
+ *                      case-insensitively; "latitude"/"longitude" also work).
+ *
+ * Output groups codes by outward code (BT) or routing key (Eircode) so the client
+ * can also resolve partial codes such as "BT7" or "D02" to an average centroid:
+ *   { "generated": "...", "bt": { "BT7": { "1NN": [lat, lng] } }, "eircode": { "D02": { "X285": [lat, lng] } } }
+ *
+ * The committed postcodes.json is a small sample (marked with a "sample" note); the deploy
+ * workflow runs this script when the ONSPD_CSV_URL / EIRCODE_CSV_URL repository variables are set.
+ *
+ * Usage: node scripts/build-postcode-index.mjs --bt ONSPD.csv [--eircode eircodes.csv]
+ */
+
+import { createReadStream, writeFileSync } from 'fs';
+import { createInterface } from 'readline';
+import { resolve, join, relative, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = resolve(__dirname, '..');
+const OUTPUT = join(ROOT, 'data', 'database', 'postcodes.json');
+const PRECISION = 5;  // ~1 m
+
+// Split a CSV line, honouring double-quoted fields
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+// Stream a CSV file, calling onRow with an object keyed by lower-case header
+async function readCsv(file, onRow) {
+    const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+    let header = null;
+
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        const fields = parseCsvLine(line);
+        if (!header) {
+            header = fields.map(h => h.trim().toLowerCase());
+            continue;
+        }
+        const row = {};
+        header.forEach((name, i) => { row[name] = fields[i]?.trim(); });
+        onRow(row);
+    }
+}
+
+function round(value) {
+    const factor = 10 ** PRECISION;
+    return Math.round(value * factor) / factor;
+}
+
+function add(groups, outward, inward, lat, lng) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+    if (!groups[outward]) groups[outward] = {};
+    groups[outward][inward] = [round(lat), round(lng)];
+    return true;
+}
+
+async function buildBt(file) {
+    const groups = {};
+    let count = 0;
+
+    await readCsv(file, (row) => {
+        const code = (row.pcds || row.postcode || '').toUpperCase().replace(/\s+/g, '');
+        if (!/^BT\d{1,2}\d[A-Z]{2}$/.test(code) || row.doterm) return;
+
+        const lat = parseFloat(row.lat ?? row.latitude);
+        const lng = parseFloat(row.long ?? row.lng ?? row.longitude);
+        // ONSPD uses 99.999999 / 0 for postcodes without a grid reference
+        if (lat > 90) return;
+        if (add(groups, code.slice(0, -3), code.slice(-3), lat, lng)) count++;
+    });
+
+    console.log(`  ✓ BT: ${count} postcodes in ${Object.keys(groups).length} districts`);
+    return groups;
+}
+
+async function buildEircode(file) {
+    const groups = {};
+    let count = 0;
+
+    await readCsv(file, (row) => {
+        const code = (row.eircode || row.postcode || '').toUpperCase().replace(/\s+/g, '');
+        if (!/^([AC-FHKNPRTV-Y]\d{2}|D6W)[0-9AC-FHKNPRTV-Y]{4}$/.test(code)) return;
+
+        const lat = parseFloat(row.lat ?? row.latitude);
+        const lng = parseFloat(row.lng ?? row.long ?? row.longitude);
+        if (add(groups, code.slice(0, 3), code.slice(3), lat, lng)) count++;
+    });
+
+    console.log(`  ✓ Eircode: ${count} codes in ${Object.keys(groups).length} routing keys`);
+    return groups;
+}
+
+function getArg(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index > -1 ? process.argv[index + 1] : null;
+}
+
+async function main() {
+    const btFile = getArg('bt');
+    const eircodeFile = getArg('eircode');
+    if (!btFile && !eircodeFile) {
+        console.error('Usage: node scripts/build-postcode-index.mjs --bt ONSPD.csv [--eircode eircodes.csv]');
+        process.exit(1);
+    }
+
+    const output = {
+        generated: new Date().toISOString().slice(0, 10),
+        bt: btFile ? await buildBt(btFile) : {},
+        eircode: eircodeFile ? await buildEircode(eircodeFile) : {}
+    };
+
+    writeFileSync(OUTPUT, JSON.stringify(output));
+    console.log(`Wrote to ${relative(ROOT, OUTPUT)}`);
+}
+
+main().catch(err => { console.error('Fatal:', err); process.exit(1); });
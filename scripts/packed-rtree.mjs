@@ -0,0 +1,181 @@
+/**
+ * Packed Hilbert R-tree writer
+ *
+ * Produces the binary per-map spatial index read by js/packed-rtree.js.
+ * Items are sorted along a Hilbert curve and packed bottom-up into nodes
+ * of NODE_SIZE children, so the tree is a flat array with no pointers.
+ *
+ * Layout (little-endian):
+ *   0  uint8   magic (0xfb)
+ *   1  uint8   format version (1)
+ *   2  uint16  node size
+ *   4  uint32  number of items
+ *   8  float32 boxes[numNodes * 4]   minX, minY, maxX, maxY per node, leaves first
+ *   .. uint32  indices[numNodes]     leaf: item index, branch: offset of first child box
+ */
+
+export const MAGIC = 0xfb;
+export const VERSION = 1;
+export const NODE_SIZE = 16;
+
+// Boxes are stored as float32 - mins are rounded down and maxes up so boxes never shrink
+const float32 = new Float32Array(1);
+const float32Bits = new Int32Array(float32.buffer);
+
+/**
+ * Build a packed R-tree from an array of [minX, minY, maxX, maxY] boxes
+ * The position of each box in the input array is its item index
+ * @returns {Buffer}
+ */
+export function buildPackedRTree(boxes, nodeSize = NODE_SIZE) {
+    const numItems = boxes.length;
+    if (numItems === 0) throw new Error('Cannot index zero items');
+
+    // Node counts per level, leaves first
+    let n = numItems;
+    let numNodes = n;
+    const levelBounds = [n * 4];
+    do {
+        n = Math.ceil(n / nodeSize);
+        numNodes += n;
+        levelBounds.push(numNodes * 4);
+    } while (n !== 1);
+
+    const nodeBoxes = new Float32Array(numNodes * 4);
+    const indices = new Uint32Array(numNodes);
+
+    // Features without geometry get an inverted box that never matches a query
+    const isEmpty = (box) => !box.every(Number.isFinite);
+
+    // Overall extent for Hilbert coordinates
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const box of boxes) {
+        if (isEmpty(box)) continue;
+        const [x0, y0, x1, y1] = box;
+        if (x0 < minX) minX = x0;
+        if (y0 < minY) minY = y0;
+        if (x1 > maxX) maxX = x1;
+        if (y1 > maxY) maxY = y1;
+    }
+    const width = maxX - minX || 1;
+    const height = maxY - minY || 1;
+    const hilbertMax = (1 << 16) - 1;
+
+    const order = boxes.map((box, i) => {
+        if (isEmpty(box)) return { i, h: 0xFFFFFFFF };
+        const x = Math.floor(hilbertMax * ((box[0] + box[2]) / 2 - minX) / width);
+        const y = Math.floor(hilbertMax * ((box[1] + box[3]) / 2 - minY) / height);
+        return { i, h: hilbert(x, y) };
+    }).sort((a, b) => a.h - b.h);
+
+    // Leaves
+    order.forEach(({ i }, pos) => {
+        const [x0, y0, x1, y1] = isEmpty(boxes[i]) ? [Infinity, Infinity, -Infinity, -Infinity] : boxes[i];
+        nodeBoxes[pos * 4] = float32Down(x0);
+        nodeBoxes[pos * 4 + 1] = float32Down(y0);
+        nodeBoxes[pos * 4 + 2] = float32Up(x1);
+        nodeBoxes[pos * 4 + 3] = float32Up(y1);
+        indices[pos] = i;
+    });
+
+    // Branches - each parent covers up to nodeSize consecutive children
+    let pos = numItems * 4;
+    for (let level = 0, start = 0; level < levelBounds.length - 1; level++) {
+        const end = levelBounds[level];
+        while (start < end) {
+            const firstChild = start;
+            let bx0 = Infinity, by0 = Infinity, bx1 = -Infinity, by1 = -Infinity;
+            for (let c = 0; c < nodeSize && start < end; c++, start += 4) {
+                bx0 = Math.min(bx0, nodeBoxes[start]);
+                by0 = Math.min(by0, nodeBoxes[start + 1]);
+                bx1 = Math.max(bx1, nodeBoxes[start + 2]);
+                by1 = Math.max(by1, nodeBoxes[start + 3]);
+            }
+            nodeBoxes[pos] = bx0;
+            nodeBoxes[pos + 1] = by0;
+            nodeBoxes[pos + 2] = bx1;
+            nodeBoxes[pos + 3] = by1;
+            indices[pos >> 2] = firstChild;
+            pos += 4;
+        }
+    }
+
+    const header = Buffer.alloc(8);
+    header.writeUInt8(MAGIC, 0);
+    header.writeUInt8(VERSION, 1);
+    header.writeUInt16LE(nodeSize, 2);
+    header.writeUInt32LE(numItems, 4);
+
+    return Buffer.concat([
+        header,
+        Buffer.from(nodeBoxes.buffer),
+        Buffer.from(indices.buffer)
+    ]);
+}
+
+// Largest float32 not above v
+function float32Down(v) {
+    const f = Math.fround(v);
+    return f > v ? nextFloat32(f, -1) : f;
+}
+
+// Smallest float32 not below v
+function float32Up(v) {
+    const f = Math.fround(v);
+    return f < v ? nextFloat32(f, 1) : f;
+}
+
+// Neighbouring float32 of a finite float32 f, towards +Infinity (direction 1) or -Infinity (-1)
+function nextFloat32(f, direction) {
+    if (f === 0) return direction * 1e-45;  // Rounds to the smallest subnormal when stored
+    float32[0] = f;
+    float32Bits[0] += (f > 0) === (direction > 0) ? 1 : -1;
+    return float32[0];
+}
+
+// Hilbert curve index of a 16-bit (x, y) - from "Fast Hilbert curve generation" (rawrunprotected.org)
+function hilbert(x, y) {
+    let a = x ^ y;
+    let b = 0xFFFF ^ a;
+    let c = 0xFFFF ^ (x | y);
+    let d = x & (y ^ 0xFFFF);
+
+    let A = a | (b >> 1);
+    let B = (a >> 1) ^ a;
+    let C = ((c >> 1) ^ (b & (d >> 1))) ^ c;
+    let D = ((a & (c >> 1)) ^ (d >> 1)) ^ d;
+
+    a = A; b = B; c = C; d = D;
+    A = ((a & (a >> 2)) ^ (b & (b >> 2)));
+    B = ((a & (b >> 2)) ^ (b & ((a ^ b) >> 2)));
+    C ^= ((a & (c >> 2)) ^ (b & (d >> 2)));
+    D ^= ((b & (c >> 2)) ^ ((a ^ b) & (d >> 2)));
+
+    a = A; b = B; c = C; d = D;
+    A = ((a & (a >> 4)) ^ (b & (b >> 4)));
+    B = ((a & (b >> 4)) ^ (b & ((a ^ b) >> 4)));
+    C ^= ((a & (c >> 4)) ^ (b & (d >> 4)));
+    D ^= ((b & (c >> 4)) ^ ((a ^ b) & (d >> 4)));
+
+    a = A; b = B; c = C; d = D;
+    C ^= ((a & (c >> 8)) ^ (b & (d >> 8)));
+    D ^= ((b & (c >> 8)) ^ ((a ^ b) & (d >> 8)));
+
+    a = C ^ (C >> 1);
+    b = D ^ (D >> 1);
+
+    let i0 = x ^ y;
+    let i1 = b | (0xFFFF ^ (i0 | a));
+
+    i0 = (i0 | (i0 << 8)) & 0x00FF00FF;
+    i0 = (i0 | (i0 << 4)) & 0x0F0F0F0F;
+    i0 = (i0 | (i0 << 2)) & 0x33333333;
+    i0 = (i0 | (i0 << 1)) & 0x55555555;
+
+    i1 = (i1 | (i1 << 8)) & 0x00FF00FF;
+    i1 = (i1 | (i1 << 4)) & 0x0F0F0F0F;
+    i1 = (i1 | (i1 << 2)) & 0x33333333;
+    i1 = (i1 | (i1 << 1)) & 0x55555555;
+
+    return ((i1 << 1) | i0) >>> 0;
+}
@@ -0,0 +1,269 @@
+/**
+ * NI Boundaries - Service Worker
+ * Offline-first caching for the app shell, database JSON and thumbnails.
+ * Base map tiles saved by offline packs are served from TILE_CACHE.
+ * FGB files are not cached here - the page's IndexedDB cache (js/download-cache.js) is their
+ * only store, so they are checked against the datasets manifest in one place.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `ni-boundaries-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `ni-boundaries-data-${CACHE_VERSION}`;
+const THUMB_CACHE = `ni-boundaries-thumbs-${CACHE_VERSION}`;
+// Written by js/offline-packs.js - unversioned so saved packs survive service worker updates
+const TILE_CACHE = 'ni-boundaries-tiles';
+// Caches not listed (including the retired ni-boundaries-fgb-* cache) are deleted on activate
+const CURRENT_CACHES = [SHELL_CACHE, DATA_CACHE, THUMB_CACHE, TILE_CACHE];
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'about.html',
+    'books.html',
+    'books.js',
+    'not_found.html',
+    'partials/home.html',
+    'partials/about.html',
+    'partials/books.html',
+    'assets/css/main.css',
+    'assets/images/logo.png',
+    'js/app.js',
+    'js/boundary-diff.js',
+    'js/choropleth.js',
+    'js/compare-controller.js',
+    'js/coordinate-readout.js',
+    'js/crosswalk.js',
+    'js/data-join.js',
+    'js/data-service.js',
+    'js/download-cache.js',
+    'js/feature-export.js',
+    'js/feature-lineage.js',
+    'js/feature-loader.js',
+    'js/geocoder.js',
+    'js/geodesic.js',
+    'js/geopackage.js',
+    'js/layout-composer.js',
+    'js/map-export.js',
+    'js/map-controller.js',
+    'js/offline-packs.js',
+    'js/packed-rtree.js',
+    'js/point-lookup.js',
+    'js/print-layout.js',
+    'js/projections.js',
+    'js/time-slider-controller.js',
+    'js/timeline-export.js',
+    'js/ui-controller.js',
+    'js/vector-tile-loader.js',
+    'js/libs/pako.min.js',
+    'js/libs/Leaflet.VectorGrid.bundled.js',
+    'js/sql.js-httpvfs/index.js',
+    'js/sql.js-httpvfs/sqlite.worker.js',
+    'js/sql.js-httpvfs/sql-wasm.wasm.txt'
+];
+
+// Third-party libraries loaded from unpkg - cached if reachable, but not required to install
+const CDN_LIBS = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/fuse.js@7.0.0',
+    'https://unpkg.com/@turf/turf@6/turf.min.js',
+    'https://unpkg.com/flatgeobuf@3.32.0/dist/flatgeobuf-geojson.min.js'
+];
+
+const DATABASE_FILES = [
+    'data/database/maps.json',
+    'data/database/books.json',
+    'data/database/geographies.json',
+    'data/database/posts.json',
+    'data/database/postcodes.json',
+    'data/database/spatial-index.json',
+    'data/database/rtree/index.json',
+    'data/composites.json',
+    'data/datasets-manifest.json'
+];
+
+// ============================================
+// Lifecycle
+// ============================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(APP_SHELL);
+        await addAllSettled(shell, CDN_LIBS, { mode: 'cors' });
+
+        const data = await caches.open(DATA_CACHE);
+        await addAllSettled(data, DATABASE_FILES);
+
+        await precacheThumbnails();
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('ni-boundaries-') && !CURRENT_CACHES.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Add URLs to a cache, skipping any that fail (optional files)
+ */
+async function addAllSettled(cache, urls, init = {}) {
+    await Promise.all(urls.map(async (url) => {
+        try {
+            const response = await fetch(new Request(url, init));
+            if (response.ok) await cache.put(url, response);
+        } catch (err) {
+            // Optional - ignore
+        }
+    }));
+}
+
+/**
+ * Cache a thumbnail for every map and book in the database
+ * Thumbnail names follow ui-controller: <mapId>.png (clones use their source) and book-<bookId>.png
+ */
+async function precacheThumbnails() {
+    try {
+        const data = await caches.open(DATA_CACHE);
+        const [mapsResponse, booksResponse] = await Promise.all([
+            data.match('data/database/maps.json'),
+            data.match('data/database/books.json')
+        ]);
+
+        const urls = new Set();
+        if (mapsResponse) {
+            const { maps = [] } = await mapsResponse.json();
+            maps.forEach(map => urls.add(`assets/thumbnails/${map.cloneOf || map.id}.png`));
+        }
+        if (booksResponse) {
+            const { books = [] } = await booksResponse.json();
+            books.forEach(book => urls.add(`assets/thumbnails/book-${book.id}.png`));
+        }
+
+        const thumbs = await caches.open(THUMB_CACHE);
+        await addAllSettled(thumbs, Array.from(urls));
+    } catch (err) {
+        console.warn('[SW] Thumbnail precache failed:', err);
+    }
+}
+
+// ============================================
+// Fetch strategies
+// ============================================
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        if (CDN_LIBS.includes(request.url)) {
+            event.respondWith(cacheFirst(request, SHELL_CACHE));
+        } else if (request.destination === 'image') {
+            event.respondWith(packTileOrNetwork(request));
+        }
+        return;
+    }
+
+    const path = decodeURIComponent(url.pathname);
+
+    if (path.startsWith('/data/database/') || path === '/data/composites.json' || path === '/data/datasets-manifest.json') {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (path.startsWith('/assets/thumbnails/')) {
+        event.respondWith(cacheFirst(request, THUMB_CACHE));
+    } else if (request.mode === 'navigate' || isShellPath(path)) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+    // Everything else (FGB, per-feature JSON, mbtiles) goes to the network -
+    // feature and FGB downloads are kept in the page's IndexedDB cache
+});
+
+/**
+ * Check whether a path belongs to the app shell
+ */
+function isShellPath(path) {
+    return path.endsWith('.html') || path.endsWith('.css') || path.startsWith('/js/') ||
+        path.startsWith('/partials/') || path.startsWith('/assets/images/') || path === '/books.js';
+}
+
+/**
+ * Serve from cache, falling back to the network (and caching the result)
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+/**
+ * Serve from the network, falling back to the cache when offline
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(stripSearch(request.url), response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+/**
+ * Serve from cache immediately and refresh the cache in the background
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(stripSearch(request.url), response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) return cached;
+
+    const response = await refresh;
+    if (response) return response;
+
+    // Offline navigation to an uncached page - fall back to the app
+    if (request.mode === 'navigate') {
+        const fallback = await cache.match('index.html');
+        if (fallback) return fallback;
+    }
+    return Response.error();
+}
+
+/**
+ * Serve a base map tile saved by an offline pack, otherwise fetch it
+ * Only pack tiles are cached - browsing does not fill the tile cache
+ */
+async function packTileOrNetwork(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request.url);
+    return cached || fetch(request);
+}
+
+/**
+ * Drop the query string so versioned URLs (?v=8) share one cache entry
+ */
+function stripSearch(url) {
+    const u = new URL(url);
+    u.search = '';
+    return u.href;
+}